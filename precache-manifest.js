@@ -0,0 +1,82 @@
+// Generated by scripts/build-precache.mjs (npm run sync:games). Do not edit.
+self.__MGP_PRECACHE__ = {
+  "version": "2026-10-18T20:51:47.908Z",
+  "revision": "aa43d4bdb61928b6",
+  "files": [
+    "index.html",
+    "manifest.webmanifest",
+    "public/icons/app-icon.svg",
+    "src/achievements/neon-biztycoon.json",
+    "src/achievements/neon-block.json",
+    "src/achievements/neon-findmine.json",
+    "src/achievements/neon-fruitmerge.json",
+    "src/achievements/neon-jumpin.json",
+    "src/achievements/neon-slotmachine.json",
+    "src/achievements/neon-strike.json",
+    "src/achievements/neon-survivor.json",
+    "src/compiled/manifest.json",
+    "src/compiled/MiniGameFrame.js",
+    "src/compiled/neon_biztycoon.html",
+    "src/config/cloud-config.js",
+    "src/core/Canvas2D.js",
+    "src/core/GameEngine.js",
+    "src/core/InputManager.js",
+    "src/core/Replay.js",
+    "src/core/SeededRandom.js",
+    "src/core/StateManager.js",
+    "src/html/neon_biztycoon.html",
+    "src/html/neon_biztycoon.manifest.json",
+    "src/html/neon_block.html",
+    "src/html/neon_block.manifest.json",
+    "src/html/neon_findmine.html",
+    "src/html/neon_findmine.manifest.json",
+    "src/html/neon_fruitmerge.html",
+    "src/html/neon_fruitmerge.manifest.json",
+    "src/html/neon_jumpin.html",
+    "src/html/neon_jumpin.manifest.json",
+    "src/html/neon_slotmachine.html",
+    "src/html/neon_slotmachine.manifest.json",
+    "src/html/neon_strike.html",
+    "src/html/neon_strike.manifest.json",
+    "src/html/neon_survivor.html",
+    "src/html/neon_survivor.manifest.json",
+    "src/html/registry.json",
+    "src/jsx/MiniGameFrame.jsx",
+    "src/jsx/registry.json",
+    "src/locales/en.js",
+    "src/locales/ko.js",
+    "src/platform/AchievementSystem.js",
+    "src/platform/BridgeHost.js",
+    "src/platform/GameHub.js",
+    "src/platform/jsx-runner.html",
+    "src/platform/mgp-bridge.js",
+    "src/platform/ProfileCharts.js",
+    "src/platform/ShareManager.js",
+    "src/services/CloudAuthService.js",
+    "src/services/FirebaseClient.js",
+    "src/services/LeaderboardService.js",
+    "src/services/SyncOutbox.js",
+    "src/styles/animations.css",
+    "src/styles/design-system.css",
+    "src/styles/glassmorphism.css",
+    "src/styles/neon-effects.css",
+    "src/systems/AchievementPacks.js",
+    "src/systems/CollisionDetector.js",
+    "src/systems/I18n.js",
+    "src/systems/ParticleSystem.js",
+    "src/systems/RankingRules.js",
+    "src/systems/ScoreManager.js",
+    "src/systems/SeasonSchedule.js",
+    "src/systems/StorageManager.js",
+    "src/systems/TabCoordinator.js",
+    "vendor/babel-standalone@7.23.5/babel.min.js",
+    "vendor/lucide@0.263.0/lucide.min.js",
+    "vendor/matter-js@0.19.0/matter.min.js",
+    "vendor/phaser@3.60.0/phaser.min.js",
+    "vendor/react-dom@18.2.0/react-dom.development.js",
+    "vendor/react-dom@18.2.0/react-dom.production.min.js",
+    "vendor/react@18.2.0/react.development.js",
+    "vendor/react@18.2.0/react.production.min.js",
+    "vendor/tailwindcss-play@3.4.1/tailwind.js"
+  ]
+};
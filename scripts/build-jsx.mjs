@@ -0,0 +1,232 @@
+import { createHash } from 'node:crypto';
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import {
+    SCRIPT_TAG_PATTERN,
+    VENDOR_DIR,
+    VENDOR_FILES,
+    findVendorEntry,
+    getVendorKey,
+    readLock,
+    renderVendorTag
+} from './vendor-libs.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const rootDir = path.resolve(__dirname, '..');
+
+// Same depth as src/html, so relative paths in compiled pages (../platform, ../../vendor) still resolve
+const COMPILED_DIR = path.join(rootDir, 'src', 'compiled');
+const MANIFEST_PATH = path.join(COMPILED_DIR, 'manifest.json');
+const MANIFEST_VERSION = 1;
+const JSX_SOURCE_DIR = path.join(rootDir, 'src', 'jsx');
+const HTML_SOURCE_DIR = path.join(rootDir, 'src', 'html');
+
+// Matches the in-browser transform of jsx-runner.html, so precompiled and runtime output behave the same
+const JSX_TRANSFORM_OPTIONS = {
+    presets: [
+        ['react', { runtime: 'classic' }],
+        ['typescript', { isTSX: true, allExtensions: true }]
+    ],
+    plugins: ['transform-modules-commonjs'],
+    sourceType: 'module'
+};
+const INLINE_TRANSFORM_OPTIONS = {
+    presets: [['react', { runtime: 'classic' }]],
+    sourceType: 'script'
+};
+const INLINE_BABEL_PATTERN = /<script\s+type="text\/babel"[^>]*>([\s\S]*?)<\/script>/g;
+const BABEL_FILE = VENDOR_FILES.find((entry) => entry.library === 'babel-standalone');
+
+function toPosix(filePath) {
+    return filePath.split(path.sep).join('/');
+}
+
+// Site path the hub uses for a file (registry paths look like /src/html/<file>.html)
+function toSitePath(filePath) {
+    return `/${toPosix(path.relative(rootDir, filePath))}`;
+}
+
+function toSourceHash(content) {
+    return `sha256-${createHash('sha256').update(content).digest('base64')}`;
+}
+
+/**
+ * Babel standalone is a UMD bundle; the repo is an ES module package, so evaluate it with a
+ * CommonJS shim instead of require()
+ */
+async function loadBabel() {
+    const babelPath = path.join(VENDOR_DIR, getVendorKey(BABEL_FILE));
+    let code = '';
+    try {
+        code = await fs.readFile(babelPath, 'utf8');
+    } catch (_error) {
+        throw new Error(`babel-missing:${toPosix(path.relative(rootDir, babelPath))} (run \`npm run vendor\` first)`);
+    }
+
+    const module = { exports: {} };
+    new Function('module', 'exports', code)(module, module.exports);
+    return module.exports;
+}
+
+async function listFiles(dir, predicate) {
+    const names = await fs.readdir(dir).catch(() => []);
+    return names
+        .filter(predicate)
+        .sort((a, b) => a.localeCompare(b, 'en'))
+        .map((name) => path.join(dir, name));
+}
+
+/**
+ * Every JSX game source plus the HTML games that still carry inline `text/babel` blocks
+ * @returns {Promise<{kind: string, sourcePath: string, outputPath: string, content: string}[]>}
+ */
+async function collectSources() {
+    const sources = [];
+    for (const sourcePath of await listFiles(JSX_SOURCE_DIR, (name) => name.endsWith('.jsx'))) {
+        sources.push({
+            kind: 'jsx',
+            sourcePath,
+            outputPath: path.join(COMPILED_DIR, `${path.basename(sourcePath, '.jsx')}.js`),
+            content: await fs.readFile(sourcePath, 'utf8')
+        });
+    }
+    for (const sourcePath of await listFiles(HTML_SOURCE_DIR, (name) => name.endsWith('.html'))) {
+        const content = await fs.readFile(sourcePath, 'utf8');
+        if (!new RegExp(INLINE_BABEL_PATTERN.source).test(content)) continue;
+        sources.push({
+            kind: 'html',
+            sourcePath,
+            outputPath: path.join(COMPILED_DIR, path.basename(sourcePath)),
+            content
+        });
+    }
+    return sources;
+}
+
+/**
+ * Script tags of a compiled page: development React becomes the production build of the same
+ * version (vendored or CDN, whichever the source used) and Babel is dropped
+ */
+function rewriteRuntimeTags(html, outputPath, lock) {
+    return html.replace(SCRIPT_TAG_PATTERN, (tag, _before, src) => {
+        const entry = findVendorEntry(src);
+        if (!entry) return tag;
+        if (entry.library === BABEL_FILE.library) return '';
+        if (!entry.file.endsWith('.development.js')) return tag;
+
+        const production = VENDOR_FILES.find((candidate) => (
+            candidate.library === entry.library
+            && candidate.version === entry.version
+            && candidate.file.endsWith('.production.min.js')
+        ));
+        if (!production) return tag;
+        return lock.files[getVendorKey(production)] && !/^https?:\/\//.test(src)
+            ? renderVendorTag(production, outputPath, lock)
+            : `<script src="${production.url}"></script>`;
+    });
+}
+
+function compileSource(babel, source, lock) {
+    const filename = path.basename(source.sourcePath);
+    if (source.kind === 'jsx') {
+        return babel.transform(source.content, { ...JSX_TRANSFORM_OPTIONS, filename }).code;
+    }
+
+    const html = source.content.replace(INLINE_BABEL_PATTERN, (_block, code) => {
+        const compiled = babel.transform(code, { ...INLINE_TRANSFORM_OPTIONS, filename }).code;
+        return `<script>\n${compiled}\n</script>`;
+    });
+    return rewriteRuntimeTags(html, source.outputPath, lock);
+}
+
+async function readManifest() {
+    try {
+        const manifest = JSON.parse(await fs.readFile(MANIFEST_PATH, 'utf8'));
+        return manifest && typeof manifest.files === 'object' ? manifest : { version: MANIFEST_VERSION, files: {} };
+    } catch (_error) {
+        return { version: MANIFEST_VERSION, files: {} };
+    }
+}
+
+async function build() {
+    const babel = await loadBabel();
+    const lock = await readLock();
+    const previous = await readManifest();
+    const files = {};
+
+    await fs.mkdir(COMPILED_DIR, { recursive: true });
+    for (const source of await collectSources()) {
+        const output = compileSource(babel, source, lock);
+        await fs.writeFile(source.outputPath, output, 'utf8');
+        files[toSitePath(source.sourcePath)] = {
+            output: toSitePath(source.outputPath),
+            sourceHash: toSourceHash(source.content)
+        };
+        console.log(`[build-jsx] ${toSitePath(source.sourcePath)} -> ${toSitePath(source.outputPath)}`);
+    }
+
+    // Outputs whose source was removed would otherwise keep being served
+    const outputs = new Set(Object.values(files).map((entry) => entry.output));
+    for (const entry of Object.values(previous.files)) {
+        if (outputs.has(entry.output)) continue;
+        await fs.rm(path.join(rootDir, `.${entry.output}`), { force: true });
+        console.log(`[build-jsx] removed stale ${entry.output}`);
+    }
+
+    await fs.writeFile(MANIFEST_PATH, `${JSON.stringify({ version: MANIFEST_VERSION, files }, null, 2)}\n`, 'utf8');
+}
+
+/**
+ * Offline check that every compiled output exists and was built from the current source
+ */
+async function check() {
+    const manifest = await readManifest();
+    const problems = [];
+    const sitePaths = new Set();
+
+    for (const source of await collectSources()) {
+        const sitePath = toSitePath(source.sourcePath);
+        const entry = manifest.files[sitePath];
+        sitePaths.add(sitePath);
+        if (!entry) {
+            problems.push(`${sitePath}: not compiled`);
+            continue;
+        }
+        if (entry.sourceHash !== toSourceHash(source.content)) {
+            problems.push(`${sitePath}: changed since the last build`);
+        }
+        try {
+            await fs.stat(path.join(rootDir, `.${entry.output}`));
+        } catch (_error) {
+            problems.push(`${sitePath}: ${entry.output} is missing`);
+        }
+    }
+    Object.keys(manifest.files)
+        .filter((sitePath) => !sitePaths.has(sitePath))
+        .forEach((sitePath) => problems.push(`${sitePath}: source is gone but still listed in the manifest`));
+
+    return problems;
+}
+
+async function run() {
+    if (process.argv.slice(2).includes('--check')) {
+        const problems = await check();
+        problems.forEach((problem) => console.error(`[build-jsx] ${problem}`));
+        if (problems.length > 0) {
+            console.error('[build-jsx] run `npm run build:jsx` and commit src/compiled/');
+            process.exitCode = 1;
+            return;
+        }
+        console.log('[build-jsx] compiled outputs are up to date');
+        return;
+    }
+
+    await build();
+}
+
+run().catch((error) => {
+    console.error(`[build-jsx] ${error.message}`);
+    process.exitCode = 1;
+});
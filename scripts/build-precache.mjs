@@ -0,0 +1,182 @@
+import { createHash } from 'node:crypto';
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { SCRIPT_TAG_PATTERN } from './vendor-libs.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const rootDir = path.resolve(__dirname, '..');
+
+const OUTPUT_PATH = path.join(rootDir, 'precache-manifest.js');
+// The html registry is rewritten by every `npm run sync:games`; its timestamp names the cache
+const REGISTRY_PATH = path.join(rootDir, 'src', 'html', 'registry.json');
+
+// Hub shell: the entry page, install metadata and the sw itself are fetched by URL, not listed by folder
+const SHELL_FILES = [
+    'index.html',
+    'manifest.webmanifest',
+    'public/icons/app-icon.svg'
+];
+
+// Folders the hub and its games load from, with the extensions worth caching
+const PRECACHE_DIRS = [
+    { dir: 'src/styles', extensions: ['.css'] },
+    { dir: 'src/config', extensions: ['.js'] },
+    { dir: 'src/core', extensions: ['.js'] },
+    { dir: 'src/systems', extensions: ['.js'] },
+    { dir: 'src/services', extensions: ['.js'] },
+    { dir: 'src/locales', extensions: ['.js'] },
+    { dir: 'src/platform', extensions: ['.js', '.html'] },
+    { dir: 'src/achievements', extensions: ['.json'] },
+    { dir: 'src/html', extensions: ['.html', '.json'] },
+    { dir: 'src/jsx', extensions: ['.jsx', '.json'] },
+    { dir: 'src/compiled', extensions: ['.js', '.html', '.json'] },
+    { dir: 'vendor', extensions: ['.js', '.css'], recursive: true }
+];
+
+function toPosix(filePath) {
+    return filePath.split(path.sep).join('/');
+}
+
+async function listDir(dir, extensions, recursive) {
+    const entries = await fs.readdir(path.join(rootDir, dir), { withFileTypes: true }).catch(() => []);
+    const files = [];
+    for (const entry of entries) {
+        const relativePath = `${dir}/${entry.name}`;
+        if (entry.isDirectory()) {
+            if (recursive) files.push(...await listDir(relativePath, extensions, recursive));
+            continue;
+        }
+        if (extensions.includes(path.extname(entry.name).toLowerCase())) {
+            files.push(relativePath);
+        }
+    }
+    return files;
+}
+
+async function readRegistryVersion() {
+    try {
+        const registry = JSON.parse(await fs.readFile(REGISTRY_PATH, 'utf8'));
+        if (typeof registry?.generatedAt === 'string' && registry.generatedAt) {
+            return registry.generatedAt;
+        }
+    } catch (_error) {
+        // reported below
+    }
+    throw new Error(`registry-version-missing:${toPosix(path.relative(rootDir, REGISTRY_PATH))} (run \`npm run sync:games\`)`);
+}
+
+/**
+ * Files the service worker caches on install, relative to the site root
+ * @returns {Promise<string[]>}
+ */
+export async function collectPrecacheFiles() {
+    const files = [];
+    for (const file of SHELL_FILES) {
+        try {
+            await fs.stat(path.join(rootDir, file));
+            files.push(file);
+        } catch (_error) {
+            // optional shell file
+        }
+    }
+    for (const { dir, extensions, recursive = false } of PRECACHE_DIRS) {
+        files.push(...await listDir(dir, extensions, recursive));
+    }
+    return Array.from(new Set(files)).sort((a, b) => a.localeCompare(b, 'en'));
+}
+
+/**
+ * Precached pages must not load scripts from other hosts: the worker cannot cache them, so the
+ * page would fail offline. Stylesheets (web fonts) are left out since pages render without them.
+ */
+async function assertLocalScripts(files) {
+    const problems = [];
+    for (const file of files.filter((name) => name.endsWith('.html'))) {
+        const html = await fs.readFile(path.join(rootDir, file), 'utf8');
+        for (const match of html.matchAll(SCRIPT_TAG_PATTERN)) {
+            if (/^(https?:)?\/\//.test(match[2])) problems.push(`${file}: ${match[2]}`);
+        }
+    }
+    if (problems.length > 0) {
+        throw new Error(`external-scripts (run \`npm run vendor\`):\n  ${problems.join('\n  ')}`);
+    }
+}
+
+/**
+ * Hash of every precached path and its content. A file edited, added or removed since the last
+ * build changes it, so a stale or hand-edited manifest fails the check.
+ */
+async function computeRevision(files) {
+    const hash = createHash('sha256');
+    for (const file of files) {
+        hash.update(`${file}\0`);
+        hash.update(await fs.readFile(path.join(rootDir, file)));
+        hash.update('\0');
+    }
+    return hash.digest('hex').slice(0, 16);
+}
+
+function renderManifest(manifest) {
+    return [
+        '// Generated by scripts/build-precache.mjs (npm run sync:games). Do not edit.',
+        `self.__MGP_PRECACHE__ = ${JSON.stringify(manifest, null, 2)};`,
+        ''
+    ].join('\n');
+}
+
+async function buildManifest() {
+    const version = await readRegistryVersion();
+    const files = await collectPrecacheFiles();
+    await assertLocalScripts(files);
+    return { version, revision: await computeRevision(files), files };
+}
+
+/**
+ * Write precache-manifest.js for sw.js. The version is the registry `generatedAt`, so every
+ * registry sync installs a fresh cache and the worker drops the previous one; the revision
+ * changes the cache name too when only file contents changed.
+ * @returns {Promise<{version: string, revision: string, count: number, outputPath: string}>}
+ */
+export async function writePrecacheManifest() {
+    const manifest = await buildManifest();
+    await fs.writeFile(OUTPUT_PATH, renderManifest(manifest), 'utf8');
+    return {
+        version: manifest.version,
+        revision: manifest.revision,
+        count: manifest.files.length,
+        outputPath: toPosix(path.relative(rootDir, OUTPUT_PATH))
+    };
+}
+
+/**
+ * Offline check that precache-manifest.js is exactly what a build would write now
+ */
+async function checkPrecacheManifest() {
+    const expected = renderManifest(await buildManifest());
+    const actual = await fs.readFile(OUTPUT_PATH, 'utf8').catch(() => '');
+    return actual === expected;
+}
+
+async function run() {
+    if (process.argv.slice(2).includes('--check')) {
+        if (!await checkPrecacheManifest()) {
+            console.error('[precache] precache-manifest.js is stale or was edited by hand; run `npm run sync:games` and commit it');
+            process.exitCode = 1;
+            return;
+        }
+        console.log('[precache] precache-manifest.js is up to date');
+        return;
+    }
+
+    const result = await writePrecacheManifest();
+    console.log(`[precache] ${result.count} files, version ${result.version} (${result.revision}) -> ${result.outputPath}`);
+}
+
+if (path.resolve(process.argv[1] || '') === __filename) {
+    run().catch((error) => {
+        console.error(`[precache] ${error.message}`);
+        process.exitCode = 1;
+    });
+}
@@ -1,3 +1,5 @@
+import { randomBytes } from 'node:crypto';
+
 const DEFAULT_BASE_URL = 'http://127.0.0.1:3001';
 const baseUrl = (process.argv[2] || DEFAULT_BASE_URL).replace(/\/+$/, '');
 
@@ -35,6 +37,10 @@ async function requestJson(pathname, options = {}) {
     return data;
 }
 
+function createPlayerKey() {
+    return randomBytes(24).toString('hex');
+}
+
 async function checkHealth() {
     const health = await requestJson('/api/health');
     if (!health?.ok) throw new Error('health response missing ok=true');
@@ -45,11 +51,13 @@ async function checkHealth() {
 async function checkSyncAndSnapshot() {
     const playerId = `check-${Date.now()}`;
     const nickname = 'Checker';
+    const playerKey = createPlayerKey();
+    const jsonHeaders = { 'Content-Type': 'application/json', Authorization: `Bearer ${playerKey}` };
 
     // Compatibility check: sync without progress payload.
     await requestJson('/api/leaderboard/sync', {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: jsonHeaders,
         body: JSON.stringify({
             playerId,
             nickname,
@@ -61,10 +69,33 @@ async function checkSyncAndSnapshot() {
         })
     });
 
-    // New payload check: sync with cloud progress payload.
-    const syncWithProgress = await requestJson('/api/leaderboard/sync', {
+    const requestSession = (key) => requestJson('/api/leaderboard/session', {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: {
+            'Content-Type': 'application/json',
+            ...(key ? { Authorization: `Bearer ${key}` } : {})
+        },
+        body: JSON.stringify({ playerId, gameId: 'neon-block' })
+    });
+    const session = await requestSession(playerKey);
+    if (!session?.ticket) throw new Error('session response missing ticket');
+
+    for (const [key, expected] of [[null, 'player-key-required'], [createPlayerKey(), 'player-key-mismatch']]) {
+        let keyError = null;
+        try {
+            await requestSession(key);
+        } catch (error) {
+            keyError = error;
+        }
+        if (!String(keyError?.message || '').includes(expected)) {
+            throw new Error(`session without the player's key was not refused with ${expected}`);
+        }
+    }
+
+    // New payload check: sync with cloud progress payload and a signed session.
+    const syncOptions = {
+        method: 'POST',
+        headers: { ...jsonHeaders, 'Idempotency-Key': `${playerId}-outbox-1` },
         body: JSON.stringify({
             playerId,
             nickname,
@@ -97,19 +128,80 @@ async function checkSyncAndSnapshot() {
                         },
                         lastSessionScore: 2234,
                         totalPlayTime: 120,
-                        lastPlayed: Date.now()
+                        lastPlayed: Date.now(),
+                        sessionHistory: [
+                            { playedAt: Date.now() - 60000, score: 1200, duration: 40, level: 5, best: true },
+                            { playedAt: Date.now(), score: 2234, duration: 20, level: 3, best: true }
+                        ]
                     }
                 },
                 achievements: {
                     'neon-block': ['nb_play_1', 'nb_score_3000']
                 }
-            }
+            },
+            sessions: [
+                {
+                    ticket: session.ticket,
+                    result: { score: 2234, level: 3, duration: 20 }
+                }
+            ]
         })
-    });
+    };
+    const syncWithProgress = await requestJson('/api/leaderboard/sync', syncOptions);
 
     if (!syncWithProgress?.player?.progress?.profile) {
         throw new Error('sync response missing player.progress.profile');
     }
+    if (syncWithProgress.player.progress.games?.['neon-block']?.sessionHistory?.length !== 2) {
+        throw new Error('sync response missing player.progress.games.neon-block.sessionHistory');
+    }
+    if (!syncWithProgress?.sessions?.some((entry) => entry.accepted)) {
+        throw new Error('sync response did not accept the signed session');
+    }
+
+    // An outbox retry with the same Idempotency-Key gets the first answer, not a ticket rejection
+    const retried = await requestJson('/api/leaderboard/sync', syncOptions);
+    if (retried?.revision !== syncWithProgress.revision || !retried?.sessions?.some((entry) => entry.accepted)) {
+        throw new Error('sync retry with the same Idempotency-Key was not answered from the first reply');
+    }
+    console.log(ok('sync retry with the same Idempotency-Key replays the first reply'));
+
+    const replay = await requestJson('/api/leaderboard/sync', {
+        method: 'POST',
+        headers: jsonHeaders,
+        body: JSON.stringify({
+            playerId,
+            nickname,
+            avatar: 'default',
+            sessions: [{ ticket: session.ticket, result: { score: 999999 } }]
+        })
+    });
+    if (replay?.sessions?.[0]?.reason !== 'ticket-replayed') {
+        throw new Error('replayed session ticket was not rejected');
+    }
+    console.log(ok('session ticket accepted once, replay rejected'));
+
+    // Profile writes and group/replay calls for a player need that player's key too
+    for (const [pathname, body] of [
+        ['/api/leaderboard/sync', { playerId, nickname: 'Impostor' }],
+        ['/api/leaderboard/groups', { playerId, name: 'impostor-group' }],
+        ['/api/leaderboard/replays', { playerId, sessionId: session.sessionId, replay: null }]
+    ]) {
+        let impostorError = null;
+        try {
+            await requestJson(pathname, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${createPlayerKey()}` },
+                body: JSON.stringify(body)
+            });
+        } catch (error) {
+            impostorError = error;
+        }
+        if (!String(impostorError?.message || '').includes('player-key-mismatch')) {
+            throw new Error(`${pathname} accepted a write for another player's id`);
+        }
+    }
+    console.log(ok('sync, group and replay writes refused without the player\'s key'));
 
     const snapshot = await requestJson(
         `/api/leaderboard/snapshot?playerId=${encodeURIComponent(playerId)}&gameIds=neon-block,neon-survivor&topLimit=5`
@@ -120,7 +212,175 @@ async function checkSyncAndSnapshot() {
         throw new Error('snapshot missing myOverall.rank');
     }
 
+    const blockRanking = snapshot?.games?.['neon-block'];
+    if (!blockRanking?.ranking?.metric || blockRanking?.my?.value !== 2234) {
+        throw new Error('snapshot missing neon-block ranking definition or board value');
+    }
+
     console.log(ok(`snapshot myOverall.rank=${snapshot.myOverall.rank}, overallTop=${snapshot?.overallTop?.length || 0}`));
+
+    const rarity = await requestJson('/api/leaderboard/achievements/rarity?gameIds=neon-block');
+    const blockRarity = rarity?.games?.['neon-block'];
+    if (!(blockRarity?.players > 0) || !(blockRarity?.achievements?.nb_play_1 > 0)) {
+        throw new Error('achievement rarity missing the synced neon-block unlocks');
+    }
+    console.log(ok(`achievement rarity nb_play_1=${blockRarity.achievements.nb_play_1}% of ${blockRarity.players} players`));
+
+    const created = await requestJson('/api/leaderboard/groups', {
+        method: 'POST',
+        headers: jsonHeaders,
+        body: JSON.stringify({ playerId, name: 'check-group' })
+    });
+    const groupId = created?.group?.id;
+    if (!groupId || !created?.group?.inviteCode) {
+        throw new Error('group create response missing id or inviteCode');
+    }
+
+    const groupSnapshot = await requestJson(
+        `/api/leaderboard/snapshot?playerId=${encodeURIComponent(playerId)}&gameIds=neon-block&topLimit=5&groupId=${encodeURIComponent(groupId)}`
+    );
+    if (groupSnapshot?.group?.id !== groupId || groupSnapshot?.myOverall?.rank !== 1 || groupSnapshot?.overallTop?.length !== 1) {
+        throw new Error('group snapshot is not scoped to the group members');
+    }
+
+    const left = await requestJson('/api/leaderboard/groups/leave', {
+        method: 'POST',
+        headers: jsonHeaders,
+        body: JSON.stringify({ playerId, groupId })
+    });
+    if (!left?.deleted) {
+        throw new Error('leaving a single-member group did not delete it');
+    }
+    console.log(ok('group create, scoped snapshot and leave'));
+
+    const attached = await requestJson('/api/leaderboard/replays', {
+        method: 'POST',
+        headers: jsonHeaders,
+        body: JSON.stringify({
+            playerId,
+            sessionId: session.sessionId,
+            replay: {
+                v: 1,
+                gameId: 'neon-block',
+                seed: 12345,
+                tickRate: 60,
+                ticks: 1200,
+                final: { score: 2234, level: 3 },
+                inputs: 'P6a;P6c;0T69,d2;5D0'
+            }
+        })
+    });
+    if (!attached?.attached || attached.replayId !== session.sessionId) {
+        throw new Error(`replay was not attached to the best record (${attached?.reason || '-'})`);
+    }
+
+    const replaySnapshot = await requestJson(
+        `/api/leaderboard/snapshot?playerId=${encodeURIComponent(playerId)}&gameIds=neon-block&topLimit=5`
+    );
+    const storedReplay = await requestJson(`/api/leaderboard/replays/${encodeURIComponent(attached.replayId)}`);
+    if (replaySnapshot?.games?.['neon-block']?.my?.replayId !== attached.replayId || storedReplay?.replay?.ticks !== 1200) {
+        throw new Error('attached replay is not listed on the ranking entry');
+    }
+    console.log(ok('replay attached to the best record and fetched back'));
+}
+
+// neon-findmine ranks clearTime ascending per level; impossible clear times must not reach rank 1
+async function checkClearTimeRules() {
+    const playerId = `check-clear-${Date.now()}`;
+    const headers = { 'Content-Type': 'application/json', Authorization: `Bearer ${createPlayerKey()}` };
+    const submit = async (result) => {
+        const session = await requestJson('/api/leaderboard/session', {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({ playerId, gameId: 'neon-findmine' })
+        });
+        const sync = await requestJson('/api/leaderboard/sync', {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({ playerId, nickname: 'ClearChecker', avatar: 'default', sessions: [{ ticket: session.ticket, result }] })
+        });
+        return sync?.sessions?.[0] || {};
+    };
+
+    for (const [result, expected] of [
+        [{ score: 1500, level: 1, duration: 20, clearTime: 1, stageClears: 1 }, 'ranking-value-below-min'],
+        [{ score: 1500, level: 1, duration: 20, clearTime: 40, stageClears: 1 }, 'clear-time-exceeds-duration'],
+        [{ score: 1500, level: 1, duration: 5, clearTime: 600, stageClears: 1 }, 'clear-time-exceeds-session']
+    ]) {
+        const outcome = await submit(result);
+        if (outcome.accepted || !outcome.violations?.includes(expected)) {
+            throw new Error(`clearTime ${result.clearTime} (duration ${result.duration}) was not rejected with ${expected}`);
+        }
+    }
+
+    const plausible = await submit({ score: 1500, level: 1, duration: 20, clearTime: 18, stageClears: 1 });
+    if (!plausible.accepted) {
+        throw new Error(`plausible clearTime was rejected (${plausible.violations?.join(', ') || plausible.reason})`);
+    }
+    console.log(ok('neon-findmine clearTime below the board floor, above duration or above ticket age is rejected'));
+}
+
+async function checkDailyChallenge() {
+    const playerId = `check-daily-${Date.now()}`;
+    const today = await requestJson(`/api/leaderboard/daily?playerId=${encodeURIComponent(playerId)}`);
+    if (!today?.daily) {
+        console.log(warn('no daily challenge (no registry game is marked daily)'));
+        return;
+    }
+    if (today.daily.seed !== undefined) {
+        throw new Error('daily seed was revealed before the attempt');
+    }
+
+    const attemptHeaders = { 'Content-Type': 'application/json', Authorization: `Bearer ${createPlayerKey()}` };
+    const attempt = await requestJson('/api/leaderboard/daily/attempt', {
+        method: 'POST',
+        headers: attemptHeaders,
+        body: JSON.stringify({ playerId })
+    });
+    if (!attempt?.ticket || !Number.isFinite(attempt?.daily?.seed)) {
+        throw new Error('daily attempt did not return a ticket and seed');
+    }
+
+    let secondAttemptError = null;
+    try {
+        await requestJson('/api/leaderboard/daily/attempt', {
+            method: 'POST',
+            headers: attemptHeaders,
+            body: JSON.stringify({ playerId })
+        });
+    } catch (error) {
+        secondAttemptError = error;
+    }
+    if (!String(secondAttemptError?.message || '').includes('daily-attempt-used')) {
+        throw new Error('second daily attempt was not refused');
+    }
+
+    const sync = await requestJson('/api/leaderboard/sync', {
+        method: 'POST',
+        headers: attemptHeaders,
+        body: JSON.stringify({
+            playerId,
+            nickname: 'DailyChecker',
+            avatar: 'default',
+            sessions: [{ ticket: attempt.ticket, result: { score: 900, level: 2, duration: 20 } }]
+        })
+    });
+    const outcome = sync?.sessions?.[0];
+    if (!outcome?.accepted || outcome.daily?.dayKey !== attempt.daily.dayKey || outcome.daily?.streak !== 1) {
+        throw new Error(`daily result was not accepted (${outcome?.reason || '-'})`);
+    }
+
+    const after = await requestJson(`/api/leaderboard/daily?playerId=${encodeURIComponent(playerId)}`);
+    const season = await requestJson(
+        `/api/leaderboard/snapshot?playerId=${encodeURIComponent(playerId)}&gameIds=${encodeURIComponent(attempt.gameId)}`
+    );
+    if (after?.attempt?.status !== 'completed' || !after?.my?.rank || after?.streak?.current !== 1) {
+        throw new Error('daily board does not list the completed attempt');
+    }
+    if (season?.games?.[attempt.gameId]?.my) {
+        throw new Error('daily result leaked into the season board');
+    }
+    console.log(ok(`daily challenge ${attempt.daily.dayKey} (${attempt.gameId}): one attempt, own board, streak`));
 }
 
 async function checkSseHandshake() {
@@ -159,6 +419,8 @@ async function run() {
     console.log(`[check-leaderboard] base URL: ${baseUrl}`);
     await checkHealth();
     await checkSyncAndSnapshot();
+    await checkClearTimeRules();
+    await checkDailyChallenge();
     await checkSseHandshake();
     console.log(ok('leaderboard API check passed'));
 }
@@ -20,6 +20,11 @@ const targets = [
         localPath: 'src/platform/GameHub.js',
         remotePath: '/src/platform/GameHub.js'
     },
+    {
+        label: 'precache',
+        localPath: 'precache-manifest.js',
+        remotePath: '/precache-manifest.js'
+    },
     {
         label: 'biztycoon',
         localPath: 'src/html/neon_biztycoon.html',
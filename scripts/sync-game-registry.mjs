@@ -1,6 +1,10 @@
 import { promises as fs } from 'node:fs';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
+import { DEFAULT_RANKING_DEFINITION, RANKING_METRICS } from '../src/systems/RankingRules.js';
+import { MGP_BRIDGE_PROTOCOL_VERSION } from '../src/platform/BridgeHost.js';
+import { getAchievementPackPath, validateAchievementPack } from '../src/systems/AchievementPacks.js';
+import { writePrecacheManifest } from './build-precache.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -40,9 +44,42 @@ const OPTIONAL_KEYS = [
     'sourcePriority',
     'priority',
     'htmlPath',
-    'html'
+    'html',
+    'ranking',
+    'daily',
+    'manifest',
+    'version',
+    'orientation',
+    'inputs',
+    'achievementPack',
+    'bridgeProtocol'
 ];
 
+// Keys a game's manifest owns. They are replaced wholesale on every sync, so a key removed
+// from the manifest disappears from the registry too. Everything else (order, enabled, hidden,
+// sourcePriority, daily, ...) stays an operator setting kept in registry.json.
+const MANIFEST_KEYS = [
+    'id',
+    'version',
+    'name',
+    'description',
+    'icon',
+    'color',
+    'gradient',
+    'orientation',
+    'inputs',
+    'ranking',
+    'achievementPack',
+    'bridgeProtocol'
+];
+const MANIFEST_SUFFIX = '.manifest.json';
+const MANIFEST_LOCALES = ['ko', 'en'];
+const MANIFEST_ORIENTATIONS = ['portrait', 'landscape', 'any'];
+const MANIFEST_INPUTS = ['touch', 'mouse', 'keyboard', 'gamepad'];
+const KEBAB_ID_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const SEMVER_PATTERN = /^\d+\.\d+\.\d+(?:-[0-9A-Za-z.-]+)?$/;
+const HEX_COLOR_PATTERN = /^#(?:[0-9a-fA-F]{3}|[0-9a-fA-F]{6})$/;
+
 function normalizeRegistryPath(rawPath, folder, extension) {
     if (!rawPath || typeof rawPath !== 'string') return null;
 
@@ -126,6 +163,193 @@ async function listSourceFiles(sourceDir, extension, ignoredFiles) {
         .sort((a, b) => a.localeCompare(b));
 }
 
+function validateLocalizedText(value, key, errors) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        errors.push(`${key} must be an object of locale -> text`);
+        return;
+    }
+    MANIFEST_LOCALES.forEach((locale) => {
+        if (typeof value[locale] !== 'string' || !value[locale].trim()) {
+            errors.push(`${key}.${locale} is required`);
+        }
+    });
+    Object.entries(value).forEach(([locale, text]) => {
+        if (!MANIFEST_LOCALES.includes(locale)) {
+            errors.push(`${key}.${locale} is not a supported locale (${MANIFEST_LOCALES.join(', ')})`);
+        } else if (typeof text !== 'string') {
+            errors.push(`${key}.${locale} must be a string`);
+        }
+    });
+}
+
+function validateMetricOrder(order, key, errors) {
+    if (!order || typeof order !== 'object' || !RANKING_METRICS.includes(order.metric)) {
+        errors.push(`${key}.metric must be one of ${RANKING_METRICS.join(', ')}`);
+        return;
+    }
+    if (order.direction !== undefined && order.direction !== 'asc' && order.direction !== 'desc') {
+        errors.push(`${key}.direction must be asc or desc`);
+    }
+}
+
+function validateRanking(ranking, errors) {
+    if (!ranking || typeof ranking !== 'object' || Array.isArray(ranking)) {
+        errors.push('ranking must be an object');
+        return;
+    }
+    // `metric` may be left out to keep the default (score) and only override the label
+    validateMetricOrder({ metric: DEFAULT_RANKING_DEFINITION.metric, ...ranking }, 'ranking', errors);
+    if (ranking.label !== undefined) {
+        validateLocalizedText(ranking.label, 'ranking.label', errors);
+    }
+    if (ranking.minValue !== undefined && !(Number.isFinite(ranking.minValue) && ranking.minValue > 0)) {
+        errors.push('ranking.minValue must be a positive number');
+    }
+    if (ranking.tieBreakers !== undefined) {
+        if (!Array.isArray(ranking.tieBreakers)) {
+            errors.push('ranking.tieBreakers must be an array');
+        } else {
+            ranking.tieBreakers.forEach((tieBreaker, index) => {
+                validateMetricOrder(tieBreaker, `ranking.tieBreakers[${index}]`, errors);
+            });
+        }
+    }
+    if (ranking.subBoards !== undefined && ranking.subBoards !== null) {
+        const subBoards = ranking.subBoards;
+        if (typeof subBoards !== 'object' || !RANKING_METRICS.includes(subBoards.by)) {
+            errors.push(`ranking.subBoards.by must be one of ${RANKING_METRICS.join(', ')}`);
+        } else if (subBoards.by === (ranking.metric ?? DEFAULT_RANKING_DEFINITION.metric)) {
+            errors.push('ranking.subBoards.by must differ from ranking.metric');
+        } else {
+            const labels = subBoards.labels && typeof subBoards.labels === 'object' ? subBoards.labels : {};
+            Object.entries(labels).forEach(([board, label]) => {
+                validateLocalizedText(label, `ranking.subBoards.labels.${board}`, errors);
+            });
+            Object.entries(subBoards.minValues && typeof subBoards.minValues === 'object' ? subBoards.minValues : {})
+                .forEach(([board, minValue]) => {
+                    if (!(board in labels)) {
+                        errors.push(`ranking.subBoards.minValues.${board} has no matching label`);
+                    } else if (!(Number.isFinite(minValue) && minValue > 0)) {
+                        errors.push(`ranking.subBoards.minValues.${board} must be a positive number`);
+                    }
+                });
+        }
+    }
+}
+
+/**
+ * Check a game manifest against the manifest schema (docs/INTEGRATION_PROTOCOL.md)
+ * @param {Object} manifest - Parsed manifest
+ * @returns {string[]} Error messages; empty when the manifest is valid
+ */
+function validateManifest(manifest) {
+    const errors = [];
+    if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) {
+        return ['manifest must be a JSON object'];
+    }
+
+    if (typeof manifest.id !== 'string' || !KEBAB_ID_PATTERN.test(manifest.id)) {
+        errors.push('id must be a kebab-case string');
+    }
+    if (typeof manifest.version !== 'string' || !SEMVER_PATTERN.test(manifest.version)) {
+        errors.push('version must be a semver string (e.g. 1.0.0)');
+    }
+    validateLocalizedText(manifest.name, 'name', errors);
+    validateLocalizedText(manifest.description, 'description', errors);
+    if (typeof manifest.icon !== 'string' || !manifest.icon.trim()) {
+        errors.push('icon is required');
+    }
+    if (typeof manifest.color !== 'string' || !HEX_COLOR_PATTERN.test(manifest.color)) {
+        errors.push('color must be a hex colour (#rrggbb)');
+    }
+    if (!Array.isArray(manifest.gradient)
+        || manifest.gradient.length !== 2
+        || !manifest.gradient.every((stop) => typeof stop === 'string' && HEX_COLOR_PATTERN.test(stop))) {
+        errors.push('gradient must be two hex colours');
+    }
+    if (!MANIFEST_ORIENTATIONS.includes(manifest.orientation)) {
+        errors.push(`orientation must be one of ${MANIFEST_ORIENTATIONS.join(', ')}`);
+    }
+    if (!Array.isArray(manifest.inputs) || manifest.inputs.length === 0) {
+        errors.push('inputs must be a non-empty array');
+    } else {
+        manifest.inputs
+            .filter((input) => !MANIFEST_INPUTS.includes(input))
+            .forEach((input) => errors.push(`inputs: unknown input "${input}" (${MANIFEST_INPUTS.join(', ')})`));
+        if (new Set(manifest.inputs).size !== manifest.inputs.length) {
+            errors.push('inputs must not repeat');
+        }
+    }
+    if (manifest.ranking !== undefined) {
+        validateRanking(manifest.ranking, errors);
+    }
+    if (typeof manifest.achievementPack !== 'string' || !KEBAB_ID_PATTERN.test(manifest.achievementPack)) {
+        errors.push('achievementPack must be a kebab-case pack id');
+    }
+    if (manifest.bridgeProtocol !== MGP_BRIDGE_PROTOCOL_VERSION) {
+        errors.push(`bridgeProtocol must be ${MGP_BRIDGE_PROTOCOL_VERSION} (the hub's bridge protocol)`);
+    }
+
+    const unknownKeys = Object.keys(manifest).filter((key) => !MANIFEST_KEYS.includes(key));
+    if (unknownKeys.length) {
+        errors.push(`unknown keys: ${unknownKeys.join(', ')}`);
+    }
+    return errors;
+}
+
+async function loadManifest(target, fileName) {
+    const manifestName = fileName.slice(0, -target.extension.length) + MANIFEST_SUFFIX;
+    const manifestPath = path.join(target.sourceDir, manifestName);
+    let content = null;
+    try {
+        content = await fs.readFile(manifestPath, 'utf-8');
+    } catch (error) {
+        return null;
+    }
+
+    const registryPath = `/src/${target.folder}/${manifestName}`;
+    try {
+        const manifest = JSON.parse(content);
+        return { path: registryPath, manifest, errors: validateManifest(manifest) };
+    } catch (error) {
+        return { path: registryPath, manifest: null, errors: [`invalid JSON: ${error.message}`] };
+    }
+}
+
+// packId -> Promise of error messages; packs can be shared by several games
+const achievementPackChecks = new Map();
+
+/**
+ * Check the achievement pack a manifest names (src/achievements/<pack>.json)
+ * @param {string} packId - Manifest `achievementPack`
+ * @returns {Promise<string[]>} Error messages prefixed with the pack path
+ */
+function checkAchievementPack(packId) {
+    if (!achievementPackChecks.has(packId)) {
+        const packPath = getAchievementPackPath(packId);
+        const check = fs.readFile(path.join(rootDir, packPath), 'utf-8')
+            .then((content) => validateAchievementPack(JSON.parse(content), { packId }))
+            .catch((error) => [error.code === 'ENOENT' ? 'file is missing' : `invalid JSON: ${error.message}`])
+            .then((messages) => messages.map((message) => `${packPath}: ${message}`));
+        achievementPackChecks.set(packId, check);
+    }
+    return achievementPackChecks.get(packId);
+}
+
+function mergeManifestEntry(existing, discoveredPath, manifestInfo) {
+    const entry = { path: discoveredPath, manifest: manifestInfo.path };
+    MANIFEST_KEYS.forEach((key) => {
+        if (manifestInfo.manifest[key] !== undefined) {
+            entry[key] = manifestInfo.manifest[key];
+        }
+    });
+    Object.entries(existing || {}).forEach(([key, value]) => {
+        if (key === 'path' || key === 'manifest' || MANIFEST_KEYS.includes(key)) return;
+        entry[key] = value;
+    });
+    return entry;
+}
+
 async function buildRegistry(target) {
     const existingData = await loadJson(target.registryPath);
     const existingEntries = readRegistryEntries(existingData);
@@ -141,19 +365,43 @@ async function buildRegistry(target) {
         target.ignoredFiles
     );
 
-    const games = sourceFiles.map((fileName) => {
+    const games = [];
+    const errors = [];
+    const warnings = [];
+    const manifestIds = new Map();
+    for (const fileName of sourceFiles) {
         const discoveredPath = `/src/${target.folder}/${fileName}`;
         const existing = existingByPath.get(discoveredPath);
-        if (existing) {
-            return {
-                ...existing,
-                path: discoveredPath
-            };
+        const manifestInfo = await loadManifest(target, fileName);
+
+        if (!manifestInfo) {
+            warnings.push(`${discoveredPath}: no ${MANIFEST_SUFFIX}; the hub falls back to the file name`);
+            games.push(existing ? { ...existing, path: discoveredPath } : { path: discoveredPath });
+            continue;
+        }
+        if (manifestInfo.errors.length) {
+            manifestInfo.errors.forEach((message) => errors.push(`${manifestInfo.path}: ${message}`));
+            continue;
         }
-        return {
-            path: discoveredPath
-        };
-    });
+
+        const { id } = manifestInfo.manifest;
+        if (manifestIds.has(id)) {
+            errors.push(`${manifestInfo.path}: id "${id}" is already used by ${manifestIds.get(id)}`);
+            continue;
+        }
+        manifestIds.set(id, manifestInfo.path);
+        const packErrors = await checkAchievementPack(manifestInfo.manifest.achievementPack);
+        if (packErrors.length) {
+            packErrors.forEach((message) => errors.push(message));
+            continue;
+        }
+        games.push(mergeManifestEntry(existing, discoveredPath, manifestInfo));
+    }
+
+    const registryPath = path.relative(rootDir, target.registryPath).replace(/\\/g, '/');
+    if (errors.length) {
+        return { target: target.type, count: games.length, registryPath, errors, warnings };
+    }
 
     const registry = {
         version: 1,
@@ -164,11 +412,7 @@ async function buildRegistry(target) {
     const output = `${JSON.stringify(registry, null, 2)}\n`;
     await fs.writeFile(target.registryPath, output, 'utf-8');
 
-    return {
-        target: target.type,
-        count: games.length,
-        registryPath: path.relative(rootDir, target.registryPath).replace(/\\/g, '/')
-    };
+    return { target: target.type, count: games.length, registryPath, errors, warnings };
 }
 
 async function run() {
@@ -179,8 +423,20 @@ async function run() {
     }
 
     results.forEach((result) => {
+        result.warnings.forEach((message) => console.warn(`[sync:games] warn ${message}`));
+        if (result.errors.length) {
+            result.errors.forEach((message) => console.error(`[sync:games] error ${message}`));
+            console.error(`[sync:games] ${result.target}: invalid manifests or achievement packs, ${result.registryPath} left unchanged`);
+            process.exitCode = 1;
+            return;
+        }
         console.log(`[sync:games] ${result.target}: ${result.count} entries -> ${result.registryPath}`);
     });
+    if (process.exitCode) return;
+
+    // The service worker's cache version follows the registry that was just written
+    const precache = await writePrecacheManifest();
+    console.log(`[sync:games] precache: ${precache.count} files, version ${precache.version} (${precache.revision}) -> ${precache.outputPath}`);
 }
 
 run().catch((error) => {
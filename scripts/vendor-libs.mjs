@@ -0,0 +1,355 @@
+import { createHash } from 'node:crypto';
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import { gunzipSync } from 'node:zlib';
+import { fileURLToPath } from 'node:url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const rootDir = path.resolve(__dirname, '..');
+
+export const VENDOR_DIR = path.join(rootDir, 'vendor');
+const LOCK_PATH = path.join(VENDOR_DIR, 'vendor.lock.json');
+const LOCK_VERSION = 2;
+const NPM_REGISTRY = (process.env.NPM_REGISTRY || 'https://registry.npmjs.org').replace(/\/+$/, '');
+// Pages whose CDN script tags are rewritten to the vendored copies
+const PAGE_DIRS = [
+    path.join(rootDir, 'src', 'html'),
+    path.join(rootDir, 'src', 'platform'),
+    path.join(rootDir, 'src', 'compiled')
+];
+
+// Pinned third-party scripts. `url` and `aliases` are the CDN URLs pages used before vendoring
+// (unversioned ones included); they are rewritten to the pinned file. The content comes from
+// `npm`: the file inside the package tarball of the same version, which the registry never
+// republishes, rather than from the CDN that serves it. `mirrorOf` marks a package that is not
+// published by the library's authors but repackages their CDN build; the lock keeps that visible.
+export const VENDOR_FILES = [
+    {
+        library: 'phaser',
+        version: '3.60.0',
+        file: 'phaser.min.js',
+        url: 'https://cdnjs.cloudflare.com/ajax/libs/phaser/3.60.0/phaser.min.js',
+        npm: { package: 'phaser', path: 'dist/phaser.min.js' }
+    },
+    {
+        library: 'matter-js',
+        version: '0.19.0',
+        file: 'matter.min.js',
+        url: 'https://cdnjs.cloudflare.com/ajax/libs/matter-js/0.19.0/matter.min.js',
+        npm: { package: 'matter-js', path: 'build/matter.min.js' }
+    },
+    {
+        library: 'react',
+        version: '18.2.0',
+        file: 'react.development.js',
+        url: 'https://unpkg.com/react@18.2.0/umd/react.development.js',
+        npm: { package: 'react', path: 'umd/react.development.js' }
+    },
+    {
+        library: 'react',
+        version: '18.2.0',
+        file: 'react.production.min.js',
+        url: 'https://unpkg.com/react@18.2.0/umd/react.production.min.js',
+        npm: { package: 'react', path: 'umd/react.production.min.js' },
+        aliases: ['https://unpkg.com/react@18/umd/react.production.min.js']
+    },
+    {
+        library: 'react-dom',
+        version: '18.2.0',
+        file: 'react-dom.development.js',
+        url: 'https://unpkg.com/react-dom@18.2.0/umd/react-dom.development.js',
+        npm: { package: 'react-dom', path: 'umd/react-dom.development.js' }
+    },
+    {
+        library: 'react-dom',
+        version: '18.2.0',
+        file: 'react-dom.production.min.js',
+        url: 'https://unpkg.com/react-dom@18.2.0/umd/react-dom.production.min.js',
+        npm: { package: 'react-dom', path: 'umd/react-dom.production.min.js' },
+        aliases: ['https://unpkg.com/react-dom@18/umd/react-dom.production.min.js']
+    },
+    {
+        library: 'babel-standalone',
+        version: '7.23.5',
+        file: 'babel.min.js',
+        url: 'https://unpkg.com/@babel/standalone@7.23.5/babel.min.js',
+        npm: { package: '@babel/standalone', path: 'babel.min.js' },
+        aliases: ['https://unpkg.com/@babel/standalone/babel.min.js']
+    },
+    {
+        library: 'tailwindcss-play',
+        version: '3.4.1',
+        file: 'tailwind.js',
+        url: 'https://cdn.tailwindcss.com/3.4.1',
+        // Tailwind Labs does not publish the Play CDN build to npm. `tailwindcss-cdn` is a
+        // community package (not Tailwind Labs) that republishes the cdn.tailwindcss.com builds.
+        npm: { package: 'tailwindcss-cdn', path: '3.4.1/tailwindcss.js' },
+        mirrorOf: 'https://cdn.tailwindcss.com/3.4.1',
+        aliases: ['https://cdn.tailwindcss.com']
+    },
+    {
+        library: 'lucide',
+        // 0.263.1 was only ever a lucide-react release; the page's unpkg URL for it never resolved
+        version: '0.263.0',
+        file: 'lucide.min.js',
+        url: 'https://unpkg.com/lucide@0.263.0/dist/umd/lucide.min.js',
+        npm: { package: 'lucide', path: 'dist/umd/lucide.min.js' },
+        aliases: ['https://unpkg.com/lucide@0.263.1']
+    }
+];
+
+export const SCRIPT_TAG_PATTERN = /<script\b([^>]*?)\bsrc="([^"]+)"([^>]*)><\/script>/g;
+
+export function getVendorKey(entry) {
+    return `${entry.library}@${entry.version}/${entry.file}`;
+}
+
+function toIntegrity(content) {
+    return `sha384-${createHash('sha384').update(content).digest('base64')}`;
+}
+
+function toPosix(filePath) {
+    return filePath.split(path.sep).join('/');
+}
+
+export async function readLock() {
+    try {
+        const lock = JSON.parse(await fs.readFile(LOCK_PATH, 'utf8'));
+        return lock && typeof lock.files === 'object' ? lock : { version: LOCK_VERSION, files: {} };
+    } catch (_error) {
+        return { version: LOCK_VERSION, files: {} };
+    }
+}
+
+async function readVendorFile(key) {
+    try {
+        return await fs.readFile(path.join(VENDOR_DIR, key));
+    } catch (_error) {
+        return null;
+    }
+}
+
+export function getTarballUrl(entry) {
+    const baseName = entry.npm.package.split('/').pop();
+    return `${NPM_REGISTRY}/${entry.npm.package}/-/${baseName}-${entry.version}.tgz`;
+}
+
+/**
+ * Read one file out of a gzipped npm tarball. Packages nest everything under a single top-level
+ * directory (usually `package/`), which is stripped before matching.
+ */
+export function extractTarballFile(tarball, filePath) {
+    const tar = gunzipSync(tarball);
+    let offset = 0;
+    while (offset + 512 <= tar.length) {
+        const header = tar.subarray(offset, offset + 512);
+        const name = header.toString('utf8', 0, 100).replace(/\0.*$/s, '');
+        if (!name) break;
+
+        const prefix = header.toString('utf8', 345, 500).replace(/\0.*$/s, '');
+        const size = parseInt(header.toString('utf8', 124, 136).replace(/\0.*$/s, '').trim() || '0', 8);
+        const fullName = prefix ? `${prefix}/${name}` : name;
+        const type = header.toString('utf8', 156, 157);
+        offset += 512;
+        if ((type === '0' || type === '\0') && fullName.replace(/^[^/]+\//, '') === filePath) {
+            return Buffer.from(tar.subarray(offset, offset + size));
+        }
+        offset += Math.ceil(size / 512) * 512;
+    }
+    throw new Error(`tarball-missing-file:${filePath}`);
+}
+
+function readRepository(tarball) {
+    try {
+        const { repository } = JSON.parse(extractTarballFile(tarball, 'package.json').toString('utf8'));
+        return (typeof repository === 'string' ? repository : repository?.url) || null;
+    } catch (_error) {
+        return null;
+    }
+}
+
+/**
+ * The pinned file plus what the lock records about where it came from: the package's declared
+ * repository and the tarball's sha512, in the same form as npm's `dist.integrity`.
+ */
+async function download(entry) {
+    const url = getTarballUrl(entry);
+    const response = await fetch(url, { redirect: 'follow' });
+    if (!response.ok) {
+        throw new Error(`download-failed:${response.status}:${url}`);
+    }
+    const tarball = Buffer.from(await response.arrayBuffer());
+    return {
+        content: extractTarballFile(tarball, entry.npm.path),
+        repository: readRepository(tarball),
+        sourceIntegrity: `sha512-${createHash('sha512').update(tarball).digest('base64')}`
+    };
+}
+
+/**
+ * Download missing files and record their hashes. A file already in the lock must hash to the
+ * locked value: pinned versions never change content, so a mismatch means a tampered copy or registry.
+ */
+async function fetchVendorFiles(lock, { update }) {
+    const files = {};
+    for (const entry of VENDOR_FILES) {
+        const key = getVendorKey(entry);
+        const locked = lock.files[key];
+        let content = await readVendorFile(key);
+        let provenance = locked?.sourceIntegrity
+            ? { repository: locked.repository ?? null, sourceIntegrity: locked.sourceIntegrity }
+            : null;
+        if (!content || !provenance || (locked && toIntegrity(content) !== locked.integrity)) {
+            console.log(`[vendor] download ${entry.npm.package}@${entry.version}/${entry.npm.path}`);
+            const downloaded = await download(entry);
+            content = downloaded.content;
+            provenance = { repository: downloaded.repository, sourceIntegrity: downloaded.sourceIntegrity };
+        }
+
+        const integrity = toIntegrity(content);
+        if (locked && locked.integrity !== integrity && !update) {
+            throw new Error(`integrity-mismatch:${key} (expected ${locked.integrity}, got ${integrity}; rerun with --update to accept)`);
+        }
+
+        await fs.mkdir(path.dirname(path.join(VENDOR_DIR, key)), { recursive: true });
+        await fs.writeFile(path.join(VENDOR_DIR, key), content);
+        files[key] = {
+            replaces: entry.url,
+            source: `${getTarballUrl(entry)}#${entry.npm.path}`,
+            ...provenance,
+            ...(entry.mirrorOf ? { mirrorOf: entry.mirrorOf } : {}),
+            integrity
+        };
+        console.log(`[vendor] ${key} ${integrity}`);
+        if (entry.mirrorOf) {
+            console.log(`[vendor]   third-party mirror of ${entry.mirrorOf} (${provenance.repository || entry.npm.package})`);
+        }
+    }
+
+    return { version: LOCK_VERSION, files };
+}
+
+async function listPages() {
+    const pages = [];
+    for (const dir of PAGE_DIRS) {
+        const names = await fs.readdir(dir).catch(() => []);
+        names
+            .filter((name) => name.endsWith('.html'))
+            .sort((a, b) => a.localeCompare(b, 'en'))
+            .forEach((name) => pages.push(path.join(dir, name)));
+    }
+    return pages;
+}
+
+/**
+ * Match a script src to a vendor entry: a known CDN URL or an earlier vendored path of the library
+ */
+export function findVendorEntry(src) {
+    return VENDOR_FILES.find((entry) => (
+        src === entry.url
+        || (entry.aliases || []).includes(src)
+        || new RegExp(`(^|/)vendor/${entry.library}@[^/]+/${entry.file.replace(/\./g, '\\.')}$`).test(src)
+    )) || null;
+}
+
+/**
+ * Script tag loading a vendored file from a page
+ * @param {Object} entry - VENDOR_FILES entry
+ * @param {string} pagePath - Absolute path of the page
+ * @param {Object} lock - vendor.lock.json contents
+ * @returns {string}
+ */
+export function renderVendorTag(entry, pagePath, lock) {
+    const key = getVendorKey(entry);
+    const localSrc = toPosix(path.relative(path.dirname(pagePath), path.join(VENDOR_DIR, key)));
+    return `<script src="${localSrc}" integrity="${lock.files[key].integrity}"></script>`;
+}
+
+function rewritePage(html, pagePath, lock) {
+    let changed = 0;
+    const next = html.replace(SCRIPT_TAG_PATTERN, (tag, _before, src) => {
+        const entry = findVendorEntry(src);
+        if (!entry) return tag;
+
+        const replacement = renderVendorTag(entry, pagePath, lock);
+        if (replacement !== tag) changed += 1;
+        return replacement;
+    });
+    return { html: next, changed };
+}
+
+async function rewritePages(lock) {
+    for (const pagePath of await listPages()) {
+        const html = await fs.readFile(pagePath, 'utf8');
+        const result = rewritePage(html, pagePath, lock);
+        if (result.changed === 0) continue;
+        await fs.writeFile(pagePath, result.html, 'utf8');
+        console.log(`[vendor] ${toPosix(path.relative(rootDir, pagePath))}: ${result.changed} script tag(s) rewritten`);
+    }
+}
+
+/**
+ * Offline check: every pinned file is present and matches the lock, and no page still loads
+ * a pinned library from its CDN or points at a stale vendored copy
+ */
+async function checkVendor(lock) {
+    const problems = [];
+    for (const entry of VENDOR_FILES) {
+        const key = getVendorKey(entry);
+        const locked = lock.files[key];
+        const content = await readVendorFile(key);
+        if (!locked) {
+            problems.push(`${key}: not in ${toPosix(path.relative(rootDir, LOCK_PATH))}`);
+        } else if (!content) {
+            problems.push(`${key}: file missing`);
+        } else if (toIntegrity(content) !== locked.integrity) {
+            problems.push(`${key}: content does not match the locked integrity`);
+        } else if (!locked.sourceIntegrity || (locked.mirrorOf ?? null) !== (entry.mirrorOf ?? null)) {
+            problems.push(`${key}: lock entry does not record where the file came from`);
+        }
+    }
+
+    for (const pagePath of await listPages()) {
+        const html = await fs.readFile(pagePath, 'utf8');
+        for (const match of html.matchAll(SCRIPT_TAG_PATTERN)) {
+            const entry = findVendorEntry(match[2]);
+            if (!entry) continue;
+            const key = getVendorKey(entry);
+            const expectedSrc = toPosix(path.relative(path.dirname(pagePath), path.join(VENDOR_DIR, key)));
+            if (match[2] !== expectedSrc || !match[0].includes(`integrity="${lock.files[key]?.integrity}"`)) {
+                problems.push(`${toPosix(path.relative(rootDir, pagePath))}: ${match[2]} is not the vendored ${key}`);
+            }
+        }
+    }
+
+    return problems;
+}
+
+async function run() {
+    const args = new Set(process.argv.slice(2));
+    const lock = await readLock();
+
+    if (args.has('--check')) {
+        const problems = await checkVendor(lock);
+        problems.forEach((problem) => console.error(`[vendor] ${problem}`));
+        if (problems.length > 0) {
+            console.error('[vendor] run `npm run vendor` (needs access to the npm registry) and commit vendor/ and the pages');
+            process.exitCode = 1;
+            return;
+        }
+        console.log(`[vendor] ${VENDOR_FILES.length} vendored files match the lock`);
+        return;
+    }
+
+    const nextLock = await fetchVendorFiles(lock, { update: args.has('--update') });
+    await fs.writeFile(LOCK_PATH, `${JSON.stringify(nextLock, null, 2)}\n`, 'utf8');
+    await rewritePages(nextLock);
+}
+
+if (path.resolve(process.argv[1] || '') === __filename) {
+    run().catch((error) => {
+        console.error(`[vendor] ${error.message}`);
+        process.exitCode = 1;
+    });
+}
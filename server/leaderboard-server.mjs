@@ -1,31 +1,109 @@
 import { createServer } from 'node:http';
+import { randomBytes, randomInt, timingSafeEqual } from 'node:crypto';
 import { createReadStream } from 'node:fs';
-import { mkdir, readFile, stat, writeFile, rename } from 'node:fs/promises';
+import { readFile, stat } from 'node:fs/promises';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
+import { SessionTicketService } from './session-tickets.mjs';
+import { evaluateSessionResult } from './result-rules.mjs';
+import { createStoreAdapter } from './store-adapters.mjs';
+import {
+    FirebaseTokenVerifier,
+    hashPlayerKey,
+    isValidPlayerKey,
+    matchesPlayerKeyHash,
+    readBearerToken
+} from './player-identity.mjs';
+import {
+    DEFAULT_SEASON_SCHEDULE,
+    computeSeasonWindow,
+    normalizeSeasonSchedule
+} from '../src/systems/SeasonSchedule.js';
+import {
+    ALL_BOARD_KEY,
+    DEFAULT_RANKING_DEFINITION,
+    compareRankingRecords,
+    extractRankingRecord,
+    getDefaultBoardKey,
+    getRankingValue,
+    isBetterRecord,
+    isRankableRecord,
+    listBoardKeys,
+    normalizeRankingDefinition,
+    normalizeRankingRecord,
+    resolveBoardKey
+} from '../src/systems/RankingRules.js';
+import { REPLAY_FORMAT_VERSION, decodeReplayInputs } from '../src/core/Replay.js';
+import {
+    collectAchievementRenames,
+    getAchievementPackPath,
+    validateAchievementPack
+} from '../src/systems/AchievementPacks.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const PROJECT_ROOT = path.resolve(__dirname, '..');
 const DATA_DIR = path.resolve(PROJECT_ROOT, 'data');
-const DATA_FILE = path.resolve(DATA_DIR, 'leaderboard-store.json');
+const VENDOR_ROOT = path.resolve(PROJECT_ROOT, 'vendor');
+// Vendored files live under versioned paths; everything else keeps its URL across releases
+const VENDOR_CACHE_CONTROL = 'public, max-age=31536000, immutable';
+const STATIC_CACHE_CONTROL = 'public, max-age=3600';
+// The service worker and its precache list must be revalidated, or clients miss new cache versions
+const SERVICE_WORKER_FILES = new Set(['sw.js', 'precache-manifest.js'].map((file) => path.join(PROJECT_ROOT, file)));
 
 const PORT = Number(process.env.PORT || 3001);
 const HOST = process.env.HOST || '0.0.0.0';
 const MAX_BODY_SIZE = 128 * 1024;
+// Replay uploads get their own, larger cap; about ten minutes of steady pointer input.
+const MAX_REPLAY_BODY_SIZE = 512 * 1024;
+const MAX_REPLAY_INPUT_LENGTH = 384 * 1024;
 const SAVE_DEBOUNCE_MS = 800;
 const HEARTBEAT_MS = 25000;
-
-const HOUR_MS = 60 * 60 * 1000;
-const DAY_MS = 24 * HOUR_MS;
-const WEEK_MS = 7 * DAY_MS;
-const KST_OFFSET_MS = 9 * HOUR_MS;
-const KST_RESET_HOUR = 9;
-const STORE_VERSION = 2;
+// Recent SSE frames kept for Last-Event-ID resume; older gaps get a full refetch instead.
+const SSE_REPLAY_LIMIT = 500;
+const DELTA_TOP_LIMIT = 10;
+
+const SEASON_SCHEDULE_FILE = process.env.LEADERBOARD_SEASON_SCHEDULE_FILE
+    ? path.resolve(process.cwd(), process.env.LEADERBOARD_SEASON_SCHEDULE_FILE)
+    : path.resolve(__dirname, 'season-schedule.json');
+const GAME_REGISTRY_FILES = [
+    path.resolve(PROJECT_ROOT, 'src/html/registry.json'),
+    path.resolve(PROJECT_ROOT, 'src/jsx/registry.json')
+];
+const STORE_VERSION = 9;
 const MAX_PROGRESS_GAMES = 200;
 const MAX_ITEM_STATS_PER_GAME = 200;
+const MAX_SESSION_HISTORY = 30;
 const MAX_ACHIEVEMENT_GAMES = 200;
 const MAX_ACHIEVEMENTS_PER_GAME = 256;
+const MAX_SESSIONS_PER_SYNC = 20;
+// Client outboxes resend a sync with the same Idempotency-Key until they get an answer
+const IDEMPOTENCY_TTL_MS = 10 * 60 * 1000;
+const MAX_IDEMPOTENCY_ENTRIES = 2000;
+// Consumed ids must outlive their tickets; at the cap, new sessions wait (503) instead of evicting one
+const MAX_CONSUMED_SESSIONS = 50000;
+const CONSUMED_SESSION_PRUNE_MS = 60 * 1000;
+const CONSUMED_SESSION_RETRY_AFTER_SECONDS = 60;
+// Players that claimed a key (player-identity.mjs); keys outlive season resets
+const MAX_PLAYER_KEYS = 200000;
+const MAX_REVIEW_QUEUE = 500;
+const REVIEW_VERDICTS = new Set(['flag', 'reject']);
+const MAX_ARCHIVED_SEASONS = 104;
+const ARCHIVE_TOP_LIMIT = 50;
+const MAX_BOARDS_PER_GAME = 16;
+const MAX_GROUPS = 10000;
+const MAX_GROUPS_PER_PLAYER = 20;
+const MAX_GROUP_MEMBERS = 200;
+const INVITE_CODE_LENGTH = 8;
+// Replays are kept for records placed within this rank when uploaded, up to MAX_STORED_REPLAYS.
+const REPLAY_RANK_LIMIT = 100;
+const MAX_STORED_REPLAYS = 2000;
+const MAX_REPLAY_TICKS = 60 * 60 * 60;
+// Finished daily challenges stay readable for a week; streaks outlive them.
+const MAX_DAILY_HISTORY = 7;
+const MAX_DAILY_STREAKS = 50000;
+// No 0/O or 1/I/L so codes survive being read out loud.
+const INVITE_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
 
 const MIME_MAP = {
     '.html': 'text/html; charset=utf-8',
@@ -33,6 +111,7 @@ const MIME_MAP = {
     '.mjs': 'application/javascript; charset=utf-8',
     '.css': 'text/css; charset=utf-8',
     '.json': 'application/json; charset=utf-8',
+    '.webmanifest': 'application/manifest+json; charset=utf-8',
     '.txt': 'text/plain; charset=utf-8',
     '.svg': 'image/svg+xml',
     '.png': 'image/png',
@@ -71,6 +150,11 @@ function sanitizeString(value, fallback, maxLength = 64) {
     return raw.slice(0, maxLength);
 }
 
+// Names end up in other players' pages; markup characters are dropped rather than trusted to every renderer
+function sanitizeDisplayName(value, fallback) {
+    return sanitizeString(typeof value === 'string' ? value.replace(/[<>&"'`]/g, '') : value, fallback, 32);
+}
+
 function sanitizeId(value, fallback = '') {
     const base = sanitizeString(value, fallback, 96);
     if (!base) return '';
@@ -109,6 +193,7 @@ function hasMeaningfulGameProgress(gameProgress = {}) {
     if (toSafeScore(gameProgress.lastSessionScore) > 0) return true;
     if (toSafeScore(gameProgress.totalPlayTime) > 0) return true;
     if (toSafeTimestamp(gameProgress.lastPlayed, 0) > 0) return true;
+    if ((gameProgress.sessionHistory || []).length > 0) return true;
     return Object.keys(gameProgress.itemStats || {}).length > 0;
 }
 
@@ -129,6 +214,22 @@ function sanitizeItemStats(source = {}) {
     return sortObjectByKey(result);
 }
 
+function sanitizeSessionHistory(source = []) {
+    if (!Array.isArray(source)) return [];
+
+    return source
+        .map((entry) => ({
+            playedAt: toSafeTimestamp(entry?.playedAt, 0),
+            score: toSafeScore(entry?.score),
+            duration: toSafeScore(entry?.duration),
+            level: Math.max(1, toSafeScore(entry?.level || 1)),
+            best: entry?.best === true
+        }))
+        .filter((entry) => entry.playedAt > 0)
+        .sort((a, b) => a.playedAt - b.playedAt)
+        .slice(-MAX_SESSION_HISTORY);
+}
+
 function sanitizeGameProgress(rawGame = {}) {
     const safeGame = rawGame && typeof rawGame === 'object' ? rawGame : {};
     return {
@@ -145,7 +246,8 @@ function sanitizeGameProgress(rawGame = {}) {
         itemStats: sanitizeItemStats(safeGame.itemStats),
         lastSessionScore: toSafeScore(safeGame.lastSessionScore),
         totalPlayTime: toSafeScore(safeGame.totalPlayTime),
-        lastPlayed: toSafeTimestamp(safeGame.lastPlayed, 0)
+        lastPlayed: toSafeTimestamp(safeGame.lastPlayed, 0),
+        sessionHistory: sanitizeSessionHistory(safeGame.sessionHistory)
     };
 }
 
@@ -310,6 +412,19 @@ function mergeItemStats(localStats = {}, incomingStats = {}) {
     return merged;
 }
 
+function mergeSessionHistory(localHistory = [], incomingHistory = []) {
+    const sessions = new Map();
+    [
+        ...sanitizeSessionHistory(localHistory),
+        ...sanitizeSessionHistory(incomingHistory)
+    ].forEach((entry) => {
+        const key = `${entry.playedAt}:${entry.score}`;
+        const existing = sessions.get(key);
+        sessions.set(key, existing ? { ...existing, best: existing.best || entry.best } : entry);
+    });
+    return sanitizeSessionHistory(Array.from(sessions.values()));
+}
+
 function mergeSingleGameProgress(localGame = {}, incomingGame = {}) {
     const safeLocal = sanitizeGameProgress(localGame);
     const safeIncoming = sanitizeGameProgress(incomingGame);
@@ -343,7 +458,8 @@ function mergeSingleGameProgress(localGame = {}, incomingGame = {}) {
         itemStats: mergeItemStats(safeLocal.itemStats, safeIncoming.itemStats),
         lastSessionScore,
         totalPlayTime: Math.max(safeLocal.totalPlayTime, safeIncoming.totalPlayTime),
-        lastPlayed: Math.max(localLastPlayed, incomingLastPlayed)
+        lastPlayed: Math.max(localLastPlayed, incomingLastPlayed),
+        sessionHistory: mergeSessionHistory(safeLocal.sessionHistory, safeIncoming.sessionHistory)
     };
 }
 
@@ -420,70 +536,664 @@ function mergePlayerProgress(localProgress = {}, incomingProgress = {}, options
     };
 }
 
-function computeKstSeasonWindow(nowMs = Date.now()) {
-    const kstNowMs = nowMs + KST_OFFSET_MS;
-    const kstNow = new Date(kstNowMs);
-    const startOfTodayKstMs = Date.UTC(
-        kstNow.getUTCFullYear(),
-        kstNow.getUTCMonth(),
-        kstNow.getUTCDate(),
-        0, 0, 0, 0
-    );
+function sanitizeSessionResult(rawResult = {}) {
+    const safeResult = rawResult && typeof rawResult === 'object' ? rawResult : {};
+    const itemCounts = sanitizeItemStats(safeResult.itemCounts);
+    const itemCountSum = Object.values(itemCounts).reduce((sum, count) => sum + count, 0);
+    const level = Math.max(1, toSafeScore(safeResult.level || 1));
+
+    return {
+        score: toSafeScore(safeResult.score),
+        level,
+        duration: toSafeScore(safeResult.duration),
+        clearTime: safeResult.clearTime === null || safeResult.clearTime === undefined
+            ? null
+            : toSafeScore(safeResult.clearTime),
+        stageClears: Number.isFinite(Number(safeResult.stageClears))
+            ? toSafeScore(safeResult.stageClears)
+            : Math.max(0, level - 1),
+        maxCombo: toSafeScore(safeResult.maxCombo),
+        comboCount: toSafeScore(safeResult.comboCount ?? safeResult.maxCombo),
+        itemsCollected: Number.isFinite(Number(safeResult.itemsCollected))
+            ? toSafeScore(safeResult.itemsCollected)
+            : itemCountSum,
+        itemCounts
+    };
+}
+
+// Only expired ids are dropped: forgetting a live one would let its ticket be submitted again.
+function sanitizeConsumedSessions(source = {}, nowMs = Date.now()) {
+    if (!source || typeof source !== 'object') return {};
+
+    const result = {};
+    Object.entries(source).forEach(([rawSessionId, rawExpiresAt]) => {
+        const sessionId = sanitizeId(rawSessionId);
+        const expiresAt = toSafeTimestamp(rawExpiresAt, 0);
+        if (!sessionId || expiresAt <= nowMs) return;
+        result[sessionId] = expiresAt;
+    });
+
+    return result;
+}
+
+function sanitizePlayerKeys(source = {}) {
+    if (!source || typeof source !== 'object') return {};
+
+    const result = {};
+    Object.entries(source).forEach(([rawUid, rawHash]) => {
+        const uid = sanitizeId(rawUid);
+        if (!uid || typeof rawHash !== 'string' || !/^[0-9a-f]{64}$/.test(rawHash)) return;
+        result[uid] = rawHash;
+    });
+    return result;
+}
+
+function sanitizeReviewEntry(rawEntry = {}) {
+    const safeEntry = rawEntry && typeof rawEntry === 'object' ? rawEntry : {};
+    const verdict = REVIEW_VERDICTS.has(safeEntry.verdict) ? safeEntry.verdict : null;
+    const sessionId = sanitizeId(safeEntry.sessionId);
+    if (!verdict || !sessionId) return null;
+
+    return {
+        sessionId,
+        playerId: sanitizeId(safeEntry.playerId),
+        gameId: sanitizeId(safeEntry.gameId),
+        verdict,
+        violations: (Array.isArray(safeEntry.violations) ? safeEntry.violations : [])
+            .slice(0, 16)
+            .map((violation) => ({
+                code: sanitizeId(violation?.code),
+                severity: violation?.severity === 'reject' ? 'reject' : 'flag',
+                value: toSafeScore(violation?.value),
+                limit: toSafeScore(violation?.limit)
+            })),
+        result: sanitizeSessionResult(safeEntry.result),
+        submittedAt: toSafeTimestamp(safeEntry.submittedAt, 0)
+    };
+}
+
+function sanitizeReviewQueue(source = []) {
+    if (!Array.isArray(source)) return [];
+    return source
+        .map((entry) => sanitizeReviewEntry(entry))
+        .filter(Boolean)
+        .slice(-MAX_REVIEW_QUEUE);
+}
+
+function sanitizeArchiveEntries(entries = []) {
+    if (!Array.isArray(entries)) return [];
+    return entries
+        .slice(0, ARCHIVE_TOP_LIMIT)
+        .map((entry) => ({
+            rank: sanitizeRank(entry?.rank),
+            uid: sanitizeId(entry?.uid),
+            nickname: sanitizeDisplayName(entry?.nickname, 'Player'),
+            avatar: sanitizeString(entry?.avatar, 'default', 32),
+            score: toSafeScore(entry?.score),
+            value: toSafeScore(entry?.value ?? entry?.score)
+        }))
+        .filter((entry) => entry.rank !== null && entry.uid);
+}
+
+function sanitizePlacement(rawPlacement = {}) {
+    const rank = sanitizeRank(rawPlacement?.rank);
+    if (rank === null) return null;
+    return {
+        rank,
+        score: toSafeScore(rawPlacement?.score),
+        value: toSafeScore(rawPlacement?.value ?? rawPlacement?.score)
+    };
+}
+
+function sanitizeBoardMap(source, sanitizeBoard) {
+    const boards = {};
+    Object.entries(source && typeof source === 'object' ? source : {})
+        .slice(0, MAX_BOARDS_PER_GAME)
+        .forEach(([rawBoardKey, rawBoard]) => {
+            const boardKey = sanitizeId(rawBoardKey).slice(0, 32);
+            const board = sanitizeBoard(rawBoard);
+            if (!boardKey || !board) return;
+            boards[boardKey] = board;
+        });
+    return boards;
+}
+
+function sanitizeArchivedSeason(rawSeason = {}) {
+    const safeSeason = rawSeason && typeof rawSeason === 'object' ? rawSeason : {};
+    const id = sanitizeString(safeSeason.id, '', 64);
+    if (!id) return null;
+
+    const games = {};
+    Object.entries(safeSeason.games && typeof safeSeason.games === 'object' ? safeSeason.games : {})
+        .forEach(([rawGameId, rawGame]) => {
+            const gameId = sanitizeId(rawGameId);
+            if (!gameId) return;
+            const ranking = normalizeRankingDefinition(rawGame?.ranking);
+            games[gameId] = {
+                ranking,
+                board: sanitizeId(rawGame?.board).slice(0, 32) || getDefaultBoardKey(ranking),
+                playerCount: toSafeScore(rawGame?.playerCount),
+                top: sanitizeArchiveEntries(rawGame?.top),
+                boards: sanitizeBoardMap(rawGame?.boards, (rawBoard) => ({
+                    playerCount: toSafeScore(rawBoard?.playerCount),
+                    top: sanitizeArchiveEntries(rawBoard?.top)
+                }))
+            };
+        });
+
+    const placements = {};
+    Object.entries(safeSeason.placements && typeof safeSeason.placements === 'object' ? safeSeason.placements : {})
+        .forEach(([rawUid, rawPlacement]) => {
+            const uid = sanitizeId(rawUid);
+            const placement = sanitizePlacement(rawPlacement);
+            if (!uid || !placement) return;
+
+            const gamePlacements = {};
+            Object.entries(rawPlacement?.games && typeof rawPlacement.games === 'object' ? rawPlacement.games : {})
+                .forEach(([rawGameId, rawGamePlacement]) => {
+                    const gameId = sanitizeId(rawGameId);
+                    const gamePlacement = sanitizePlacement(rawGamePlacement);
+                    const boardPlacements = sanitizeBoardMap(rawGamePlacement?.boards, sanitizePlacement);
+                    if (!gameId || (!gamePlacement && Object.keys(boardPlacements).length === 0)) return;
+                    gamePlacements[gameId] = {
+                        ...(gamePlacement || {}),
+                        ...(Object.keys(boardPlacements).length > 0 ? { boards: boardPlacements } : {})
+                    };
+                });
+            placements[uid] = { ...placement, games: gamePlacements };
+        });
+
+    return {
+        id,
+        startAt: toSafeTimestamp(safeSeason.startAt, 0),
+        endAt: toSafeTimestamp(safeSeason.endAt, 0),
+        timezone: sanitizeString(safeSeason.timezone, 'Asia/Seoul', 32),
+        resetRule: sanitizeString(safeSeason.resetRule, '', 64),
+        archivedAt: toSafeTimestamp(safeSeason.archivedAt, 0),
+        playerCount: toSafeScore(safeSeason.playerCount),
+        overallTop: sanitizeArchiveEntries(safeSeason.overallTop),
+        games,
+        placements
+    };
+}
+
+function sanitizeSeasonArchive(source = []) {
+    if (!Array.isArray(source)) return [];
+
+    const byId = new Map();
+    source.forEach((rawSeason) => {
+        const season = sanitizeArchivedSeason(rawSeason);
+        if (season) byId.set(season.id, season);
+    });
+    return Array.from(byId.values())
+        .sort((a, b) => a.startAt - b.startAt)
+        .slice(-MAX_ARCHIVED_SEASONS);
+}
+
+function sanitizeInviteCode(value) {
+    const raw = typeof value === 'string' ? value.trim().toUpperCase() : '';
+    return raw.replace(/[^A-Z0-9]/g, '').slice(0, INVITE_CODE_LENGTH);
+}
+
+function sanitizeGroup(rawGroup = {}) {
+    const safeGroup = rawGroup && typeof rawGroup === 'object' ? rawGroup : {};
+    const id = sanitizeId(safeGroup.id);
+    const inviteCode = sanitizeInviteCode(safeGroup.inviteCode);
+    const members = Array.from(new Set(
+        (Array.isArray(safeGroup.members) ? safeGroup.members : []).map((uid) => sanitizeId(uid)).filter(Boolean)
+    )).slice(0, MAX_GROUP_MEMBERS);
+    if (!id || inviteCode.length !== INVITE_CODE_LENGTH || members.length === 0) return null;
+
+    const ownerId = sanitizeId(safeGroup.ownerId);
+    return {
+        id,
+        name: sanitizeDisplayName(safeGroup.name, 'Group'),
+        inviteCode,
+        ownerId: members.includes(ownerId) ? ownerId : members[0],
+        createdAt: toSafeTimestamp(safeGroup.createdAt, 0),
+        members
+    };
+}
+
+function sanitizeGroups(source = {}) {
+    if (!source || typeof source !== 'object') return {};
+
+    const result = {};
+    Object.values(source).slice(0, MAX_GROUPS).forEach((rawGroup) => {
+        const group = sanitizeGroup(rawGroup);
+        if (group) result[group.id] = group;
+    });
+    return result;
+}
+
+function createInviteCode() {
+    let code = '';
+    for (let index = 0; index < INVITE_CODE_LENGTH; index += 1) {
+        code += INVITE_CODE_ALPHABET[randomInt(INVITE_CODE_ALPHABET.length)];
+    }
+    return code;
+}
 
-    const dayOfWeek = kstNow.getUTCDay(); // 0=Sun, 1=Mon, ...
-    const daysSinceMonday = (dayOfWeek + 6) % 7;
-    let seasonStartKstMs = startOfTodayKstMs - (daysSinceMonday * DAY_MS) + (KST_RESET_HOUR * HOUR_MS);
+function sanitizeReplay(rawReplay = {}) {
+    const safeReplay = rawReplay && typeof rawReplay === 'object' ? rawReplay : {};
+    const gameId = sanitizeId(safeReplay.gameId);
+    const tickRate = Math.floor(Number(safeReplay.tickRate));
+    const ticks = Math.floor(Number(safeReplay.ticks));
+    const inputs = typeof safeReplay.inputs === 'string' ? safeReplay.inputs : '';
+    if (
+        safeReplay.v !== REPLAY_FORMAT_VERSION
+        || !gameId
+        || !(tickRate >= 1 && tickRate <= 240)
+        || !(ticks >= 1 && ticks <= MAX_REPLAY_TICKS)
+        || inputs.length > MAX_REPLAY_INPUT_LENGTH
+    ) {
+        return null;
+    }
 
-    if (kstNowMs < seasonStartKstMs) {
-        seasonStartKstMs -= WEEK_MS;
+    try {
+        const commands = decodeReplayInputs(inputs);
+        if (commands.some((command) => command.tick > ticks)) return null;
+    } catch (_error) {
+        return null;
     }
 
-    const seasonEndKstMs = seasonStartKstMs + WEEK_MS;
-    const seasonStartUtcMs = seasonStartKstMs - KST_OFFSET_MS;
-    const seasonEndUtcMs = seasonEndKstMs - KST_OFFSET_MS;
-    const seasonId = `kst-week-${new Date(seasonStartKstMs).toISOString().slice(0, 10)}`;
+    return {
+        v: REPLAY_FORMAT_VERSION,
+        gameId,
+        seed: Math.floor(Number(safeReplay.seed) || 0) >>> 0,
+        tickRate,
+        ticks,
+        final: {
+            score: toSafeScore(safeReplay.final?.score),
+            level: Math.max(1, toSafeScore(safeReplay.final?.level))
+        },
+        inputs
+    };
+}
+
+function sanitizeStoredReplay(rawEntry = {}) {
+    const safeEntry = rawEntry && typeof rawEntry === 'object' ? rawEntry : {};
+    const sessionId = sanitizeId(safeEntry.sessionId);
+    const playerId = sanitizeId(safeEntry.playerId);
+    const replay = sanitizeReplay(safeEntry.replay);
+    if (!sessionId || !playerId || !replay) return null;
+
+    return {
+        sessionId,
+        playerId,
+        gameId: replay.gameId,
+        board: sanitizeId(safeEntry.board, ALL_BOARD_KEY),
+        uploadedAt: toSafeTimestamp(safeEntry.uploadedAt, 0),
+        replay
+    };
+}
+
+// Only replays still referenced by a player's best record survive a load.
+function sanitizeReplays(source = {}, players = {}) {
+    if (!source || typeof source !== 'object') return {};
+
+    const referenced = new Set();
+    Object.values(players).forEach((player) => {
+        Object.values(player.gameRecords || {}).forEach((boards) => {
+            Object.values(boards).forEach((record) => {
+                if (record.sessionId) referenced.add(record.sessionId);
+            });
+        });
+    });
+
+    const result = {};
+    Object.values(source).forEach((rawEntry) => {
+        const entry = sanitizeStoredReplay(rawEntry);
+        if (entry && referenced.has(entry.sessionId)) result[entry.sessionId] = entry;
+    });
+    return result;
+}
+
+function sanitizeDailyPlayer(rawEntry = {}) {
+    const safeEntry = rawEntry && typeof rawEntry === 'object' ? rawEntry : {};
+    const sessionId = sanitizeId(safeEntry.sessionId);
+    if (!sessionId) return null;
+
+    return {
+        sessionId,
+        startedAt: toSafeTimestamp(safeEntry.startedAt, 0),
+        nickname: sanitizeDisplayName(safeEntry.nickname, 'Player'),
+        avatar: sanitizeString(safeEntry.avatar, 'default', 32),
+        record: safeEntry.record ? normalizeRankingRecord(safeEntry.record) : null
+    };
+}
+
+function sanitizeDailyChallenge(rawDay = {}) {
+    const safeDay = rawDay && typeof rawDay === 'object' ? rawDay : {};
+    const dayKey = sanitizeId(safeDay.dayKey);
+    const gameId = sanitizeId(safeDay.gameId);
+    if (!dayKey || !gameId) return null;
+
+    const players = {};
+    Object.entries(safeDay.players && typeof safeDay.players === 'object' ? safeDay.players : {})
+        .forEach(([rawUid, rawEntry]) => {
+            const uid = sanitizeId(rawUid);
+            const entry = sanitizeDailyPlayer(rawEntry);
+            if (uid && entry) players[uid] = entry;
+        });
+
+    return {
+        dayKey,
+        gameId,
+        seed: Math.floor(Number(safeDay.seed) || 0) >>> 0,
+        startAt: toSafeTimestamp(safeDay.startAt, 0),
+        endAt: toSafeTimestamp(safeDay.endAt, 0),
+        players
+    };
+}
+
+function sanitizeDailyChallenges(source = {}) {
+    if (!source || typeof source !== 'object') return {};
+
+    const result = {};
+    Object.values(source)
+        .map((rawDay) => sanitizeDailyChallenge(rawDay))
+        .filter(Boolean)
+        .sort((a, b) => b.startAt - a.startAt)
+        .slice(0, MAX_DAILY_HISTORY)
+        .forEach((day) => {
+            result[day.dayKey] = day;
+        });
+    return result;
+}
+
+function sanitizeDailyStreak(rawStreak = {}) {
+    const safeStreak = rawStreak && typeof rawStreak === 'object' ? rawStreak : {};
+    const lastDayKey = sanitizeId(safeStreak.lastDayKey);
+    if (!lastDayKey) return null;
+
+    const current = Math.max(1, toSafeScore(safeStreak.current));
+    return {
+        current,
+        best: Math.max(current, toSafeScore(safeStreak.best)),
+        lastDayKey
+    };
+}
+
+// Day keys share the schedule prefix and embed the local date, so they sort chronologically.
+function sanitizeDailyStreaks(source = {}) {
+    if (!source || typeof source !== 'object') return {};
+
+    const result = {};
+    Object.entries(source)
+        .map(([rawUid, rawStreak]) => [sanitizeId(rawUid), sanitizeDailyStreak(rawStreak)])
+        .filter(([uid, streak]) => uid && streak)
+        .sort((a, b) => b[1].lastDayKey.localeCompare(a[1].lastDayKey, 'en'))
+        .slice(0, MAX_DAILY_STREAKS)
+        .forEach(([uid, streak]) => {
+            result[uid] = streak;
+        });
+    return result;
+}
+
+// Group views reuse the global ranking caches: keep member entries in order and renumber them.
+function filterRankingToMembers(ranking, members) {
+    const entries = ranking.entries
+        .filter((entry) => members.has(entry.uid))
+        .map((entry, index) => ({ ...entry, rank: index + 1 }));
+    return {
+        entries,
+        rankByPlayer: new Map(entries.map((entry) => [entry.uid, entry]))
+    };
+}
 
+function toGroupSummary(group, playerId = '') {
     return {
-        id: seasonId,
-        startAt: seasonStartUtcMs,
-        endAt: seasonEndUtcMs,
-        timezone: 'Asia/Seoul',
-        resetRule: 'weekly Monday 09:00 KST'
+        id: group.id,
+        name: group.name,
+        inviteCode: group.inviteCode,
+        memberCount: group.members.length,
+        isOwner: Boolean(playerId) && group.ownerId === playerId,
+        createdAt: group.createdAt
     };
 }
 
+let seasonSchedule = normalizeSeasonSchedule(DEFAULT_SEASON_SCHEDULE);
+
+async function loadSeasonSchedule() {
+    try {
+        const raw = await readFile(SEASON_SCHEDULE_FILE, 'utf8');
+        return normalizeSeasonSchedule(JSON.parse(raw));
+    } catch (error) {
+        if (error?.code !== 'ENOENT') {
+            console.warn(`[leaderboard] invalid season schedule ${SEASON_SCHEDULE_FILE}, using defaults:`, error);
+        }
+        return normalizeSeasonSchedule(DEFAULT_SEASON_SCHEDULE);
+    }
+}
+
+function computeActiveSeasonWindow(nowMs = Date.now()) {
+    return computeSeasonWindow(seasonSchedule, nowMs);
+}
+
+// Daily challenges roll over at the season schedule's reset hour, whatever the season cadence is.
+function computeDailyWindow(nowMs = Date.now()) {
+    return computeSeasonWindow({ ...seasonSchedule, cadence: 'daily', startAt: null, endAt: null }, nowMs);
+}
+
+let rankingDefinitions = new Map();
+let dailyGameIds = [];
+let achievementRenames = new Map();
+
+function toGameIdFromRegistryPath(rawPath) {
+    const fileName = String(rawPath || '').split('/').pop() || '';
+    return fileName
+        .replace(/\.[a-z0-9]+$/i, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+// Ranking definitions and the daily challenge pool live on the registry entries the hub already
+// reads, keyed the same way the hub derives game ids (explicit `id`, otherwise the file stem).
+async function loadGameRegistryEntries() {
+    const entries = new Map();
+    for (const registryFile of GAME_REGISTRY_FILES) {
+        let registry = null;
+        try {
+            registry = JSON.parse(await readFile(registryFile, 'utf8'));
+        } catch (error) {
+            if (error?.code !== 'ENOENT') {
+                console.warn(`[leaderboard] failed to read game registry ${registryFile}:`, error);
+            }
+            continue;
+        }
+
+        (Array.isArray(registry?.games) ? registry.games : []).forEach((entry) => {
+            if (!entry || typeof entry !== 'object') return;
+            const gameId = sanitizeId(entry.id) || sanitizeId(toGameIdFromRegistryPath(entry.path || entry.file));
+            if (!gameId || entries.has(gameId)) return;
+            entries.set(gameId, entry);
+        });
+    }
+    return entries;
+}
+
+function buildRankingDefinitions(registryEntries) {
+    const definitions = new Map();
+    registryEntries.forEach((entry, gameId) => {
+        if (entry.ranking) definitions.set(gameId, normalizeRankingDefinition(entry.ranking));
+    });
+    return definitions;
+}
+
+// Only games that draw their spawns from the seeded streams (`daily: true`) make fair daily challenges.
+function buildDailyGamePool(registryEntries) {
+    return Array.from(registryEntries.entries())
+        .filter(([, entry]) => entry.daily === true && entry.enabled !== false)
+        .map(([gameId]) => gameId)
+        .sort();
+}
+
+// Old -> current achievement ids per game, so rarity counts players whose progress predates a rename.
+async function loadAchievementRenames(registryEntries) {
+    const renames = new Map();
+    for (const [gameId, entry] of registryEntries) {
+        const packId = sanitizeId(entry.achievementPack) || gameId;
+        const packFile = path.resolve(PROJECT_ROOT, `.${getAchievementPackPath(packId)}`);
+        try {
+            const pack = JSON.parse(await readFile(packFile, 'utf8'));
+            const errors = validateAchievementPack(pack, { packId });
+            if (errors.length) {
+                console.warn(`[leaderboard] achievement pack ${packId} is invalid:`, errors);
+                continue;
+            }
+            renames.set(gameId, collectAchievementRenames(pack));
+        } catch (error) {
+            if (error?.code !== 'ENOENT') {
+                console.warn(`[leaderboard] failed to read achievement pack ${packFile}:`, error);
+            }
+        }
+    }
+    return renames;
+}
+
+function getRankingDefinition(gameId) {
+    return rankingDefinitions.get(gameId) || normalizeRankingDefinition(DEFAULT_RANKING_DEFINITION);
+}
+
+function sanitizeGameRecords(source = {}, fallbackGameScores = {}, fallbackAchievedAt = 0) {
+    const result = {};
+    let count = 0;
+    Object.entries(source && typeof source === 'object' ? source : {}).forEach(([rawGameId, rawBoards]) => {
+        if (count >= MAX_PROGRESS_GAMES) return;
+        const gameId = sanitizeId(rawGameId);
+        if (!gameId) return;
+        const boards = sanitizeBoardMap(rawBoards, (rawRecord) => {
+            const record = normalizeRankingRecord(rawRecord);
+            if (Object.keys(record.metrics).length === 0) return null;
+            // The session that set the record; replays attach through it.
+            const sessionId = sanitizeId(rawRecord?.sessionId);
+            return sessionId ? { ...record, sessionId } : record;
+        });
+        if (Object.keys(boards).length === 0) return;
+        result[gameId] = boards;
+        count += 1;
+    });
+
+    // Stores written before ranking definitions only know the best score per game.
+    Object.entries(fallbackGameScores).forEach(([gameId, score]) => {
+        if (count >= MAX_PROGRESS_GAMES || result[gameId] || toSafeScore(score) <= 0) return;
+        result[gameId] = {
+            [ALL_BOARD_KEY]: extractRankingRecord({ score }, fallbackAchievedAt)
+        };
+        count += 1;
+    });
+
+    return result;
+}
+
 function createEmptyState(nowMs = Date.now()) {
     return {
         version: STORE_VERSION,
         revision: 1,
         updatedAt: nowMs,
-        season: computeKstSeasonWindow(nowMs),
-        players: {}
+        season: computeActiveSeasonWindow(nowMs),
+        players: {},
+        consumedSessions: {},
+        reviewQueue: [],
+        seasonArchive: [],
+        groups: {},
+        replays: {},
+        dailyChallenges: {},
+        dailyStreaks: {},
+        playerKeys: {}
+    };
+}
+
+// Each step upgrades a raw store one version; normalizeState fills in the remaining defaults.
+const STORE_MIGRATIONS = {
+    // v1 -> v2: players gain cumulative `progress`, rebuilt from `gameScores` during normalize.
+    1: (raw) => ({ ...raw, version: 2 }),
+    // v2 -> v3: session ticket bookkeeping and the result review queue live next to players.
+    2: (raw) => ({ consumedSessions: {}, reviewQueue: [], ...raw, version: 3 }),
+    // v3 -> v4: ended seasons are frozen into `seasonArchive` instead of being discarded.
+    3: (raw) => ({ seasonArchive: [], ...raw, version: 4 }),
+    // v4 -> v5: players gain per-board `gameRecords`, seeded from `gameScores` during normalize.
+    4: (raw) => ({ ...raw, version: 5 }),
+    // v5 -> v6: invite-code groups; they outlive season resets.
+    5: (raw) => ({ groups: {}, ...raw, version: 6 }),
+    // v6 -> v7: input replays for best records, keyed by the session that set the record.
+    6: (raw) => ({ replays: {}, ...raw, version: 7 }),
+    // v7 -> v8: daily challenges and per-player daily streaks; both outlive season resets.
+    7: (raw) => ({ dailyChallenges: {}, dailyStreaks: {}, ...raw, version: 8 }),
+    // v8 -> v9: hashed player keys that session tickets are issued against; they outlive season resets.
+    8: (raw) => ({ playerKeys: {}, ...raw, version: 9 })
+};
+
+function migrateStoreState(raw) {
+    let migrated = raw && typeof raw === 'object' ? raw : {};
+    let version = Math.max(1, Math.floor(Number(migrated.version) || 1));
+    if (version > STORE_VERSION) {
+        throw new Error(`store-version-unsupported:${version}`);
+    }
+
+    while (version < STORE_VERSION) {
+        migrated = STORE_MIGRATIONS[version](migrated);
+        version += 1;
+    }
+    return migrated;
+}
+
+function createPendingChanges() {
+    return {
+        full: false,
+        players: new Set(),
+        sessions: new Set(),
+        reviews: [],
+        groups: new Set(),
+        replays: new Set(),
+        dailies: new Set(),
+        dailyPlayers: new Set(),
+        playerKeys: new Set()
     };
 }
 
 class LeaderboardStore {
-    constructor(filePath) {
-        this.filePath = filePath;
+    constructor(adapter) {
+        this.adapter = adapter;
         this.state = createEmptyState();
+        this.pendingChanges = createPendingChanges();
         this.persistTimer = null;
+        // Saves run one at a time: a compaction must never overlap a journal append
+        this.persistQueue = Promise.resolve();
+        this.consumedSessionCount = 0;
+        this.playerKeyCount = 0;
         this.overallCache = null;
         this.gameCacheMap = new Map();
+        this.dailyCacheMap = new Map();
+        this.rarityCacheMap = new Map();
         this.subscribers = new Set();
     }
 
     async load() {
-        await mkdir(path.dirname(this.filePath), { recursive: true });
-
+        let raw = null;
         try {
-            const raw = await readFile(this.filePath, 'utf8');
-            const parsed = JSON.parse(raw);
-            this.state = this.normalizeState(parsed);
-        } catch (_error) {
+            raw = await this.adapter.load();
+        } catch (error) {
+            console.warn('[leaderboard] failed to read store, starting empty:', error);
+        }
+
+        if (raw) {
+            const fromVersion = Math.max(1, Math.floor(Number(raw.version) || 1));
+            this.state = this.normalizeState(migrateStoreState(raw));
+            if (fromVersion < STORE_VERSION) {
+                await this.adapter.backup(raw, fromVersion);
+                console.log(`[leaderboard] upgraded store from v${fromVersion} to v${STORE_VERSION}`);
+                this.schedulePersist({ full: true });
+            }
+        } else {
             this.state = createEmptyState();
         }
 
         this.ensureActiveSeason();
+        this.pruneConsumedSessions();
+        this.playerKeyCount = Object.keys(this.state.playerKeys).length;
         this.invalidateRankingCache();
     }
 
@@ -519,12 +1229,14 @@ class LeaderboardStore {
                 fallbackCreatedAt: toSafeTimestamp(rawPlayer.updatedAt, Date.now())
             });
 
+            const updatedAt = toSafeTimestamp(rawPlayer.updatedAt);
             normalizedPlayers[uid] = {
                 uid,
-                nickname: sanitizeString(rawPlayer.nickname, 'Player', 32),
+                nickname: sanitizeDisplayName(rawPlayer.nickname, 'Player'),
                 avatar: sanitizeString(rawPlayer.avatar, 'default', 32),
-                updatedAt: toSafeTimestamp(rawPlayer.updatedAt),
+                updatedAt,
                 gameScores,
+                gameRecords: sanitizeGameRecords(rawPlayer.gameRecords, gameScores, updatedAt),
                 overallScore: legacyTotalScore,
                 progress
             };
@@ -543,87 +1255,498 @@ class LeaderboardStore {
                 id: sanitizeString(season.id, fallback.season.id, 64),
                 startAt: toSafeTimestamp(season.startAt, fallback.season.startAt),
                 endAt: toSafeTimestamp(season.endAt, fallback.season.endAt),
-                timezone: 'Asia/Seoul',
-                resetRule: 'weekly Monday 09:00 KST'
+                timezone: sanitizeString(season.timezone, fallback.season.timezone, 64),
+                resetRule: sanitizeString(season.resetRule, fallback.season.resetRule, 64)
             },
-            players: normalizedPlayers
+            players: normalizedPlayers,
+            consumedSessions: sanitizeConsumedSessions(raw?.consumedSessions),
+            reviewQueue: sanitizeReviewQueue(raw?.reviewQueue),
+            seasonArchive: sanitizeSeasonArchive(raw?.seasonArchive),
+            groups: sanitizeGroups(raw?.groups),
+            replays: sanitizeReplays(raw?.replays, normalizedPlayers),
+            dailyChallenges: sanitizeDailyChallenges(raw?.dailyChallenges),
+            dailyStreaks: sanitizeDailyStreaks(raw?.dailyStreaks),
+            playerKeys: sanitizePlayerKeys(raw?.playerKeys)
         };
     }
 
     ensureActiveSeason() {
-        const latestSeason = computeKstSeasonWindow(Date.now());
-        if (this.state?.season?.id === latestSeason.id) return false;
+        const latestSeason = computeActiveSeasonWindow(Date.now());
+        if (this.state?.season?.id === latestSeason.id) {
+            // Same season, but a schedule edit (e.g. an upcoming custom season) may move its end.
+            if (this.state.season.endAt !== latestSeason.endAt || this.state.season.resetRule !== latestSeason.resetRule) {
+                this.state.season = latestSeason;
+                this.schedulePersist({ full: true });
+            }
+            return false;
+        }
 
+        const endedSeason = this.buildSeasonArchive();
         this.state = {
             version: STORE_VERSION,
             revision: (Number(this.state?.revision) || 1) + 1,
             updatedAt: Date.now(),
             season: latestSeason,
-            players: {}
+            players: {},
+            consumedSessions: sanitizeConsumedSessions(this.state?.consumedSessions),
+            reviewQueue: sanitizeReviewQueue(this.state?.reviewQueue),
+            seasonArchive: sanitizeSeasonArchive([
+                ...(this.state?.seasonArchive || []),
+                ...(endedSeason ? [endedSeason] : [])
+            ]),
+            groups: this.state?.groups || {},
+            // Replays belong to this season's records and end with them.
+            replays: {},
+            dailyChallenges: this.state?.dailyChallenges || {},
+            dailyStreaks: this.state?.dailyStreaks || {},
+            playerKeys: this.state?.playerKeys || {}
         };
+        this.pruneConsumedSessions();
         this.invalidateRankingCache();
-        this.schedulePersist();
-        this.notifySubscribers();
+        this.schedulePersist({ full: true });
+        this.notifySubscribers({ seasonChanged: true });
         return true;
     }
 
-    invalidateRankingCache() {
-        this.overallCache = null;
-        this.gameCacheMap.clear();
-    }
+    // Freeze the current season's standings; seasons nobody scored in are not archived.
+    buildSeasonArchive(nowMs = Date.now()) {
+        const season = this.state?.season;
+        if (!season?.id || !this.state?.players) return null;
 
-    schedulePersist() {
-        if (this.persistTimer) return;
-        this.persistTimer = setTimeout(() => {
-            this.persistTimer = null;
-            this.persistNow().catch((error) => {
-                console.warn('[leaderboard] failed to persist store:', error);
+        const overall = this.buildOverallCache();
+        if (overall.entries.length === 0) return null;
+
+        const placements = {};
+        overall.entries.forEach((entry) => {
+            placements[entry.uid] = { rank: entry.rank, score: entry.score, games: {} };
+        });
+
+        const games = {};
+        this.collectRankedGameIds().forEach((gameId) => {
+            const definition = getRankingDefinition(gameId);
+            const defaultBoard = getDefaultBoardKey(definition);
+            const boards = {};
+            listBoardKeys(definition).forEach((boardKey) => {
+                const ranking = this.buildGameCache(gameId, boardKey);
+                if (ranking.entries.length === 0) return;
+
+                boards[boardKey] = {
+                    playerCount: ranking.entries.length,
+                    top: ranking.entries.slice(0, ARCHIVE_TOP_LIMIT)
+                };
+                ranking.entries.forEach((entry) => {
+                    if (!placements[entry.uid]) return;
+                    const gamePlacements = placements[entry.uid].games;
+                    const placement = { rank: entry.rank, score: entry.score, value: entry.value };
+                    gamePlacements[gameId] = gamePlacements[gameId] || {};
+                    if (boardKey === defaultBoard) {
+                        Object.assign(gamePlacements[gameId], placement);
+                    }
+                    if (definition.subBoards) {
+                        gamePlacements[gameId].boards = { ...(gamePlacements[gameId].boards || {}), [boardKey]: placement };
+                    }
+                });
             });
-        }, SAVE_DEBOUNCE_MS);
-    }
+            if (Object.keys(boards).length === 0) return;
 
-    async persistNow() {
-        const tempFile = `${this.filePath}.tmp`;
-        await writeFile(tempFile, JSON.stringify(this.state), 'utf8');
-        await rename(tempFile, this.filePath);
-    }
+            games[gameId] = {
+                ranking: definition,
+                board: defaultBoard,
+                playerCount: boards[defaultBoard]?.playerCount || 0,
+                top: boards[defaultBoard]?.top || [],
+                ...(definition.subBoards ? { boards } : {})
+            };
+        });
 
-    subscribe(listener) {
-        if (typeof listener !== 'function') return () => {};
-        this.subscribers.add(listener);
-        return () => this.subscribers.delete(listener);
+        return {
+            id: season.id,
+            startAt: season.startAt,
+            endAt: season.endAt,
+            timezone: season.timezone,
+            resetRule: season.resetRule,
+            archivedAt: nowMs,
+            playerCount: overall.entries.length,
+            overallTop: overall.entries.slice(0, ARCHIVE_TOP_LIMIT),
+            games,
+            placements
+        };
     }
 
-    notifySubscribers() {
-        const payload = {
-            revision: Number(this.state?.revision || 1),
-            season: this.state?.season || null,
-            updatedAt: Date.now()
-        };
-        this.subscribers.forEach((listener) => {
-            try {
-                listener(payload);
-            } catch (error) {
-                console.warn('[leaderboard] subscriber failed:', error);
+    listSeasons({ playerId } = {}) {
+        this.ensureActiveSeason();
+
+        const safePlayerId = sanitizeId(playerId);
+        let best = null;
+        const seasons = this.state.seasonArchive.slice().reverse().map((season) => {
+            const placement = safePlayerId ? season.placements[safePlayerId] : null;
+            const my = placement ? { rank: placement.rank, score: placement.score } : null;
+            if (my && (!best || my.rank < best.rank || (my.rank === best.rank && my.score > best.score))) {
+                best = { seasonId: season.id, startAt: season.startAt, endAt: season.endAt, ...my };
             }
+
+            return {
+                id: season.id,
+                startAt: season.startAt,
+                endAt: season.endAt,
+                timezone: season.timezone,
+                resetRule: season.resetRule,
+                archivedAt: season.archivedAt,
+                playerCount: season.playerCount,
+                my
+            };
         });
+
+        return {
+            enabled: true,
+            current: this.state.season,
+            seasonSchedule,
+            seasons,
+            best
+        };
     }
 
-    syncPlayer({ playerId, nickname, avatar, gameScores, progress }) {
+    getSeasonSnapshot(seasonId, { gameIds, playerId, topLimit } = {}) {
         this.ensureActiveSeason();
 
-        const uid = sanitizeId(playerId);
-        if (!uid) {
-            const error = new Error('invalid-player-id');
-            error.statusCode = 400;
+        const season = this.state.seasonArchive.find((entry) => entry.id === seasonId);
+        if (!season) {
+            const error = new Error('season-not-found');
+            error.statusCode = 404;
             throw error;
         }
 
-        const safeNickname = sanitizeString(nickname, 'Player', 32);
-        const safeAvatar = sanitizeString(avatar, 'default', 32);
-        const sourceGameScores = gameScores && typeof gameScores === 'object'
-            ? gameScores
-            : {};
+        const limit = clampTopLimit(topLimit);
+        const safePlayerId = sanitizeId(playerId);
+        const placement = safePlayerId ? season.placements[safePlayerId] : null;
+        const requestedGameIds = Array.from(new Set((gameIds || []).map((id) => sanitizeId(id)).filter(Boolean)));
+        const games = {};
+        (requestedGameIds.length > 0 ? requestedGameIds : Object.keys(season.games)).forEach((gameId) => {
+            const archivedGame = season.games[gameId];
+            const gamePlacement = placement?.games?.[gameId];
+            const toMy = (boardPlacement) => (boardPlacement?.rank
+                ? { rank: boardPlacement.rank, score: boardPlacement.score, value: boardPlacement.value, uid: safePlayerId }
+                : null);
+
+            const boards = {};
+            Object.entries(archivedGame?.boards || {}).forEach(([boardKey, board]) => {
+                boards[boardKey] = {
+                    top: board.top.slice(0, limit),
+                    my: toMy(gamePlacement?.boards?.[boardKey])
+                };
+            });
+
+            // Seasons archived before per-game definitions come back as plain score boards.
+            const ranking = archivedGame?.ranking || normalizeRankingDefinition(DEFAULT_RANKING_DEFINITION);
+            games[gameId] = {
+                ranking,
+                board: archivedGame?.board || getDefaultBoardKey(ranking),
+                top: (archivedGame?.top || []).slice(0, limit),
+                my: toMy(gamePlacement),
+                ...(Object.keys(boards).length > 0 ? { boards } : {})
+            };
+        });
+
+        return {
+            enabled: true,
+            archived: true,
+            season: {
+                id: season.id,
+                startAt: season.startAt,
+                endAt: season.endAt,
+                timezone: season.timezone,
+                resetRule: season.resetRule,
+                archivedAt: season.archivedAt,
+                playerCount: season.playerCount
+            },
+            revision: this.state.revision,
+            generatedAt: Date.now(),
+            overallTop: season.overallTop.slice(0, limit),
+            myOverall: placement ? { rank: placement.rank, score: placement.score, uid: safePlayerId } : null,
+            games
+        };
+    }
+
+    invalidateRankingCache() {
+        this.overallCache = null;
+        this.gameCacheMap.clear();
+        // Rarity reads player progress, which only changes together with the rankings' inputs
+        this.rarityCacheMap.clear();
+    }
+
+    schedulePersist({
+        full = false,
+        playerId = null,
+        groupId = null,
+        replayId = null,
+        dayKey = null,
+        dailyPlayer = null,
+        playerKeyUid = null
+    } = {}) {
+        if (full) this.pendingChanges.full = true;
+        if (playerId) this.pendingChanges.players.add(playerId);
+        if (groupId) this.pendingChanges.groups.add(groupId);
+        if (replayId) this.pendingChanges.replays.add(replayId);
+        if (dayKey) this.pendingChanges.dailies.add(dayKey);
+        if (dailyPlayer) this.pendingChanges.dailyPlayers.add(`${dailyPlayer.dayKey}|${dailyPlayer.uid}`);
+        if (playerKeyUid) this.pendingChanges.playerKeys.add(playerKeyUid);
+        if (this.persistTimer) return;
+        this.persistTimer = setTimeout(() => {
+            this.persistTimer = null;
+            this.persistNow().catch((error) => {
+                console.warn('[leaderboard] failed to persist store:', error);
+            });
+        }, SAVE_DEBOUNCE_MS);
+    }
+
+    /**
+     * Queue a save behind the one in flight. The change set is taken when the save starts, so
+     * changes made while waiting go out with it.
+     */
+    persistNow({ full = false } = {}) {
+        if (full) this.pendingChanges.full = true;
+        const run = this.persistQueue.then(async () => {
+            const changes = this.pendingChanges;
+            this.pendingChanges = createPendingChanges();
+            try {
+                await this.adapter.save(this.state, changes);
+            } catch (error) {
+                // Fall back to a full write next time; the partial change set is no longer trustworthy.
+                this.pendingChanges.full = true;
+                throw error;
+            }
+        });
+        this.persistQueue = run.catch(() => {});
+        return run;
+    }
+
+    subscribe(listener) {
+        if (typeof listener !== 'function') return () => {};
+        this.subscribers.add(listener);
+        return () => this.subscribers.delete(listener);
+    }
+
+    notifySubscribers({ deltas = [], seasonChanged = false } = {}) {
+        const payload = {
+            revision: Number(this.state?.revision || 1),
+            season: this.state?.season || null,
+            updatedAt: Date.now(),
+            deltas,
+            seasonChanged
+        };
+        this.subscribers.forEach((listener) => {
+            try {
+                listener(payload);
+            } catch (error) {
+                console.warn('[leaderboard] subscriber failed:', error);
+            }
+        });
+    }
+
+    // Runs on a timer (CONSUMED_SESSION_PRUNE_MS), not per submission
+    pruneConsumedSessions(nowMs = Date.now()) {
+        this.state.consumedSessions = sanitizeConsumedSessions(this.state.consumedSessions, nowMs);
+        this.consumedSessionCount = Object.keys(this.state.consumedSessions).length;
+    }
+
+    /**
+     * Whether `count` more sessions can be consumed. At the cap, expired ids are pruned first;
+     * live ids are never dropped, so a full store turns submissions away until tickets expire.
+     */
+    hasConsumedSessionCapacity(count) {
+        if (this.consumedSessionCount + count <= MAX_CONSUMED_SESSIONS) return true;
+        this.pruneConsumedSessions();
+        return this.consumedSessionCount + count <= MAX_CONSUMED_SESSIONS;
+    }
+
+    consumeSession(session) {
+        const sessionId = sanitizeId(session?.sessionId);
+        if (!sessionId || this.state.consumedSessions[sessionId]) return false;
+        if (!this.hasConsumedSessionCapacity(1)) return false;
+
+        this.state.consumedSessions[sessionId] = toSafeTimestamp(session.expiresAt);
+        this.consumedSessionCount += 1;
+        this.pendingChanges.sessions.add(sessionId);
+        return true;
+    }
+
+    /**
+     * Bind a player id to the first key presented for it (trust on first use).
+     * @returns {'claimed'|'match'|'mismatch'|'full'}
+     */
+    claimPlayerKey(playerId, key) {
+        const uid = sanitizeId(playerId);
+        const storedHash = this.state.playerKeys[uid];
+        if (storedHash) {
+            return matchesPlayerKeyHash(key, storedHash) ? 'match' : 'mismatch';
+        }
+        if (this.playerKeyCount >= MAX_PLAYER_KEYS) return 'full';
+
+        this.state.playerKeys[uid] = hashPlayerKey(key);
+        this.playerKeyCount += 1;
+        this.schedulePersist({ playerKeyUid: uid });
+        return 'claimed';
+    }
+
+    enqueueReview(entry) {
+        const reviewEntry = sanitizeReviewEntry(entry);
+        if (!reviewEntry) return;
+
+        this.state.reviewQueue.push(reviewEntry);
+        this.pendingChanges.reviews.push(reviewEntry);
+        if (this.state.reviewQueue.length > MAX_REVIEW_QUEUE) {
+            this.state.reviewQueue.splice(0, this.state.reviewQueue.length - MAX_REVIEW_QUEUE);
+        }
+    }
+
+    getReviewQueue({ verdict, gameId, limit } = {}) {
+        const safeGameId = sanitizeId(gameId);
+        const parsedLimit = Number(limit);
+        const safeLimit = Number.isFinite(parsedLimit)
+            ? Math.max(1, Math.min(MAX_REVIEW_QUEUE, Math.floor(parsedLimit)))
+            : 100;
+
+        const entries = this.state.reviewQueue
+            .filter((entry) => !REVIEW_VERDICTS.has(verdict) || entry.verdict === verdict)
+            .filter((entry) => !safeGameId || entry.gameId === safeGameId);
+
+        return {
+            total: entries.length,
+            entries: entries.slice(-safeLimit).reverse()
+        };
+    }
+
+    requirePlayerId(playerId) {
+        const uid = sanitizeId(playerId);
+        if (!uid) {
+            const error = new Error('invalid-player-id');
+            error.statusCode = 400;
+            throw error;
+        }
+        return uid;
+    }
+
+    getPlayerGroups(uid) {
+        return Object.values(this.state.groups)
+            .filter((group) => group.members.includes(uid))
+            .sort((a, b) => a.createdAt - b.createdAt);
+    }
+
+    getMemberGroup(playerId, groupId) {
+        const uid = this.requirePlayerId(playerId);
+        const group = this.state.groups[sanitizeId(groupId)];
+        if (!group) {
+            const error = new Error('group-not-found');
+            error.statusCode = 404;
+            throw error;
+        }
+        if (!group.members.includes(uid)) {
+            const error = new Error('group-not-member');
+            error.statusCode = 403;
+            throw error;
+        }
+        return group;
+    }
+
+    assertGroupSlot(uid) {
+        if (this.getPlayerGroups(uid).length >= MAX_GROUPS_PER_PLAYER) {
+            const error = new Error('group-limit-reached');
+            error.statusCode = 409;
+            throw error;
+        }
+    }
+
+    listGroups({ playerId } = {}) {
+        const uid = this.requirePlayerId(playerId);
+        return this.getPlayerGroups(uid).map((group) => toGroupSummary(group, uid));
+    }
+
+    createGroup({ playerId, name }) {
+        const uid = this.requirePlayerId(playerId);
+        this.assertGroupSlot(uid);
+        if (Object.keys(this.state.groups).length >= MAX_GROUPS) {
+            const error = new Error('group-capacity-reached');
+            error.statusCode = 409;
+            throw error;
+        }
+
+        const inviteCodes = new Set(Object.values(this.state.groups).map((group) => group.inviteCode));
+        let inviteCode = createInviteCode();
+        while (inviteCodes.has(inviteCode)) {
+            inviteCode = createInviteCode();
+        }
+
+        const group = {
+            id: `grp-${randomBytes(9).toString('base64url')}`,
+            name: sanitizeDisplayName(name, 'Group'),
+            inviteCode,
+            ownerId: uid,
+            createdAt: Date.now(),
+            members: [uid]
+        };
+        this.state.groups[group.id] = group;
+        this.schedulePersist({ groupId: group.id });
+        return toGroupSummary(group, uid);
+    }
+
+    joinGroup({ playerId, inviteCode }) {
+        const uid = this.requirePlayerId(playerId);
+        const safeInviteCode = sanitizeInviteCode(inviteCode);
+        if (safeInviteCode.length !== INVITE_CODE_LENGTH) {
+            const error = new Error('invalid-invite-code');
+            error.statusCode = 400;
+            throw error;
+        }
+
+        const group = Object.values(this.state.groups).find((entry) => entry.inviteCode === safeInviteCode);
+        if (!group) {
+            const error = new Error('group-not-found');
+            error.statusCode = 404;
+            throw error;
+        }
+        if (group.members.includes(uid)) return toGroupSummary(group, uid);
+
+        this.assertGroupSlot(uid);
+        if (group.members.length >= MAX_GROUP_MEMBERS) {
+            const error = new Error('group-full');
+            error.statusCode = 409;
+            throw error;
+        }
+
+        group.members.push(uid);
+        this.schedulePersist({ groupId: group.id });
+        return toGroupSummary(group, uid);
+    }
+
+    leaveGroup({ playerId, groupId }) {
+        const group = this.getMemberGroup(playerId, groupId);
+        const uid = sanitizeId(playerId);
+
+        group.members = group.members.filter((memberId) => memberId !== uid);
+        if (group.members.length === 0) {
+            delete this.state.groups[group.id];
+        } else if (group.ownerId === uid) {
+            // Ownership passes to the longest-standing member.
+            group.ownerId = group.members[0];
+        }
+        this.schedulePersist({ groupId: group.id });
+        return { groupId: group.id, deleted: group.members.length === 0 };
+    }
+
+    syncPlayer({ playerId, nickname, avatar, gameScores, progress, sessions }) {
+        this.ensureActiveSeason();
+
+        const uid = sanitizeId(playerId);
+        if (!uid) {
+            const error = new Error('invalid-player-id');
+            error.statusCode = 400;
+            throw error;
+        }
+
+        const safeNickname = sanitizeDisplayName(nickname, 'Player');
+        const safeAvatar = sanitizeString(avatar, 'default', 32);
+        const sourceGameScores = gameScores && typeof gameScores === 'object'
+            ? gameScores
+            : {};
 
         const existing = this.state.players[uid] || {
             uid,
@@ -631,6 +1754,7 @@ class LeaderboardStore {
             avatar: safeAvatar,
             updatedAt: Date.now(),
             gameScores: {},
+            gameRecords: {},
             overallScore: 0,
             progress: sanitizeProgress(null, {
                 fallbackCreatedAt: Date.now()
@@ -638,18 +1762,87 @@ class LeaderboardStore {
         };
 
         let hasMeaningfulChange = false;
+        let hasConsumedSession = false;
         const nextGameScores = { ...existing.gameScores };
+        const nextGameRecords = { ...existing.gameRecords };
+        const changedBoards = new Map();
+        const sessionOutcomes = [];
+
+        // Ranked scores only move through verified session tickets; the raw gameScores map
+        // is kept as a progress fallback but never raises a leaderboard entry by itself.
+        (Array.isArray(sessions) ? sessions : []).forEach((session) => {
+            const gameId = sanitizeId(session?.gameId);
+            const sessionId = sanitizeId(session?.sessionId);
+            if (session?.playerId !== uid) {
+                sessionOutcomes.push({ sessionId, gameId, accepted: false, reason: 'ticket-player-mismatch' });
+                return;
+            }
+            if (!this.consumeSession(session)) {
+                sessionOutcomes.push({ sessionId, gameId, accepted: false, reason: 'ticket-replayed' });
+                return;
+            }
 
-        Object.entries(sourceGameScores).forEach(([rawGameId, rawScore]) => {
-            const gameId = sanitizeId(rawGameId);
-            const score = toSafeScore(rawScore);
-            if (!gameId || score <= 0) return;
+            hasConsumedSession = true;
+            const review = evaluateSessionResult(gameId, session.result, {
+                issuedAt: session.issuedAt,
+                ranking: getRankingDefinition(gameId)
+            });
+            const violationCodes = review.violations.map((violation) => violation.code);
+            if (review.verdict !== 'accept') {
+                this.enqueueReview({
+                    sessionId,
+                    playerId: uid,
+                    gameId,
+                    verdict: review.verdict,
+                    violations: review.violations,
+                    result: session.result,
+                    submittedAt: Date.now()
+                });
+            }
+            if (review.verdict === 'reject') {
+                sessionOutcomes.push({
+                    sessionId,
+                    gameId,
+                    accepted: false,
+                    reason: 'result-rejected',
+                    violations: violationCodes
+                });
+                return;
+            }
+
+            // Daily attempts rank on the day's own board and never touch season records.
+            if (session.dailyKey) {
+                const outcome = this.recordDailyResult(uid, session, { nickname: safeNickname, avatar: safeAvatar });
+                sessionOutcomes.push(outcome.accepted && review.verdict === 'flag'
+                    ? { ...outcome, flagged: true, violations: violationCodes }
+                    : outcome);
+                return;
+            }
 
+            const score = toSafeScore(session?.result?.score);
             const previous = toSafeScore(nextGameScores[gameId]);
             if (score > previous) {
                 nextGameScores[gameId] = score;
                 hasMeaningfulChange = true;
             }
+
+            const definition = getRankingDefinition(gameId);
+            const record = { ...extractRankingRecord(session.result, Date.now()), sessionId };
+            const boardKey = resolveBoardKey(definition, record);
+            const currentRecord = nextGameRecords[gameId]?.[boardKey];
+            if (boardKey && isBetterRecord(definition, record, currentRecord)) {
+                this.dropReplay(currentRecord?.sessionId);
+                nextGameRecords[gameId] = { ...(nextGameRecords[gameId] || {}), [boardKey]: record };
+                changedBoards.set(`${gameId}|${boardKey}`, { gameId, board: boardKey });
+                hasMeaningfulChange = true;
+            }
+            sessionOutcomes.push({
+                sessionId,
+                gameId,
+                accepted: true,
+                score,
+                ...(review.verdict === 'flag' ? { flagged: true, violations: violationCodes } : {})
+            });
         });
 
         if (existing.nickname !== safeNickname || existing.avatar !== safeAvatar) {
@@ -686,12 +1879,21 @@ class LeaderboardStore {
             hasMeaningfulChange = true;
         }
 
+        // Placements before this sync, so the deltas can tell who was passed.
+        const previousPlacements = hasMeaningfulChange
+            ? this.capturePlacements(uid, {
+                overall: overallScore !== existing.overallScore,
+                boards: Array.from(changedBoards.values())
+            })
+            : [];
+
         this.state.players[uid] = {
             uid,
             nickname: safeNickname,
             avatar: safeAvatar,
             updatedAt: Date.now(),
             gameScores: nextGameScores,
+            gameRecords: nextGameRecords,
             overallScore,
             progress: nextProgress
         };
@@ -700,8 +1902,10 @@ class LeaderboardStore {
             this.state.revision += 1;
             this.state.updatedAt = Date.now();
             this.invalidateRankingCache();
+            this.schedulePersist({ playerId: uid });
+            this.notifySubscribers({ deltas: this.buildRankDeltas(uid, previousPlacements) });
+        } else if (hasConsumedSession) {
             this.schedulePersist();
-            this.notifySubscribers();
         }
 
         return {
@@ -709,11 +1913,347 @@ class LeaderboardStore {
             overallScore,
             progress: nextProgress,
             hasMeaningfulChange,
+            sessions: sessionOutcomes,
             season: this.state.season,
             revision: this.state.revision
         };
     }
 
+    dropReplay(replayId) {
+        if (!replayId || !this.state.replays[replayId]) return;
+        delete this.state.replays[replayId];
+        this.pendingChanges.replays.add(replayId);
+    }
+
+    /**
+     * Attach an input replay to the best record set by `sessionId`.
+     * Resolves `{ attached: false, reason }` when that session no longer holds a record
+     * worth keeping a replay for; malformed or mismatching replays are rejected.
+     */
+    attachReplay({ playerId, sessionId, replay }) {
+        const uid = this.requirePlayerId(playerId);
+        const safeSessionId = sanitizeId(sessionId);
+        const safeReplay = sanitizeReplay(replay);
+        if (!safeSessionId || !safeReplay) {
+            const error = new Error('invalid-replay');
+            error.statusCode = 400;
+            throw error;
+        }
+
+        const player = this.state.players[uid];
+        let target = null;
+        Object.entries(player?.gameRecords || {}).forEach(([gameId, boards]) => {
+            Object.entries(boards).forEach(([board, record]) => {
+                if (record.sessionId === safeSessionId) target = { gameId, board, record };
+            });
+        });
+        if (!target) return { attached: false, reason: 'record-not-found' };
+
+        if (safeReplay.gameId !== target.gameId || safeReplay.final.score !== toSafeScore(target.record.metrics.score)) {
+            const error = new Error('replay-result-mismatch');
+            error.statusCode = 400;
+            throw error;
+        }
+        if (this.state.replays[safeSessionId]) return { attached: true, replayId: safeSessionId };
+
+        const rank = this.buildGameCache(target.gameId, target.board).rankByPlayer.get(uid)?.rank || null;
+        if (!rank || rank > REPLAY_RANK_LIMIT) return { attached: false, reason: 'rank-too-low' };
+
+        // At capacity the oldest upload makes room.
+        const stored = Object.values(this.state.replays);
+        if (stored.length >= MAX_STORED_REPLAYS) {
+            stored.sort((a, b) => a.uploadedAt - b.uploadedAt)
+                .slice(0, stored.length - MAX_STORED_REPLAYS + 1)
+                .forEach((entry) => this.dropReplay(entry.sessionId));
+        }
+
+        this.state.replays[safeSessionId] = {
+            sessionId: safeSessionId,
+            playerId: uid,
+            gameId: target.gameId,
+            board: target.board,
+            uploadedAt: Date.now(),
+            replay: safeReplay
+        };
+        this.invalidateRankingCache();
+        this.schedulePersist({ replayId: safeSessionId });
+        return { attached: true, replayId: safeSessionId };
+    }
+
+    getReplay(replayId) {
+        const entry = this.state.replays[sanitizeId(replayId)];
+        if (!entry) {
+            const error = new Error('replay-not-found');
+            error.statusCode = 404;
+            throw error;
+        }
+
+        const player = this.state.players[entry.playerId];
+        return {
+            replayId: entry.sessionId,
+            playerId: entry.playerId,
+            nickname: player?.nickname || 'Player',
+            gameId: entry.gameId,
+            board: entry.board,
+            uploadedAt: entry.uploadedAt,
+            replay: entry.replay
+        };
+    }
+
+    /**
+     * Today's daily challenge, created on first use: one game from the daily pool and a fresh seed.
+     * Resolves null when no registry game is marked `daily`.
+     */
+    ensureDailyChallenge(nowMs = Date.now()) {
+        const dayWindow = computeDailyWindow(nowMs);
+        const existing = this.state.dailyChallenges[dayWindow.id];
+        if (existing) return existing;
+        if (dailyGameIds.length === 0) return null;
+
+        const seed = randomInt(0, 0x100000000);
+        const day = {
+            dayKey: dayWindow.id,
+            gameId: dailyGameIds[seed % dailyGameIds.length],
+            seed,
+            startAt: dayWindow.startAt,
+            endAt: dayWindow.endAt,
+            players: {}
+        };
+        this.state.dailyChallenges[day.dayKey] = day;
+        this.schedulePersist({ dayKey: day.dayKey });
+
+        Object.values(this.state.dailyChallenges)
+            .sort((a, b) => b.startAt - a.startAt)
+            .slice(MAX_DAILY_HISTORY)
+            .forEach((oldDay) => {
+                delete this.state.dailyChallenges[oldDay.dayKey];
+                this.dailyCacheMap.delete(oldDay.dayKey);
+                this.schedulePersist({ dayKey: oldDay.dayKey });
+            });
+        return day;
+    }
+
+    getDailyRanking(gameId) {
+        // Daily boards rank on the game's primary metric only; sub-boards would split a single seed.
+        return { ...getRankingDefinition(gameId), subBoards: null };
+    }
+
+    toDailySummary(day, { revealSeed = false } = {}) {
+        return {
+            dayKey: day.dayKey,
+            gameId: day.gameId,
+            startAt: day.startAt,
+            endAt: day.endAt,
+            ...(revealSeed ? { seed: day.seed } : {}),
+            rules: {
+                attempts: 1,
+                seeded: true,
+                ranking: this.getDailyRanking(day.gameId)
+            }
+        };
+    }
+
+    buildDailyCache(day) {
+        const cached = this.dailyCacheMap.get(day.dayKey);
+        if (cached) return cached;
+
+        const definition = this.getDailyRanking(day.gameId);
+        const entries = Object.entries(day.players)
+            .filter(([, entry]) => entry.record && isRankableRecord(definition, entry.record))
+            .sort(([uidA, a], [uidB, b]) => compareRankingRecords(
+                definition,
+                { ...a.record, uid: uidA },
+                { ...b.record, uid: uidB }
+            ))
+            .map(([uid, entry], index) => ({
+                rank: index + 1,
+                uid,
+                nickname: entry.nickname,
+                avatar: entry.avatar,
+                score: toSafeScore(entry.record.metrics.score),
+                value: getRankingValue(definition, entry.record)
+            }));
+
+        const next = {
+            entries,
+            rankByPlayer: new Map(entries.map((entry) => [entry.uid, entry]))
+        };
+        this.dailyCacheMap.set(day.dayKey, next);
+        return next;
+    }
+
+    // A streak counts consecutive days with a submitted result; it lapses once a whole day is skipped.
+    getDailyStreak(uid, nowMs = Date.now()) {
+        const streak = this.state.dailyStreaks[uid];
+        if (!streak) return { current: 0, best: 0, lastDayKey: null };
+
+        const today = computeDailyWindow(nowMs);
+        const yesterday = computeDailyWindow(today.startAt - 1);
+        const alive = streak.lastDayKey === today.id || streak.lastDayKey === yesterday.id;
+        return {
+            current: alive ? streak.current : 0,
+            best: streak.best,
+            lastDayKey: streak.lastDayKey
+        };
+    }
+
+    getDailyChallenge({ playerId, dayKey, topLimit } = {}) {
+        const safePlayerId = sanitizeId(playerId);
+        const today = this.ensureDailyChallenge();
+        const day = dayKey ? this.state.dailyChallenges[sanitizeId(dayKey)] : today;
+        if (dayKey && !day) {
+            const error = new Error('daily-not-found');
+            error.statusCode = 404;
+            throw error;
+        }
+        if (!day) {
+            return { daily: null, top: [], my: null, attempt: null, streak: null, history: [] };
+        }
+
+        const ranking = this.buildDailyCache(day);
+        const entry = safePlayerId ? day.players[safePlayerId] : null;
+        let status = 'none';
+        if (entry) status = entry.record ? 'completed' : 'started';
+
+        return {
+            // The seed stays secret until the day is over so nobody can rehearse the layout.
+            daily: {
+                ...this.toDailySummary(day, { revealSeed: day.endAt <= Date.now() }),
+                totalPlayers: ranking.entries.length
+            },
+            top: ranking.entries.slice(0, clampTopLimit(topLimit)),
+            my: safePlayerId ? (ranking.rankByPlayer.get(safePlayerId) || null) : null,
+            attempt: {
+                status,
+                startedAt: entry?.startedAt || null,
+                score: entry?.record ? toSafeScore(entry.record.metrics.score) : null
+            },
+            streak: safePlayerId ? this.getDailyStreak(safePlayerId) : null,
+            history: Object.values(this.state.dailyChallenges)
+                .sort((a, b) => b.startAt - a.startAt)
+                .map((entryDay) => ({ dayKey: entryDay.dayKey, gameId: entryDay.gameId }))
+        };
+    }
+
+    /**
+     * Spend the player's one ranked attempt at today's challenge.
+     * `issueTicket(day)` signs the session ticket the attempt's result has to come back with.
+     */
+    startDailyAttempt({ playerId, issueTicket }) {
+        const uid = this.requirePlayerId(playerId);
+        const day = this.ensureDailyChallenge();
+        if (!day) {
+            const error = new Error('daily-unavailable');
+            error.statusCode = 503;
+            throw error;
+        }
+        if (day.players[uid]) {
+            const error = new Error('daily-attempt-used');
+            error.statusCode = 409;
+            throw error;
+        }
+
+        const ticket = issueTicket(day);
+        day.players[uid] = {
+            sessionId: ticket.sessionId,
+            startedAt: Date.now(),
+            nickname: this.state.players[uid]?.nickname || 'Player',
+            avatar: this.state.players[uid]?.avatar || 'default',
+            record: null
+        };
+        this.schedulePersist({ dailyPlayer: { dayKey: day.dayKey, uid } });
+        return {
+            daily: this.toDailySummary(day, { revealSeed: true }),
+            ...ticket
+        };
+    }
+
+    recordDailyResult(uid, session, { nickname, avatar }) {
+        const gameId = sanitizeId(session.gameId);
+        const sessionId = sanitizeId(session.sessionId);
+        const day = this.state.dailyChallenges[sanitizeId(session.dailyKey)];
+        const entry = day?.players[uid];
+        if (!day || day.gameId !== gameId || entry?.sessionId !== sessionId || entry.record) {
+            return { sessionId, gameId, accepted: false, reason: 'daily-attempt-mismatch' };
+        }
+
+        entry.record = extractRankingRecord(session.result, Date.now());
+        entry.nickname = nickname;
+        entry.avatar = avatar;
+
+        const previousDayKey = computeDailyWindow(day.startAt - 1).id;
+        const streak = this.state.dailyStreaks[uid];
+        if (streak?.lastDayKey !== day.dayKey) {
+            const current = streak?.lastDayKey === previousDayKey ? streak.current + 1 : 1;
+            this.state.dailyStreaks[uid] = {
+                current,
+                best: Math.max(current, streak?.best || 0),
+                lastDayKey: day.dayKey
+            };
+        }
+
+        this.dailyCacheMap.delete(day.dayKey);
+        this.schedulePersist({ dailyPlayer: { dayKey: day.dayKey, uid } });
+        return {
+            sessionId,
+            gameId,
+            accepted: true,
+            score: toSafeScore(entry.record.metrics.score),
+            daily: {
+                dayKey: day.dayKey,
+                rank: this.buildDailyCache(day).rankByPlayer.get(uid)?.rank || null,
+                streak: this.state.dailyStreaks[uid].current
+            }
+        };
+    }
+
+    capturePlacements(uid, { overall = false, boards = [] } = {}) {
+        const placements = boards.map(({ gameId, board }) => ({
+            scope: 'game',
+            gameId,
+            board,
+            previousRank: this.buildGameCache(gameId, board).rankByPlayer.get(uid)?.rank || null
+        }));
+        if (overall) {
+            placements.unshift({
+                scope: 'overall',
+                previousRank: this.buildOverallCache().rankByPlayer.get(uid)?.rank || null
+            });
+        }
+        return placements;
+    }
+
+    /**
+     * Typed realtime deltas for one player's placement changes (ranks only ever improve within a season).
+     * Per board: `overtake` (players ranked fromRank..toRank were passed; toRank null = everyone below),
+     * `top-entry` when the player reaches the top DELTA_TOP_LIMIT, then `rank` with the new entry.
+     */
+    buildRankDeltas(uid, placements = []) {
+        const deltas = [];
+        placements.forEach(({ scope, gameId, board, previousRank }) => {
+            const ranking = scope === 'overall' ? this.buildOverallCache() : this.buildGameCache(gameId, board);
+            const entry = ranking.rankByPlayer.get(uid);
+            if (!entry) return;
+
+            const target = scope === 'overall' ? { scope } : { scope, gameId, board };
+            const passedCount = previousRank ? previousRank - entry.rank : ranking.entries.length - entry.rank;
+            if (passedCount > 0) {
+                deltas.push({
+                    type: 'overtake',
+                    ...target,
+                    by: entry,
+                    fromRank: entry.rank,
+                    toRank: previousRank ? previousRank - 1 : null
+                });
+            }
+            if (entry.rank <= DELTA_TOP_LIMIT && (!previousRank || previousRank > DELTA_TOP_LIMIT)) {
+                deltas.push({ type: 'top-entry', ...target, entry, topLimit: DELTA_TOP_LIMIT });
+            }
+            deltas.push({ type: 'rank', ...target, entry, previousRank });
+        });
+        return deltas;
+    }
+
     compareEntry(a, b) {
         if (b.score !== a.score) return b.score - a.score;
         if (a.updatedAt !== b.updatedAt) return a.updatedAt - b.updatedAt;
@@ -752,13 +2292,25 @@ class LeaderboardStore {
         return this.overallCache;
     }
 
-    buildGameCache(gameId) {
+    collectRankedGameIds() {
+        const gameIds = new Set();
+        Object.values(this.state.players).forEach((player) => {
+            Object.keys(player.gameRecords || {}).forEach((gameId) => gameIds.add(gameId));
+        });
+        return gameIds;
+    }
+
+    // One cache per game board, ordered by the game's ranking definition.
+    buildGameCache(gameId, boardKey = null) {
         const normalizedGameId = sanitizeId(gameId);
         if (!normalizedGameId) {
             return { revision: this.state.revision, entries: [], rankByPlayer: new Map() };
         }
 
-        const cached = this.gameCacheMap.get(normalizedGameId);
+        const definition = getRankingDefinition(normalizedGameId);
+        const safeBoardKey = boardKey || getDefaultBoardKey(definition);
+        const cacheKey = `${normalizedGameId}|${safeBoardKey}`;
+        const cached = this.gameCacheMap.get(cacheKey);
         if (cached && cached.revision === this.state.revision) {
             return cached;
         }
@@ -768,17 +2320,22 @@ class LeaderboardStore {
                 uid: player.uid,
                 nickname: player.nickname,
                 avatar: player.avatar,
-                score: toSafeScore(player?.gameScores?.[normalizedGameId]),
-                updatedAt: toSafeTimestamp(player.updatedAt)
+                record: player?.gameRecords?.[normalizedGameId]?.[safeBoardKey] || null
             }))
-            .filter((entry) => entry.score > 0)
-            .sort((a, b) => this.compareEntry(a, b))
+            .filter((entry) => entry.record && isRankableRecord(definition, entry.record))
+            .sort((a, b) => compareRankingRecords(
+                definition,
+                { ...a.record, uid: a.uid },
+                { ...b.record, uid: b.uid }
+            ))
             .map((entry, index) => ({
                 rank: index + 1,
                 uid: entry.uid,
                 nickname: entry.nickname,
                 avatar: entry.avatar,
-                score: entry.score
+                score: toSafeScore(entry.record.metrics.score),
+                value: getRankingValue(definition, entry.record),
+                ...(this.state.replays[entry.record.sessionId] ? { replayId: entry.record.sessionId } : {})
             }));
 
         const rankByPlayer = new Map(entries.map((entry) => [entry.uid, entry]));
@@ -787,34 +2344,91 @@ class LeaderboardStore {
             entries,
             rankByPlayer
         };
-        this.gameCacheMap.set(normalizedGameId, next);
+        this.gameCacheMap.set(cacheKey, next);
         return next;
     }
 
-    getSnapshot({ gameIds, playerId, topLimit }) {
+    buildRarityCache(gameId) {
+        const cached = this.rarityCacheMap.get(gameId);
+        if (cached) return cached;
+
+        const renames = achievementRenames.get(gameId) || {};
+        const counts = new Map();
+        let players = 0;
+        Object.values(this.state.players).forEach((player) => {
+            const unlocked = player.progress?.achievements?.[gameId] || [];
+            if (toSafeScore(player.progress?.games?.[gameId]?.playCount) <= 0 && unlocked.length === 0) return;
+            players += 1;
+            new Set(unlocked.map((achievementId) => renames[achievementId] || achievementId)).forEach((achievementId) => {
+                counts.set(achievementId, (counts.get(achievementId) || 0) + 1);
+            });
+        });
+
+        const rarity = {
+            players,
+            achievements: Object.fromEntries(Array.from(counts.entries())
+                .sort(([a], [b]) => a.localeCompare(b, 'en'))
+                .map(([achievementId, count]) => [achievementId, Math.round((count / players) * 1000) / 10]))
+        };
+        this.rarityCacheMap.set(gameId, rarity);
+        return rarity;
+    }
+
+    /**
+     * Share of players (percent, one decimal) holding each achievement. A game's players are
+     * those whose progress has a play or an unlock for it; achievements nobody holds are omitted.
+     */
+    getAchievementRarity({ gameIds } = {}) {
+        const targets = Array.from(new Set((gameIds || []).map((gameId) => sanitizeId(gameId)).filter(Boolean)))
+            .slice(0, MAX_PROGRESS_GAMES);
+        return {
+            revision: this.state.revision,
+            games: Object.fromEntries(targets.map((gameId) => [gameId, this.buildRarityCache(gameId)]))
+        };
+    }
+
+    getSnapshot({ gameIds, playerId, topLimit, groupId }) {
         this.ensureActiveSeason();
 
         const limit = clampTopLimit(topLimit);
         const safePlayerId = sanitizeId(playerId);
-        const overall = this.buildOverallCache();
+        const group = groupId ? this.getMemberGroup(safePlayerId, groupId) : null;
+        const members = group ? new Set(group.members) : null;
+        const scoped = (ranking) => (members ? filterRankingToMembers(ranking, members) : ranking);
+
+        const overall = scoped(this.buildOverallCache());
         const myOverall = safePlayerId ? (overall.rankByPlayer.get(safePlayerId) || null) : null;
 
         const normalizedGameIds = Array.from(new Set((gameIds || []).map((id) => sanitizeId(id)).filter(Boolean)));
         const games = {};
 
         normalizedGameIds.forEach((gameId) => {
-            const ranking = this.buildGameCache(gameId);
+            const definition = getRankingDefinition(gameId);
+            const boards = {};
+            listBoardKeys(definition).forEach((boardKey) => {
+                const ranking = scoped(this.buildGameCache(gameId, boardKey));
+                boards[boardKey] = {
+                    top: ranking.entries.slice(0, limit),
+                    my: safePlayerId ? (ranking.rankByPlayer.get(safePlayerId) || null) : null
+                };
+            });
+
+            const board = getDefaultBoardKey(definition);
             games[gameId] = {
-                top: ranking.entries.slice(0, limit),
-                my: safePlayerId ? (ranking.rankByPlayer.get(safePlayerId) || null) : null
+                ranking: definition,
+                board,
+                ...boards[board],
+                ...(definition.subBoards ? { boards } : {})
             };
         });
 
         return {
             enabled: true,
             season: this.state.season,
+            seasonSchedule,
             revision: this.state.revision,
             generatedAt: Date.now(),
+            ...(group ? { group: toGroupSummary(group, safePlayerId) } : {}),
             overallTop: overall.entries.slice(0, limit),
             myOverall,
             games
@@ -822,12 +2436,39 @@ class LeaderboardStore {
     }
 }
 
-const store = new LeaderboardStore(DATA_FILE);
+seasonSchedule = await loadSeasonSchedule();
+const gameRegistryEntries = await loadGameRegistryEntries();
+rankingDefinitions = buildRankingDefinitions(gameRegistryEntries);
+dailyGameIds = buildDailyGamePool(gameRegistryEntries);
+achievementRenames = await loadAchievementRenames(gameRegistryEntries);
+
+const store = new LeaderboardStore(
+    createStoreAdapter(process.env.LEADERBOARD_STORE_BACKEND || 'journal', { dataDir: DATA_DIR })
+);
 await store.load();
 
+const sessionTickets = new SessionTicketService({
+    secret: process.env.LEADERBOARD_SESSION_SECRET,
+    ttlMs: process.env.LEADERBOARD_SESSION_TTL_MS
+});
+const firebaseTokens = new FirebaseTokenVerifier({
+    projectId: process.env.LEADERBOARD_FIREBASE_PROJECT_ID
+});
+
 const sseClients = new Set();
-const unsubscribeStore = store.subscribe((payload) => {
-    const frame = `event: update\ndata: ${JSON.stringify(payload)}\n\n`;
+// Event ids are `<epoch>-<seq>`; the epoch changes per process so ids from a previous run never resume.
+const sseEpoch = Date.now().toString(36);
+const sseReplayBuffer = [];
+let sseEventSeq = 0;
+
+function broadcastSseEvent(type, data) {
+    sseEventSeq += 1;
+    const frame = `id: ${sseEpoch}-${sseEventSeq}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+    sseReplayBuffer.push({ seq: sseEventSeq, frame });
+    if (sseReplayBuffer.length > SSE_REPLAY_LIMIT) {
+        sseReplayBuffer.shift();
+    }
+
     sseClients.forEach((client) => {
         try {
             client.write(frame);
@@ -835,8 +2476,39 @@ const unsubscribeStore = store.subscribe((payload) => {
             // closed socket; will be cleaned up by close event
         }
     });
+}
+
+// Frames after `lastEventId`, or null when that id cannot be resumed (other process, or too old).
+function getSseReplayFrames(lastEventId) {
+    const match = /^([a-z0-9]+)-(\d+)$/.exec(String(lastEventId || '').trim());
+    if (!match || match[1] !== sseEpoch) return null;
+
+    const lastSeq = Number(match[2]);
+    if (lastSeq > sseEventSeq) return null;
+    const oldestSeq = sseReplayBuffer[0]?.seq ?? sseEventSeq + 1;
+    if (lastSeq < oldestSeq - 1) return null;
+    return sseReplayBuffer.filter((entry) => entry.seq > lastSeq).map((entry) => entry.frame);
+}
+
+const unsubscribeStore = store.subscribe(({ deltas, seasonChanged, ...payload }) => {
+    if (seasonChanged) {
+        broadcastSseEvent('season', payload);
+        return;
+    }
+    if (deltas.length === 0) {
+        // Changes without a placement delta (e.g. a nickname) still need a refetch.
+        broadcastSseEvent('update', payload);
+        return;
+    }
+    deltas.forEach((delta) => {
+        broadcastSseEvent(delta.type, { revision: payload.revision, ...delta });
+    });
 });
 
+const consumedSessionPruneTimer = setInterval(() => {
+    store.pruneConsumedSessions();
+}, CONSUMED_SESSION_PRUNE_MS);
+
 const heartbeatTimer = setInterval(() => {
     const line = `: ping ${Date.now()}\n\n`;
     sseClients.forEach((client) => {
@@ -851,7 +2523,76 @@ const heartbeatTimer = setInterval(() => {
 function setCorsHeaders(res) {
     res.setHeader('Access-Control-Allow-Origin', '*');
     res.setHeader('Access-Control-Allow-Methods', 'GET,POST,OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type,Accept');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type,Accept,Authorization,Idempotency-Key');
+}
+
+function assertAdminRequest(req) {
+    const adminToken = typeof process.env.LEADERBOARD_ADMIN_TOKEN === 'string'
+        ? process.env.LEADERBOARD_ADMIN_TOKEN.trim()
+        : '';
+    if (!adminToken) {
+        const error = new Error('admin-disabled');
+        error.statusCode = 403;
+        throw error;
+    }
+
+    const header = String(req.headers.authorization || '');
+    const provided = Buffer.from(header.startsWith('Bearer ') ? header.slice(7).trim() : '');
+    const expected = Buffer.from(adminToken);
+    if (provided.length !== expected.length || !timingSafeEqual(provided, expected)) {
+        const error = new Error('admin-unauthorized');
+        error.statusCode = 401;
+        throw error;
+    }
+}
+
+/**
+ * Writes for `playerId` (session tickets, syncs, groups, replays) are only accepted from its owner:
+ * a signed-in player with a Firebase ID token for that uid (when LEADERBOARD_FIREBASE_PROJECT_ID
+ * is set), otherwise the holder of the player key the id was first claimed with
+ * (`Authorization: Bearer <key>`).
+ */
+async function assertPlayerIdentity(req, playerId, idToken) {
+    if (idToken && firebaseTokens.enabled) {
+        const uid = await firebaseTokens.verify(idToken).catch((error) => {
+            console.warn('[leaderboard] firebase token check failed:', error);
+            return null;
+        });
+        if (uid === playerId) return;
+    }
+
+    const key = readBearerToken(req);
+    if (!isValidPlayerKey(key)) {
+        const error = new Error('player-key-required');
+        error.statusCode = 401;
+        throw error;
+    }
+
+    const claim = store.claimPlayerKey(playerId, key);
+    if (claim === 'mismatch') {
+        const error = new Error('player-key-mismatch');
+        error.statusCode = 403;
+        throw error;
+    }
+    if (claim === 'full') {
+        const error = new Error('player-capacity');
+        error.statusCode = 503;
+        throw error;
+    }
+}
+
+/**
+ * The payload's `playerId`, once its caller proved to own it
+ */
+async function readOwnedPlayerId(req, payload) {
+    const playerId = sanitizeId(payload?.playerId);
+    if (!playerId) {
+        const error = new Error('player-id-required');
+        error.statusCode = 400;
+        throw error;
+    }
+    await assertPlayerIdentity(req, playerId, payload?.idToken);
+    return playerId;
 }
 
 function sendJson(res, statusCode, payload) {
@@ -863,13 +2604,13 @@ function sendJson(res, statusCode, payload) {
     res.end(body);
 }
 
-async function readJsonBody(req) {
+async function readJsonBody(req, maxSize = MAX_BODY_SIZE) {
     const chunks = [];
     let received = 0;
 
     for await (const chunk of req) {
         received += chunk.length;
-        if (received > MAX_BODY_SIZE) {
+        if (received > maxSize) {
             const error = new Error('request-body-too-large');
             error.statusCode = 413;
             throw error;
@@ -889,6 +2630,56 @@ async function readJsonBody(req) {
     }
 }
 
+function verifySessionSubmissions(rawSessions) {
+    const verified = [];
+    const rejected = [];
+    if (!Array.isArray(rawSessions)) return { verified, rejected };
+
+    rawSessions.slice(0, MAX_SESSIONS_PER_SYNC).forEach((submission) => {
+        const verification = sessionTickets.verify(submission?.ticket);
+        if (!verification.ok) {
+            rejected.push({
+                sessionId: sanitizeId(verification.sessionId) || null,
+                gameId: sanitizeId(verification.gameId) || null,
+                accepted: false,
+                reason: verification.reason
+            });
+            return;
+        }
+
+        verified.push({
+            ...verification.session,
+            result: sanitizeSessionResult(submission?.result)
+        });
+    });
+
+    return { verified, rejected };
+}
+
+// Per process: a retry that lands on another instance is still safe, because session tickets are
+// single-use and scores/progress merge by keeping the best values.
+const idempotentReplies = new Map();
+
+function readIdempotentReply(key, nowMs = Date.now()) {
+    const cached = key ? idempotentReplies.get(key) : null;
+    if (!cached) return null;
+    if (cached.expiresAt <= nowMs) {
+        idempotentReplies.delete(key);
+        return null;
+    }
+    return cached.payload;
+}
+
+function rememberIdempotentReply(key, payload, nowMs = Date.now()) {
+    if (!key) return;
+    idempotentReplies.set(key, { payload, expiresAt: nowMs + IDEMPOTENCY_TTL_MS });
+    // Map keeps insertion order, so the first keys are the oldest
+    for (const [cachedKey, cached] of idempotentReplies) {
+        if (idempotentReplies.size <= MAX_IDEMPOTENCY_ENTRIES && cached.expiresAt > nowMs) break;
+        idempotentReplies.delete(cachedKey);
+    }
+}
+
 function parseGameIds(raw) {
     if (Array.isArray(raw)) return raw.map((value) => String(value || '').trim()).filter(Boolean);
     if (typeof raw !== 'string') return [];
@@ -909,7 +2700,9 @@ async function handleApiRequest(req, res, url) {
             ok: true,
             revision: store.state.revision,
             season: store.state.season,
-            updatedAt: store.state.updatedAt
+            seasonSchedule,
+            updatedAt: store.state.updatedAt,
+            storage: store.adapter.describe()
         });
         return;
     }
@@ -920,11 +2713,15 @@ async function handleApiRequest(req, res, url) {
             'Cache-Control': 'no-cache, no-transform',
             Connection: 'keep-alive'
         });
+        const lastEventId = req.headers['last-event-id'] || url.searchParams.get('lastEventId');
+        const replayFrames = lastEventId ? getSseReplayFrames(lastEventId) : null;
         res.write(`event: ready\ndata: ${JSON.stringify({
             revision: store.state.revision,
             season: store.state.season,
-            updatedAt: Date.now()
+            updatedAt: Date.now(),
+            resumed: Boolean(replayFrames)
         })}\n\n`);
+        (replayFrames || []).forEach((frame) => res.write(frame));
 
         sseClients.add(res);
         req.on('close', () => {
@@ -933,27 +2730,69 @@ async function handleApiRequest(req, res, url) {
         return;
     }
 
+    if (req.method === 'POST' && url.pathname === '/api/leaderboard/session') {
+        const payload = await readJsonBody(req);
+        const playerId = sanitizeId(payload?.playerId);
+        const gameId = sanitizeId(payload?.gameId);
+        if (!playerId || !gameId) {
+            const error = new Error('invalid-session-request');
+            error.statusCode = 400;
+            throw error;
+        }
+        await assertPlayerIdentity(req, playerId, payload?.idToken);
+
+        sendJson(res, 200, {
+            ok: true,
+            ...sessionTickets.issue({ playerId, gameId })
+        });
+        return;
+    }
+
     if (req.method === 'POST' && url.pathname === '/api/leaderboard/sync') {
         const payload = await readJsonBody(req);
+        const playerId = await readOwnedPlayerId(req, payload);
+        const idempotencyKey = sanitizeId(req.headers['idempotency-key'])
+            ? `${playerId}:${sanitizeId(req.headers['idempotency-key'])}`
+            : '';
+        const replayed = readIdempotentReply(idempotencyKey);
+        if (replayed) {
+            res.setHeader('Idempotent-Replayed', 'true');
+            sendJson(res, 200, replayed);
+            return;
+        }
+
+        const sessionReview = verifySessionSubmissions(payload?.sessions);
+        if (!store.hasConsumedSessionCapacity(sessionReview.verified.length)) {
+            // Retryable: the client outbox keeps the sessions and sends them again later
+            res.setHeader('Retry-After', String(CONSUMED_SESSION_RETRY_AFTER_SECONDS));
+            const error = new Error('session-capacity');
+            error.statusCode = 503;
+            throw error;
+        }
         const result = store.syncPlayer({
-            playerId: payload?.playerId,
+            playerId,
             nickname: payload?.nickname,
             avatar: payload?.avatar,
             gameScores: payload?.gameScores,
-            progress: payload?.progress
+            progress: payload?.progress,
+            sessions: sessionReview.verified
         });
 
-        sendJson(res, 200, {
+        const reply = {
             ok: true,
             enabled: true,
             revision: result.revision,
             season: result.season,
+            seasonSchedule,
+            sessions: [...sessionReview.rejected, ...result.sessions],
             player: {
                 uid: result.playerId,
                 overallScore: result.overallScore,
                 progress: result.progress
             }
-        });
+        };
+        rememberIdempotentReply(idempotencyKey, reply);
+        sendJson(res, 200, reply);
         return;
     }
 
@@ -961,15 +2800,152 @@ async function handleApiRequest(req, res, url) {
         const snapshot = store.getSnapshot({
             gameIds: parseGameIds(url.searchParams.get('gameIds')),
             playerId: url.searchParams.get('playerId'),
-            topLimit: url.searchParams.get('topLimit')
+            topLimit: url.searchParams.get('topLimit'),
+            groupId: url.searchParams.get('groupId')
         });
         sendJson(res, 200, snapshot);
         return;
     }
 
+    if (req.method === 'GET' && url.pathname === '/api/leaderboard/achievements/rarity') {
+        sendJson(res, 200, {
+            ok: true,
+            ...store.getAchievementRarity({ gameIds: parseGameIds(url.searchParams.get('gameIds')) })
+        });
+        return;
+    }
+
+    if (req.method === 'GET' && url.pathname === '/api/leaderboard/groups') {
+        sendJson(res, 200, {
+            ok: true,
+            groups: store.listGroups({ playerId: url.searchParams.get('playerId') })
+        });
+        return;
+    }
+
+    if (req.method === 'POST' && url.pathname === '/api/leaderboard/groups') {
+        const payload = await readJsonBody(req);
+        const playerId = await readOwnedPlayerId(req, payload);
+        sendJson(res, 200, {
+            ok: true,
+            group: store.createGroup({ playerId, name: payload?.name })
+        });
+        return;
+    }
+
+    if (req.method === 'POST' && url.pathname === '/api/leaderboard/groups/join') {
+        const payload = await readJsonBody(req);
+        const playerId = await readOwnedPlayerId(req, payload);
+        sendJson(res, 200, {
+            ok: true,
+            group: store.joinGroup({ playerId, inviteCode: payload?.inviteCode })
+        });
+        return;
+    }
+
+    if (req.method === 'POST' && url.pathname === '/api/leaderboard/groups/leave') {
+        const payload = await readJsonBody(req);
+        const playerId = await readOwnedPlayerId(req, payload);
+        sendJson(res, 200, {
+            ok: true,
+            ...store.leaveGroup({ playerId, groupId: payload?.groupId })
+        });
+        return;
+    }
+
+    if (req.method === 'POST' && url.pathname === '/api/leaderboard/replays') {
+        const payload = await readJsonBody(req, MAX_REPLAY_BODY_SIZE);
+        const playerId = await readOwnedPlayerId(req, payload);
+        sendJson(res, 200, {
+            ok: true,
+            ...store.attachReplay({
+                playerId,
+                sessionId: payload?.sessionId,
+                replay: payload?.replay
+            })
+        });
+        return;
+    }
+
+    if (req.method === 'GET' && url.pathname.startsWith('/api/leaderboard/replays/')) {
+        const replayId = decodeURIComponent(url.pathname.slice('/api/leaderboard/replays/'.length));
+        sendJson(res, 200, {
+            ok: true,
+            ...store.getReplay(replayId)
+        });
+        return;
+    }
+
+    if (req.method === 'GET' && url.pathname === '/api/leaderboard/daily') {
+        sendJson(res, 200, {
+            ok: true,
+            ...store.getDailyChallenge({
+                playerId: url.searchParams.get('playerId'),
+                dayKey: url.searchParams.get('dayKey'),
+                topLimit: url.searchParams.get('topLimit')
+            })
+        });
+        return;
+    }
+
+    if (req.method === 'POST' && url.pathname === '/api/leaderboard/daily/attempt') {
+        const payload = await readJsonBody(req);
+        const playerId = sanitizeId(payload?.playerId);
+        if (playerId) {
+            await assertPlayerIdentity(req, playerId, payload?.idToken);
+        }
+        sendJson(res, 200, {
+            ok: true,
+            ...store.startDailyAttempt({
+                playerId,
+                issueTicket: (day) => sessionTickets.issue({ playerId, gameId: day.gameId, dailyKey: day.dayKey })
+            })
+        });
+        return;
+    }
+
+    if (req.method === 'GET' && url.pathname === '/api/leaderboard/seasons') {
+        sendJson(res, 200, store.listSeasons({
+            playerId: url.searchParams.get('playerId')
+        }));
+        return;
+    }
+
+    if (req.method === 'GET' && url.pathname.startsWith('/api/leaderboard/seasons/')) {
+        const seasonId = sanitizeString(
+            decodeURIComponent(url.pathname.slice('/api/leaderboard/seasons/'.length)),
+            '',
+            64
+        );
+        sendJson(res, 200, store.getSeasonSnapshot(seasonId, {
+            gameIds: parseGameIds(url.searchParams.get('gameIds')),
+            playerId: url.searchParams.get('playerId'),
+            topLimit: url.searchParams.get('topLimit')
+        }));
+        return;
+    }
+
+    if (req.method === 'GET' && url.pathname === '/api/admin/review-queue') {
+        assertAdminRequest(req);
+        const queue = store.getReviewQueue({
+            verdict: url.searchParams.get('verdict'),
+            gameId: url.searchParams.get('gameId'),
+            limit: url.searchParams.get('limit')
+        });
+        sendJson(res, 200, {
+            ok: true,
+            ...queue
+        });
+        return;
+    }
+
     sendJson(res, 404, { error: 'not-found' });
 }
 
+/**
+ * Map a request path to a file under the project root and pick its cache policy
+ * @returns {{filePath: string, cacheControl: string}|null} Null for paths outside the root
+ */
 function resolveStaticFile(urlPathname) {
     const decodedPath = decodeURIComponent(urlPathname || '/');
     const requested = decodedPath === '/' ? '/index.html' : decodedPath;
@@ -979,17 +2955,23 @@ function resolveStaticFile(urlPathname) {
         return null;
     }
 
-    return absolutePath;
+    // vendor/<library>@<version>/ never changes content (scripts/vendor-libs.mjs pins and hashes it)
+    const isVendored = absolutePath.startsWith(`${VENDOR_ROOT}${path.sep}`);
+    let cacheControl = isVendored ? VENDOR_CACHE_CONTROL : STATIC_CACHE_CONTROL;
+    if (SERVICE_WORKER_FILES.has(absolutePath)) {
+        cacheControl = 'no-cache';
+    }
+    return { filePath: absolutePath, cacheControl };
 }
 
 async function handleStaticRequest(_req, res, url) {
-    const filePath = resolveStaticFile(url.pathname);
-    if (!filePath) {
+    const staticFile = resolveStaticFile(url.pathname);
+    if (!staticFile) {
         sendJson(res, 403, { error: 'forbidden' });
         return;
     }
 
-    let finalFilePath = filePath;
+    let finalFilePath = staticFile.filePath;
     try {
         const fileStat = await stat(finalFilePath);
         if (fileStat.isDirectory()) {
@@ -1009,9 +2991,7 @@ async function handleStaticRequest(_req, res, url) {
 
     const ext = path.extname(finalFilePath).toLowerCase();
     const contentType = MIME_MAP[ext] || 'application/octet-stream';
-    const cacheControl = ext === '.html'
-        ? 'no-cache'
-        : 'public, max-age=31536000, immutable';
+    const cacheControl = ext === '.html' ? 'no-cache' : staticFile.cacheControl;
 
     res.writeHead(200, {
         'Content-Type': contentType,
@@ -1039,11 +3019,12 @@ const server = createServer(async (req, res) => {
 
 server.listen(PORT, HOST, () => {
     console.log(`[server] running on http://${HOST}:${PORT}`);
-    console.log(`[server] leaderboard season ${store.state.season.id}, revision ${store.state.revision}`);
+    console.log(`[server] leaderboard season ${store.state.season.id}, revision ${store.state.revision}, storage ${store.adapter.describe()}`);
 });
 
 function gracefulShutdown() {
     clearInterval(heartbeatTimer);
+    clearInterval(consumedSessionPruneTimer);
     unsubscribeStore();
     sseClients.forEach((client) => {
         try {
@@ -1058,7 +3039,7 @@ function gracefulShutdown() {
         store.persistTimer = null;
     }
 
-    store.persistNow()
+    store.persistNow({ full: true })
         .catch((error) => {
             console.warn('[server] failed final persist:', error);
         })
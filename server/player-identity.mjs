@@ -0,0 +1,118 @@
+import { createHash, createPublicKey, timingSafeEqual, verify } from 'node:crypto';
+
+const FIREBASE_JWKS_URL = 'https://www.googleapis.com/service_accounts/v1/jwk/securetoken@system.gserviceaccount.com';
+const DEFAULT_JWKS_MAX_AGE_MS = 60 * 60 * 1000;
+// An unknown `kid` refetches the keys early (Google rotated them), at most this often
+const JWKS_REFETCH_INTERVAL_MS = 60 * 1000;
+// Firebase allows a few minutes of clock skew between its servers and ours
+const CLOCK_SKEW_SECONDS = 300;
+const PLAYER_KEY_PATTERN = /^[A-Za-z0-9_-]{32,128}$/;
+
+function decodeSegment(segment) {
+    try {
+        return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+    } catch (_error) {
+        return null;
+    }
+}
+
+/**
+ * Bearer token of a request, or an empty string
+ */
+export function readBearerToken(req) {
+    const header = String(req.headers.authorization || '');
+    return header.startsWith('Bearer ') ? header.slice(7).trim() : '';
+}
+
+export function isValidPlayerKey(key) {
+    return typeof key === 'string' && PLAYER_KEY_PATTERN.test(key);
+}
+
+/**
+ * The store keeps only this hash, so a leaked store file does not hand out player keys
+ */
+export function hashPlayerKey(key) {
+    return createHash('sha256').update(key).digest('hex');
+}
+
+export function matchesPlayerKeyHash(key, expectedHash) {
+    const received = Buffer.from(hashPlayerKey(key));
+    const expected = Buffer.from(String(expectedHash || ''));
+    return received.length === expected.length && timingSafeEqual(received, expected);
+}
+
+/**
+ * Verifies Firebase Auth ID tokens (RS256 JWTs signed by Google) for one project.
+ * Disabled without a project id; callers then rely on player keys alone.
+ */
+export class FirebaseTokenVerifier {
+    constructor({ projectId, fetchImpl = globalThis.fetch } = {}) {
+        this.projectId = typeof projectId === 'string' ? projectId.trim() : '';
+        this.fetchImpl = fetchImpl;
+        this.keys = new Map();
+        this.keysExpireAt = 0;
+        this.keysFetchedAt = 0;
+        this.keysRequest = null;
+    }
+
+    get enabled() {
+        return Boolean(this.projectId);
+    }
+
+    async loadKeys(nowMs, { refresh = false } = {}) {
+        if (!refresh && this.keys.size > 0 && nowMs < this.keysExpireAt) return this.keys;
+        if (!this.keysRequest) {
+            this.keysFetchedAt = Date.now();
+            this.keysRequest = (async () => {
+                const response = await this.fetchImpl(FIREBASE_JWKS_URL);
+                if (!response.ok) throw new Error(`firebase-keys-unavailable:${response.status}`);
+                const { keys } = await response.json();
+                const maxAge = Number(/max-age=(\d+)/.exec(response.headers.get('cache-control') || '')?.[1]);
+                this.keys = new Map((Array.isArray(keys) ? keys : [])
+                    .filter((jwk) => jwk?.kid)
+                    .map((jwk) => [jwk.kid, createPublicKey({ key: jwk, format: 'jwk' })]));
+                this.keysExpireAt = Date.now() + (Number.isFinite(maxAge) ? maxAge * 1000 : DEFAULT_JWKS_MAX_AGE_MS);
+                return this.keys;
+            })().finally(() => {
+                this.keysRequest = null;
+            });
+        }
+        return this.keysRequest;
+    }
+
+    /**
+     * Resolve to the token's uid, or null when it is not a valid token of this project
+     */
+    async verify(idToken, nowMs = Date.now()) {
+        if (!this.enabled || typeof idToken !== 'string') return null;
+
+        const [encodedHeader, encodedPayload, signature, ...rest] = idToken.split('.');
+        if (!encodedHeader || !encodedPayload || !signature || rest.length > 0) return null;
+
+        const header = decodeSegment(encodedHeader);
+        const payload = decodeSegment(encodedPayload);
+        if (header?.alg !== 'RS256' || !header.kid || !payload) return null;
+
+        const nowSeconds = Math.floor(nowMs / 1000);
+        if (
+            payload.aud !== this.projectId
+            || payload.iss !== `https://securetoken.google.com/${this.projectId}`
+            || typeof payload.sub !== 'string' || !payload.sub
+            || !(Number(payload.exp) > nowSeconds - CLOCK_SKEW_SECONDS)
+            || !(Number(payload.iat) <= nowSeconds + CLOCK_SKEW_SECONDS)
+        ) {
+            return null;
+        }
+
+        let publicKey = (await this.loadKeys(nowMs)).get(header.kid);
+        if (!publicKey && Date.now() - this.keysFetchedAt >= JWKS_REFETCH_INTERVAL_MS) {
+            publicKey = (await this.loadKeys(nowMs, { refresh: true })).get(header.kid);
+        }
+        if (!publicKey) return null;
+
+        const signed = Buffer.from(`${encodedHeader}.${encodedPayload}`);
+        return verify('RSA-SHA256', signed, publicKey, Buffer.from(signature, 'base64url'))
+            ? payload.sub
+            : null;
+    }
+}
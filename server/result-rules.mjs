@@ -0,0 +1,184 @@
+import {
+    extractRankingRecord,
+    getBoardMinValue,
+    getRankingValue,
+    resolveBoardKey
+} from '../src/systems/RankingRules.js';
+
+// Plausibility bounds for submitted session results (result-bridge contract:
+// score, level, duration, clearTime, stageClears, maxCombo, comboCount, itemsCollected, itemCounts).
+// Rates are per second of reported play time. Exceeding a rate flags the session for review;
+// exceeding it by REJECT_RATE_MULTIPLIER (or breaking a hard ceiling) rejects it.
+const REJECT_RATE_MULTIPLIER = 3;
+const DURATION_SLACK_SECONDS = 30;
+// clearTime and duration are separate whole-second clocks in the game
+const CLEAR_TIME_SLACK_SECONDS = 2;
+
+const DEFAULT_RULES = {
+    maxScore: 50000000,
+    maxLevel: 999,
+    maxScorePerSecond: 2000,
+    maxComboPerSecond: 10,
+    maxItemsPerSecond: 10,
+    minSecondsPerStage: 3
+};
+
+const GAME_RULES = {
+    'neon-block': {
+        maxScore: 5000000,
+        maxLevel: 200,
+        maxScorePerSecond: 500,
+        minSecondsPerStage: 5
+    },
+    'neon-findmine': {
+        maxScore: 20000,
+        maxLevel: 3,
+        maxScorePerSecond: 400,
+        minSecondsPerStage: 2
+    },
+    'neon-slotmachine': {
+        maxScore: 100000000,
+        maxScorePerSecond: 200000
+    },
+    'neon-survivor': {
+        maxScore: 10000000,
+        maxScorePerSecond: 1000,
+        maxItemsPerSecond: 15
+    },
+    'neon-jumpin': {
+        maxScore: 5000000,
+        maxScorePerSecond: 500
+    },
+    'neon-fruitmerge': {
+        maxScore: 5000000,
+        maxScorePerSecond: 800,
+        maxComboPerSecond: 5
+    },
+    'neon-strike': {
+        maxScore: 10000000,
+        maxScorePerSecond: 1500,
+        maxComboPerSecond: 15
+    },
+    'neon-biztycoon': {
+        maxScore: 1000000000,
+        maxScorePerSecond: 1000000,
+        minSecondsPerStage: 1
+    },
+    'neon-evolution': {
+        maxScore: 10000000,
+        maxScorePerSecond: 1500
+    }
+};
+
+export function getGameRules(gameId) {
+    return {
+        ...DEFAULT_RULES,
+        ...(GAME_RULES[gameId] || {})
+    };
+}
+
+function checkRate(violations, code, amount, durationSeconds, limitPerSecond) {
+    if (!Number.isFinite(limitPerSecond) || limitPerSecond <= 0 || amount <= 0) return;
+
+    const limit = limitPerSecond * Math.max(1, durationSeconds);
+    if (amount <= limit) return;
+
+    violations.push({
+        code,
+        severity: amount > limit * REJECT_RATE_MULTIPLIER ? 'reject' : 'flag',
+        value: amount,
+        limit: Math.floor(limit)
+    });
+}
+
+/**
+ * Evaluate a sanitized session result against the per-game bounds.
+ * `issuedAt`/`nowMs` come from the verified session ticket and cap the reported duration and clear time;
+ * `ranking` is the game's ranking definition, whose board floors (`minValue`/`minValues`) reject
+ * impossible ranked values.
+ */
+export function evaluateSessionResult(gameId, result, { issuedAt = 0, nowMs = Date.now(), ranking = null } = {}) {
+    const rules = getGameRules(gameId);
+    const violations = [];
+    const duration = Math.max(0, Number(result?.duration) || 0);
+    const score = Math.max(0, Number(result?.score) || 0);
+
+    if (score > rules.maxScore) {
+        violations.push({ code: 'score-above-max', severity: 'reject', value: score, limit: rules.maxScore });
+    }
+
+    if (result.level > rules.maxLevel) {
+        violations.push({ code: 'level-above-max', severity: 'reject', value: result.level, limit: rules.maxLevel });
+    }
+
+    const sessionLimit = issuedAt > 0
+        ? Math.ceil(Math.max(0, nowMs - issuedAt) / 1000) + DURATION_SLACK_SECONDS
+        : null;
+    if (sessionLimit !== null && duration > sessionLimit) {
+        violations.push({ code: 'duration-exceeds-session', severity: 'reject', value: duration, limit: sessionLimit });
+    }
+
+    const clearTime = result.clearTime;
+    if (clearTime !== null && clearTime !== undefined) {
+        if (duration > 0 && clearTime > duration + CLEAR_TIME_SLACK_SECONDS) {
+            violations.push({
+                code: 'clear-time-exceeds-duration',
+                severity: 'reject',
+                value: clearTime,
+                limit: duration + CLEAR_TIME_SLACK_SECONDS
+            });
+        }
+        if (sessionLimit !== null && clearTime > sessionLimit) {
+            violations.push({ code: 'clear-time-exceeds-session', severity: 'reject', value: clearTime, limit: sessionLimit });
+        }
+    }
+
+    if (ranking) {
+        const record = extractRankingRecord(result);
+        const value = getRankingValue(ranking, record);
+        const minValue = getBoardMinValue(ranking, resolveBoardKey(ranking, record));
+        // 0 means "not reported" and never ranks, so only reported values are held to the floor
+        if (minValue !== null && value !== null && value > 0 && value < minValue) {
+            violations.push({ code: 'ranking-value-below-min', severity: 'reject', value, limit: minValue });
+        }
+    }
+
+    checkRate(violations, 'score-rate', score, duration, rules.maxScorePerSecond);
+    checkRate(violations, 'combo-rate', result.maxCombo, duration, rules.maxComboPerSecond);
+    checkRate(violations, 'item-rate', result.itemsCollected, duration, rules.maxItemsPerSecond);
+    checkRate(
+        violations,
+        'stage-pace',
+        result.stageClears * rules.minSecondsPerStage,
+        duration,
+        1
+    );
+
+    if (result.comboCount > 0 && result.maxCombo > result.comboCount) {
+        violations.push({
+            code: 'combo-inconsistent',
+            severity: 'flag',
+            value: result.maxCombo,
+            limit: result.comboCount
+        });
+    }
+
+    const itemCountSum = Object.values(result.itemCounts || {}).reduce((sum, count) => sum + count, 0);
+    if (itemCountSum > result.itemsCollected) {
+        violations.push({
+            code: 'items-inconsistent',
+            severity: 'flag',
+            value: itemCountSum,
+            limit: result.itemsCollected
+        });
+    }
+
+    let verdict = 'accept';
+    if (violations.some((violation) => violation.severity === 'reject')) {
+        verdict = 'reject';
+    } else if (violations.length > 0) {
+        verdict = 'flag';
+    }
+
+    return { verdict, violations };
+}
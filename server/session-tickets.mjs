@@ -0,0 +1,104 @@
+import { createHmac, randomBytes, timingSafeEqual } from 'node:crypto';
+
+const TICKET_VERSION = 1;
+const DEFAULT_TICKET_TTL_MS = 2 * 60 * 60 * 1000;
+const MAX_TICKET_LENGTH = 1024;
+
+function encodeSegment(value) {
+    return Buffer.from(JSON.stringify(value), 'utf8').toString('base64url');
+}
+
+function decodeSegment(segment) {
+    try {
+        return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+    } catch (_error) {
+        return null;
+    }
+}
+
+function resolveSecret(rawSecret) {
+    const secret = typeof rawSecret === 'string' ? rawSecret.trim() : '';
+    if (secret) return secret;
+
+    console.warn('[leaderboard] LEADERBOARD_SESSION_SECRET is not set; using an ephemeral secret (tickets reset on restart)');
+    return randomBytes(32).toString('hex');
+}
+
+/**
+ * Issues and verifies HMAC-signed game session tickets.
+ * A ticket binds one launched game session to a player and game id until it expires.
+ * Daily challenge attempts additionally carry the day they were started for (`day`).
+ */
+export class SessionTicketService {
+    constructor({ secret, ttlMs } = {}) {
+        this.secret = resolveSecret(secret);
+        const parsedTtl = Number(ttlMs);
+        this.ttlMs = Number.isFinite(parsedTtl) && parsedTtl > 0
+            ? Math.floor(parsedTtl)
+            : DEFAULT_TICKET_TTL_MS;
+    }
+
+    sign(encodedPayload) {
+        return createHmac('sha256', this.secret).update(encodedPayload).digest('base64url');
+    }
+
+    issue({ playerId, gameId, dailyKey = null, nowMs = Date.now() }) {
+        const payload = {
+            v: TICKET_VERSION,
+            sid: randomBytes(12).toString('base64url'),
+            pid: playerId,
+            gid: gameId,
+            iat: nowMs,
+            exp: nowMs + this.ttlMs,
+            ...(dailyKey ? { day: dailyKey } : {})
+        };
+        const encoded = encodeSegment(payload);
+
+        return {
+            ticket: `${encoded}.${this.sign(encoded)}`,
+            sessionId: payload.sid,
+            gameId: payload.gid,
+            issuedAt: payload.iat,
+            expiresAt: payload.exp
+        };
+    }
+
+    verify(ticket, nowMs = Date.now()) {
+        if (typeof ticket !== 'string' || !ticket || ticket.length > MAX_TICKET_LENGTH) {
+            return { ok: false, reason: 'invalid-ticket' };
+        }
+
+        const [encoded, signature, ...rest] = ticket.split('.');
+        if (!encoded || !signature || rest.length > 0) {
+            return { ok: false, reason: 'invalid-ticket' };
+        }
+
+        const expected = Buffer.from(this.sign(encoded));
+        const received = Buffer.from(signature);
+        if (expected.length !== received.length || !timingSafeEqual(expected, received)) {
+            return { ok: false, reason: 'ticket-signature-mismatch' };
+        }
+
+        const payload = decodeSegment(encoded);
+        if (!payload || payload.v !== TICKET_VERSION || !payload.sid || !payload.pid || !payload.gid) {
+            return { ok: false, reason: 'invalid-ticket' };
+        }
+
+        const expiresAt = Number(payload.exp);
+        if (!Number.isFinite(expiresAt) || nowMs > expiresAt) {
+            return { ok: false, reason: 'ticket-expired', sessionId: payload.sid, gameId: payload.gid };
+        }
+
+        return {
+            ok: true,
+            session: {
+                sessionId: String(payload.sid),
+                playerId: String(payload.pid),
+                gameId: String(payload.gid),
+                issuedAt: Number(payload.iat) || 0,
+                expiresAt,
+                dailyKey: payload.day ? String(payload.day) : null
+            }
+        };
+    }
+}
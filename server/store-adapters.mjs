@@ -0,0 +1,366 @@
+import { access, mkdir, open, readFile, rename, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+
+const DEFAULT_COMPACT_ENTRY_LIMIT = 2000;
+const DEFAULT_COMPACT_BYTE_LIMIT = 8 * 1024 * 1024;
+
+/**
+ * Storage adapter contract used by LeaderboardStore:
+ * - `load()` resolves to the raw (unnormalized) state object, or null when nothing is stored yet.
+ * - `save(state, changes)` persists the state. `changes` describes what moved since the last save:
+ *   `{ full, players: Set<uid>, sessions: Set<sessionId>, reviews: entry[], groups: Set<groupId>,
+ *   replays: Set<replayId>, dailies: Set<dayKey>, dailyPlayers: Set<"dayKey|uid">, playerKeys: Set<uid> }`.
+ * - `backup(rawState, version)` keeps a copy of a pre-upgrade state next to the store file.
+ * - `describe()` returns a short label for logs and `/api/health`.
+ */
+
+async function readJsonFile(filePath) {
+    try {
+        const raw = await readFile(filePath, 'utf8');
+        return JSON.parse(raw);
+    } catch (error) {
+        if (error?.code === 'ENOENT') return null;
+        throw error;
+    }
+}
+
+// Makes a rename durable. Windows cannot open directories, and its renames need no directory sync.
+async function syncDirectory(dirPath) {
+    let handle = null;
+    try {
+        handle = await open(dirPath, 'r');
+        await handle.sync();
+    } catch (error) {
+        if (!['EISDIR', 'EPERM', 'EACCES'].includes(error?.code)) throw error;
+    } finally {
+        await handle?.close();
+    }
+}
+
+/**
+ * Resolves once the new content is on disk under `filePath`, rename included.
+ * `value` may be a pre-serialized string.
+ */
+async function writeJsonFileAtomic(filePath, value) {
+    const content = typeof value === 'string' ? value : JSON.stringify(value);
+    const tempFile = `${filePath}.tmp`;
+    const handle = await open(tempFile, 'w');
+    try {
+        await handle.writeFile(content, 'utf8');
+        await handle.datasync();
+    } finally {
+        await handle.close();
+    }
+    await rename(tempFile, filePath);
+    await syncDirectory(path.dirname(filePath));
+}
+
+async function writeBackupOnce(storeFile, rawState, version) {
+    const backupFile = storeFile.replace(/\.json$/, `.v${version}.bak.json`);
+    try {
+        await access(backupFile);
+        return;
+    } catch (_error) {
+        // no backup for this version yet
+    }
+    await writeJsonFileAtomic(backupFile, rawState);
+}
+
+/**
+ * Whole-state JSON file. Every save rewrites the file through a temp file + rename.
+ */
+export class JsonFileStoreAdapter {
+    constructor({ filePath }) {
+        this.filePath = filePath;
+    }
+
+    describe() {
+        return 'json';
+    }
+
+    async load() {
+        await mkdir(path.dirname(this.filePath), { recursive: true });
+        return readJsonFile(this.filePath);
+    }
+
+    async save(state) {
+        await writeJsonFileAtomic(this.filePath, state);
+    }
+
+    async backup(rawState, version) {
+        await writeBackupOnce(this.filePath, rawState, version);
+    }
+}
+
+/**
+ * Snapshot file + append-only journal. Saves append one JSON line per changed record and
+ * rewrite the snapshot only when the journal grows past the compaction limits (or on `full`).
+ * The snapshot path is the same file the JSON adapter uses, so an existing store file is
+ * picked up as the initial snapshot without a separate migration step.
+ */
+export class JournalStoreAdapter {
+    constructor({
+        snapshotFile,
+        journalFile,
+        compactEntryLimit = DEFAULT_COMPACT_ENTRY_LIMIT,
+        compactByteLimit = DEFAULT_COMPACT_BYTE_LIMIT
+    }) {
+        this.snapshotFile = snapshotFile;
+        this.journalFile = journalFile;
+        this.compactEntryLimit = compactEntryLimit;
+        this.compactByteLimit = compactByteLimit;
+        this.journalEntries = 0;
+        this.journalBytes = 0;
+    }
+
+    describe() {
+        return 'journal';
+    }
+
+    async load() {
+        await mkdir(path.dirname(this.snapshotFile), { recursive: true });
+
+        const snapshot = await readJsonFile(this.snapshotFile);
+        let rawJournal = '';
+        try {
+            rawJournal = await readFile(this.journalFile, 'utf8');
+        } catch (error) {
+            if (error?.code !== 'ENOENT') throw error;
+        }
+
+        if (!snapshot && !rawJournal) return null;
+
+        const state = snapshot && typeof snapshot === 'object' ? snapshot : {};
+        const lines = rawJournal.split('\n');
+        let applied = 0;
+        lines.forEach((line, index) => {
+            if (!line.trim()) return;
+            let entry = null;
+            try {
+                entry = JSON.parse(line);
+            } catch (_error) {
+                // A torn trailing line is expected after a crash mid-append and is dropped silently.
+                if (lines.slice(index + 1).some((rest) => rest.trim())) {
+                    console.warn(`[leaderboard] skipped unreadable journal line ${index + 1}`);
+                }
+                return;
+            }
+            applyJournalEntry(state, entry);
+            applied += 1;
+        });
+
+        this.journalEntries = applied;
+        this.journalBytes = Buffer.byteLength(rawJournal, 'utf8');
+        return state;
+    }
+
+    async backup(rawState, version) {
+        await writeBackupOnce(this.snapshotFile, rawState, version);
+    }
+
+    needsCompaction() {
+        return this.journalEntries >= this.compactEntryLimit || this.journalBytes >= this.compactByteLimit;
+    }
+
+    async save(state, changes = {}) {
+        if (changes.full || this.needsCompaction()) {
+            await this.compact(state);
+            return;
+        }
+
+        const entries = buildJournalEntries(state, changes);
+        if (entries.length === 0) return;
+
+        const chunk = `${entries.map((entry) => JSON.stringify(entry)).join('\n')}\n`;
+        const handle = await open(this.journalFile, 'a');
+        try {
+            await handle.writeFile(chunk, 'utf8');
+            await handle.datasync();
+        } finally {
+            await handle.close();
+        }
+
+        this.journalEntries += entries.length;
+        this.journalBytes += Buffer.byteLength(chunk, 'utf8');
+        if (this.needsCompaction()) {
+            await this.compact(state);
+        }
+    }
+
+    /**
+     * Callers must not append while this runs (LeaderboardStore queues its saves). The state is
+     * serialized before the first await, so the snapshot holds exactly what was journaled so far.
+     */
+    async compact(state) {
+        const snapshot = JSON.stringify(state);
+        await writeJsonFileAtomic(this.snapshotFile, snapshot);
+        // Only reached once the snapshot is durable; if the write failed, the journal is still
+        // there to replay. Truncating is safe even if the process dies right after: a replay of
+        // an empty journal yields the same state.
+        await writeFile(this.journalFile, '', 'utf8');
+        this.journalEntries = 0;
+        this.journalBytes = 0;
+    }
+}
+
+function buildJournalEntries(state, changes) {
+    const entries = [];
+    const hasRecordChanges = (changes.players?.size || 0) > 0
+        || (changes.sessions?.size || 0) > 0
+        || (changes.reviews?.length || 0) > 0
+        || (changes.groups?.size || 0) > 0
+        || (changes.replays?.size || 0) > 0
+        || (changes.dailies?.size || 0) > 0
+        || (changes.dailyPlayers?.size || 0) > 0
+        || (changes.playerKeys?.size || 0) > 0;
+    if (!hasRecordChanges) return entries;
+
+    (changes.players || new Set()).forEach((uid) => {
+        const player = state.players?.[uid];
+        entries.push(player ? { op: 'player', uid, value: player } : { op: 'player-delete', uid });
+    });
+
+    (changes.sessions || new Set()).forEach((sessionId) => {
+        const expiresAt = state.consumedSessions?.[sessionId];
+        if (!expiresAt) return;
+        entries.push({ op: 'session', sessionId, expiresAt });
+    });
+
+    (changes.reviews || []).forEach((entry) => {
+        entries.push({ op: 'review', value: entry });
+    });
+
+    (changes.groups || new Set()).forEach((groupId) => {
+        const group = state.groups?.[groupId];
+        entries.push(group ? { op: 'group', groupId, value: group } : { op: 'group-delete', groupId });
+    });
+
+    (changes.replays || new Set()).forEach((replayId) => {
+        const replay = state.replays?.[replayId];
+        entries.push(replay ? { op: 'replay', replayId, value: replay } : { op: 'replay-delete', replayId });
+    });
+
+    // Day headers first: a day created in this batch must exist before its players are replayed.
+    (changes.dailies || new Set()).forEach((dayKey) => {
+        const day = state.dailyChallenges?.[dayKey];
+        if (!day) {
+            entries.push({ op: 'daily-delete', dayKey });
+            return;
+        }
+        const { players: _players, ...header } = day;
+        entries.push({ op: 'daily', dayKey, value: header });
+    });
+
+    (changes.dailyPlayers || new Set()).forEach((key) => {
+        const [dayKey, uid] = key.split('|');
+        const value = state.dailyChallenges?.[dayKey]?.players?.[uid];
+        if (!value) return;
+        entries.push({ op: 'daily-player', dayKey, uid, value, streak: state.dailyStreaks?.[uid] || null });
+    });
+
+    (changes.playerKeys || new Set()).forEach((uid) => {
+        const hash = state.playerKeys?.[uid];
+        if (!hash) return;
+        entries.push({ op: 'player-key', uid, hash });
+    });
+
+    entries.push({
+        op: 'meta',
+        version: state.version,
+        revision: state.revision,
+        updatedAt: state.updatedAt,
+        season: state.season
+    });
+
+    return entries;
+}
+
+function applyJournalEntry(state, entry) {
+    if (!entry || typeof entry !== 'object') return;
+
+    switch (entry.op) {
+        case 'player':
+            state.players = state.players && typeof state.players === 'object' ? state.players : {};
+            state.players[entry.uid] = entry.value;
+            break;
+        case 'player-delete':
+            if (state.players) delete state.players[entry.uid];
+            break;
+        case 'session':
+            state.consumedSessions = state.consumedSessions && typeof state.consumedSessions === 'object'
+                ? state.consumedSessions
+                : {};
+            state.consumedSessions[entry.sessionId] = entry.expiresAt;
+            break;
+        case 'review':
+            state.reviewQueue = Array.isArray(state.reviewQueue) ? state.reviewQueue : [];
+            state.reviewQueue.push(entry.value);
+            break;
+        case 'group':
+            state.groups = state.groups && typeof state.groups === 'object' ? state.groups : {};
+            state.groups[entry.groupId] = entry.value;
+            break;
+        case 'group-delete':
+            if (state.groups) delete state.groups[entry.groupId];
+            break;
+        case 'replay':
+            state.replays = state.replays && typeof state.replays === 'object' ? state.replays : {};
+            state.replays[entry.replayId] = entry.value;
+            break;
+        case 'replay-delete':
+            if (state.replays) delete state.replays[entry.replayId];
+            break;
+        case 'daily':
+            state.dailyChallenges = state.dailyChallenges && typeof state.dailyChallenges === 'object'
+                ? state.dailyChallenges
+                : {};
+            state.dailyChallenges[entry.dayKey] = {
+                ...entry.value,
+                players: state.dailyChallenges[entry.dayKey]?.players || {}
+            };
+            break;
+        case 'daily-delete':
+            if (state.dailyChallenges) delete state.dailyChallenges[entry.dayKey];
+            break;
+        case 'daily-player': {
+            const day = state.dailyChallenges?.[entry.dayKey];
+            if (!day) break;
+            day.players = day.players && typeof day.players === 'object' ? day.players : {};
+            day.players[entry.uid] = entry.value;
+            if (entry.streak) {
+                state.dailyStreaks = state.dailyStreaks && typeof state.dailyStreaks === 'object'
+                    ? state.dailyStreaks
+                    : {};
+                state.dailyStreaks[entry.uid] = entry.streak;
+            }
+            break;
+        }
+        case 'player-key':
+            state.playerKeys = state.playerKeys && typeof state.playerKeys === 'object' ? state.playerKeys : {};
+            state.playerKeys[entry.uid] = entry.hash;
+            break;
+        case 'meta':
+            state.version = entry.version;
+            state.revision = entry.revision;
+            state.updatedAt = entry.updatedAt;
+            state.season = entry.season;
+            break;
+        default:
+            break;
+    }
+}
+
+export function createStoreAdapter(kind, { dataDir }) {
+    const snapshotFile = path.resolve(dataDir, 'leaderboard-store.json');
+    if (kind === 'json') {
+        return new JsonFileStoreAdapter({ filePath: snapshotFile });
+    }
+
+    if (kind && kind !== 'journal') {
+        console.warn(`[leaderboard] unknown LEADERBOARD_STORE_BACKEND "${kind}", using journal`);
+    }
+    return new JournalStoreAdapter({
+        snapshotFile,
+        journalFile: path.resolve(dataDir, 'leaderboard-store.journal')
+    });
+}
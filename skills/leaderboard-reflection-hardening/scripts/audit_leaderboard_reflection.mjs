@@ -24,28 +24,18 @@ function toGameIdFromPath(rawPath) {
     .replace(/^-+|-+$/g, '');
 }
 
-function extractFallbackKeys(gameHubText) {
-  const startToken = 'const fallbackByGame = {';
-  const endToken = 'const genericFallbackScript =';
-  const start = gameHubText.indexOf(startToken);
-  const end = gameHubText.indexOf(endToken);
-
-  if (start < 0 || end < 0 || end <= start) return new Set();
-
-  const block = gameHubText.slice(start, end);
-  const keys = new Set();
-  for (const match of block.matchAll(/'([^']+)'\s*:\s*`/g)) {
-    keys.add(match[1]);
-  }
-  return keys;
+function readProtocolVersion(text, constName) {
+  const match = text.match(new RegExp(`${constName}\\s*=\\s*(\\d+)`));
+  return match ? Number(match[1]) : null;
 }
 
-function hasBridge(gameHtmlText) {
-  const hasSnapshot = /__mgpSnapshot/.test(gameHtmlText);
-  const hasSource = /source:\s*['"]mgp-game['"]/.test(gameHtmlText);
-  const hasResultType = /type:\s*['"]result['"]/.test(gameHtmlText);
-  const hasPostMessage = /postMessage\s*\(/.test(gameHtmlText);
-  return hasSnapshot && hasSource && hasResultType && hasPostMessage;
+function inspectBridge(gameHtmlText) {
+  const includesSdk = /<script[^>]+src=["'][^"']*mgp-bridge\.js["']/.test(gameHtmlText);
+  const connects = /MGPBridge\.connect\s*\(/.test(gameHtmlText);
+  const sendsResult = /\bbridge\.result\s*\(/.test(gameHtmlText);
+  const legacyPost = /source:\s*['"]mgp-game['"]/.test(gameHtmlText);
+  const lifecycle = /\blifecycle:\s*\{/.test(gameHtmlText);
+  return { includesSdk, connects, sendsResult, legacyPost, lifecycle };
 }
 
 function color(text, code) {
@@ -67,10 +57,24 @@ function run() {
   }
 
   const gameHubText = readText('src/platform/GameHub.js');
-  const fallbackKeys = extractFallbackKeys(gameHubText);
-  const hasGenericFallback = gameHubText.includes('const genericFallbackScript =');
-  const hasScriptsToTryFlow = gameHubText.includes('const scriptsToTry =')
-    && gameHubText.includes('scriptsToTry.push(genericFallbackScript)');
+  const bridgeHostText = readText('src/platform/BridgeHost.js');
+  const sdkText = readText('src/platform/mgp-bridge.js');
+  const sdkProtocol = readProtocolVersion(sdkText, 'PROTOCOL_VERSION');
+  const hostProtocol = readProtocolVersion(bridgeHostText, 'MGP_BRIDGE_PROTOCOL_VERSION');
+  const hubUsesBridgeHost = gameHubText.includes('this.bridgeHost.receive(event)')
+    && gameHubText.includes("this.bridgeHost.request('snapshot'");
+  const hubEvalsIframe = /contentWindow\.eval\s*\(/.test(gameHubText);
+  const bridgeChain = {
+    'src/platform/GameHub.js': gameHubText,
+    'src/platform/BridgeHost.js': bridgeHostText,
+    'src/platform/mgp-bridge.js': sdkText,
+    'src/jsx/MiniGameFrame.jsx': readText('src/jsx/MiniGameFrame.jsx')
+  };
+  const wildcardTargets = Object.entries(bridgeChain)
+    .filter(([, text]) => /postMessage\([^;]*,\s*['"`]\*['"`]\s*\)/.test(text))
+    .map(([relPath]) => relPath);
+  const hostChecksSender = bridgeHostText.includes('event.source !== this.frame.contentWindow')
+    && bridgeHostText.includes('data.nonce !== this.nonce');
 
   const rows = [];
   let blocking = false;
@@ -89,10 +93,11 @@ function run() {
       fileExists = false;
     }
 
-    const bridge = fileExists ? hasBridge(gameHtmlText) : false;
-    const fallback = fallbackKeys.has(gameId);
-    const dedicatedCoverage = bridge || fallback;
-    if (!dedicatedCoverage) {
+    const bridge = fileExists
+      ? inspectBridge(gameHtmlText)
+      : { includesSdk: false, connects: false, sendsResult: false, legacyPost: false, lifecycle: false };
+    const covered = fileExists && bridge.includesSdk && bridge.connects && bridge.sendsResult && !bridge.legacyPost;
+    if (!covered) {
       blocking = true;
     }
 
@@ -101,10 +106,7 @@ function run() {
       gamePath,
       fileExists,
       bridge,
-      fallback,
-      status: fileExists
-        ? (dedicatedCoverage ? 'PASS' : 'FAIL')
-        : 'FAIL'
+      status: covered ? 'PASS' : 'FAIL'
     });
   }
 
@@ -112,28 +114,52 @@ function run() {
   console.log('');
   for (const row of rows) {
     const prefix = row.status === 'PASS' ? ok('coverage') : fail('coverage');
-    const detail = `id=${row.gameId} bridge=${row.bridge} fallback=${row.fallback} path=${row.gamePath}`;
+    const { includesSdk, connects, sendsResult, legacyPost, lifecycle } = row.bridge;
+    const detail = `id=${row.gameId} sdk=${includesSdk} connect=${connects} result=${sendsResult} legacyPost=${legacyPost} lifecycle=${lifecycle} path=${row.gamePath}`;
     console.log(`${prefix} ${detail}`);
   }
   console.log('');
 
-  if (hasGenericFallback) {
-    console.log(ok('generic fallback script exists'));
+  if (sdkProtocol !== null && sdkProtocol === hostProtocol) {
+    console.log(ok(`bridge protocol v${sdkProtocol} matches (mgp-bridge.js / BridgeHost.js)`));
   } else {
     blocking = true;
-    console.log(fail('generic fallback script missing in GameHub.js'));
+    console.log(fail(`bridge protocol mismatch: mgp-bridge.js=${sdkProtocol} BridgeHost.js=${hostProtocol}`));
   }
 
-  if (hasScriptsToTryFlow) {
-    console.log(ok('specific -> generic fallback retry flow exists'));
+  if (hubUsesBridgeHost) {
+    console.log(ok('GameHub routes messages and exit snapshots through BridgeHost'));
   } else {
     blocking = true;
-    console.log(fail('fallback retry flow missing (scriptsToTry + generic push)'));
+    console.log(fail('GameHub.js does not use BridgeHost for messages and exit snapshots'));
+  }
+
+  if (hubEvalsIframe) {
+    blocking = true;
+    console.log(fail('GameHub.js still evaluates scripts inside the game iframe'));
+  }
+
+  if (hostChecksSender) {
+    console.log(ok('BridgeHost checks the sender iframe and session nonce'));
+  } else {
+    blocking = true;
+    console.log(fail('BridgeHost.receive does not check event.source against the game iframe and the session nonce'));
+  }
+
+  if (wildcardTargets.length > 0) {
+    blocking = true;
+    console.log(fail(`postMessage with a '*' target origin: ${wildcardTargets.join(', ')}`));
+  }
+
+  // Not blocking: without hooks the hub cannot pause or mute the game, but results still reflect
+  const withoutLifecycle = rows.filter((row) => row.fileExists && !row.bridge.lifecycle).map((row) => row.gameId);
+  if (withoutLifecycle.length > 0) {
+    console.log(warn(`games without lifecycle hooks (pause/mute/restart): ${withoutLifecycle.join(', ')}`));
   }
 
   const uncovered = rows.filter((row) => row.status !== 'PASS').map((row) => row.gameId);
   if (uncovered.length > 0) {
-    console.log(warn(`games missing dedicated reflection coverage: ${uncovered.join(', ')}`));
+    console.log(warn(`games not on the mgp-bridge SDK: ${uncovered.join(', ')}`));
   }
 
   if (blocking) {
@@ -1,4 +1,11 @@
+import fs from 'node:fs';
 import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { getAchievementPackPath, validateAchievementPack } from '../../../src/systems/AchievementPacks.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const rootDir = path.resolve(__dirname, '../../..');
 
 function parseArgs(argv) {
   const out = {};
@@ -31,33 +38,69 @@ function makePrefix(gameId) {
   return compact.slice(0, 4) || 'game';
 }
 
+const TEMPLATE_ACHIEVEMENTS = [
+  { suffix: 'play_1', name: { ko: '첫 플레이', en: 'First Run' }, points: 5, metric: 'playCount', threshold: 1 },
+  { suffix: 'play_10', name: { ko: '루틴', en: 'Routine' }, points: 12, metric: 'playCount', threshold: 10 },
+  { suffix: 'high_5000', name: { ko: '점수 불꽃', en: 'Score Spark' }, points: 12, metric: 'highScore', threshold: 5000 },
+  { suffix: 'high_20000', name: { ko: '점수 급등', en: 'Score Surge' }, points: 24, metric: 'highScore', threshold: 20000 },
+  { suffix: 'best_stage_5', name: { ko: '스테이지 돌파', en: 'Stage Push' }, points: 18, metric: 'bestStage', threshold: 5 },
+  { suffix: 'stage_total_25', name: { ko: '스테이지 일꾼', en: 'Stage Worker' }, points: 20, metric: 'totalStageClears', threshold: 25 },
+  { suffix: 'score_total_100000', name: { ko: '점수 장부', en: 'Score Ledger' }, points: 28, metric: 'totalScore', threshold: 100000 },
+  { suffix: 'items_total_40', name: { ko: '수집가', en: 'Collector' }, points: 20, metric: 'totalItemsCollected', threshold: 40 }
+];
+
 function createPack(gameId) {
   const prefix = makePrefix(gameId);
-  return `this.register('${gameId}', [
-    { id: '${prefix}_play_1', name: 'First Run', desc: 'Play 1 time', icon: '*', points: 5, metric: 'playCount', threshold: 1 },
-    { id: '${prefix}_play_10', name: 'Routine', desc: 'Play 10 times', icon: '*', points: 12, metric: 'playCount', threshold: 10 },
-    { id: '${prefix}_high_5000', name: 'Score Spark', desc: 'High score 5,000', icon: '*', points: 12, metric: 'highScore', threshold: 5000 },
-    { id: '${prefix}_high_20000', name: 'Score Surge', desc: 'High score 20,000', icon: '*', points: 24, metric: 'highScore', threshold: 20000 },
-    { id: '${prefix}_best_stage_5', name: 'Stage Push', desc: 'Best stage 5', icon: '*', points: 18, metric: 'bestStage', threshold: 5 },
-    { id: '${prefix}_stage_total_25', name: 'Stage Worker', desc: 'Total stage clears 25', icon: '*', points: 20, metric: 'totalStageClears', threshold: 25 },
-    { id: '${prefix}_score_total_100000', name: 'Score Ledger', desc: 'Total score 100,000', icon: '*', points: 28, metric: 'totalScore', threshold: 100000 },
-    { id: '${prefix}_items_total_40', name: 'Collector', desc: 'Collect items 40 times', icon: '*', points: 20, metric: 'totalItemsCollected', threshold: 40 }
-]);`;
+  return {
+    id: gameId,
+    version: 1,
+    achievements: TEMPLATE_ACHIEVEMENTS.map(({ suffix, ...achievement }) => ({
+      id: `${prefix}_${suffix}`,
+      name: achievement.name,
+      icon: '*',
+      points: achievement.points,
+      metric: achievement.metric,
+      threshold: achievement.threshold
+    }))
+  };
 }
 
 function run() {
   const args = parseArgs(process.argv.slice(2));
   const gameId = args['game-id'] || toGameId(args.game);
   if (!gameId) {
-    console.error('Usage: node skills/new-minigame-release-prep/scripts/generate_achievement_pack_template.mjs --game-id <id>');
-    console.error('   or: node skills/new-minigame-release-prep/scripts/generate_achievement_pack_template.mjs --game src/html/<file>.html');
+    console.error('Usage: node skills/new-minigame-release-prep/scripts/generate_achievement_pack_template.mjs --game-id <id> [--write]');
+    console.error('   or: node skills/new-minigame-release-prep/scripts/generate_achievement_pack_template.mjs --game src/html/<file>.html [--write]');
+    process.exitCode = 1;
+    return;
+  }
+
+  const pack = createPack(gameId);
+  const errors = validateAchievementPack(pack, { packId: gameId });
+  if (errors.length) {
+    errors.forEach((message) => console.error(`[achievement-template] ${message}`));
     process.exitCode = 1;
     return;
   }
 
-  console.log(`[achievement-template] gameId=${gameId}`);
-  console.log('');
-  console.log(createPack(gameId));
+  const packPath = getAchievementPackPath(gameId);
+  const output = `${JSON.stringify(pack, null, 2)}\n`;
+  console.log(`[achievement-template] gameId=${gameId} -> ${packPath}`);
+  if (!args.write) {
+    console.log('');
+    console.log(output);
+    return;
+  }
+
+  const absPath = path.join(rootDir, packPath);
+  if (fs.existsSync(absPath)) {
+    console.error(`[achievement-template] ${packPath} already exists; bump its version and edit it instead`);
+    process.exitCode = 1;
+    return;
+  }
+  fs.mkdirSync(path.dirname(absPath), { recursive: true });
+  fs.writeFileSync(absPath, output, 'utf8');
+  console.log(`[achievement-template] wrote ${packPath}`);
 }
 
 run();
@@ -2,6 +2,12 @@ import fs from 'node:fs';
 import path from 'node:path';
 import { spawnSync } from 'node:child_process';
 import { fileURLToPath } from 'node:url';
+import {
+  ACHIEVEMENT_PACK_DIR,
+  collectConditionLeaves,
+  getAchievementCondition,
+  getAchievementPackPath
+} from '../../../src/systems/AchievementPacks.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -96,32 +102,30 @@ function readText(relPath) {
   return fs.readFileSync(path.join(rootDir, relPath), 'utf8');
 }
 
-function extractFallbackKeys(gameHubText) {
-  const start = gameHubText.indexOf('const fallbackByGame = {');
-  const end = gameHubText.indexOf('const genericFallbackScript =');
-  if (start < 0 || end < 0 || end <= start) return new Set();
-  const block = gameHubText.slice(start, end);
-  const set = new Set();
-  for (const m of block.matchAll(/'([^']+)'\s*:\s*`/g)) {
-    set.add(m[1]);
-  }
-  return set;
-}
-
 function hasBridge(htmlText) {
-  const hasSnapshot = /__mgpSnapshot/.test(htmlText);
-  const hasSource = /source:\s*['"]mgp-game['"]/.test(htmlText);
-  const hasResultType = /type:\s*['"]result['"]/.test(htmlText);
-  const hasPostMessage = /postMessage\s*\(/.test(htmlText);
-  return hasSnapshot && hasSource && hasResultType && hasPostMessage;
+  const includesSdk = /<script[^>]+src=["'][^"']*mgp-bridge\.js["']/.test(htmlText);
+  const connects = /MGPBridge\.connect\s*\(/.test(htmlText);
+  const sendsResult = /\bbridge\.result\s*\(/.test(htmlText);
+  return includesSdk && connects && sendsResult;
 }
 
-function extractAchievementGameIds(text) {
-  return new Set([...text.matchAll(/this\.register\('([^']+)'\s*,\s*\[/g)].map((m) => m[1]));
-}
-
-function extractAchievementMetrics(text) {
-  return [...text.matchAll(/metric:\s*'([^']+)'/g)].map((m) => m[1]);
+function extractAchievementMetrics() {
+  const packDir = path.join(rootDir, ACHIEVEMENT_PACK_DIR);
+  if (!fs.existsSync(packDir)) return [];
+  return fs.readdirSync(packDir)
+    .filter((fileName) => fileName.endsWith('.json'))
+    .flatMap((fileName) => {
+      try {
+        const pack = JSON.parse(fs.readFileSync(path.join(packDir, fileName), 'utf8'));
+        return Array.isArray(pack?.achievements)
+          ? pack.achievements.flatMap((achievement) => collectConditionLeaves(getAchievementCondition(achievement))
+            .map((leaf) => leaf.stat || leaf.session))
+          : [];
+      } catch (_error) {
+        return [];
+      }
+    })
+    .filter((metric) => typeof metric === 'string');
 }
 
 function ensureReportsDir() {
@@ -150,7 +154,12 @@ function run() {
   const registry = JSON.parse(readText('src/html/registry.json'));
   const registryGames = Array.isArray(registry?.games) ? registry.games : [];
   const entries = registryGames
-    .map((entry) => ({ path: normalizeRegistryPath(entry?.path), id: toGameId(entry?.path || '') }))
+    .map((entry) => ({
+      path: normalizeRegistryPath(entry?.path),
+      id: entry?.id || toGameId(entry?.path || ''),
+      manifest: entry?.manifest || '',
+      achievementPack: entry?.achievementPack || ''
+    }))
     .filter((entry) => entry.path && entry.id);
 
   const target = gameArg
@@ -162,18 +171,13 @@ function run() {
   const targetAbsPath = targetPath ? toAbsFromRegistryPath(targetPath) : '';
   const targetExists = targetPath ? fs.existsSync(targetAbsPath) : false;
   const inRegistry = Boolean(target);
+  const hasManifest = Boolean(target?.manifest);
 
   const targetHtml = targetExists ? fs.readFileSync(targetAbsPath, 'utf8') : '';
   const bridge = targetHtml ? hasBridge(targetHtml) : false;
 
-  const gameHubText = readText('src/platform/GameHub.js');
-  const fallbackKeys = extractFallbackKeys(gameHubText);
-  const fallback = fallbackKeys.has(targetId);
-  const dedicatedCoverage = bridge || fallback;
-
-  const achievementText = readText('src/platform/AchievementSystem.js');
-  const achievementGameIds = extractAchievementGameIds(achievementText);
-  const hasAchievementPack = achievementGameIds.has(targetId);
+  const achievementPackPath = getAchievementPackPath(target?.achievementPack || targetId);
+  const hasAchievementPack = fs.existsSync(path.join(rootDir, achievementPackPath));
 
   const bridgeGames = entries.filter((entry) => {
     const abs = toAbsFromRegistryPath(entry.path);
@@ -185,7 +189,7 @@ function run() {
     }
   }).map((entry) => entry.id);
 
-  const metrics = extractAchievementMetrics(achievementText);
+  const metrics = extractAchievementMetrics();
   const uniqueItemMetrics = Array.from(new Set(metrics.filter((metric) => metric.startsWith('item.')))).sort();
 
   const leaderboardAuditOk = runCommand(
@@ -203,20 +207,19 @@ function run() {
       id: targetId,
       path: targetPath || null,
       exists: targetExists,
-      inRegistry
+      inRegistry,
+      manifest: target?.manifest || null
     },
     checks: {
       syncOk,
+      hasManifest,
       bridge,
-      fallback,
-      dedicatedCoverage,
       hasAchievementPack,
       leaderboardAuditOk,
       achievementAuditOk
     },
     patternSummary: {
       bridgeGameIds: bridgeGames,
-      fallbackGameIds: Array.from(fallbackKeys).sort(),
       itemMetricPatterns: uniqueItemMetrics
     }
   };
@@ -235,10 +238,9 @@ function run() {
   console.log(`  ${syncOk ? ok('registry sync passed') : fail('registry sync failed')}`);
   console.log(`  ${inRegistry ? ok('target is in registry') : fail('target is not in registry')}`);
   console.log(`  ${targetExists ? ok('target file exists') : fail('target file missing')}`);
-  console.log(`  ${bridge ? ok('bridge present') : warn('bridge missing')}`);
-  console.log(`  ${fallback ? ok('dedicated fallback present') : warn('dedicated fallback missing')}`);
-  console.log(`  ${dedicatedCoverage ? ok('score reflection coverage present') : fail('score reflection coverage missing')}`);
-  console.log(`  ${hasAchievementPack ? ok('achievement pack present') : fail('achievement pack missing')}`);
+  console.log(`  ${hasManifest ? ok('game manifest merged into registry') : fail('game manifest missing (<stem>.manifest.json)')}`);
+  console.log(`  ${bridge ? ok('mgp-bridge SDK wired (connect + result)') : fail('mgp-bridge SDK missing')}`);
+  console.log(`  ${hasAchievementPack ? ok('achievement pack present') : fail(`achievement pack missing (${achievementPackPath})`)}`);
   console.log(`  ${leaderboardAuditOk ? ok('leaderboard audit passed') : fail('leaderboard audit failed')}`);
   console.log(`  ${achievementAuditOk ? ok('achievement audit passed') : fail('achievement audit failed')}`);
 
@@ -247,10 +249,10 @@ function run() {
   console.log(`  item metric patterns: ${uniqueItemMetrics.length ? uniqueItemMetrics.join(', ') : '-'}`);
   console.log(`  report: ${path.relative(rootDir, reportPath).replace(/\\/g, '/')}`);
 
-  const blocking = !syncOk || !inRegistry || !targetExists || !dedicatedCoverage || !hasAchievementPack;
+  const blocking = !syncOk || !inRegistry || !targetExists || !hasManifest || !bridge || !hasAchievementPack;
   if (!hasAchievementPack) {
     console.log('\n[next]');
-    console.log(`  node skills/new-minigame-release-prep/scripts/generate_achievement_pack_template.mjs --game-id ${targetId}`);
+    console.log(`  node skills/new-minigame-release-prep/scripts/generate_achievement_pack_template.mjs --game-id ${target?.achievementPack || targetId} --write`);
   }
 
   if (blocking) {
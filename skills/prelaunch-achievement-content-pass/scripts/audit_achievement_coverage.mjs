@@ -1,6 +1,13 @@
 import fs from 'node:fs';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
+import {
+  ACHIEVEMENT_PACK_DIR,
+  collectConditionLeaves,
+  getAchievementCondition,
+  getAchievementPackPath,
+  validateAchievementPack
+} from '../../../src/systems/AchievementPacks.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -28,26 +35,44 @@ const ok = (text) => color(`OK   ${text}`, 32);
 const warn = (text) => color(`WARN ${text}`, 33);
 const fail = (text) => color(`FAIL ${text}`, 31);
 
-function extractAchievementBlocks(sourceText) {
-  const result = new Map();
-  const re = /this\.register\('([^']+)'\s*,\s*\[([\s\S]*?)\]\);/g;
-  for (const match of sourceText.matchAll(re)) {
-    const gameId = match[1];
-    const block = match[2];
-    const ids = [...block.matchAll(/id:\s*'([^']+)'/g)].map((m) => m[1]);
-    const metrics = [...block.matchAll(/metric:\s*'([^']+)'/g)].map((m) => m[1]);
-    result.set(gameId, { ids, metrics });
+function loadAchievementPack(packId) {
+  const packPath = getAchievementPackPath(packId);
+  const absPath = path.join(rootDir, packPath);
+  if (!fs.existsSync(absPath)) return null;
+  try {
+    const pack = JSON.parse(fs.readFileSync(absPath, 'utf8'));
+    const errors = validateAchievementPack(pack, { packId });
+    const active = Array.isArray(pack.achievements)
+      ? pack.achievements.filter((achievement) => !achievement?.retired)
+      : [];
+    return {
+      packPath,
+      errors,
+      ids: active.map((achievement) => achievement.id),
+      // Cumulative stats referenced anywhere in a condition count toward coverage
+      metrics: active.flatMap((achievement) => collectConditionLeaves(getAchievementCondition(achievement))
+        .filter((leaf) => leaf.stat)
+        .map((leaf) => leaf.stat))
+    };
+  } catch (error) {
+    return { packPath, errors: [`invalid JSON: ${error.message}`], ids: [], metrics: [] };
   }
-  return result;
 }
 
 function run() {
   const registry = JSON.parse(readText('src/html/registry.json'));
-  const registryGames = (registry?.games || []).map((entry) => toGameIdFromPath(entry?.path));
-  const uniqueRegistryGames = Array.from(new Set(registryGames.filter(Boolean)));
-
-  const achievementSource = readText('src/platform/AchievementSystem.js');
-  const blocks = extractAchievementBlocks(achievementSource);
+  const packByGame = new Map();
+  (registry?.games || []).forEach((entry) => {
+    const gameId = entry?.id || toGameIdFromPath(entry?.path);
+    if (gameId && !packByGame.has(gameId)) packByGame.set(gameId, entry?.achievementPack || gameId);
+  });
+  const uniqueRegistryGames = Array.from(packByGame.keys());
+
+  const blocks = new Map();
+  for (const [gameId, packId] of packByGame.entries()) {
+    const pack = loadAchievementPack(packId);
+    if (pack) blocks.set(gameId, pack);
+  }
 
   let blocking = false;
 
@@ -65,6 +90,10 @@ function run() {
   for (const gameId of uniqueRegistryGames) {
     const block = blocks.get(gameId);
     if (!block) continue;
+    if (block.errors.length) {
+      blocking = true;
+      block.errors.forEach((message) => console.log(fail(`${block.packPath}: ${message}`)));
+    }
 
     const idCount = block.ids.length;
     const metricSet = new Set(block.metrics);
@@ -85,7 +114,12 @@ function run() {
     );
   }
 
-  const unknownPacks = [...blocks.keys()].filter((gameId) => !uniqueRegistryGames.includes(gameId));
+  const usedPackIds = new Set(packByGame.values());
+  const packDir = path.join(rootDir, ACHIEVEMENT_PACK_DIR);
+  const unknownPacks = (fs.existsSync(packDir) ? fs.readdirSync(packDir) : [])
+    .filter((fileName) => fileName.endsWith('.json'))
+    .map((fileName) => fileName.replace(/\.json$/, ''))
+    .filter((packId) => !usedPackIds.has(packId));
   if (unknownPacks.length > 0) {
     console.log(warn(`achievement packs not in current html registry: ${unknownPacks.join(', ')}`));
   }
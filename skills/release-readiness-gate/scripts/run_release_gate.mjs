@@ -85,6 +85,18 @@ function run() {
       cmd: nodeCmd,
       cmdArgs: ['--check', 'src/platform/AchievementSystem.js'],
       critical: true
+    },
+    {
+      label: 'vendored libraries',
+      cmd: npmCmd,
+      cmdArgs: ['run', 'check:vendor'],
+      critical: false
+    },
+    {
+      label: 'precompiled JSX',
+      cmd: npmCmd,
+      cmdArgs: ['run', 'check:jsx'],
+      critical: false
     }
   ];
 
@@ -0,0 +1,76 @@
+"use strict";
+
+(() => {
+  const params = window.__MGP_RUNNER_PARAMS__ || {};
+  const gameId = params.gameId || 'unknown-game';
+  const htmlPath = params.html || '';
+  // Bridge session from the hub (see BridgeHost.attach): the nonce every message must echo and the hub origin
+  const nonce = params.mgpNonce || '';
+  const hubOrigin = params.mgpOrigin || '';
+  const frameOrigin = htmlPath ? new URL(htmlPath, window.location.href).origin : '';
+
+  // The inner game gets the same nonce, with this runner as the origin it talks to
+  const buildFrameSrc = () => {
+    const hashIndex = htmlPath.indexOf('#');
+    const basePath = hashIndex >= 0 ? htmlPath.slice(0, hashIndex) : htmlPath;
+    const hashParams = new URLSearchParams(hashIndex >= 0 ? htmlPath.slice(hashIndex + 1) : '');
+    hashParams.set('mgpNonce', nonce);
+    hashParams.set('mgpOrigin', window.location.origin);
+    return `${basePath}#${hashParams.toString()}`;
+  };
+  function App() {
+    const frameRef = React.useRef(null);
+    React.useEffect(() => {
+      if (!nonce || !hubOrigin) {
+        console.warn(`[runner] ${gameId}: no bridge nonce/origin from the hub; messages are not relayed`);
+        return undefined;
+      }
+      const relayMessage = event => {
+        if (!frameRef.current) return;
+        const frameWindow = frameRef.current.contentWindow;
+        const data = event.data;
+        if (!data || data.nonce !== nonce) return;
+        if (event.source === frameWindow && event.origin === frameOrigin && data.source === 'mgp-game') {
+          window.parent.postMessage(data, hubOrigin);
+          return;
+        }
+        // Hub -> game traffic (handshake, requests) goes the other way through the same relay
+        if (event.source === window.parent && event.origin === hubOrigin && data.source === 'mgp-hub') {
+          frameWindow.postMessage(data, frameOrigin);
+        }
+      };
+      window.addEventListener('message', relayMessage);
+      return () => window.removeEventListener('message', relayMessage);
+    }, []);
+    if (!htmlPath) {
+      return /*#__PURE__*/React.createElement("div", {
+        style: {
+          width: '100%',
+          height: '100%',
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'center',
+          background: '#111',
+          color: '#fff',
+          fontFamily: 'sans-serif',
+          padding: '16px',
+          boxSizing: 'border-box'
+        }
+      }, "Missing `html` query parameter.");
+    }
+    return /*#__PURE__*/React.createElement("iframe", {
+      ref: frameRef,
+      src: buildFrameSrc(),
+      title: `${gameId}-html-host`,
+      style: {
+        width: '100%',
+        height: '100%',
+        border: 'none',
+        background: '#000'
+      },
+      allow: "autoplay; fullscreen",
+      allowFullScreen: true
+    });
+  }
+  ReactDOM.createRoot(document.getElementById('root')).render( /*#__PURE__*/React.createElement(App, null));
+})();
\ No newline at end of file
@@ -18,6 +18,8 @@ export class Canvas2D {
 
         this.canvas = null;
         this.ctx = null;
+        this.resizeHandler = null;
+        this.resizeTimeout = null;
         this.scale = 1;
         this.offsetX = 0;
         this.offsetY = 0;
@@ -96,14 +98,17 @@ export class Canvas2D {
     }
 
     /**
-     * Setup window resize listener with debounce
+     * Setup window resize listener with debounce; options.onResize(canvas2d) runs after each resize
      */
     setupResizeListener() {
-        let resizeTimeout;
-        window.addEventListener('resize', () => {
-            clearTimeout(resizeTimeout);
-            resizeTimeout = setTimeout(() => this.resize(), 100);
-        });
+        this.resizeHandler = () => {
+            clearTimeout(this.resizeTimeout);
+            this.resizeTimeout = setTimeout(() => {
+                this.resize();
+                this.options.onResize?.(this);
+            }, 100);
+        };
+        window.addEventListener('resize', this.resizeHandler);
     }
 
     /**
@@ -163,6 +168,9 @@ export class Canvas2D {
      * Destroy canvas and cleanup
      */
     destroy() {
+        window.removeEventListener('resize', this.resizeHandler);
+        clearTimeout(this.resizeTimeout);
+        this.resizeHandler = null;
         if (this.canvas && this.canvas.parentNode) {
             this.canvas.parentNode.removeChild(this.canvas);
         }
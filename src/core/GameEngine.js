@@ -2,6 +2,8 @@
  * GameEngine - Core game loop with deltaTime and 60 FPS targeting
  * Provides the foundation for all minigames in the platform
  */
+import { ReplayPlayer, ReplayRecorder } from './Replay.js';
+
 export class GameEngine {
     constructor(canvasId) {
         this.canvas = document.getElementById(canvasId);
@@ -31,6 +33,12 @@ export class GameEngine {
         // Animation frame ID
         this.rafId = null;
 
+        // Deterministic input: commands are applied at the start of a fixed tick
+        this.simulationTick = 0;
+        this.inputQueue = [];
+        this.replayRecorder = null;
+        this.replayPlayer = null;
+
         // Bind methods
         this.gameLoop = this.gameLoop.bind(this);
     }
@@ -104,6 +112,25 @@ export class GameEngine {
         this.onResume();
     }
 
+    /**
+     * Hub lifecycle command (the bridge equivalent for module games). Pause and resume freeze the
+     * loop without advancing simulation ticks, so recordings stay valid; games with their own
+     * pause screen override this.
+     * @param {string} command - pause | resume | mute | unmute | restart
+     * @returns {boolean} Whether the game applied the command
+     */
+    handleLifecycle(command) {
+        if (command === 'pause' && !this.isPaused) {
+            this.pause();
+            return true;
+        }
+        if (command === 'resume' && this.isPaused) {
+            this.resume();
+            return true;
+        }
+        return false;
+    }
+
     /**
      * Set time scale for slow motion effects
      * @param {number} scale - Time scale (0.0 to 1.0)
@@ -139,7 +166,7 @@ export class GameEngine {
             // Fixed timestep updates for physics
             this.accumulator += this.deltaTime;
             while (this.accumulator >= this.fixedTimeStep) {
-                this.fixedUpdate(this.fixedTimeStep);
+                this.stepFixed(this.fixedTimeStep);
                 this.accumulator -= this.fixedTimeStep;
             }
 
@@ -154,6 +181,98 @@ export class GameEngine {
         this.rafId = requestAnimationFrame(this.gameLoop);
     }
 
+    /**
+     * Run one fixed tick: apply this tick's input commands, then fixedUpdate
+     * @param {number} dt - Fixed delta time
+     */
+    stepFixed(dt) {
+        const commands = this.replayPlayer
+            ? this.replayPlayer.take(this.simulationTick)
+            : this.inputQueue.splice(0);
+
+        commands.forEach((command) => {
+            // Recorded before applying: a command may start a new recording (e.g. a start tap)
+            this.replayRecorder?.record(this.simulationTick, command);
+            this.applyInput(command);
+        });
+
+        this.fixedUpdate(dt);
+        this.simulationTick++;
+
+        if (this.replayPlayer?.isFinished(this.simulationTick)) {
+            this.onReplayEnd();
+        }
+    }
+
+    /**
+     * Queue an input command for the next fixed tick. Ignored while a replay plays back.
+     * @param {string} type - One uppercase letter
+     * @param {...number} args - Integer arguments
+     */
+    queueInput(type, ...args) {
+        if (this.replayPlayer) return;
+        this.inputQueue.push({ type, args });
+    }
+
+    /**
+     * Simulation clock in ms (fixed ticks since the recording/playback started)
+     * @returns {number}
+     */
+    getSimulationTime() {
+        return this.simulationTick * this.fixedTimeStep * 1000;
+    }
+
+    /**
+     * Start recording a replay; resets the simulation clock
+     * @param {string} gameId - Game identifier
+     * @param {number} seed - Seed the game's RNG was created with
+     */
+    startReplayRecording(gameId, seed) {
+        this.simulationTick = 0;
+        this.replayRecorder = new ReplayRecorder({
+            gameId,
+            seed,
+            tickRate: Math.round(1 / this.fixedTimeStep)
+        });
+    }
+
+    /**
+     * Stop recording and return the replay
+     * @param {Object} final - Outcome the replay must reproduce ({ score, level })
+     * @returns {Object|null} Replay, or null when nothing was recording
+     */
+    finishReplayRecording(final) {
+        if (!this.replayRecorder) return null;
+        const replay = this.replayRecorder.finish(this.simulationTick, final);
+        this.replayRecorder = null;
+        return replay;
+    }
+
+    /**
+     * Start feeding a recorded replay instead of live input; resets the simulation clock
+     * @param {Object} replay - Replay object
+     */
+    startReplayPlayback(replay) {
+        this.replayRecorder = null;
+        this.replayPlayer = new ReplayPlayer(replay);
+        this.inputQueue = [];
+        this.simulationTick = 0;
+    }
+
+    /**
+     * Stop playback and return to live input
+     */
+    stopReplayPlayback() {
+        this.replayPlayer = null;
+    }
+
+    /**
+     * Check if a replay is playing back
+     */
+    isReplaying() {
+        return this.replayPlayer !== null;
+    }
+
     /**
      * Clear the canvas
      * @param {string} color - Background color
@@ -188,6 +307,19 @@ export class GameEngine {
         this.clear();
     }
 
+    /**
+     * Override in subclass - Apply one input command (live or from a replay)
+     * @param {{type: string, args: number[]}} command - Input command
+     */
+    applyInput(command) { }
+
+    /**
+     * Override in subclass - Called when a replay has run out of recorded ticks
+     */
+    onReplayEnd() {
+        this.stopReplayPlayback();
+    }
+
     /**
      * Override in subclass - Called when paused
      */
@@ -0,0 +1,142 @@
+/**
+ * Replay - Input recording and playback for GameEngine games
+ * A replay is the seed plus every input command, stamped with the fixed tick it was applied on.
+ * Feeding the same commands on the same ticks through the same fixedUpdate reproduces the session.
+ *
+ * Replay object:
+ *   { v, gameId, seed, tickRate, ticks, final: { score, level }, inputs }
+ * `inputs` is a compact string of `;`-separated commands: `<tickDelta><TYPE><arg>,<arg>...`
+ * - tickDelta: base36 ticks since the previous command; omitted when it is exactly 1
+ *   (the first command counts from tick -1, so an omitted delta there means tick 0)
+ * - TYPE: one uppercase letter chosen by the game
+ * - args: base36 integers, `-` prefix for negatives
+ * e.g. "P6a;P6c;0T69,d2;5D0" = move to 370 on tick 0, 372 on tick 1, tap on tick 1, key on tick 6.
+ */
+export const REPLAY_FORMAT_VERSION = 1;
+
+const COMMAND_PATTERN = /^([0-9a-z]*)([A-Z])(.*)$/;
+
+function toBase36(value) {
+    const safe = Math.trunc(Number(value) || 0);
+    return safe < 0 ? `-${(-safe).toString(36)}` : safe.toString(36);
+}
+
+/**
+ * Encode commands into the compact input string
+ * @param {Array<{tick: number, type: string, args: number[]}>} commands - Commands in tick order
+ * @returns {string}
+ */
+export function encodeReplayInputs(commands = []) {
+    let previousTick = -1;
+    return commands.map((command) => {
+        const delta = command.tick - previousTick;
+        previousTick = command.tick;
+        const args = (command.args || []).map(toBase36).join(',');
+        return `${delta === 1 ? '' : delta.toString(36)}${command.type}${args}`;
+    }).join(';');
+}
+
+/**
+ * Decode the compact input string
+ * @param {string} inputs - Encoded commands
+ * @returns {Array<{tick: number, type: string, args: number[]}>}
+ */
+export function decodeReplayInputs(inputs = '') {
+    if (typeof inputs !== 'string' || !inputs) return [];
+
+    let tick = -1;
+    return inputs.split(';').map((token) => {
+        const match = COMMAND_PATTERN.exec(token);
+        if (!match) throw new Error('replay-invalid-input');
+
+        const delta = match[1] ? parseInt(match[1], 36) : 1;
+        tick += delta;
+        const args = match[3]
+            ? match[3].split(',').map((arg) => {
+                const value = parseInt(arg, 36);
+                if (!Number.isFinite(value)) throw new Error('replay-invalid-input');
+                return value;
+            })
+            : [];
+        return { tick, type: match[2], args };
+    });
+}
+
+/**
+ * Collects commands while a session is played
+ */
+export class ReplayRecorder {
+    constructor({ gameId, seed, tickRate = 60 }) {
+        this.gameId = gameId;
+        this.seed = seed;
+        this.tickRate = tickRate;
+        this.commands = [];
+    }
+
+    /**
+     * Record one command applied on a tick
+     * @param {number} tick - Simulation tick
+     * @param {{type: string, args: number[]}} command - Applied command
+     */
+    record(tick, command) {
+        this.commands.push({ tick, type: command.type, args: command.args || [] });
+    }
+
+    /**
+     * Build the replay object
+     * @param {number} ticks - Total ticks simulated
+     * @param {Object} final - Outcome the replay must reproduce ({ score, level })
+     * @returns {Object} Replay
+     */
+    finish(ticks, final = {}) {
+        return {
+            v: REPLAY_FORMAT_VERSION,
+            gameId: this.gameId,
+            seed: this.seed,
+            tickRate: this.tickRate,
+            ticks,
+            final: {
+                score: Math.max(0, Math.floor(Number(final.score) || 0)),
+                level: Math.max(1, Math.floor(Number(final.level) || 1))
+            },
+            inputs: encodeReplayInputs(this.commands)
+        };
+    }
+}
+
+/**
+ * Hands recorded commands back to the engine tick by tick
+ */
+export class ReplayPlayer {
+    constructor(replay) {
+        if (!replay || replay.v !== REPLAY_FORMAT_VERSION) {
+            throw new Error('replay-version-unsupported');
+        }
+        this.replay = replay;
+        this.commands = decodeReplayInputs(replay.inputs);
+        this.cursor = 0;
+    }
+
+    /**
+     * Commands recorded for a tick
+     * @param {number} tick - Simulation tick
+     * @returns {Array<{type: string, args: number[]}>}
+     */
+    take(tick) {
+        const commands = [];
+        while (this.cursor < this.commands.length && this.commands[this.cursor].tick <= tick) {
+            commands.push(this.commands[this.cursor]);
+            this.cursor++;
+        }
+        return commands;
+    }
+
+    /**
+     * Whether the recorded session has been fully played back
+     * @param {number} tick - Current simulation tick
+     * @returns {boolean}
+     */
+    isFinished(tick) {
+        return tick >= this.replay.ticks && this.cursor >= this.commands.length;
+    }
+}
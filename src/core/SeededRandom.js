@@ -0,0 +1,165 @@
+/**
+ * SeededRandom - Small deterministic PRNG (mulberry32) and named streams
+ * The same seed always yields the same sequence, which is what replays and daily challenges rely on.
+ * Games draw from named streams so that, for example, extra cosmetic draws never shift what spawns next.
+ */
+export const RANDOM_STREAM_NAMES = Object.freeze(['spawn', 'loot', 'cosmetic']);
+
+export class SeededRandom {
+    constructor(seed = SeededRandom.createSeed()) {
+        this.seed = SeededRandom.normalizeSeed(seed);
+        this.state = this.seed;
+    }
+
+    /**
+     * Create a fresh 32-bit seed
+     * @returns {number} Unsigned 32-bit integer
+     */
+    static createSeed() {
+        if (typeof crypto !== 'undefined' && typeof crypto.getRandomValues === 'function') {
+            return crypto.getRandomValues(new Uint32Array(1))[0];
+        }
+        return Math.floor(Math.random() * 0x100000000) >>> 0;
+    }
+
+    /**
+     * Coerce any number into an unsigned 32-bit seed
+     * @param {number} seed - Seed value
+     * @returns {number} Unsigned 32-bit integer
+     */
+    static normalizeSeed(seed) {
+        const parsed = Number(seed);
+        return Number.isFinite(parsed) ? (Math.floor(parsed) >>> 0) : 0;
+    }
+
+    /**
+     * Next float in [0, 1)
+     * @returns {number}
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    }
+
+    /**
+     * Next integer in [min, max]
+     * @param {number} min - Inclusive lower bound
+     * @param {number} max - Inclusive upper bound
+     * @returns {number}
+     */
+    nextInt(min, max) {
+        return min + Math.floor(this.next() * (max - min + 1));
+    }
+
+    /**
+     * True with the given probability
+     * @param {number} probability - 0.0 to 1.0
+     * @returns {boolean}
+     */
+    chance(probability = 0.5) {
+        return this.next() < probability;
+    }
+
+    /**
+     * Pick one element of an array
+     * @param {Array} items - Candidates
+     * @returns {*} Picked element, or undefined for an empty array
+     */
+    pick(items) {
+        if (!items.length) return undefined;
+        return items[Math.floor(this.next() * items.length)];
+    }
+
+    /**
+     * Shuffle a copy of an array (Fisher-Yates)
+     * @param {Array} items - Source array
+     * @returns {Array} Shuffled copy
+     */
+    shuffle(items) {
+        const result = items.slice();
+        for (let i = result.length - 1; i > 0; i--) {
+            const j = Math.floor(this.next() * (i + 1));
+            [result[i], result[j]] = [result[j], result[i]];
+        }
+        return result;
+    }
+
+    /**
+     * Current internal state, for snapshots
+     * @returns {number}
+     */
+    getState() {
+        return this.state;
+    }
+
+    /**
+     * Restore a state captured with getState()
+     * @param {number} state - Internal state
+     */
+    setState(state) {
+        this.state = SeededRandom.normalizeSeed(state);
+    }
+}
+
+/**
+ * Seed for one named stream: the base seed mixed with a hash of the name
+ * @param {number} seed - Base seed
+ * @param {string} name - Stream name
+ * @returns {number} Unsigned 32-bit integer
+ */
+export function deriveStreamSeed(seed, name) {
+    // FNV-1a over the name, then a murmur3 finalizer so nearby seeds land far apart
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < name.length; i++) {
+        hash = Math.imul(hash ^ name.charCodeAt(i), 0x01000193);
+    }
+    let mixed = (SeededRandom.normalizeSeed(seed) ^ hash) >>> 0;
+    mixed = Math.imul(mixed ^ (mixed >>> 16), 0x85EBCA6B);
+    mixed = Math.imul(mixed ^ (mixed >>> 13), 0xC2B2AE35);
+    return (mixed ^ (mixed >>> 16)) >>> 0;
+}
+
+/**
+ * RandomStreams - One base seed, one independent SeededRandom per stream name
+ * (spawn: level layout and enemies, loot: drops and upgrade picks, cosmetic: effects and flavour text).
+ * The hub exposes an instance to iframe games as `window.__mgpRandom`.
+ */
+export class RandomStreams {
+    /**
+     * @param {number} seed - Base seed
+     * @param {Object} options
+     * @param {boolean} options.seeded - Seeded mode: reset() replays the same seed instead of drawing a new one
+     */
+    constructor(seed = SeededRandom.createSeed(), { seeded = false } = {}) {
+        this.seeded = seeded;
+        this.seed = SeededRandom.normalizeSeed(seed);
+        this.streams = new Map();
+    }
+
+    /**
+     * Get a named stream
+     * @param {string} name - One of RANDOM_STREAM_NAMES
+     * @returns {SeededRandom}
+     */
+    stream(name) {
+        if (!RANDOM_STREAM_NAMES.includes(name)) {
+            throw new Error(`unknown-random-stream:${name}`);
+        }
+        if (!this.streams.has(name)) {
+            this.streams.set(name, new SeededRandom(deriveStreamSeed(this.seed, name)));
+        }
+        return this.streams.get(name);
+    }
+
+    /**
+     * Restart every stream for a new run. Seeded mode keeps the seed; otherwise a fresh one is drawn.
+     * @param {number} seed - Explicit seed (e.g. a replay's)
+     */
+    reset(seed = this.seeded ? this.seed : SeededRandom.createSeed()) {
+        this.seed = SeededRandom.normalizeSeed(seed);
+        this.streams.clear();
+    }
+}
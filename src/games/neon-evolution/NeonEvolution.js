@@ -2,12 +2,26 @@
  * Neon Block Evolution - Time Attack Block Breaker
  * Features: Time attack, upgrade cards, keyboard & touch controls
  * Responsive 9:16 design with horizontal-based scaling
+ * All input goes through queueInput/applyInput and randomness through the seeded streams in this.random,
+ * so every run is recorded as a replay (see core/Replay.js).
  */
 import { GameEngine } from '../../core/GameEngine.js';
+import { RandomStreams, SeededRandom } from '../../core/SeededRandom.js';
 import { StateManager, GameSession } from '../../core/StateManager.js';
 import { ParticleSystem } from '../../systems/ParticleSystem.js';
 import { ScoreManager } from '../../systems/ScoreManager.js';
 
+const GAME_ID = 'neon-evolution';
+
+// Replay input commands
+const INPUT_KEY_DOWN = 'D'; // [keyIndex]
+const INPUT_KEY_UP = 'U'; // [keyIndex]
+const INPUT_POINTER = 'P'; // [virtualX]
+const INPUT_TAP = 'T'; // [virtualX, virtualY]
+const INPUT_HUB_PAUSE = 'H'; // [1 = pause, 0 = resume]
+const INPUT_RESTART = 'R'; // []
+const INPUT_KEY_CODES = ['ArrowLeft', 'ArrowRight', 'Space', 'Escape'];
+
 export default class NeonEvolution extends GameEngine {
     constructor(canvasId, options = {}) {
         super(canvasId);
@@ -42,6 +56,11 @@ export default class NeonEvolution extends GameEngine {
         this.keys = { left: false, right: false };
         this.paddleVelocity = 0;
         this.lastPaddleX = 0;
+        this.lastQueuedPointerX = null;
+
+        // Seeded streams, reset on every start (options.seed = seeded mode: every run gets the same seed)
+        this.random = new RandomStreams(options.seed, { seeded: options.seed !== undefined });
+        this.replayOutcome = null;
 
         // Commentary system
         this.currentComment = '';
@@ -77,6 +96,7 @@ export default class NeonEvolution extends GameEngine {
         this.shieldActive = false;
         this.gameFrame = 0;
         this.pendingCardSelect = false; // Prevent multiple card selections
+        this._currentCards = null;
 
         // Cards database
         this.cardsDB = [
@@ -96,21 +116,23 @@ export default class NeonEvolution extends GameEngine {
         window.addEventListener('resize', () => this.resizeCanvas());
 
         // Keyboard input
-        window.addEventListener('keydown', (e) => this.handleKeyDown(e));
-        window.addEventListener('keyup', (e) => this.handleKeyUp(e));
+        this.onKeyDown = (e) => this.handleKeyDown(e);
+        this.onKeyUp = (e) => this.handleKeyUp(e);
+        window.addEventListener('keydown', this.onKeyDown);
+        window.addEventListener('keyup', this.onKeyUp);
 
         // Mouse/Touch input
         this.canvas.addEventListener('mousemove', (e) => this.handlePointerMove(e));
         this.canvas.addEventListener('touchmove', (e) => this.handleTouchMove(e), { passive: false });
-        this.canvas.addEventListener('click', (e) => this.handleClick(e));
+        this.canvas.addEventListener('click', (e) => this.handleTap(e));
         this.canvas.addEventListener('touchstart', (e) => {
             e.preventDefault();
-            this.handleClick(e);
+            this.handleTap(e);
         }, { passive: false });
 
         this.state = new StateManager();
         this.particles = new ParticleSystem(50);
-        this.scoreManager = new ScoreManager('neon-evolution');
+        this.scoreManager = new ScoreManager(GAME_ID, { clock: () => this.getSimulationTime() });
         this.session = new GameSession();
 
         this.setupStateCallbacks();
@@ -118,48 +140,125 @@ export default class NeonEvolution extends GameEngine {
         this.state.setState('START');
     }
 
+    // DOM handlers only queue commands; the game reacts in applyInput on the next fixed tick
     handleKeyDown(e) {
-        if (e.code === 'ArrowLeft') { this.keys.left = true; e.preventDefault(); }
-        if (e.code === 'ArrowRight') { this.keys.right = true; e.preventDefault(); }
-        if (e.code === 'Space') {
-            e.preventDefault();
-            if (this.state.isState('START')) this.startGame();
-            else if (this.state.isState('PLAYING')) this.launchBalls();
-            else if (this.state.isState('PAUSED')) this.state.setState('PLAYING');
-        }
-        if (e.code === 'Escape' && this.state.isState('PLAYING')) this.state.setState('PAUSED');
+        const keyIndex = INPUT_KEY_CODES.indexOf(e.code);
+        if (keyIndex === -1) return;
+        if (e.code !== 'Escape') e.preventDefault();
+        if (e.repeat) return;
+        this.queueInput(INPUT_KEY_DOWN, keyIndex);
     }
 
     handleKeyUp(e) {
-        if (e.code === 'ArrowLeft') this.keys.left = false;
-        if (e.code === 'ArrowRight') this.keys.right = false;
+        if (e.code !== 'ArrowLeft' && e.code !== 'ArrowRight') return;
+        this.queueInput(INPUT_KEY_UP, INPUT_KEY_CODES.indexOf(e.code));
     }
 
     handlePointerMove(e) {
-        const rect = this.canvas.getBoundingClientRect();
-        const x = (e.clientX - rect.left) / this.scale;
-        this.paddle.x = Math.max(0, Math.min(this.virtualWidth - this.upgrades.paddleWidth, x - this.upgrades.paddleWidth / 2));
+        this.queuePointer(e.clientX);
     }
 
     handleTouchMove(e) {
         e.preventDefault();
-        if (e.touches.length > 0) {
-            const rect = this.canvas.getBoundingClientRect();
-            const x = (e.touches[0].clientX - rect.left) / this.scale;
-            this.paddle.x = Math.max(0, Math.min(this.virtualWidth - this.upgrades.paddleWidth, x - this.upgrades.paddleWidth / 2));
+        if (e.touches.length > 0) this.queuePointer(e.touches[0].clientX);
+    }
+
+    handleTap(e) {
+        const point = e.touches?.[0] || e.changedTouches?.[0] || e;
+        const rect = this.canvas.getBoundingClientRect();
+        this.queueInput(
+            INPUT_TAP,
+            Math.round((point.clientX - rect.left) / this.scale),
+            Math.round((point.clientY - rect.top) / this.scale)
+        );
+    }
+
+    queuePointer(clientX) {
+        const rect = this.canvas.getBoundingClientRect();
+        const x = Math.round((clientX - rect.left) / this.scale);
+        if (x === this.lastQueuedPointerX) return;
+        this.lastQueuedPointerX = x;
+
+        // Only the latest position within a tick matters
+        const last = this.inputQueue[this.inputQueue.length - 1];
+        if (last?.type === INPUT_POINTER) last.args[0] = x;
+        else this.queueInput(INPUT_POINTER, x);
+    }
+
+    applyInput({ type, args }) {
+        if (type === INPUT_POINTER) this.movePaddleTo(args[0]);
+        else if (type === INPUT_TAP) this.applyTap(args[0], args[1]);
+        else if (type === INPUT_KEY_DOWN) this.applyKey(INPUT_KEY_CODES[args[0]], true);
+        else if (type === INPUT_KEY_UP) this.applyKey(INPUT_KEY_CODES[args[0]], false);
+        else if (type === INPUT_HUB_PAUSE) this.applyHubPause(args[0] === 1);
+        else if (type === INPUT_RESTART) this.restartRun();
+    }
+
+    // Hub lifecycle commands go through the input queue like any other input, so replays keep them
+    handleLifecycle(command) {
+        if (command === 'pause' || command === 'resume') {
+            const pausing = command === 'pause';
+            if (!this.state.isState(pausing ? 'PLAYING' : 'PAUSED')) return false;
+            this.queueInput(INPUT_HUB_PAUSE, pausing ? 1 : 0);
+            return true;
+        }
+        if (command === 'restart') {
+            this.queueInput(INPUT_RESTART);
+            return true;
         }
+        return super.handleLifecycle(command);
     }
 
-    handleClick(e) {
+    applyHubPause(pausing) {
+        if (pausing && this.state.isState('PLAYING')) this.state.setState('PAUSED');
+        else if (!pausing && this.state.isState('PAUSED')) this.state.setState('PLAYING');
+    }
+
+    restartRun() {
+        if (!this.state.isState('START')) this.quitToMenu();
+        this.startGame();
+    }
+
+    applyKey(code, isDown) {
+        if (code === 'ArrowLeft') this.keys.left = isDown;
+        if (code === 'ArrowRight') this.keys.right = isDown;
+        if (!isDown) return;
+        if (code === 'Space') {
+            if (this.state.isState('START')) this.startGame();
+            else if (this.state.isState('PLAYING')) this.launchBalls();
+            else if (this.state.isState('PAUSED')) this.state.setState('PLAYING');
+        }
+        if (code === 'Escape' && this.state.isState('PLAYING')) this.state.setState('PAUSED');
+    }
+
+    movePaddleTo(x) {
+        this.paddle.x = Math.max(0, Math.min(this.virtualWidth - this.upgrades.paddleWidth, x - this.upgrades.paddleWidth / 2));
+    }
+
+    // Tap in virtual coordinates; button layout matches the render* overlays
+    applyTap(x, y) {
+        const inRect = (rx, ry, rw, rh) => x >= rx && x <= rx + rw && y >= ry && y <= ry + rh;
+        const btnX = this.virtualWidth / 2 - 70;
+
+        // Pause button (top right)
+        if ((this.state.isState('PLAYING') || this.state.isState('PAUSED')) && inRect(this.virtualWidth - 48, 12, 36, 36)) {
+            this.togglePause();
+            return;
+        }
+
         if (this.state.isState('START')) this.startGame();
         else if (this.state.isState('PLAYING')) this.launchBalls();
         else if (this.state.isState('PAUSED')) {
-            // Check pause button click
-            const rect = this.canvas.getBoundingClientRect();
-            const x = ((e.clientX || e.touches?.[0]?.clientX) - rect.left) / this.scale;
-            const y = ((e.clientY || e.touches?.[0]?.clientY) - rect.top) / this.scale;
-            if (x > this.virtualWidth - 50 && y < 50) return; // Pause button area
-            this.state.setState('PLAYING');
+            // QUIT button quits, anywhere else (including RESUME) resumes
+            if (inRect(btnX, this.virtualHeight / 2 + 65, 140, 40)) this.quitToMenu();
+            else this.state.setState('PLAYING');
+        } else if (this.state.isState('CARD_SELECT')) {
+            const hit = this.getCardBounds().find(b => inRect(b.x, b.y, b.w, b.h));
+            if (hit) this.selectCard(hit.card);
+        } else if (this.state.isState('GAMEOVER')) {
+            const retryY = this.virtualHeight / 2 + 40;
+            if (inRect(btnX, retryY, 140, 40)) this.startGame();
+            else if (inRect(btnX, retryY + 55, 140, 40) && this.options.onExit) this.options.onExit();
         }
     }
 
@@ -168,7 +267,7 @@ export default class NeonEvolution extends GameEngine {
             if (!b.active && !b.isDead) {
                 b.active = true;
                 const speedMult = this.getSpeedMultiplier();
-                b.dx = 4 * this.upgrades.ballSpeedMult * speedMult * (Math.random() < 0.5 ? 1 : -1);
+                b.dx = 4 * this.upgrades.ballSpeedMult * speedMult * (this.random.stream('spawn').chance(0.5) ? 1 : -1);
                 b.dy = -5 * this.upgrades.ballSpeedMult * speedMult;
             }
         });
@@ -229,16 +328,33 @@ export default class NeonEvolution extends GameEngine {
         this.state.onEnter('CARD_SELECT', () => {
             // Slow-mo start
             this.timeScale = 0.1;
+            this._currentCards = this.generateCards();
         });
         this.state.onEnter('GAMEOVER', () => {
             this.session.end();
+            const final = { score: this.scoreManager.getScore(), level: this.level };
+            if (this.isReplaying()) {
+                this.finishReplayPlayback(final);
+                return;
+            }
+
+            const replay = this.finishReplayRecording(final);
+            if (this.options.onGameOver) {
+                this.options.onGameOver({
+                    ...final,
+                    maxCombo: this.scoreManager.getMaxCombo(),
+                    stageClears: this.level - 1,
+                    duration: Math.floor(this.getSimulationTime() / 1000),
+                    replay
+                });
+            }
         });
     }
 
     setComment(type) {
         const arr = this.comments[type];
         if (arr) {
-            this.currentComment = arr[Math.floor(Math.random() * arr.length)];
+            this.currentComment = this.random.stream('cosmetic').pick(arr);
             this.commentTimer = 3;
         }
     }
@@ -251,6 +367,9 @@ export default class NeonEvolution extends GameEngine {
         this.level = 1;
         this.timeLeft = this.getTimeLimit(1);
         this.combo = 0;
+        this.lastComboTime = 0;
+        this.pendingCardSelect = false;
+        this._currentCards = null;
         this.timeScale = 1;
         this.targetTimeScale = 1;
         this.upgrades = { paddleWidth: 100, ballSpeedMult: 1, ballDamage: 1, bulletDamage: 0.5, extraBalls: 0, gunsLevel: 0, homing: false, fireRate: 60, explosiveLevel: 0, shield: false };
@@ -296,7 +415,7 @@ export default class NeonEvolution extends GameEngine {
         const specialCount = 3;
         const availableBlocks = blocks.filter(b => !b.special);
         for (let i = 0; i < specialCount && availableBlocks.length > 0; i++) {
-            const randIdx = Math.floor(Math.random() * availableBlocks.length);
+            const randIdx = Math.floor(this.random.stream('spawn').next() * availableBlocks.length);
             const block = availableBlocks.splice(randIdx, 1)[0];
             block.special = true;
             block.color = '#FFD700';
@@ -336,7 +455,7 @@ export default class NeonEvolution extends GameEngine {
     }
 
     selectCard(c) {
-        if (c.id === 'multiball') { this.upgrades.extraBalls++; this.balls.push({ x: this.paddle.x + this.upgrades.paddleWidth / 2, y: this.paddle.y - 15, r: 8, dx: 4 * (Math.random() < 0.5 ? 1 : -1), dy: -5, active: true, isDead: false }); }
+        if (c.id === 'multiball') { this.upgrades.extraBalls++; this.balls.push({ x: this.paddle.x + this.upgrades.paddleWidth / 2, y: this.paddle.y - 15, r: 8, dx: 4 * (this.random.stream('loot').chance(0.5) ? 1 : -1), dy: -5, active: true, isDead: false, trail: [] }); }
         if (c.id === 'power_ball') this.upgrades.ballDamage += 1;
         if (c.id === 'wide_paddle') this.upgrades.paddleWidth += 20;
         if (c.id === 'blaster_count') this.upgrades.gunsLevel = Math.min(25, this.upgrades.gunsLevel + 1);
@@ -345,6 +464,8 @@ export default class NeonEvolution extends GameEngine {
         if (c.id === 'explosive') this.upgrades.explosiveLevel = Math.min(10, this.upgrades.explosiveLevel + 1);
         if (c.id === 'shield') { this.upgrades.shield = true; this.shieldActive = true; }
 
+        this._currentCards = null;
+
         // Slow-mo recovery
         this.timeScale = 0.2;
         this.targetTimeScale = 1;
@@ -357,10 +478,78 @@ export default class NeonEvolution extends GameEngine {
     }
 
     generateCards() {
-        return this.cardsDB.filter(c => !(c.req === 'gun' && this.upgrades.gunsLevel === 0)).sort(() => Math.random() - 0.5).slice(0, 3);
+        return this.random.stream('loot').shuffle(this.cardsDB.filter(c => !(c.req === 'gun' && this.upgrades.gunsLevel === 0))).slice(0, 3);
+    }
+
+    getCardBounds() {
+        const cardW = 95, cardH = 120, gap = 15;
+        const startX = (this.virtualWidth - (cardW * 3 + gap * 2)) / 2;
+        const cardY = this.virtualHeight / 2 - 40;
+        return (this._currentCards || []).map((card, i) => ({ card, x: startX + i * (cardW + gap), y: cardY, w: cardW, h: cardH }));
+    }
+
+    startGame(seed = this.random.seeded ? this.random.seed : SeededRandom.createSeed()) {
+        this.random.reset(seed);
+        if (!this.isReplaying()) {
+            this.startReplayRecording(GAME_ID, this.random.seed);
+            // Keys already held when the run starts are part of its input
+            if (this.keys.left) this.replayRecorder.record(0, { type: INPUT_KEY_DOWN, args: [0] });
+            if (this.keys.right) this.replayRecorder.record(0, { type: INPUT_KEY_DOWN, args: [1] });
+        }
+        this.resetGame();
+        this.state.setState('PLAYING');
+    }
+
+    /**
+     * Watch a recorded run. Live input is ignored until it reaches game over.
+     * @param {Object} replay - Replay produced by this game
+     */
+    playReplay(replay) {
+        if (replay?.gameId !== GAME_ID) throw new Error('replay-game-mismatch');
+        this.startReplayPlayback(replay);
+        this.scoreManager.persistHighScore = false;
+        this.keys = { left: false, right: false };
+        this.replayOutcome = null;
+        this.startGame(replay.seed);
+    }
+
+    /**
+     * Re-simulate a replay without rendering and check it reproduces its recorded result.
+     * Leaves the game on the start screen.
+     * @param {Object} replay - Replay produced by this game
+     * @returns {{matched: boolean, expected: Object, actual: Object}}
+     */
+    verifyReplay(replay) {
+        const wasRunning = this.isRunning;
+        this.stop();
+        this.playReplay(replay);
+        while (this.isReplaying() && this.simulationTick <= replay.ticks) {
+            this.stepFixed(this.fixedTimeStep);
+        }
+        if (this.isReplaying()) this.onReplayEnd();
+
+        const outcome = this.replayOutcome;
+        this.quitToMenu();
+        if (wasRunning) this.start();
+        return outcome;
+    }
+
+    finishReplayPlayback(actual) {
+        const expected = this.replayPlayer.replay.final;
+        this.replayOutcome = {
+            matched: actual.score === expected.score && actual.level === expected.level,
+            expected,
+            actual
+        };
+        this.stopReplayPlayback();
+        this.scoreManager.persistHighScore = true;
+        if (this.options.onReplayEnd) this.options.onReplayEnd(this.replayOutcome);
     }
 
-    startGame() { this.resetGame(); this.state.setState('PLAYING'); }
+    // Ran out of recorded ticks without reaching game over: the replay does not reproduce
+    onReplayEnd() {
+        this.finishReplayPlayback({ score: this.scoreManager.getScore(), level: this.level });
+    }
 
     nextLevel() {
         this.level++;
@@ -371,7 +560,7 @@ export default class NeonEvolution extends GameEngine {
         this.state.setState('PLAYING');
     }
 
-    quitToMenu() { this.resetGame(); this.state.setState('START'); }
+    quitToMenu() { this.finishReplayRecording(); this.resetGame(); this.state.setState('START'); }
 
     fixedUpdate(dt) {
         // Time scale recovery (slow-mo → normal)
@@ -507,7 +696,7 @@ export default class NeonEvolution extends GameEngine {
                                 }
                             }
                         });
-                        this.particles.burst(blk.x + blk.w / 2, blk.y + blk.h / 2, '#ffaa00');
+                        this.particles.sparkle(blk.x + blk.w / 2, blk.y + blk.h / 2, '#ffaa00');
                     }
                 }
             });
@@ -536,7 +725,7 @@ export default class NeonEvolution extends GameEngine {
         if (blk.hp <= 0) {
             this.particles.explode(blk.x + blk.w / 2, blk.y + blk.h / 2, { count: 8, colors: [blk.color] });
             this.scoreManager.add(blk.special ? 50 : 10);
-            const now = Date.now();
+            const now = this.getSimulationTime();
             this.combo = now - this.lastComboTime < 1500 ? this.combo + 1 : 1;
             this.lastComboTime = now;
             if (this.combo >= 5) this.setComment('combo');
@@ -843,14 +1032,7 @@ export default class NeonEvolution extends GameEngine {
         ctx.fillText('업그레이드를 선택하세요', this.virtualWidth / 2, this.virtualHeight / 2 - 85);
 
         // Cards
-        const cards = this._currentCards || (this._currentCards = this.generateCards());
-        const cardW = 95, cardH = 120, gap = 15;
-        const startX = (this.virtualWidth - (cardW * 3 + gap * 2)) / 2;
-        const cardY = this.virtualHeight / 2 - 40;
-
-        cards.forEach((card, i) => {
-            const x = startX + i * (cardW + gap);
-
+        this.getCardBounds().forEach(({ card, x, y: cardY, w: cardW, h: cardH }) => {
             // Ensure full opacity for cards
             ctx.globalAlpha = 1;
             ctx.shadowBlur = 0;
@@ -882,26 +1064,6 @@ export default class NeonEvolution extends GameEngine {
             ctx.fillStyle = '#cccccc';
             ctx.fillText(card.desc, x + cardW / 2, cardY + 98);
         });
-
-        // Store card bounds for click detection
-        this._cardBounds = cards.map((c, i) => ({ card: c, x: startX + i * (cardW + gap), y: cardY, w: cardW, h: cardH }));
-
-        // Add click handler for cards
-        if (!this._cardClickHandler) {
-            this._cardClickHandler = (e) => {
-                if (!this.state.isState('CARD_SELECT')) return;
-                const rect = this.canvas.getBoundingClientRect();
-                const mx = ((e.clientX || e.touches?.[0]?.clientX) - rect.left) / this.scale;
-                const my = ((e.clientY || e.touches?.[0]?.clientY) - rect.top) / this.scale;
-                this._cardBounds?.forEach(b => {
-                    if (mx >= b.x && mx <= b.x + b.w && my >= b.y && my <= b.y + b.h) {
-                        this._currentCards = null;
-                        this.selectCard(b.card);
-                    }
-                });
-            };
-            this.canvas.addEventListener('click', this._cardClickHandler);
-        }
     }
 
     renderGameOver(ctx) {
@@ -946,55 +1108,12 @@ export default class NeonEvolution extends GameEngine {
         ctx.stroke();
         ctx.fillStyle = '#aaa';
         ctx.fillText('HOME', this.virtualWidth / 2, btnY + 26);
-
-        // Click handlers for buttons
-        if (!this._gameOverClickHandler) {
-            this._gameOverClickHandler = (e) => {
-                if (!this.state.isState('GAMEOVER')) return;
-                const rect = this.canvas.getBoundingClientRect();
-                const mx = ((e.clientX || e.touches?.[0]?.clientX) - rect.left) / this.scale;
-                const my = ((e.clientY || e.touches?.[0]?.clientY) - rect.top) / this.scale;
-                const btnX = this.virtualWidth / 2 - 70;
-                const retryY = this.virtualHeight / 2 + 40;
-                const homeY = retryY + 55;
-                if (mx >= btnX && mx <= btnX + 140) {
-                    if (my >= retryY && my <= retryY + 40) this.startGame();
-                    else if (my >= homeY && my <= homeY + 40) { if (this.options.onExit) this.options.onExit(); }
-                }
-            };
-            this.canvas.addEventListener('click', this._gameOverClickHandler);
-        }
-
-        // Pause click handlers
-        if (!this._pauseClickHandler) {
-            this._pauseClickHandler = (e) => {
-                const rect = this.canvas.getBoundingClientRect();
-                const mx = ((e.clientX || e.touches?.[0]?.clientX) - rect.left) / this.scale;
-                const my = ((e.clientY || e.touches?.[0]?.clientY) - rect.top) / this.scale;
-
-                // Pause button (always active)
-                if (mx >= this.virtualWidth - 48 && mx <= this.virtualWidth - 12 && my >= 12 && my <= 48) {
-                    this.togglePause();
-                    return;
-                }
-
-                // Pause menu buttons
-                if (this.state.isState('PAUSED')) {
-                    const btnX = this.virtualWidth / 2 - 70;
-                    if (mx >= btnX && mx <= btnX + 140) {
-                        if (my >= this.virtualHeight / 2 + 10 && my <= this.virtualHeight / 2 + 50) this.state.setState('PLAYING');
-                        else if (my >= this.virtualHeight / 2 + 65 && my <= this.virtualHeight / 2 + 105) this.quitToMenu();
-                    }
-                }
-            };
-            this.canvas.addEventListener('click', this._pauseClickHandler);
-        }
     }
 
     destroy() {
         super.destroy();
-        window.removeEventListener('keydown', this.handleKeyDown);
-        window.removeEventListener('keyup', this.handleKeyUp);
+        window.removeEventListener('keydown', this.onKeyDown);
+        window.removeEventListener('keyup', this.onKeyUp);
         this.particles?.destroy();
     }
 }
@@ -2,24 +2,44 @@
     const params = window.__MGP_RUNNER_PARAMS__ || {};
     const gameId = params.gameId || 'unknown-game';
     const htmlPath = params.html || '';
+    // Bridge session from the hub (see BridgeHost.attach): the nonce every message must echo and the hub origin
+    const nonce = params.mgpNonce || '';
+    const hubOrigin = params.mgpOrigin || '';
+    const frameOrigin = htmlPath ? new URL(htmlPath, window.location.href).origin : '';
+
+    // The inner game gets the same nonce, with this runner as the origin it talks to
+    const buildFrameSrc = () => {
+        const hashIndex = htmlPath.indexOf('#');
+        const basePath = hashIndex >= 0 ? htmlPath.slice(0, hashIndex) : htmlPath;
+        const hashParams = new URLSearchParams(hashIndex >= 0 ? htmlPath.slice(hashIndex + 1) : '');
+        hashParams.set('mgpNonce', nonce);
+        hashParams.set('mgpOrigin', window.location.origin);
+        return `${basePath}#${hashParams.toString()}`;
+    };
 
     function App() {
         const frameRef = React.useRef(null);
 
         React.useEffect(() => {
-            window.parent.postMessage({
-                source: 'mgp-game',
-                type: 'runner-ready',
-                payload: {
-                    gameId,
-                    renderer: 'jsx'
-                }
-            }, '*');
+            if (!nonce || !hubOrigin) {
+                console.warn(`[runner] ${gameId}: no bridge nonce/origin from the hub; messages are not relayed`);
+                return undefined;
+            }
 
             const relayMessage = (event) => {
                 if (!frameRef.current) return;
-                if (event.source !== frameRef.current.contentWindow) return;
-                window.parent.postMessage(event.data, '*');
+                const frameWindow = frameRef.current.contentWindow;
+                const data = event.data;
+                if (!data || data.nonce !== nonce) return;
+
+                if (event.source === frameWindow && event.origin === frameOrigin && data.source === 'mgp-game') {
+                    window.parent.postMessage(data, hubOrigin);
+                    return;
+                }
+                // Hub -> game traffic (handshake, requests) goes the other way through the same relay
+                if (event.source === window.parent && event.origin === hubOrigin && data.source === 'mgp-hub') {
+                    frameWindow.postMessage(data, frameOrigin);
+                }
             };
 
             window.addEventListener('message', relayMessage);
@@ -50,7 +70,7 @@
         return (
             <iframe
                 ref={frameRef}
-                src={htmlPath}
+                src={buildFrameSrc()}
                 title={`${gameId}-html-host`}
                 style={{ width: '100%', height: '100%', border: 'none', background: '#000' }}
                 allow="autoplay; fullscreen"
@@ -0,0 +1,202 @@
+/**
+ * English message catalog. Plural messages are { one, other } maps selected by `count`.
+ */
+export default {
+    'common.settings': 'Settings',
+    'common.refresh': 'Refresh',
+    'common.players': { one: '{count} player', other: '{count} players' },
+    'common.members': { one: '{count} member', other: '{count} members' },
+    'common.days': { one: '{count} day', other: '{count} days' },
+    'common.points': { one: '{count} pt', other: '{count} pts' },
+    'common.close': 'Close',
+    'common.cancel': 'Cancel',
+    'common.save': 'Save',
+    'common.optional': 'optional',
+
+    'hub.tab.play': 'Play',
+    'hub.tab.daily': 'Daily',
+    'hub.tab.ranking': 'Ranking',
+    'hub.stats.achievements': 'Achievements',
+    'hub.stats.totalScore': 'Total score',
+    'hub.stats.games': 'Games',
+    'hub.offline.title': 'OFFLINE',
+    'hub.offline.body': 'Scores and achievements are saved on this device, and rankings show the last downloaded or local records. Everything syncs when you reconnect.',
+
+    'game.loadTimeout': 'Could not load the game screen.',
+    'game.loadTimeoutHint': 'A cached file or a wrong path may be the cause.',
+    'game.loadFailed': 'Failed to load the game',
+    'game.playNow': 'Play now',
+    'game.achievements': 'Achievements',
+    'game.share': 'Share',
+    'game.back': 'Dashboard',
+    'game.orientation.portrait': 'Portrait',
+    'game.orientation.landscape': 'Landscape',
+    'game.input.touch': 'Touch',
+    'game.input.mouse': 'Mouse',
+    'game.input.keyboard': 'Keyboard',
+    'game.input.gamepad': 'Gamepad',
+    'game.highScore': 'High score',
+    'game.play': 'Play',
+    'game.noFile': 'No game file is registered.',
+
+    'auth.signInFailed': 'Sign-in failed.',
+    'auth.signOutFailed': 'Sign-out failed.',
+    'auth.signOut': 'Sign out',
+    'auth.signInWith': 'Sign in with {provider}',
+    'auth.linked': 'Linked: {name}',
+    'auth.error.cloud-auth-disabled': 'Cloud sign-in is disabled.',
+
+    'cloud.disabled.disabled': 'Cloud sign-in is turned off.',
+    'cloud.disabled.missing-firebase-keys': 'Firebase keys (apiKey/authDomain/projectId) are empty.',
+    'cloud.disabled.bootstrap-failed': 'Firebase SDK failed to initialize.',
+    'cloud.disabled.other': 'Cloud setup failed: {reason}',
+    'cloud.disabled.hint': 'Enter your Firebase settings in src/config/cloud-config.js.',
+    'cloud.settings': 'Cloud settings',
+    'cloud.config.enable': 'Enable cloud sign-in and ranking',
+    'cloud.config.authDomainExample': 'e.g. your-app.firebaseapp.com',
+    'cloud.config.storageNote': 'Saved to browser local storage (mgp_cloud_config); the page reloads.',
+    'cloud.config.reset': 'Reset settings',
+    'cloud.config.save': 'Save and apply',
+
+    'profile.cloudDisabled': 'Cloud sign-in is disabled. Enter your Firebase settings first.',
+    'profile.linkedAccount': 'Linked account: {name}',
+    'profile.title': 'Player profile',
+    'profile.nickname': 'Nickname',
+    'profile.language': 'Language',
+    'profile.languageAuto': 'Auto (browser language)',
+    'profile.stats.plays': 'Plays',
+    'profile.stats.playTime': 'Play time',
+    'profile.section.scores': 'Score over time',
+    'profile.section.bests': 'Personal best timeline',
+    'profile.section.playTime': 'Play time per game',
+    'profile.section.achievements': 'Achievements by game',
+    'profile.trend.legend': 'Recent runs, oldest first. Yellow dots mark a new personal best.',
+    'profile.trend.meta': 'Best {best} · Last {last}',
+    'profile.chartEmpty': 'Runs you play from now on will show up here.',
+    'profile.playTime.minutes': '{count}m',
+    'profile.playTime.hours': '{hours}h {minutes}m',
+
+    'ranking.toast.topEntry': '🏆 You made the {board} TOP {top}!',
+    'ranking.toast.overtaken': '{player} passed you on the {board} ({from} → {to})',
+    'ranking.toast.unranked': 'Offline at launch: this run is saved on this device but not ranked',
+    'ranking.toast.uploadsExpired': { one: '{count} queued result expired before it could upload and was not ranked', other: '{count} queued results expired before they could upload and were not ranked' },
+    'ranking.overallTitle': 'Overall ranking',
+    'ranking.boardName': '{name} ranking',
+    'ranking.rank': '#{rank}',
+    'ranking.status.loading': 'Updating server ranking...',
+    'ranking.status.schedule': 'Updated {updated} · Next reset {reset} ({rule})',
+    'ranking.status.group': { one: 'Group ranking · {name} ({count} member)', other: 'Group ranking · {name} ({count} members)' },
+    'ranking.status.localFallback': 'Local backup ranking · Waiting for the server',
+    'ranking.status.pendingUploads': { one: '{count} upload pending', other: '{count} uploads pending' },
+    'ranking.status.server': 'Live server ranking',
+    'ranking.empty': 'No records yet.',
+    'ranking.value.seconds': '{count}s',
+    'ranking.value.level': 'Lv.{level}',
+    'ranking.metric.score': 'Score',
+    'ranking.metric.level': 'Level',
+    'ranking.metric.clearTime': 'Clear time',
+    'ranking.metric.duration': 'Play time',
+    'ranking.metric.maxCombo': 'Max combo',
+    'ranking.metric.stageClears': 'Stage clears',
+    'ranking.metric.itemsCollected': 'Items collected',
+    'ranking.noGames': 'No games to show.',
+    'ranking.notParticipating': 'Not played this week',
+    'ranking.overtaken': 'Passed -{count}',
+    'ranking.overtakenDetail': 'Passed -{count} (was {from} -> now {to})',
+    'ranking.myRank': 'My rank',
+    'ranking.bestRank': 'Best rank',
+    'ranking.myMetric': 'My {metric}',
+    'ranking.topMetric': 'Top {metric}',
+    'ranking.myOverallScore': 'My overall ranking score',
+
+    'season.reset.daily': 'Daily at {time} {timezone}',
+    'season.reset.monthly': 'Monthly on day {day} at {time} {timezone}',
+    'season.reset.weekly': '{weekday}s at {time} {timezone}',
+    'season.reset.custom': 'Event season',
+    'season.myRank': 'My rank {rank}',
+    'season.label': 'Season',
+    'season.current': 'Current season',
+    'season.bestRank': 'My best season rank',
+    'season.archive.loading': 'Loading past season records...',
+    'season.archive.notFound': 'Past season records not found.',
+    'season.archive.summary': 'Final past season records',
+    'season.archive.myScore': 'My final season score',
+    'season.archive.noGames': 'No game records for this season.',
+
+    'daily.alreadyAttempted': 'You already played today\'s daily challenge.',
+    'daily.gameUnavailable': 'Could not load today\'s game.',
+    'daily.confirmStart': 'You get one ranked attempt per day. Start now?\n(Leaving the game does not give the attempt back)',
+    'daily.startFailed': 'Could not start the daily challenge.',
+    'daily.ended': 'Ended',
+    'daily.remaining.hours': '{hours}h {minutes}m left',
+    'daily.remaining.minutes': { one: '{count} minute left', other: '{count} minutes left' },
+    'daily.completed': 'Today\'s attempt done',
+    'daily.started': 'You already started today\'s attempt. It is ranked once the result is submitted.',
+    'daily.start': 'Start attempt',
+    'daily.rules': 'One ranked attempt per day · Everyone plays the same seed',
+    'daily.loading': 'Loading the daily challenge...',
+    'daily.unreachable': 'Cannot reach the daily challenge server.',
+    'daily.none': 'There is no daily challenge today.',
+    'daily.streak.current': 'Current streak',
+    'daily.streak.best': 'Best streak',
+    'daily.boardTitle': 'Today\'s {metric} ranking',
+    'daily.title': 'Daily Challenge',
+
+    'group.confirmLeave': 'Leave the group \'{name}\'?',
+    'group.leaveFailed': 'Could not leave the group.',
+    'group.label': 'Group',
+    'group.all': 'Everyone',
+    'group.inviteCode': 'Invite code',
+    'group.leave': 'Leave',
+    'group.createOrJoin': 'Create/join group',
+    'group.title': 'Friend groups',
+    'group.intro': 'Creating a group gives you an invite code. Share it with friends to compare ranks among group members only.',
+    'group.namePlaceholder': 'New group name',
+    'group.create': 'Create group',
+    'group.codePlaceholder': 'Invite code (8 characters)',
+    'group.join': 'Join with code',
+    'group.nameRequired': 'Enter a group name.',
+    'group.codeRequired': 'Enter an invite code.',
+
+    'share.title': 'Share Score',
+    'share.game': 'Game',
+    'share.currentRank': 'Current Rank',
+    'share.copyLink': 'Copy Link',
+    'share.image.highScore': 'HIGH SCORE',
+    'share.image.rank': 'RANK {rank}',
+    'share.image.player': 'PLAYER {name}',
+    'share.text': { one: '[MINIGAME] {game} - {count} point! {phrase}', other: '[MINIGAME] {game} - {count} points! {phrase}' },
+    'share.textWithRank': { one: '[MINIGAME] {game} - {count} point | Rank {rank}! {phrase}', other: '[MINIGAME] {game} - {count} points | Rank {rank}! {phrase}' },
+    'share.toast.kakao': 'Link copied. Paste it in KakaoTalk.',
+    'share.toast.copied': 'Link copied.',
+    'share.phrases': [
+        'Can you beat this score?',
+        'Try one more run!',
+        'Challenge accepted!',
+        'This one is harder than it looks.',
+        'New record unlocked!',
+        'Beat me if you can!'
+    ],
+
+    'achievement.popupTitle': '{game} achievements',
+    'achievement.progress': 'Unlocked {unlocked}/{total}',
+    'achievement.unlocked': 'Achievement unlocked',
+    'achievement.hidden': 'Secret achievement',
+    'achievement.hiddenDesc': 'Revealed when unlocked',
+    'achievement.inProgress': 'Achievement progress',
+    'achievement.progressTo': '{percent}% to {name}',
+    'achievement.rarity': '{percent}% of players',
+    'achievement.tier.bronze': 'Bronze',
+    'achievement.tier.silver': 'Silver',
+    'achievement.tier.gold': 'Gold',
+    'achievement.tier.platinum': 'Platinum',
+    'achievement.metric.playCount': { one: 'Play {count} time', other: 'Play {count} times' },
+    'achievement.metric.highScore': 'High score {count}',
+    'achievement.metric.totalStageClears': 'Total stage clears {count}',
+    'achievement.metric.maxCombo': 'Max combo {count}',
+    'achievement.metric.totalItemsCollected': { one: 'Collect items {count} time', other: 'Collect items {count} times' },
+    'achievement.metric.totalScore': 'Total score {count}',
+    'achievement.metric.bestStage': 'Best stage {count}',
+    'achievement.metric.totalComboCount': 'Total combo {count}',
+    'achievement.metric.totalPlayTime': 'Total play time {count}s'
+};
@@ -0,0 +1,203 @@
+/**
+ * Korean message catalog (default locale and fallback for missing keys)
+ * Flat dotted keys; `{name}` placeholders; plural maps use Intl.PluralRules categories.
+ */
+export default {
+    'common.settings': '설정',
+    'common.refresh': '새로고침',
+    'common.players': '참가자 {count}명',
+    'common.members': '{count}명',
+    'common.days': '{count}일',
+    'common.points': '{count}점',
+    'common.close': '닫기',
+    'common.cancel': '취소',
+    'common.save': '저장',
+    'common.optional': '선택',
+
+    'hub.tab.play': '게임 플레이',
+    'hub.tab.daily': '데일리',
+    'hub.tab.ranking': '랭킹',
+    'hub.stats.achievements': '전체 업적',
+    'hub.stats.totalScore': '누적 점수',
+    'hub.stats.games': '게임 수',
+    'hub.offline.title': '오프라인',
+    'hub.offline.body': '점수와 업적은 이 기기에 저장되고, 랭킹은 마지막으로 받은 기록이나 이 기기의 기록으로 보여 줍니다. 연결되면 자동으로 동기화합니다.',
+
+    'game.loadTimeout': '게임 화면을 불러오지 못했습니다.',
+    'game.loadTimeoutHint': '캐시된 파일 또는 경로 문제일 수 있습니다.',
+    'game.loadFailed': '게임 로딩 실패',
+    'game.playNow': '바로 플레이',
+    'game.achievements': '업적',
+    'game.share': '공유',
+    'game.back': '대시보드',
+    'game.orientation.portrait': '세로 화면',
+    'game.orientation.landscape': '가로 화면',
+    'game.input.touch': '터치',
+    'game.input.mouse': '마우스',
+    'game.input.keyboard': '키보드',
+    'game.input.gamepad': '게임패드',
+    'game.highScore': '최고 점수',
+    'game.play': '플레이',
+    'game.noFile': '등록된 게임 파일이 없습니다.',
+
+    'auth.signInFailed': '로그인에 실패했습니다.',
+    'auth.signOutFailed': '로그아웃에 실패했습니다.',
+    'auth.signOut': '로그아웃',
+    'auth.signInWith': '{provider} 로그인',
+    'auth.linked': '연동됨: {name}',
+    'auth.error.cloud-auth-disabled': '클라우드 인증이 비활성화되어 있습니다.',
+
+    'cloud.disabled.disabled': '클라우드 인증이 꺼져 있습니다.',
+    'cloud.disabled.missing-firebase-keys': 'Firebase 키(apiKey/authDomain/projectId)가 비어 있습니다.',
+    'cloud.disabled.bootstrap-failed': 'Firebase SDK 초기화에 실패했습니다.',
+    'cloud.disabled.other': '클라우드 초기화 실패: {reason}',
+    'cloud.disabled.hint': 'src/config/cloud-config.js에 Firebase 설정을 입력하세요.',
+    'cloud.settings': '클라우드 설정',
+    'cloud.config.enable': '클라우드 인증/랭킹 활성화',
+    'cloud.config.authDomainExample': '예: your-app.firebaseapp.com',
+    'cloud.config.storageNote': '저장 시 브라우저 로컬 저장소(mgp_cloud_config)에 보관되며 페이지가 새로고침됩니다.',
+    'cloud.config.reset': '설정 초기화',
+    'cloud.config.save': '저장 후 적용',
+
+    'profile.cloudDisabled': '클라우드 인증이 비활성화되어 있습니다. Firebase 설정을 먼저 입력하세요.',
+    'profile.linkedAccount': '연동 계정: {name}',
+    'profile.title': '플레이어 프로필',
+    'profile.nickname': '닉네임',
+    'profile.language': '언어',
+    'profile.languageAuto': '자동 (브라우저 언어)',
+    'profile.stats.plays': '플레이 수',
+    'profile.stats.playTime': '플레이 시간',
+    'profile.section.scores': '점수 추이',
+    'profile.section.bests': '최고 기록 타임라인',
+    'profile.section.playTime': '게임별 플레이 시간',
+    'profile.section.achievements': '게임별 업적',
+    'profile.trend.legend': '최근 플레이 기록(오래된 순)입니다. 노란 점은 최고 기록을 경신한 판입니다.',
+    'profile.trend.meta': '최고 {best} · 최근 {last}',
+    'profile.chartEmpty': '이제부터 플레이한 기록이 여기에 표시됩니다.',
+    'profile.playTime.minutes': '{count}분',
+    'profile.playTime.hours': '{hours}시간 {minutes}분',
+
+    'ranking.toast.topEntry': '🏆 {board} TOP {top} 진입!',
+    'ranking.toast.overtaken': '{player}님이 {board}에서 나를 추월했습니다 ({from} → {to})',
+    'ranking.toast.unranked': '게임 시작 시 오프라인이라 이번 기록은 이 기기에만 저장되고 랭킹에는 반영되지 않습니다',
+    'ranking.toast.uploadsExpired': '업로드 대기 중 만료된 기록 {count}건은 랭킹에 반영되지 않았습니다',
+    'ranking.overallTitle': '전체 랭킹',
+    'ranking.boardName': '{name} 랭킹',
+    'ranking.rank': '{rank}위',
+    'ranking.status.loading': '서버 랭킹 갱신 중...',
+    'ranking.status.schedule': '최근 갱신 {updated} · 다음 초기화 {reset} ({rule})',
+    'ranking.status.group': '그룹 랭킹 · {name} ({count}명)',
+    'ranking.status.localFallback': '로컬 백업 랭킹 · 서버 연결 대기',
+    'ranking.status.pendingUploads': '업로드 대기 {count}건',
+    'ranking.status.server': '실시간 서버 랭킹',
+    'ranking.empty': '기록이 아직 없습니다.',
+    'ranking.value.seconds': '{count}초',
+    'ranking.value.level': 'Lv.{level}',
+    'ranking.metric.score': '점수',
+    'ranking.metric.level': '레벨',
+    'ranking.metric.clearTime': '클리어 시간',
+    'ranking.metric.duration': '플레이 시간',
+    'ranking.metric.maxCombo': '최대 콤보',
+    'ranking.metric.stageClears': '스테이지 클리어',
+    'ranking.metric.itemsCollected': '획득 아이템',
+    'ranking.noGames': '표시할 게임이 없습니다.',
+    'ranking.notParticipating': '금주 미참여',
+    'ranking.overtaken': '추월당함 -{count}위',
+    'ranking.overtakenDetail': '추월당함 -{count}위 (기준 {from} -> 현재 {to})',
+    'ranking.myRank': '내 랭킹',
+    'ranking.bestRank': '최고 랭킹',
+    'ranking.myMetric': '내 {metric}',
+    'ranking.topMetric': '1위 {metric}',
+    'ranking.myOverallScore': '내 전체 랭킹 점수',
+
+    'season.reset.daily': '{timezone} 매일 {time}',
+    'season.reset.monthly': '{timezone} 매월 {day}일 {time}',
+    'season.reset.weekly': '{timezone} {weekday} {time}',
+    'season.reset.custom': '이벤트 시즌',
+    'season.myRank': '내 순위 {rank}',
+    'season.label': '시즌',
+    'season.current': '현재 시즌',
+    'season.bestRank': '내 최고 시즌 순위',
+    'season.archive.loading': '지난 시즌 기록을 불러오는 중...',
+    'season.archive.notFound': '지난 시즌 기록을 찾을 수 없습니다.',
+    'season.archive.summary': '지난 시즌 최종 기록',
+    'season.archive.myScore': '내 시즌 최종 점수',
+    'season.archive.noGames': '이 시즌의 게임 기록이 없습니다.',
+
+    'daily.alreadyAttempted': '오늘의 데일리 챌린지는 이미 도전했습니다.',
+    'daily.gameUnavailable': '오늘의 게임을 불러오지 못했습니다.',
+    'daily.confirmStart': '랭크 도전은 하루 한 번뿐입니다. 지금 시작할까요?\n(게임을 나가도 도전 기회는 돌아오지 않습니다)',
+    'daily.startFailed': '데일리 챌린지를 시작하지 못했습니다.',
+    'daily.ended': '종료',
+    'daily.remaining.hours': '{hours}시간 {minutes}분 남음',
+    'daily.remaining.minutes': '{count}분 남음',
+    'daily.completed': '오늘 도전 완료',
+    'daily.started': '오늘 도전을 이미 시작했습니다. 결과가 제출되면 순위에 반영됩니다.',
+    'daily.start': '도전 시작',
+    'daily.rules': '랭크 도전은 하루 한 번 · 모두 같은 시드로 플레이합니다',
+    'daily.loading': '데일리 챌린지를 불러오는 중...',
+    'daily.unreachable': '데일리 챌린지 서버에 연결할 수 없습니다.',
+    'daily.none': '오늘은 데일리 챌린지가 없습니다.',
+    'daily.streak.current': '연속 참여',
+    'daily.streak.best': '최고 연속',
+    'daily.boardTitle': '오늘의 {metric} 랭킹',
+    'daily.title': '데일리 챌린지',
+
+    'group.confirmLeave': '\'{name}\' 그룹에서 나갈까요?',
+    'group.leaveFailed': '그룹 나가기에 실패했습니다.',
+    'group.label': '그룹',
+    'group.all': '전체',
+    'group.inviteCode': '초대 코드',
+    'group.leave': '나가기',
+    'group.createOrJoin': '그룹 만들기/참가',
+    'group.title': '친구 그룹',
+    'group.intro': '그룹을 만들면 초대 코드가 생성됩니다. 친구에게 코드를 공유하면 그룹 멤버끼리만 순위를 비교할 수 있습니다.',
+    'group.namePlaceholder': '새 그룹 이름',
+    'group.create': '그룹 만들기',
+    'group.codePlaceholder': '초대 코드 (8자리)',
+    'group.join': '코드로 참가',
+    'group.nameRequired': '그룹 이름을 입력하세요.',
+    'group.codeRequired': '초대 코드를 입력하세요.',
+
+    'share.title': '점수 공유',
+    'share.game': '게임',
+    'share.currentRank': '현재 랭킹',
+    'share.copyLink': '링크 복사',
+    'share.image.highScore': '최고 점수',
+    'share.image.rank': '랭킹 {rank}',
+    'share.image.player': '플레이어 {name}',
+    'share.text': '[MINIGAME] {game} - {count}점! {phrase}',
+    'share.textWithRank': '[MINIGAME] {game} - {count}점 | 랭킹 {rank}! {phrase}',
+    'share.toast.kakao': '링크를 복사했습니다. 카카오톡에 붙여 넣으세요.',
+    'share.toast.copied': '링크를 복사했습니다.',
+    'share.phrases': [
+        '이 점수를 넘을 수 있을까요?',
+        '한 판만 더!',
+        '도전을 받아들였다!',
+        '보기보다 어렵습니다.',
+        '신기록 달성!',
+        '이길 수 있으면 이겨 보세요!'
+    ],
+
+    'achievement.popupTitle': '{game} 업적',
+    'achievement.progress': '달성 {unlocked}/{total}',
+    'achievement.unlocked': '업적 달성',
+    'achievement.hidden': '비밀 업적',
+    'achievement.hiddenDesc': '달성하면 공개됩니다',
+    'achievement.inProgress': '업적 진행',
+    'achievement.progressTo': '{name}까지 {percent}%',
+    'achievement.rarity': '플레이어 {percent}% 달성',
+    'achievement.tier.bronze': '브론즈',
+    'achievement.tier.silver': '실버',
+    'achievement.tier.gold': '골드',
+    'achievement.tier.platinum': '플래티넘',
+    'achievement.metric.playCount': '{count}회 플레이',
+    'achievement.metric.highScore': '최고 점수 {count}',
+    'achievement.metric.totalStageClears': '누적 스테이지 클리어 {count}회',
+    'achievement.metric.maxCombo': '최대 콤보 {count}',
+    'achievement.metric.totalItemsCollected': '아이템 {count}회 획득',
+    'achievement.metric.totalScore': '누적 점수 {count}',
+    'achievement.metric.bestStage': '최고 스테이지 {count}',
+    'achievement.metric.totalComboCount': '누적 콤보 {count}',
+    'achievement.metric.totalPlayTime': '누적 플레이 시간 {count}초'
+};
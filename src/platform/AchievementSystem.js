@@ -1,137 +1,143 @@
 /**
  * AchievementSystem - game-specific achievement tracking and notifications
+ * Definitions come from JSON packs (src/achievements/<pack>.json, schema in AchievementPacks.js).
+ * Names are { en, ko } maps. Descriptions come from the catalog template of the metric
+ * (achievement.metric.<metric>) unless the definition brings its own `desc` map.
+ * Conditions are evaluated against the game's stored data, the session being recorded (when
+ * checkAndUnlock gets one), the consecutive-day streaks and the unlock counts of every game.
+ * The popup list shows one card per achievement or per tier series; hidden achievements stay
+ * masked until unlocked and never get progress toasts.
  */
 import { storage } from '../systems/StorageManager.js';
+import { i18n } from '../systems/I18n.js';
+import { tabCoordinator } from '../systems/TabCoordinator.js';
+import {
+    ACHIEVEMENT_TIERS,
+    DEFAULT_PROGRESS_MILESTONES,
+    collectAchievementRenames,
+    collectConditionLeaves,
+    getAchievementCondition,
+    validateAchievementPack
+} from '../systems/AchievementPacks.js';
+
+// More milestone crossings than this in one check are recorded silently
+const MAX_PROGRESS_TOASTS_PER_CHECK = 2;
 
 export class AchievementSystem {
     constructor() {
+        // packId -> pack ({ id, version, achievements }) loaded from src/achievements/
         this.definitions = new Map();
+        this.packRequests = new Map();
+        this.packByGame = new Map();
         this.toastQueue = [];
         this.isShowingToast = false;
+    }
+
+    /**
+     * Subscribe to achievements unlocked in another hub tab (storage already holds them)
+     * @param {Function} listener - ({ gameId, achievementId }) => void
+     * @returns {Function} Unsubscribe
+     */
+    onRemoteUnlock(listener) {
+        return tabCoordinator.subscribe('achievement-unlocked', (payload) => listener(payload || {}));
+    }
+
+    /**
+     * Load a pack file once. Invalid or missing packs are reported and leave the game without achievements.
+     * @param {string} packId - Pack id (manifest `achievementPack`)
+     * @param {string} url - Pack URL (getAchievementPackPath resolved by the hub)
+     * @returns {Promise<Object|null>} The pack, or null when it could not be used
+     */
+    loadPack(packId, url) {
+        if (this.definitions.has(packId)) {
+            return Promise.resolve(this.definitions.get(packId));
+        }
+        if (!this.packRequests.has(packId)) {
+            this.packRequests.set(packId, this.fetchPack(packId, url));
+        }
+        return this.packRequests.get(packId);
+    }
+
+    async fetchPack(packId, url) {
+        try {
+            const response = await fetch(url, { cache: 'no-store' });
+            if (!response.ok) throw new Error(`pack-http-${response.status}`);
+            const pack = await response.json();
+            const errors = validateAchievementPack(pack, { packId });
+            if (errors.length) {
+                console.warn(`[achievements] pack ${packId} is invalid:`, errors);
+                return null;
+            }
+            this.register(pack);
+            return pack;
+        } catch (error) {
+            console.warn(`[achievements] failed to load pack ${packId}:`, error);
+            this.packRequests.delete(packId);
+            return null;
+        }
+    }
 
-        this.registerDefaultAchievements();
+    /**
+     * Register a validated pack
+     */
+    register(pack) {
+        this.definitions.set(pack.id, pack);
     }
 
     /**
-     * Register game-specific achievements.
-     * Every achievement is evaluated from stored cumulative game data.
+     * Point a game at the achievement pack its manifest names (`achievementPack`) and migrate
+     * the player's unlocked ids to that pack version (renamedFrom ids are rewritten).
      */
-    registerDefaultAchievements() {
-        this.register('neon-block', [
-            { id: 'nb_play_1', name: 'First Brick', desc: 'Play 1 time', icon: '*', points: 5, metric: 'playCount', threshold: 1 },
-            { id: 'nb_play_10', name: 'Brick Regular', desc: 'Play 10 times', icon: '*', points: 12, metric: 'playCount', threshold: 10 },
-            { id: 'nb_score_3000', name: 'Neon Starter', desc: 'High score 3,000', icon: '*', points: 10, metric: 'highScore', threshold: 3000 },
-            { id: 'nb_score_12000', name: 'Neon Ace', desc: 'High score 12,000', icon: '*', points: 24, metric: 'highScore', threshold: 12000 },
-            { id: 'nb_stage_25', name: 'Stage Crusher', desc: 'Total stage clears 25', icon: '*', points: 18, metric: 'totalStageClears', threshold: 25 },
-            { id: 'nb_combo_20', name: 'Combo Burst', desc: 'Max combo 20', icon: '*', points: 20, metric: 'maxCombo', threshold: 20 },
-            { id: 'nb_item_multiball_5', name: 'Multiball Collector', desc: 'Collect multiball 5 times', icon: '*', points: 15, metric: 'item.multiball', threshold: 5 },
-            { id: 'nb_item_shield_5', name: 'Shield Expert', desc: 'Collect shield 5 times', icon: '*', points: 15, metric: 'item.shield', threshold: 5 },
-            { id: 'nb_items_30', name: 'Loadout Builder', desc: 'Collect items 30 times', icon: '*', points: 20, metric: 'totalItemsCollected', threshold: 30 },
-            { id: 'nb_total_score_50000', name: 'Score Engineer', desc: 'Total score 50,000', icon: '*', points: 30, metric: 'totalScore', threshold: 50000 },
-            { id: 'nb_best_stage_15', name: 'Stage Veteran', desc: 'Best stage 15', icon: '*', points: 24, metric: 'bestStage', threshold: 15 }
-        ]);
-
-        this.register('neon-findmine', [
-            { id: 'nf_play_1', name: 'Field Entry', desc: 'Play 1 time', icon: '*', points: 5, metric: 'playCount', threshold: 1 },
-            { id: 'nf_play_8', name: 'Field Scout', desc: 'Play 8 times', icon: '*', points: 12, metric: 'playCount', threshold: 8 },
-            { id: 'nf_play_20', name: 'Field Veteran', desc: 'Play 20 times', icon: '*', points: 20, metric: 'playCount', threshold: 20 },
-            { id: 'nf_high_900', name: 'Clean Sweep', desc: 'High score 900', icon: '*', points: 16, metric: 'highScore', threshold: 900 },
-            { id: 'nf_total_stage_8', name: 'Clear Operator', desc: 'Total clears 8', icon: '*', points: 16, metric: 'totalStageClears', threshold: 8 },
-            { id: 'nf_total_stage_25', name: 'Mine Master', desc: 'Total clears 25', icon: '*', points: 30, metric: 'totalStageClears', threshold: 25 },
-            { id: 'nf_item_flag_40', name: 'Flag Specialist', desc: 'Use flag 40 times', icon: '*', points: 16, metric: 'item.flag', threshold: 40 },
-            { id: 'nf_best_stage_3', name: 'Hard Mode Clear', desc: 'Best stage 3', icon: '*', points: 26, metric: 'bestStage', threshold: 3 },
-            { id: 'nf_total_score_6000', name: 'Steady Solver', desc: 'Total score 6,000', icon: '*', points: 20, metric: 'totalScore', threshold: 6000 }
-        ]);
-
-        this.register('neon-slotmachine', [
-            { id: 'ns_play_1', name: 'First Spin', desc: 'Play 1 time', icon: '*', points: 5, metric: 'playCount', threshold: 1 },
-            { id: 'ns_play_15', name: 'Spin Addict', desc: 'Play 15 times', icon: '*', points: 14, metric: 'playCount', threshold: 15 },
-            { id: 'ns_high_30000', name: 'Cash Lift', desc: 'High score 30,000', icon: '*', points: 14, metric: 'highScore', threshold: 30000 },
-            { id: 'ns_high_90000', name: 'High Roller', desc: 'High score 90,000', icon: '*', points: 26, metric: 'highScore', threshold: 90000 },
-            { id: 'ns_stage_10', name: 'Stage Investor', desc: 'Total stage clears 10', icon: '*', points: 20, metric: 'totalStageClears', threshold: 10 },
-            { id: 'ns_item_spin_120', name: 'Chip Grinder', desc: 'Collect spin chip 200', icon: '*', points: 18, metric: 'item.spin_chip', threshold: 200 },
-            { id: 'ns_item_bingo_30', name: 'Line Hunter', desc: 'Bingo line 40', icon: '*', points: 20, metric: 'item.bingo', threshold: 40 },
-            { id: 'ns_item_skull_5', name: 'Skull Survivor', desc: 'Skull bingo 10', icon: '*', points: 18, metric: 'item.skull_bingo', threshold: 10 },
-            { id: 'ns_combo_8', name: 'Combo Voltage', desc: 'Max combo 8', icon: '*', points: 18, metric: 'maxCombo', threshold: 8 },
-            { id: 'ns_combo_total_120', name: 'Combo Accountant', desc: 'Total combo 120', icon: '*', points: 22, metric: 'totalComboCount', threshold: 120 },
-            { id: 'ns_total_score_500000', name: 'Casino Veteran', desc: 'Total score 500,000', icon: '*', points: 32, metric: 'totalScore', threshold: 500000 },
-            { id: 'ns_best_stage_10', name: 'Stage Climber', desc: 'Best stage 10', icon: '*', points: 24, metric: 'bestStage', threshold: 10 }
-        ]);
-
-        this.register('neon-survivor', [
-            { id: 'nv_play_1', name: 'First Survival', desc: 'Play 1 time', icon: '*', points: 5, metric: 'playCount', threshold: 1 },
-            { id: 'nv_play_10', name: 'Arena Regular', desc: 'Play 10 times', icon: '*', points: 14, metric: 'playCount', threshold: 10 },
-            { id: 'nv_high_20000', name: 'Danger Zone', desc: 'High score 20,000', icon: '*', points: 16, metric: 'highScore', threshold: 20000 },
-            { id: 'nv_high_60000', name: 'Hyper Core', desc: 'High score 60,000', icon: '*', points: 30, metric: 'highScore', threshold: 60000 },
-            { id: 'nv_stage_40', name: 'Wave Keeper', desc: 'Total stage clears 40', icon: '*', points: 18, metric: 'totalStageClears', threshold: 40 },
-            { id: 'nv_combo_25', name: 'Chain Spark', desc: 'Max combo 25', icon: '*', points: 20, metric: 'maxCombo', threshold: 25 },
-            { id: 'nv_combo_total_250', name: 'Chain Reactor', desc: 'Total combo 250', icon: '*', points: 24, metric: 'totalComboCount', threshold: 250 },
-            { id: 'nv_item_fireball_5', name: 'Missile Crafter', desc: 'Collect fireball 5 times', icon: '*', points: 18, metric: 'item.fireball', threshold: 5 },
-            { id: 'nv_item_ricochet_5', name: 'Ricochet Pilot', desc: 'Collect ricochet 5 times', icon: '*', points: 18, metric: 'item.ricochet', threshold: 5 },
-            { id: 'nv_items_35', name: 'Build Architect', desc: 'Collect items 35 times', icon: '*', points: 20, metric: 'totalItemsCollected', threshold: 35 },
-            { id: 'nv_total_score_150000', name: 'Arena Legend', desc: 'Total score 150,000', icon: '*', points: 36, metric: 'totalScore', threshold: 150000 },
-            { id: 'nv_best_stage_25', name: 'Wave Conqueror', desc: 'Best stage 25', icon: '*', points: 24, metric: 'bestStage', threshold: 25 }
-        ]);
-
-        this.register('neon-biztycoon', [
-            { id: 'nbz_play_1', name: 'First Board Meeting', desc: 'Play 1 time', icon: '*', points: 5, metric: 'playCount', threshold: 1 },
-            { id: 'nbz_play_12', name: 'Executive Loop', desc: 'Play 12 times', icon: '*', points: 14, metric: 'playCount', threshold: 12 },
-            { id: 'nbz_high_100000', name: 'Cash Runner', desc: 'High score 100,000', icon: '*', points: 14, metric: 'highScore', threshold: 100000 },
-            { id: 'nbz_high_1000000', name: 'Neon IPO', desc: 'High score 1,000,000', icon: '*', points: 30, metric: 'highScore', threshold: 1000000 },
-            { id: 'nbz_best_stage_3', name: 'Multi Stage Operator', desc: 'Best stage 3', icon: '*', points: 18, metric: 'bestStage', threshold: 3 },
-            { id: 'nbz_total_stage_20', name: 'Expansion Drive', desc: 'Total stage clears 20', icon: '*', points: 24, metric: 'totalStageClears', threshold: 20 },
-            { id: 'nbz_item_employee_40', name: 'People Builder', desc: 'Collect employee count 40', icon: '*', points: 18, metric: 'item.employee', threshold: 40 },
-            { id: 'nbz_items_80', name: 'HR Pipeline', desc: 'Collect items 80 times', icon: '*', points: 20, metric: 'totalItemsCollected', threshold: 80 },
-            { id: 'nbz_total_score_3000000', name: 'Capital Engine', desc: 'Total score 3,000,000', icon: '*', points: 34, metric: 'totalScore', threshold: 3000000 }
-        ]);
-
-        this.register('neon-fruitmerge', [
-            { id: 'nfm_play_1', name: 'First Drop', desc: 'Play 1 time', icon: '*', points: 5, metric: 'playCount', threshold: 1 },
-            { id: 'nfm_play_12', name: 'Merge Habit', desc: 'Play 12 times', icon: '*', points: 14, metric: 'playCount', threshold: 12 },
-            { id: 'nfm_high_5000', name: 'Sweet Stack', desc: 'High score 5,000', icon: '*', points: 12, metric: 'highScore', threshold: 5000 },
-            { id: 'nfm_high_20000', name: 'Merge Reactor', desc: 'High score 20,000', icon: '*', points: 26, metric: 'highScore', threshold: 20000 },
-            { id: 'nfm_best_stage_4', name: 'Stage Mixer', desc: 'Best stage 4', icon: '*', points: 18, metric: 'bestStage', threshold: 4 },
-            { id: 'nfm_total_stage_35', name: 'Conveyor Master', desc: 'Total stage clears 35', icon: '*', points: 24, metric: 'totalStageClears', threshold: 35 },
-            { id: 'nfm_total_score_120000', name: 'Sugar Economy', desc: 'Total score 120,000', icon: '*', points: 30, metric: 'totalScore', threshold: 120000 },
-            { id: 'nfm_playtime_3600', name: 'Late Shift', desc: 'Total play time 3,600s', icon: '*', points: 20, metric: 'totalPlayTime', threshold: 3600 }
-        ]);
-
-        this.register('neon-jumpin', [
-            { id: 'nj_play_1', name: 'First Fall', desc: 'Play 1 time', icon: '*', points: 5, metric: 'playCount', threshold: 1 },
-            { id: 'nj_play_20', name: 'Gravity Habit', desc: 'Play 20 times', icon: '*', points: 16, metric: 'playCount', threshold: 20 },
-            { id: 'nj_high_300', name: 'Deep Entry', desc: 'High score 300', icon: '*', points: 10, metric: 'highScore', threshold: 300 },
-            { id: 'nj_high_1200', name: 'Abyss Driver', desc: 'High score 1,200', icon: '*', points: 24, metric: 'highScore', threshold: 1200 },
-            { id: 'nj_best_stage_1', name: 'Depth License', desc: 'Best stage 1', icon: '*', points: 8, metric: 'bestStage', threshold: 1 },
-            { id: 'nj_total_score_15000', name: 'Momentum Ledger', desc: 'Total score 15,000', icon: '*', points: 22, metric: 'totalScore', threshold: 15000 },
-            { id: 'nj_total_score_60000', name: 'Neon Freefall', desc: 'Total score 60,000', icon: '*', points: 30, metric: 'totalScore', threshold: 60000 },
-            { id: 'nj_playtime_2400', name: 'Depth Training', desc: 'Total play time 2,400s', icon: '*', points: 18, metric: 'totalPlayTime', threshold: 2400 }
-        ]);
-
-        this.register('neon-strike', [
-            { id: 'nst_play_1', name: 'First Sortie', desc: 'Play 1 time', icon: '*', points: 5, metric: 'playCount', threshold: 1 },
-            { id: 'nst_play_15', name: 'Squad Routine', desc: 'Play 15 times', icon: '*', points: 14, metric: 'playCount', threshold: 15 },
-            { id: 'nst_high_12000', name: 'Battle Spark', desc: 'High score 12,000', icon: '*', points: 14, metric: 'highScore', threshold: 12000 },
-            { id: 'nst_high_50000', name: 'Strike Commander', desc: 'High score 50,000', icon: '*', points: 30, metric: 'highScore', threshold: 50000 },
-            { id: 'nst_best_stage_6', name: 'Frontline Advance', desc: 'Best stage 6', icon: '*', points: 20, metric: 'bestStage', threshold: 6 },
-            { id: 'nst_total_stage_80', name: 'Theater Control', desc: 'Total stage clears 80', icon: '*', points: 26, metric: 'totalStageClears', threshold: 80 },
-            { id: 'nst_combo_20', name: 'Chain Suppressor', desc: 'Max combo 20', icon: '*', points: 18, metric: 'maxCombo', threshold: 20 },
-            { id: 'nst_combo_total_300', name: 'Chain Operator', desc: 'Total combo 300', icon: '*', points: 22, metric: 'totalComboCount', threshold: 300 },
-            { id: 'nst_total_score_300000', name: 'War Ledger', desc: 'Total score 300,000', icon: '*', points: 34, metric: 'totalScore', threshold: 300000 }
-        ]);
+    usePack(gameId, packId) {
+        if (!gameId) return;
+        const safePackId = packId || gameId;
+        this.packByGame.set(gameId, safePackId);
+
+        const pack = this.definitions.get(safePackId);
+        if (!pack) return;
+
+        const applied = storage.getAchievementPackState(gameId);
+        const before = storage.getAchievements(gameId);
+        const after = storage.registerAchievementRenames(gameId, collectAchievementRenames(pack));
+        if (applied?.pack === pack.id && applied.version > pack.version) {
+            console.warn(`[achievements] ${gameId}: pack ${pack.id} v${pack.version} is older than the applied v${applied.version}`);
+            return;
+        }
+        if (applied?.pack !== pack.id || applied.version !== pack.version) {
+            const migrated = before.filter((id) => !after.includes(id));
+            if (migrated.length) {
+                console.info(`[achievements] ${gameId}: migrated ${migrated.join(', ')} to pack ${pack.id} v${pack.version}`);
+            }
+            storage.setAchievementPackState(gameId, { pack: pack.id, version: pack.version });
+        }
     }
 
     /**
-     * Register achievements for game
+     * Achievement definitions of the game's pack, retired ones included
      */
-    register(gameId, achievements) {
-        this.definitions.set(gameId, achievements);
+    getDefinitions(gameId) {
+        return this.definitions.get(this.packByGame.get(gameId) || gameId)?.achievements || [];
     }
 
     /**
      * Check definition exists
      */
     hasDefinition(gameId, achievementId) {
-        return (this.definitions.get(gameId) || []).some((achievement) => achievement.id === achievementId);
+        return this.getDefinitions(gameId).some((achievement) => achievement.id === achievementId && !achievement.retired);
+    }
+
+    /**
+     * Definition with its name and description in the active locale
+     */
+    localize(achievement) {
+        const desc = achievement.desc
+            ? i18n.pick(achievement.desc)
+            : i18n.t(`achievement.metric.${achievement.metric}`, { count: Number(achievement.threshold) || 0 }, { fallback: '' });
+        return {
+            ...achievement,
+            name: i18n.pick(achievement.name) || achievement.id,
+            desc
+        };
     }
 
     /**
@@ -149,34 +155,123 @@ export class AchievementSystem {
         return Number.isFinite(scalarValue) ? scalarValue : 0;
     }
 
+    /**
+     * Resolve a session metric from the result being recorded
+     */
+    getSessionValue(metric, session) {
+        if (!metric || !session) return 0;
+
+        if (metric.startsWith('item.')) {
+            return Number(session.itemCounts?.[metric.slice(5)] || 0);
+        }
+
+        const value = Number(session[metric] || 0);
+        return Number.isFinite(value) ? value : 0;
+    }
+
+    /**
+     * Resolve a cross-game count over every game that has a pack
+     */
+    getMetaValue(metric) {
+        const gameIds = Array.from(this.packByGame.keys());
+        if (metric === 'gamesPlayed') {
+            return gameIds.filter((gameId) => storage.getGameData(gameId).playCount > 0).length;
+        }
+
+        // Same count as getProgress().unlocked, without building the localized list
+        const counts = gameIds.map((gameId) => {
+            const ids = new Set(this.getDefinitions(gameId).map((achievement) => achievement.id));
+            return storage.getAchievements(gameId).filter((id) => ids.has(id)).length;
+        });
+        if (metric === 'achievementsInEveryGame') {
+            return counts.length > 0 ? Math.min(...counts) : 0;
+        }
+        return counts.reduce((sum, count) => sum + count, 0);
+    }
+
+    /**
+     * Current value of one condition leaf
+     * @param {Object} leaf - { stat | session | streak | meta, min?, max? }
+     * @param {Object} context - { gameId, gameData, session }
+     * @returns {number|null} null when the leaf cannot be measured (a session leaf outside a session)
+     */
+    getLeafValue(leaf, context) {
+        if (leaf.stat) return this.getMetricValue(leaf.stat, context.gameData);
+        if (leaf.session) return context.session ? this.getSessionValue(leaf.session, context.session) : null;
+        if (leaf.streak) return storage.getDailyStreak(leaf.streak === 'game' ? context.gameId : null);
+        if (leaf.meta) return this.getMetaValue(leaf.meta);
+        return null;
+    }
+
+    /**
+     * Evaluate a condition tree
+     */
+    evaluateCondition(condition, context) {
+        if (Array.isArray(condition.all)) {
+            return condition.all.every((entry) => this.evaluateCondition(entry, context));
+        }
+        if (Array.isArray(condition.any)) {
+            return condition.any.some((entry) => this.evaluateCondition(entry, context));
+        }
+
+        const value = this.getLeafValue(condition, context);
+        if (value === null) return false;
+        if (condition.min !== undefined && value < condition.min) return false;
+        if (condition.max !== undefined && value > condition.max) return false;
+        return true;
+    }
+
     /**
      * Evaluate one achievement
+     * @param {Object} achievement - Definition
+     * @param {Object} context - { gameId, gameData, session }; session is the result being recorded, if any
      */
-    evaluateAchievement(achievement, gameData) {
-        if (!achievement.metric || !Number.isFinite(achievement.threshold)) {
+    evaluateAchievement(achievement, context) {
+        const condition = getAchievementCondition(achievement);
+        if (achievement.retired || !condition) {
             return false;
         }
-        return this.getMetricValue(achievement.metric, gameData) >= achievement.threshold;
+        return this.evaluateCondition(condition, context);
+    }
+
+    /**
+     * Progress shown in the list: only single-leaf conditions with a lower bound outside a session have one
+     */
+    getConditionProgress(achievement, context) {
+        const condition = getAchievementCondition(achievement);
+        if (!condition || condition.session || condition.min === undefined || collectConditionLeaves(condition)[0] !== condition) {
+            return { current: 0, threshold: 0 };
+        }
+        return {
+            current: this.getLeafValue(condition, context) || 0,
+            threshold: Number(condition.min) || 0
+        };
+    }
+
+    hasMetaCondition(achievement) {
+        return collectConditionLeaves(getAchievementCondition(achievement)).some((leaf) => leaf.meta);
     }
 
     /**
      * Get all achievements with unlock/current progress
      */
     getAll(gameId) {
-        const definitions = this.definitions.get(gameId) || [];
+        const definitions = this.getDefinitions(gameId);
         const unlockedIds = storage.getAchievements(gameId);
-        const gameData = storage.getGameData(gameId);
-
-        return definitions.map((achievement) => {
-            const current = this.getMetricValue(achievement.metric, gameData);
-            const threshold = Number(achievement.threshold || 0);
-            return {
-                ...achievement,
-                current,
-                threshold,
-                unlocked: unlockedIds.includes(achievement.id)
-            };
-        });
+        const context = { gameId, gameData: storage.getGameData(gameId), session: null };
+
+        // Retired achievements stay listed (and counted) only for players who unlocked them
+        return definitions
+            .filter((achievement) => !achievement.retired || unlockedIds.includes(achievement.id))
+            .map((achievement) => {
+                const { current, threshold } = this.getConditionProgress(achievement, context);
+                return {
+                    ...this.localize(achievement),
+                    current,
+                    threshold,
+                    unlocked: unlockedIds.includes(achievement.id)
+                };
+            });
     }
 
     /**
@@ -234,40 +329,125 @@ export class AchievementSystem {
         if (!saved) {
             return false;
         }
+        tabCoordinator.publish('achievement-unlocked', { gameId, achievementId });
 
-        const achievement = this.definitions
-            .get(gameId)
-            ?.find((item) => item.id === achievementId);
+        const achievement = this.getDefinitions(gameId).find((item) => item.id === achievementId);
 
         if (achievement) {
-            this.showUnlockToast(achievement);
+            this.showUnlockToast(this.localize(achievement));
         }
         return true;
     }
 
     /**
-     * Evaluate all achievements for a game using latest stored data
+     * Evaluate all achievements for a game using latest stored data, then the cross-game (meta)
+     * achievements of every game, since new unlocks may complete them
+     * @param {string} gameId - Game id
+     * @param {Object} options
+     * @param {Object} options.session - Normalized result of the session just recorded, for session conditions
+     * @returns {number} Number of achievements unlocked
      */
-    checkAndUnlock(gameId) {
-        const definitions = this.definitions.get(gameId) || [];
-        const gameData = storage.getGameData(gameId);
-        let unlockedCount = 0;
-
-        definitions.forEach((achievement) => {
-            if (!this.evaluateAchievement(achievement, gameData)) return;
-            if (this.unlock(gameId, achievement.id)) {
-                unlockedCount += 1;
-            }
+    checkAndUnlock(gameId, { session = null } = {}) {
+        let unlockedCount = this.unlockMatching(gameId, { gameId, gameData: storage.getGameData(gameId), session });
+
+        // A meta unlock raises the counts again; a pass only repeats after unlocking something, so this ends
+        let unlockedInPass = 0;
+        do {
+            unlockedInPass = Array.from(this.packByGame.keys()).reduce((sum, metaGameId) => sum + this.unlockMatching(
+                metaGameId,
+                { gameId: metaGameId, gameData: storage.getGameData(metaGameId), session: metaGameId === gameId ? session : null },
+                (achievement) => this.hasMetaCondition(achievement)
+            ), 0);
+            unlockedCount += unlockedInPass;
+        } while (unlockedInPass > 0);
+
+        this.announceProgress(gameId, { gameId, gameData: storage.getGameData(gameId), session });
+        return unlockedCount;
+    }
+
+    /**
+     * Lowest locked tier of its series (achievements outside a series always qualify)
+     */
+    isNextTier(achievement, definitions, unlockedIds) {
+        if (!achievement.series) return true;
+        const tierIndex = ACHIEVEMENT_TIERS.indexOf(achievement.tier);
+        return !definitions.some((other) => other.series === achievement.series
+            && !other.retired
+            && !unlockedIds.includes(other.id)
+            && ACHIEVEMENT_TIERS.indexOf(other.tier) < tierIndex);
+    }
+
+    /**
+     * Toast locked achievements whose progress crossed a milestone (pack or achievement
+     * `milestones`, percent) since the last announcement. Every crossing is recorded; only the
+     * ones closest to completion are shown.
+     * @returns {number} Number of toasts queued
+     */
+    announceProgress(gameId, context) {
+        const pack = this.definitions.get(this.packByGame.get(gameId) || gameId);
+        const definitions = this.getDefinitions(gameId);
+        const unlockedIds = storage.getAchievements(gameId);
+        const announced = storage.getAchievementMilestones(gameId);
+
+        const crossings = definitions
+            .filter((achievement) => !achievement.retired && !achievement.hidden && !unlockedIds.includes(achievement.id))
+            .filter((achievement) => this.isNextTier(achievement, definitions, unlockedIds))
+            .map((achievement) => {
+                const { current, threshold } = this.getConditionProgress(achievement, context);
+                if (threshold <= 0) return null;
+                const percent = Math.floor((current / threshold) * 100);
+                const milestones = achievement.milestones || pack?.milestones || DEFAULT_PROGRESS_MILESTONES;
+                const milestone = milestones.filter((value) => value <= percent).pop();
+                if (!milestone || milestone <= (announced[achievement.id] || 0)) return null;
+                return { achievement, milestone, current, threshold };
+            })
+            .filter(Boolean)
+            .sort((a, b) => b.milestone - a.milestone);
+
+        crossings.forEach(({ achievement, milestone }) => storage.setAchievementMilestone(gameId, achievement.id, milestone));
+        const shown = crossings.slice(0, MAX_PROGRESS_TOASTS_PER_CHECK);
+        shown.forEach(({ achievement, milestone, current, threshold }) => {
+            this.showProgressToast(this.localize(achievement), { percent: milestone, current, threshold });
         });
+        return shown.length;
+    }
 
-        return unlockedCount;
+    unlockMatching(gameId, context, filter = () => true) {
+        return this.getDefinitions(gameId).reduce((count, achievement) => {
+            if (!filter(achievement) || storage.hasAchievement(gameId, achievement.id)) return count;
+            if (!this.evaluateAchievement(achievement, context)) return count;
+            return this.unlock(gameId, achievement.id) ? count + 1 : count;
+        }, 0);
     }
 
     /**
      * Queue unlock toast
      */
     showUnlockToast(achievement) {
-        this.toastQueue.push(achievement);
+        this.queueToast({
+            label: i18n.t('achievement.unlocked'),
+            icon: achievement.icon,
+            name: achievement.name,
+            desc: achievement.desc,
+            side: `+${achievement.points || 0}`
+        });
+    }
+
+    /**
+     * Queue a progress toast, e.g. "80% to Combo Burst"
+     */
+    showProgressToast(achievement, { percent, current, threshold }) {
+        this.queueToast({
+            label: i18n.t('achievement.inProgress'),
+            icon: achievement.icon,
+            name: i18n.t('achievement.progressTo', { percent, name: achievement.name }),
+            desc: `${i18n.formatNumber(Math.min(current, threshold))}/${i18n.formatNumber(threshold)}`,
+            side: `${percent}%`
+        });
+    }
+
+    queueToast(toast) {
+        this.toastQueue.push(toast);
         if (!this.isShowingToast) {
             this.processToastQueue();
         }
@@ -283,26 +463,27 @@ export class AchievementSystem {
         }
 
         this.isShowingToast = true;
-        const achievement = this.toastQueue.shift();
-        await this.displayToast(achievement);
+        const toast = this.toastQueue.shift();
+        await this.displayToast(toast);
         this.processToastQueue();
     }
 
     /**
      * Render toast
+     * @param {Object} entry - { label, icon, name, desc, side }
      */
-    displayToast(achievement) {
+    displayToast(entry) {
         return new Promise((resolve) => {
             const toast = document.createElement('div');
             toast.className = 'achievement-toast animate-slideInRight';
             toast.innerHTML = `
-                <div class="achievement-icon">${achievement.icon}</div>
+                <div class="achievement-icon">${entry.icon}</div>
                 <div class="achievement-info">
-                    <div class="achievement-label">ACHIEVEMENT UNLOCKED</div>
-                    <div class="achievement-name">${achievement.name}</div>
-                    <div class="achievement-desc">${achievement.desc}</div>
+                    <div class="achievement-label">${entry.label}</div>
+                    <div class="achievement-name">${entry.name}</div>
+                    <div class="achievement-desc">${entry.desc}</div>
                 </div>
-                <div class="achievement-points">+${achievement.points || 0}</div>
+                <div class="achievement-points">${entry.side}</div>
             `;
 
             this.addToastStyles();
@@ -407,11 +588,74 @@ export class AchievementSystem {
         document.head.appendChild(style);
     }
 
+    /**
+     * Popup cards: one per achievement, one per series with its tiers lowest first
+     * @returns {Array<{series: string|null, achievements: Object[]}>}
+     */
+    getCards(gameId) {
+        const cards = [];
+        const seriesCards = new Map();
+        this.getAll(gameId).forEach((achievement) => {
+            if (!achievement.series) {
+                cards.push({ series: null, achievements: [achievement] });
+                return;
+            }
+            if (!seriesCards.has(achievement.series)) {
+                const card = { series: achievement.series, achievements: [] };
+                seriesCards.set(achievement.series, card);
+                cards.push(card);
+            }
+            seriesCards.get(achievement.series).achievements.push(achievement);
+        });
+        seriesCards.forEach((card) => card.achievements.sort((a, b) => ACHIEVEMENT_TIERS.indexOf(a.tier) - ACHIEVEMENT_TIERS.indexOf(b.tier)));
+        return cards;
+    }
+
+    /**
+     * One card: the next locked tier (or the top one once all are unlocked) with the tier stages
+     * @param {Object} card - Entry of getCards()
+     * @param {Object|null} rarity - { players, achievements: { id: percent } } from the leaderboard server
+     */
+    renderCard(card, rarity) {
+        const { achievements } = card;
+        const reached = achievements.filter((achievement) => achievement.unlocked);
+        const focus = achievements.find((achievement) => !achievement.unlocked) || achievements[achievements.length - 1];
+        const masked = focus.hidden && !focus.unlocked;
+        const icon = reached.length > 0 ? reached[reached.length - 1].icon : (masked ? '❔' : '🔒');
+        const points = reached.reduce((sum, achievement) => sum + (achievement.points || 0), 0);
+        const progressText = !masked && focus.threshold > 0
+            ? `${i18n.formatNumber(Math.min(focus.current, focus.threshold))}/${i18n.formatNumber(focus.threshold)}`
+            : '';
+        const rarityText = rarity?.players > 0
+            ? i18n.t('achievement.rarity', { percent: rarity.achievements[focus.id] || 0 })
+            : '';
+        const tiers = card.series
+            ? `<div class="achievement-item-tiers">${achievements.map((achievement) => `
+                <span class="achievement-tier tier-${achievement.tier} ${achievement.unlocked ? 'reached' : ''}">${i18n.t(`achievement.tier.${achievement.tier}`)}</span>
+            `).join('')}</div>`
+            : '';
+
+        return `
+            <div class="achievement-item ${reached.length > 0 ? 'unlocked' : 'locked'} ${card.series ? 'tiered' : ''}">
+                <div class="achievement-item-icon">${icon}</div>
+                <div class="achievement-item-info">
+                    <div class="achievement-item-name">${masked ? i18n.t('achievement.hidden') : focus.name}</div>
+                    <div class="achievement-item-desc">${masked ? i18n.t('achievement.hiddenDesc') : focus.desc}</div>
+                    ${tiers}
+                    ${rarityText ? `<div class="achievement-item-rarity">${rarityText}</div>` : ''}
+                </div>
+                <div class="achievement-item-points">${focus.unlocked ? `+${points}` : progressText}</div>
+            </div>
+        `;
+    }
+
     /**
      * Render achievement list HTML for popup
+     * @param {string} gameId - Game id
+     * @param {Object} options
+     * @param {Object|null} options.rarity - The game's entry of LeaderboardService.fetchAchievementRarity()
      */
-    renderAchievementsList(gameId) {
-        const achievements = this.getAll(gameId);
+    renderAchievementsList(gameId, { rarity = null } = {}) {
         const progress = this.getProgress(gameId);
 
         return `
@@ -422,22 +666,7 @@ export class AchievementSystem {
                 </div>
             </div>
             <div class="achievements-grid">
-                ${achievements.map((achievement) => {
-                    const isLocked = !achievement.unlocked;
-                    const progressText = achievement.threshold > 0
-                        ? `${Math.min(achievement.current, achievement.threshold)}/${achievement.threshold}`
-                        : '';
-                    return `
-                        <div class="achievement-item ${achievement.unlocked ? 'unlocked' : 'locked'}">
-                            <div class="achievement-item-icon">${achievement.unlocked ? achievement.icon : '🔒'}</div>
-                            <div class="achievement-item-info">
-                                <div class="achievement-item-name">${isLocked ? 'Locked Achievement' : achievement.name}</div>
-                                <div class="achievement-item-desc">${isLocked ? achievement.desc : achievement.desc}</div>
-                            </div>
-                            <div class="achievement-item-points">${achievement.unlocked ? `+${achievement.points || 0}` : progressText}</div>
-                        </div>
-                    `;
-                }).join('')}
+                ${this.getCards(gameId).map((card) => this.renderCard(card, rarity)).join('')}
             </div>
         `;
     }
@@ -0,0 +1,225 @@
+/**
+ * BridgeHost - Hub side of the versioned postMessage bridge (game side: mgp-bridge.js)
+ * Answers the game's `ready` with a handshake, filters incoming messages to the active game's
+ * iframe, origin, session nonce and protocol version, and runs request/response calls from the
+ * hub to the game, including the lifecycle commands (pause, resume, mute, ...).
+ */
+export const MGP_BRIDGE_PROTOCOL_VERSION = 1;
+// Hash parameters that hand the session nonce and the hub origin to the game (or JSX runner)
+export const BRIDGE_NONCE_PARAM = 'mgpNonce';
+export const BRIDGE_ORIGIN_PARAM = 'mgpOrigin';
+// Hub -> game lifecycle commands; 'request-snapshot' is the built-in `snapshot` method
+export const BRIDGE_LIFECYCLE_COMMANDS = ['pause', 'resume', 'mute', 'unmute', 'request-snapshot', 'restart'];
+
+const GAME_SOURCE = 'mgp-game';
+const HUB_SOURCE = 'mgp-hub';
+const GAME_MESSAGE_TYPES = new Set(['ready', 'progress', 'result', 'achievement', 'pause-request', 'error', 'response']);
+const DEFAULT_REQUEST_TIMEOUT_MS = 1000;
+const LIFECYCLE_METHODS = { 'request-snapshot': 'snapshot' };
+
+function createNonce() {
+    const bytes = crypto.getRandomValues(new Uint8Array(16));
+    return Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function appendHashParams(url, params) {
+    const hashIndex = url.indexOf('#');
+    const basePath = hashIndex >= 0 ? url.slice(0, hashIndex) : url;
+    const hashParams = new URLSearchParams(hashIndex >= 0 ? url.slice(hashIndex + 1) : '');
+    Object.entries(params).forEach(([key, value]) => hashParams.set(key, value));
+    return `${basePath}#${hashParams.toString()}`;
+}
+
+export class BridgeHost {
+    constructor() {
+        this.gameId = null;
+        this.origin = null;
+        this.nonce = null;
+        this.frame = null;
+        this.protocol = null;
+        this.methods = new Set();
+        this.pendingRequests = new Map();
+        this.nextRequestId = 1;
+    }
+
+    /**
+     * Start a bridge session for a game that is about to be loaded
+     * @param {Object} options
+     * @param {string} options.gameId - Registry id of the game being launched
+     * @param {string} options.url - URL the iframe will load; only messages from its origin are accepted
+     * @returns {string} The URL to load, carrying the session nonce and hub origin in its hash
+     */
+    attach({ gameId, url }) {
+        this.detach();
+        this.gameId = gameId;
+        this.origin = new URL(url, window.location.href).origin;
+        this.nonce = createNonce();
+        return appendHashParams(url, {
+            [BRIDGE_NONCE_PARAM]: this.nonce,
+            [BRIDGE_ORIGIN_PARAM]: window.location.origin
+        });
+    }
+
+    /**
+     * Bind the iframe element created for the session. Only its window may talk to the hub
+     * (for JSX games that is the runner, which relays for the inner game).
+     * @param {HTMLIFrameElement} iframe - Game iframe
+     */
+    bindFrame(iframe) {
+        this.frame = iframe || null;
+    }
+
+    /**
+     * Forget the current game and fail its outstanding requests
+     */
+    detach() {
+        this.pendingRequests.forEach(({ reject, timer }) => {
+            clearTimeout(timer);
+            reject(new Error('bridge-detached'));
+        });
+        this.pendingRequests.clear();
+        this.gameId = null;
+        this.origin = null;
+        this.nonce = null;
+        this.frame = null;
+        this.protocol = null;
+        this.methods = new Set();
+    }
+
+    /**
+     * Whether the current game completed the handshake
+     * @returns {boolean}
+     */
+    isConnected() {
+        return Boolean(this.frame?.contentWindow && this.protocol);
+    }
+
+    /**
+     * Whether the game registered a method (announced in its `ready`)
+     * @param {string} method - Method name
+     * @returns {boolean}
+     */
+    supports(method) {
+        return this.isConnected() && this.methods.has(method);
+    }
+
+    /**
+     * Validate a window message. Handshakes and responses are handled here; everything else
+     * the hub has to act on is returned.
+     * @param {MessageEvent} event - Window message event
+     * @returns {{type: string, payload: Object}|null} Game message, or null when there is nothing to do
+     */
+    receive(event) {
+        const data = event.data;
+        if (!data || data.source !== GAME_SOURCE || !this.gameId || !this.frame) return null;
+        if (event.source !== this.frame.contentWindow || event.origin !== this.origin) return null;
+        if (data.nonce !== this.nonce || !GAME_MESSAGE_TYPES.has(data.type)) return null;
+
+        if (data.type === 'ready') {
+            return this.acceptHandshake(data);
+        }
+
+        if (!this.isConnected() || data.v !== this.protocol) return null;
+
+        if (data.type === 'response') {
+            this.settleRequest(data);
+            return null;
+        }
+
+        return {
+            type: data.type,
+            payload: data.payload && typeof data.payload === 'object' ? data.payload : {}
+        };
+    }
+
+    acceptHandshake(data) {
+        const protocol = Number(data.payload?.protocol ?? data.v);
+        const accepted = protocol === MGP_BRIDGE_PROTOCOL_VERSION;
+        this.protocol = accepted ? protocol : null;
+        this.post('handshake', {
+            accepted,
+            protocol: MGP_BRIDGE_PROTOCOL_VERSION,
+            gameId: this.gameId,
+            ...(accepted ? {} : { reason: 'protocol-unsupported' })
+        });
+
+        if (!accepted) {
+            console.warn(`[bridge] ${this.gameId} speaks protocol v${protocol}, hub supports v${MGP_BRIDGE_PROTOCOL_VERSION}`);
+            return null;
+        }
+        const methods = Array.isArray(data.payload?.methods) ? data.payload.methods.map(String) : [];
+        this.methods = new Set(methods);
+        return {
+            type: 'ready',
+            payload: { protocol, methods }
+        };
+    }
+
+    post(type, payload, extra = {}) {
+        const target = this.frame?.contentWindow;
+        if (!target) return;
+        target.postMessage({
+            source: HUB_SOURCE,
+            v: MGP_BRIDGE_PROTOCOL_VERSION,
+            nonce: this.nonce,
+            type,
+            payload,
+            ...extra
+        }, this.origin);
+    }
+
+    /**
+     * Call a method the game registered with bridge.handle()
+     * @param {string} method - Method name (built in: 'snapshot', 'ping')
+     * @param {Object} params - Method parameters
+     * @param {Object} options
+     * @param {number} options.timeoutMs - Reject with `bridge-timeout` after this long
+     * @returns {Promise<*>} The game's result
+     */
+    request(method, params = {}, { timeoutMs = DEFAULT_REQUEST_TIMEOUT_MS } = {}) {
+        if (!this.isConnected()) {
+            return Promise.reject(new Error('bridge-not-connected'));
+        }
+
+        const id = this.nextRequestId++;
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.pendingRequests.delete(id);
+                reject(new Error('bridge-timeout'));
+            }, timeoutMs);
+            this.pendingRequests.set(id, { resolve, reject, timer });
+            this.post('request', { method, params }, { id });
+        });
+    }
+
+    /**
+     * Send a lifecycle command. Commands the game did not register are skipped rather than
+     * sent, so a game without a pause hook never makes the hub wait for a timeout.
+     * @param {string} command - One of BRIDGE_LIFECYCLE_COMMANDS
+     * @param {Object} params - Command parameters (e.g. { reason })
+     * @param {Object} options - See request()
+     * @returns {Promise<Object|null>} The game's acknowledgement, or null when the game does not support the command
+     */
+    command(command, params = {}, options = {}) {
+        if (!BRIDGE_LIFECYCLE_COMMANDS.includes(command)) {
+            return Promise.reject(new Error(`unknown-lifecycle-command:${command}`));
+        }
+        const method = LIFECYCLE_METHODS[command] || command;
+        if (!this.supports(method)) {
+            return Promise.resolve(null);
+        }
+        return this.request(method, params, options);
+    }
+
+    settleRequest(data) {
+        const pending = this.pendingRequests.get(data.id);
+        if (!pending) return;
+        this.pendingRequests.delete(data.id);
+        clearTimeout(pending.timer);
+        if (data.ok) {
+            pending.resolve(data.payload);
+        } else {
+            pending.reject(new Error(data.error || 'bridge-request-failed'));
+        }
+    }
+}
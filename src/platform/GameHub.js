@@ -6,60 +6,47 @@ import { ShareManager } from './ShareManager.js';
 import { AchievementSystem } from './AchievementSystem.js';
 import { cloudAuth } from '../services/CloudAuthService.js';
 import { leaderboardService } from '../services/LeaderboardService.js';
+import { normalizeRankingDefinition } from '../systems/RankingRules.js';
+import { RandomStreams, SeededRandom } from '../core/SeededRandom.js';
+import { BridgeHost, MGP_BRIDGE_PROTOCOL_VERSION } from './BridgeHost.js';
+import { AUTO_LOCALE, LOCALE_NAMES, SUPPORTED_LOCALES, i18n } from '../systems/I18n.js';
+import { getAchievementPackPath } from '../systems/AchievementPacks.js';
+import { ProfileCharts } from './ProfileCharts.js';
+import { tabCoordinator } from '../systems/TabCoordinator.js';
+
+// Game display texts come from the manifests as { ko, en } maps
+const GAME_MANIFEST_SUFFIX = '.manifest.json';
+// Tag labels are catalog keys: game.orientation.<orientation>, game.input.<input>
+const GAME_ORIENTATIONS = ['portrait', 'landscape'];
+const GAME_INPUTS = ['touch', 'mouse', 'keyboard', 'gamepad'];
+
+function toLocalizedMap(value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return null;
+    const entries = Object.entries(value).filter(([, text]) => typeof text === 'string' && text);
+    return entries.length ? Object.fromEntries(entries) : null;
+}
 
-const GAME_CARD_PRESETS = {
-    'neon-block': {
-        name: 'Neon Block Evolution',
-        description: 'Neon style block breaker',
-        icon: '🧱',
-        color: '#00f2ff',
-        gradient: ['#00f2ff', '#ff00ff']
-    },
-    'neon-findmine': {
-        name: 'Bloody Field',
-        description: 'Gothic minesweeper challenge',
-        icon: '🩸',
-        color: '#ff3131',
-        gradient: ['#8b0000', '#ff3131']
-    },
-    'neon-slotmachine': {
-        name: 'Neon Slot Mania',
-        description: 'Neon slot machine arcade',
-        icon: '🎰',
-        color: '#bc13fe',
-        gradient: ['#bc13fe', '#ff00ff']
-    },
-    'neon-survivor': {
-        name: 'Neon Survivor',
-        description: 'Wave-based survival action',
-        icon: '🔥',
-        color: '#ff0044',
-        gradient: ['#ff0044', '#ffcc00']
-    },
-    'neon-biztycoon': {
-        name: 'Neon Biz Tycoon',
-        description: 'Corporate strategy roguelike',
-        icon: '💼',
-        color: '#38d4ff',
-        gradient: ['#38d4ff', '#8b5cf6']
-    },
-    'neon-survivors-gpt': {
-        name: 'Neon Survivors GPT',
-        description: 'JSX mini game',
-        icon: 'S',
-        color: '#2ea8ff',
-        gradient: ['#2ea8ff', '#7c5bff']
-    }
-};
+// Player-chosen text (nicknames, group names) is interpolated into innerHTML templates
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"'`]/g, (char) => `&#${char.charCodeAt(0)};`);
+}
 
 const LEADERBOARD_REFRESH_INTERVAL_MS = 180000;
+const LEADERBOARD_TOP_LIMIT = 5;
 const RANK_WATCH_STORAGE_KEY = 'mgp_rank_watch_v1';
+const TAB_RENDER_DELAY_MS = 150;
+const BRIDGE_SNAPSHOT_TIMEOUT_MS = 800;
+const LIFECYCLE_COMMAND_TIMEOUT_MS = 400;
+// Hub popups that cover the running game (profile, share, achievements, cloud, groups)
+const HUB_MODAL_SELECTOR = '.hub-modal-overlay, .share-modal-overlay, .profile-page';
 
 export class GameHub {
     constructor(containerId) {
         this.container = document.getElementById(containerId);
         this.games = [];
         this.gameRegistry = new Map();
+        // Source path -> precompiled output (src/compiled/manifest.json, written by scripts/build-jsx.mjs)
+        this.compiledSources = new Map();
 
         this.currentGame = null;
         this.currentSession = null;
@@ -76,28 +63,84 @@ export class GameHub {
         this.activeTab = 'play';
         this.leaderboardState = {
             enabled: false,
+            group: null,
             overallTop: [],
             myOverall: null,
             games: {},
             season: null,
+            revision: 0,
             source: 'server',
             loading: false,
             error: null,
             lastUpdatedAt: null
         };
+        this.seasonArchiveState = {
+            seasons: [],
+            best: null,
+            selectedSeasonId: '',
+            snapshot: null,
+            loading: false,
+            error: null
+        };
+        this.rankingBoardSelection = {};
+        this.dailyState = {
+            daily: null,
+            top: [],
+            my: null,
+            attempt: null,
+            streak: null,
+            loading: false,
+            starting: false,
+            error: null
+        };
+        this.groupState = {
+            groups: [],
+            selectedGroupId: '',
+            error: null
+        };
         this.rankWatchState = this.loadRankWatchState();
         this.refreshLeaderboardPromise = null;
+        this.refreshSeasonArchivePromise = null;
         this.refreshLeaderboardTimer = null;
+        this.realtimeRevision = 0;
+        this.leaderboardRefreshQueued = false;
         this.unsubscribeLeaderboardRealtime = null;
         this.unsubscribeAuthListener = null;
         this.deferredRenderRequested = false;
+        this.bridgeHost = new BridgeHost();
+        this.endingSession = false;
+        this.modalLifecycle = { open: false, pause: null };
+        this.modalObserver = null;
+        // Offline play keeps working through sw.js and LeaderboardService's local fallback
+        this.networkState = { online: navigator.onLine !== false };
 
         this.eventsBound = false;
         this.discoveryStarted = false;
         this.runtimeBasePath = this.resolveRuntimeBasePath();
         this.handleContainerClick = this.handleContainerClick.bind(this);
+        this.handleContainerChange = this.handleContainerChange.bind(this);
         this.handleWindowMessage = this.handleWindowMessage.bind(this);
+        this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+        this.handleNetworkChange = this.handleNetworkChange.bind(this);
         this.handleAuthStateChange = this.handleAuthStateChange.bind(this);
+        this.handleLocaleChange = this.handleLocaleChange.bind(this);
+        this.unsubscribeLocaleListener = i18n.onChange(this.handleLocaleChange);
+        // Status text shows how many results still wait in the sync outbox
+        this.unsubscribePendingUploads = leaderboardService.onPendingUploadsChange(() => {
+            this.requestRender('pending-uploads');
+        });
+        // Results that waited offline past their session ticket's TTL cannot be ranked any more
+        this.unsubscribeExpiredUploads = leaderboardService.onExpiredUploads((count) => {
+            this.shareManager.showToast(i18n.t('ranking.toast.uploadsExpired', { count }));
+        });
+        // Other hub tabs: their saves and unlocks re-render this one, and the leader tab shares
+        // the snapshots it fetches so the followers need not poll the server themselves
+        this.tabRenderTimer = null;
+        this.tabSubscriptions = [
+            storage.onExternalChange(() => this.scheduleTabRender()),
+            this.achievementSystem.onRemoteUnlock(() => this.scheduleTabRender()),
+            tabCoordinator.subscribe('leaderboard-snapshot', (payload) => this.handleSharedSnapshot(payload?.snapshot))
+        ];
 
         this.init();
     }
@@ -129,13 +172,15 @@ export class GameHub {
         this.discoveryStarted = true;
 
         try {
-            const [htmlEntries, jsxEntries] = await Promise.all([
+            const [htmlEntries, jsxEntries, compiledSources] = await Promise.all([
                 this.loadHtmlGameEntries(),
-                this.loadJsxGameEntries()
+                this.loadJsxGameEntries(),
+                this.loadCompiledSources()
             ]);
+            this.compiledSources = compiledSources;
 
             const htmlConfigs = await Promise.all(htmlEntries.map((entry) => this.toHtmlGameConfig(entry)));
-            const jsxConfigs = jsxEntries.map((entry) => this.toJsxGameConfig(entry));
+            const jsxConfigs = await Promise.all(jsxEntries.map((entry) => this.toJsxGameConfig(entry)));
             const discoveredConfigs = this.resolveDiscoveredConfigs(
                 [...htmlConfigs, ...jsxConfigs].filter(Boolean)
             );
@@ -146,6 +191,10 @@ export class GameHub {
                 this.gameRegistry = new Map(
                     discoveredConfigs.map((game) => [game.id, game])
                 );
+                await this.loadAchievementPacks(discoveredConfigs);
+                leaderboardService.setRankingDefinitions(
+                    Object.fromEntries(discoveredConfigs.map((game) => [game.id, game.ranking]))
+                );
                 this.requestRender('discover-games');
                 this.refreshLeaderboards({ force: true });
             }
@@ -154,6 +203,39 @@ export class GameHub {
         }
     }
 
+    /**
+     * Load the achievement pack of every discovered game and migrate stored unlocks to it
+     * @param {Object[]} games - Game configs
+     */
+    async loadAchievementPacks(games) {
+        await Promise.all(games.map((game) => this.achievementSystem.loadPack(
+            game.achievementPack,
+            this.buildRuntimeAssetUrl(getAchievementPackPath(game.achievementPack), { cacheBust: true })
+        )));
+        games.forEach((game) => this.achievementSystem.usePack(game.id, game.achievementPack));
+    }
+
+    /**
+     * Re-pick game names and descriptions from their manifest texts and re-render the lobby
+     * (deferred until the current session ends)
+     */
+    handleLocaleChange() {
+        this.games.forEach((game) => {
+            game.name = i18n.pick(game.names) || game.name;
+            game.description = i18n.pick(game.descriptions) || game.description;
+        });
+        this.requestRender('locale-change');
+    }
+
+    // Another tab often saves several keys in a row (a finished session); render once after them
+    scheduleTabRender() {
+        if (this.tabRenderTimer) return;
+        this.tabRenderTimer = window.setTimeout(() => {
+            this.tabRenderTimer = null;
+            this.requestRender('other-tab');
+        }, TAB_RENDER_DELAY_MS);
+    }
+
     resolveDiscoveredConfigs(configs) {
         const resolvedById = new Map();
 
@@ -170,7 +252,7 @@ export class GameHub {
             .sort((a, b) => {
                 const orderDiff = this.getSortOrder(a) - this.getSortOrder(b);
                 if (orderDiff !== 0) return orderDiff;
-                return (a.name || a.id).localeCompare((b.name || b.id), 'ko-KR');
+                return (a.name || a.id).localeCompare((b.name || b.id), i18n.getIntlLocale());
             });
     }
 
@@ -189,6 +271,10 @@ export class GameHub {
                 || previous.color !== next.color
                 || previous.gradient?.[0] !== next.gradient?.[0]
                 || previous.gradient?.[1] !== next.gradient?.[1]
+                || previous.version !== next.version
+                || previous.orientation !== next.orientation
+                || previous.inputs.join(',') !== next.inputs.join(',')
+                || previous.achievementPack !== next.achievementPack
                 || previous.order !== next.order
                 || previous.sourcePriority !== next.sourcePriority
                 || previous.source?.type !== next.source?.type
@@ -313,8 +399,8 @@ export class GameHub {
 
             canvasWrapper.innerHTML = `
                 <div class="glass-panel" style="padding:16px;text-align:center;max-width:min(520px,90vw);">
-                    <p class="neon-text-pink" style="margin:0 0 8px;">게임 화면을 불러오지 못했습니다.</p>
-                    <p class="text-muted" style="margin:0 0 10px;">캐시된 파일 또는 경로 문제일 수 있습니다.</p>
+                    <p class="neon-text-pink" style="margin:0 0 8px;">${i18n.t('game.loadTimeout')}</p>
+                    <p class="text-muted" style="margin:0 0 10px;">${i18n.t('game.loadTimeoutHint')}</p>
                     <code style="font-size:0.7rem;word-break:break-all;opacity:0.85;">${iframeSrc}</code>
                 </div>
             `;
@@ -332,7 +418,7 @@ export class GameHub {
             complete();
             canvasWrapper.innerHTML = `
                 <div class="glass-panel" style="padding:16px;text-align:center;">
-                    <p class="neon-text-pink" style="margin:0 0 8px;">게임 로딩 실패</p>
+                    <p class="neon-text-pink" style="margin:0 0 8px;">${i18n.t('game.loadFailed')}</p>
                     <code style="font-size:0.7rem;word-break:break-all;opacity:0.85;">${iframeSrc}</code>
                 </div>
             `;
@@ -437,6 +523,32 @@ export class GameHub {
         }
     }
 
+    /**
+     * Precompiled JSX outputs; games without one (or a tree that was never built) run from source
+     * @returns {Promise<Map<string, string>>} Source path -> compiled path
+     */
+    async loadCompiledSources() {
+        try {
+            const response = await fetch(
+                this.buildRuntimeAssetUrl('/src/compiled/manifest.json', { cacheBust: true }),
+                { cache: 'no-store' }
+            );
+            if (!response.ok) {
+                console.warn(`Compiled manifest unavailable (${response.status}); JSX games will compile in the browser`);
+                return new Map();
+            }
+            const data = await response.json();
+            return new Map(
+                Object.entries(data?.files || {})
+                    .filter(([, entry]) => typeof entry?.output === 'string' && entry.output)
+                    .map(([sourcePath, entry]) => [sourcePath, entry.output])
+            );
+        } catch (error) {
+            console.warn('Failed to load compiled manifest; JSX games will compile in the browser:', error);
+            return new Map();
+        }
+    }
+
     mergeDiscoveredEntries(primaryEntries, secondaryEntries, normalizeEntry) {
         if (!Array.isArray(primaryEntries) || primaryEntries.length === 0) {
             return Array.isArray(secondaryEntries) ? secondaryEntries : [];
@@ -540,8 +652,75 @@ export class GameHub {
             .join(' ');
     }
 
-    getGameCardPreset(gameId) {
-        return GAME_CARD_PRESETS[gameId] || null;
+    /**
+     * Registry entries carry their manifest fields after `npm run sync:games`. Entries that do not
+     * (directory listing, stale registry) load the `<stem>.manifest.json` next to the game file.
+     * @param {string|Object} entry - Registry or directory listing entry
+     * @param {Function} normalizePath - normalizeHtmlPath or normalizeJsxPath
+     * @returns {Promise<Object|null>} Entry object with the manifest fields merged in
+     */
+    async resolveManifestEntry(entry, normalizePath) {
+        const base = typeof entry === 'string' ? { path: entry } : entry;
+        if (!base || typeof base !== 'object') return null;
+        if (base.manifest) return base;
+
+        const sourcePath = normalizePath(base.path || base.file || base.scriptPath || base.script || '');
+        if (!sourcePath) return base;
+        const manifestPath = sourcePath.replace(/\.[a-z]+$/i, GAME_MANIFEST_SUFFIX);
+        try {
+            const response = await fetch(this.buildRuntimeAssetUrl(manifestPath, { cacheBust: true }), { cache: 'no-store' });
+            if (!response.ok) return base;
+            const manifest = await response.json();
+            if (!manifest || typeof manifest !== 'object') return base;
+            return { ...manifest, ...base, manifest: manifestPath };
+        } catch (error) {
+            return base;
+        }
+    }
+
+    /**
+     * Manifest fields shared by HTML and JSX games, with the stem-based fallbacks for games
+     * that have no manifest yet
+     * @param {Object} entry - Resolved registry entry
+     * @param {string} stem - Source file name without extension
+     * @param {string} fallbackDescription - Description when the entry has none
+     * @returns {Object|null} Card fields, or null when the game cannot run in this hub
+     */
+    resolveManifestFields(entry, stem, fallbackDescription) {
+        const gameId = (typeof entry.id === 'string' && entry.id) || this.toGameIdFromStem(stem);
+        if (!gameId) return null;
+
+        if (entry.bridgeProtocol !== undefined && Number(entry.bridgeProtocol) !== MGP_BRIDGE_PROTOCOL_VERSION) {
+            console.warn(`[hub] ${gameId} targets bridge protocol v${entry.bridgeProtocol}, hub speaks v${MGP_BRIDGE_PROTOCOL_VERSION}; skipped`);
+            return null;
+        }
+
+        const names = toLocalizedMap(entry.name);
+        const descriptions = toLocalizedMap(entry.description);
+        const color = typeof entry.color === 'string' && entry.color ? entry.color : '#3cc6ff';
+        const gradient = Array.isArray(entry.gradient) && entry.gradient.length >= 2
+            ? [entry.gradient[0], entry.gradient[1]]
+            : [color, '#6f5bff'];
+
+        return {
+            id: gameId,
+            version: typeof entry.version === 'string' ? entry.version : '',
+            name: i18n.pick(entry.name) || this.toDisplayNameFromStem(stem),
+            names,
+            description: i18n.pick(entry.description) || fallbackDescription,
+            descriptions,
+            icon: typeof entry.icon === 'string' && entry.icon ? entry.icon : '\uD83C\uDFAE',
+            color,
+            gradient,
+            orientation: GAME_ORIENTATIONS.includes(entry.orientation) ? entry.orientation : 'any',
+            inputs: Array.isArray(entry.inputs)
+                ? entry.inputs.filter((input) => GAME_INPUTS.includes(input))
+                : [],
+            achievementPack: typeof entry.achievementPack === 'string' && entry.achievementPack
+                ? entry.achievementPack
+                : gameId,
+            manifest: typeof entry.manifest === 'string' ? entry.manifest : null
+        };
     }
 
     resolveEntryEnabled(entry) {
@@ -571,61 +750,26 @@ export class GameHub {
         return this.getNumericOrFallback(priority, fallback);
     }
 
-    toHtmlGameConfig(entry) {
-        let sourcePath = '';
-        let id = '';
-        let name = '';
-        let description = '';
-        let icon = '';
-        let color = '';
-        let gradient = null;
-        let enabled = true;
-        let order = null;
-        let sourcePriority = 10;
-
-        if (typeof entry === 'string') {
-            sourcePath = this.normalizeHtmlPath(entry) || '';
-        } else if (entry && typeof entry === 'object') {
-            sourcePath = this.normalizeHtmlPath(entry.path || entry.file || '');
-            enabled = this.resolveEntryEnabled(entry);
-            order = this.resolveEntryOrder(entry);
-            sourcePriority = this.resolveEntrySourcePriority(entry, 10);
-            id = typeof entry.id === 'string' ? entry.id : '';
-            name = typeof entry.name === 'string' ? entry.name : '';
-            description = typeof entry.description === 'string' ? entry.description : '';
-            icon = typeof entry.icon === 'string' && entry.icon ? entry.icon : '';
-            color = typeof entry.color === 'string' && entry.color ? entry.color : '';
-            if (Array.isArray(entry.gradient) && entry.gradient.length >= 2) {
-                gradient = [entry.gradient[0], entry.gradient[1]];
-            }
-        }
+    async toHtmlGameConfig(rawEntry) {
+        const entry = await this.resolveManifestEntry(rawEntry, (path) => this.normalizeHtmlPath(path));
+        if (!entry) return null;
 
+        const sourcePath = this.normalizeHtmlPath(entry.path || entry.file || '');
         if (!sourcePath) return null;
-        if (!enabled) return null;
+        if (!this.resolveEntryEnabled(entry)) return null;
         const fileName = sourcePath.split('/').pop() || '';
         const stem = fileName.replace(/\.html$/i, '');
         if (!stem) return null;
 
-        const gameId = id || this.toGameIdFromStem(stem);
-        if (!gameId) return null;
-
-        const preset = this.getGameCardPreset(gameId);
-        const gameName = name || preset?.name || this.toDisplayNameFromStem(stem);
-        const gameDescription = description || preset?.description || 'HTML mini game';
-        const gameIcon = icon || preset?.icon || '\uD83C\uDFAE';
-        const gameColor = color || preset?.color || '#3cc6ff';
-        const gameGradient = gradient || preset?.gradient || [gameColor, '#6f5bff'];
+        const fields = this.resolveManifestFields(entry, stem, 'HTML mini game');
+        if (!fields) return null;
 
         return {
-            id: gameId,
-            name: gameName,
-            description: gameDescription,
-            icon: gameIcon,
-            color: gameColor,
-            gradient: gameGradient,
-            enabled,
-            order,
-            sourcePriority,
+            ...fields,
+            enabled: true,
+            order: this.resolveEntryOrder(entry),
+            sourcePriority: this.resolveEntrySourcePriority(entry, 10),
+            ranking: normalizeRankingDefinition(entry.ranking || null),
             source: {
                 type: 'html',
                 path: sourcePath
@@ -633,67 +777,32 @@ export class GameHub {
         };
     }
 
-    toJsxGameConfig(entry) {
-        let sourcePath = '';
-        let id = '';
-        let name = '';
-        let description = '';
-        let icon = '';
-        let color = '';
-        let gradient = null;
-        let htmlPath = '';
-        let enabled = true;
-        let order = null;
-        let sourcePriority = 20;
-
-        if (typeof entry === 'string') {
-            sourcePath = this.normalizeJsxPath(entry) || '';
-        } else if (entry && typeof entry === 'object') {
-            sourcePath = this.normalizeJsxPath(entry.path || entry.scriptPath || entry.script || '');
-            enabled = this.resolveEntryEnabled(entry);
-            order = this.resolveEntryOrder(entry);
-            sourcePriority = this.resolveEntrySourcePriority(entry, 20);
-            id = typeof entry.id === 'string' ? entry.id : '';
-            name = typeof entry.name === 'string' ? entry.name : '';
-            description = typeof entry.description === 'string' ? entry.description : '';
-            icon = typeof entry.icon === 'string' && entry.icon ? entry.icon : '';
-            color = typeof entry.color === 'string' && entry.color ? entry.color : '';
-            htmlPath = typeof entry.htmlPath === 'string'
-                ? entry.htmlPath
-                : (typeof entry.html === 'string' ? entry.html : '');
-            if (Array.isArray(entry.gradient) && entry.gradient.length >= 2) {
-                gradient = [entry.gradient[0], entry.gradient[1]];
-            }
-        }
+    async toJsxGameConfig(rawEntry) {
+        const entry = await this.resolveManifestEntry(rawEntry, (path) => this.normalizeJsxPath(path));
+        if (!entry) return null;
 
+        const sourcePath = this.normalizeJsxPath(entry.path || entry.scriptPath || entry.script || '');
         if (!sourcePath) return null;
-        if (!enabled) return null;
+        if (!this.resolveEntryEnabled(entry)) return null;
         const fileName = sourcePath.split('/').pop() || '';
         const stem = fileName.replace(/\.jsx$/i, '');
         if (!stem) return null;
 
-        const gameId = id || this.toGameIdFromStem(stem);
-        if (!gameId) return null;
+        const fields = this.resolveManifestFields(entry, stem, 'JSX mini game');
+        if (!fields) return null;
 
-        const preset = this.getGameCardPreset(gameId);
-        const gameName = name || preset?.name || this.toDisplayNameFromStem(stem);
-        const gameDescription = description || preset?.description || 'JSX mini game';
-        const gameIcon = icon || preset?.icon || '\uD83C\uDFAE';
-        const gameColor = color || preset?.color || '#3cc6ff';
-        const gameGradient = gradient || preset?.gradient || [gameColor, '#6f5bff'];
+        const htmlPath = typeof entry.htmlPath === 'string'
+            ? entry.htmlPath
+            : (typeof entry.html === 'string' ? entry.html : '');
         const fallbackHtmlPath = this.normalizeHtmlPath(`${stem}.html`) || '';
         const normalizedHtmlPath = this.normalizeHtmlPath(htmlPath) || fallbackHtmlPath;
 
         return {
-            id: gameId,
-            name: gameName,
-            description: gameDescription,
-            icon: gameIcon,
-            color: gameColor,
-            gradient: gameGradient,
-            enabled,
-            order,
-            sourcePriority,
+            ...fields,
+            enabled: true,
+            order: this.resolveEntryOrder(entry),
+            sourcePriority: this.resolveEntrySourcePriority(entry, 20),
+            ranking: normalizeRankingDefinition(entry.ranking || null),
             source: {
                 type: 'jsx',
                 path: sourcePath,
@@ -787,7 +896,8 @@ export class GameHub {
             }
         } catch (error) {
             console.warn('Sign-in failed:', error);
-            window.alert(`로그인에 실패했습니다.\n${error?.message || error}`);
+            const reason = error?.message || String(error);
+            window.alert(`${i18n.t('auth.signInFailed')}\n${i18n.t(`auth.error.${reason}`, {}, { fallback: reason })}`);
         }
     }
 
@@ -796,14 +906,14 @@ export class GameHub {
             await cloudAuth.signOut();
         } catch (error) {
             console.warn('Sign-out failed:', error);
-            window.alert(`로그아웃에 실패했습니다.\n${error?.message || error}`);
+            window.alert(`${i18n.t('auth.signOutFailed')}\n${error?.message || error}`);
         }
     }
 
     startLeaderboardAutoRefresh() {
         if (this.refreshLeaderboardTimer) return;
         this.refreshLeaderboardTimer = window.setInterval(() => {
-            this.refreshLeaderboards();
+            this.refreshLeaderboardsAsOwner();
         }, LEADERBOARD_REFRESH_INTERVAL_MS);
     }
 
@@ -816,11 +926,104 @@ export class GameHub {
     setupRealtimeLeaderboard() {
         if (this.unsubscribeLeaderboardRealtime) return;
 
-        this.unsubscribeLeaderboardRealtime = leaderboardService.subscribeRealtime(() => {
-            this.refreshLeaderboards();
+        this.unsubscribeLeaderboardRealtime = leaderboardService.subscribeRealtime((event) => {
+            this.handleLeaderboardEvent(event);
         });
     }
 
+    handleLeaderboardEvent(event = {}) {
+        switch (event.type) {
+            case 'ready':
+                // A resumed stream replays the missed deltas right after this event.
+                if (!event.resumed) this.refreshLeaderboardsAsOwner();
+                return;
+            case 'rank':
+            case 'overtake':
+            case 'top-entry':
+                this.handleLeaderboardDelta(event);
+                return;
+            default:
+                this.refreshLeaderboardsAsOwner();
+        }
+    }
+
+    /**
+     * Background refreshes (timer, realtime) of the global board run in the leader tab only,
+     * which shares the result; a tab showing a group board refreshes it itself
+     */
+    refreshLeaderboardsAsOwner() {
+        if (!tabCoordinator.isLeader() && !this.groupState.selectedGroupId) return null;
+        return this.refreshLeaderboards();
+    }
+
+    // Deltas carry the revision they produced; anything older is already in the snapshot,
+    // and a jump past the next revision means a change was missed, so refetch instead.
+    handleLeaderboardDelta(delta) {
+        const revision = Number(delta.revision) || 0;
+        const snapshotRevision = Number(this.leaderboardState.revision) || 0;
+        if (this.refreshLeaderboardPromise) {
+            // The in-flight snapshot may predate this delta; fetch once more when it lands.
+            this.leaderboardRefreshQueued = true;
+            return;
+        }
+        const canPatch = this.leaderboardState.source === 'server' && !this.groupState.selectedGroupId;
+
+        if (canPatch && revision <= snapshotRevision) return;
+        if (!canPatch || revision > Math.max(this.realtimeRevision, snapshotRevision) + 1) {
+            this.refreshLeaderboardsAsOwner();
+            return;
+        }
+        this.realtimeRevision = revision;
+
+        if (delta.type === 'overtake') {
+            this.notifyRankOvertaken(delta);
+            return;
+        }
+        if (delta.type === 'top-entry') {
+            if (delta.entry?.uid === leaderboardService.resolvePlayerProfile().uid) {
+                this.shareManager.showToast(i18n.t('ranking.toast.topEntry', { board: this.getDeltaBoardName(delta), top: delta.topLimit }));
+            }
+            return;
+        }
+
+        const patched = leaderboardService.applyRankDelta(this.leaderboardState, delta, { topLimit: LEADERBOARD_TOP_LIMIT });
+        if (!patched) return;
+        this.leaderboardState = patched;
+        if (delta.scope === 'game') {
+            this.applyRankingSnapshotToLocal(patched.games);
+            this.updateRankWatchFromSnapshot(patched.games, patched.season);
+        }
+        this.requestRender('leaderboard-delta');
+    }
+
+    notifyRankOvertaken(delta) {
+        const myUid = leaderboardService.resolvePlayerProfile().uid;
+        if (!delta.by || delta.by.uid === myUid) return;
+
+        const my = delta.scope === 'overall'
+            ? this.leaderboardState.myOverall
+            : this.leaderboardState.games?.[delta.gameId]?.boards?.[delta.board]?.my;
+        const myRank = Number(my?.rank);
+        if (!Number.isFinite(myRank) || myRank < delta.fromRank) return;
+        if (delta.toRank !== null && myRank > delta.toRank) return;
+
+        this.shareManager.showToast(
+            i18n.t('ranking.toast.overtaken', {
+                player: delta.by.nickname || 'Player',
+                board: this.getDeltaBoardName(delta),
+                from: this.formatLeaderboardRank(myRank),
+                to: this.formatLeaderboardRank(myRank + 1)
+            })
+        );
+    }
+
+    getDeltaBoardName(delta) {
+        if (delta.scope === 'overall') return i18n.t('ranking.overallTitle');
+        const game = this.gameRegistry.get(delta.gameId);
+        const boardLabel = i18n.pick(game?.ranking?.subBoards?.labels?.[delta.board]);
+        return i18n.t('ranking.boardName', { name: `${game?.name || delta.gameId}${boardLabel ? ` ${boardLabel}` : ''}` });
+    }
+
     getLocalOverallHighScoreTotal() {
         const seasonalScores = storage.getSeasonalHighScoresMap() || {};
         return Object.values(seasonalScores).reduce((total, score) => {
@@ -1033,6 +1236,44 @@ export class GameHub {
         });
     }
 
+    applyLeaderboardSnapshot(snapshot, groupId = '') {
+        storage.ensureSeasonalState(snapshot?.season?.id, snapshot?.season || null);
+        // Group ranks are relative to the members only; best-rank records and rank watch stay global.
+        if (!groupId) {
+            this.applyRankingSnapshotToLocal(snapshot.games);
+            this.updateRankWatchFromSnapshot(snapshot.games, snapshot.season);
+        }
+
+        this.leaderboardState = {
+            ...this.leaderboardState,
+            enabled: Boolean(snapshot.enabled ?? true),
+            group: snapshot.group || null,
+            overallTop: snapshot.overallTop || [],
+            myOverall: snapshot.myOverall || null,
+            games: snapshot.games || {},
+            season: snapshot.season || null,
+            revision: Number(snapshot.revision) || 0,
+            source: snapshot.source || 'server',
+            loading: false,
+            error: null,
+            lastUpdatedAt: Date.now()
+        };
+        this.realtimeRevision = this.leaderboardState.revision;
+    }
+
+    /**
+     * Global snapshot fetched by another tab. Skipped while this tab shows a group board or
+     * already holds a newer server revision.
+     */
+    handleSharedSnapshot(snapshot) {
+        if (!snapshot || typeof snapshot !== 'object' || this.groupState.selectedGroupId) return;
+        const isServer = snapshot.source === 'server' && this.leaderboardState.source === 'server';
+        if (isServer && (Number(snapshot.revision) || 0) < (Number(this.leaderboardState.revision) || 0)) return;
+
+        this.applyLeaderboardSnapshot(snapshot);
+        this.requestRender('shared-leaderboard-snapshot');
+    }
+
     async refreshLeaderboards(options = {}) {
         const { force = false } = options;
         if (this.refreshLeaderboardPromise && !force) {
@@ -1044,27 +1285,17 @@ export class GameHub {
             this.leaderboardState.error = null;
             this.requestRender('refresh-leaderboards-start');
 
+            const groupId = this.groupState.selectedGroupId;
             try {
                 const snapshot = await leaderboardService.getAllGameLeaderboardSnapshot({
                     gameIds: this.games.map((game) => game.id),
-                    topLimit: 5
+                    topLimit: LEADERBOARD_TOP_LIMIT,
+                    groupId
                 });
-                storage.ensureSeasonalState(snapshot?.season?.id, snapshot?.season || null);
-                this.applyRankingSnapshotToLocal(snapshot.games);
-                this.updateRankWatchFromSnapshot(snapshot.games, snapshot.season);
-
-                this.leaderboardState = {
-                    ...this.leaderboardState,
-                    enabled: Boolean(snapshot.enabled ?? true),
-                    overallTop: snapshot.overallTop || [],
-                    myOverall: snapshot.myOverall || null,
-                    games: snapshot.games || {},
-                    season: snapshot.season || null,
-                    source: snapshot.source || 'server',
-                    loading: false,
-                    error: null,
-                    lastUpdatedAt: Date.now()
-                };
+                this.applyLeaderboardSnapshot(snapshot, groupId);
+                if (!groupId) {
+                    tabCoordinator.publish('leaderboard-snapshot', { snapshot });
+                }
             } catch (error) {
                 console.warn('Failed to refresh leaderboards:', error);
                 this.leaderboardState = {
@@ -1072,6 +1303,11 @@ export class GameHub {
                     loading: false,
                     error: error?.message || String(error)
                 };
+                // The group was deleted or we were removed from it; drop back to the global board.
+                if (groupId && (error?.statusCode === 403 || error?.statusCode === 404)) {
+                    this.groupState.selectedGroupId = '';
+                    this.refreshGroups();
+                }
             }
 
             this.requestRender('refresh-leaderboards-end');
@@ -1080,14 +1316,226 @@ export class GameHub {
         this.refreshLeaderboardPromise = runRefresh()
             .finally(() => {
                 this.refreshLeaderboardPromise = null;
+                if (this.leaderboardRefreshQueued) {
+                    this.leaderboardRefreshQueued = false;
+                    this.refreshLeaderboards();
+                }
             });
 
         return this.refreshLeaderboardPromise;
     }
 
-    async syncLeaderboardAfterSession(gameId) {
+    async refreshSeasonArchive() {
+        if (this.refreshSeasonArchivePromise) return this.refreshSeasonArchivePromise;
+
+        const runRefresh = async () => {
+            const result = await leaderboardService.fetchSeasonList();
+            const selectedSeasonId = result.seasons.some((season) => season.id === this.seasonArchiveState.selectedSeasonId)
+                ? this.seasonArchiveState.selectedSeasonId
+                : '';
+            this.seasonArchiveState = {
+                ...this.seasonArchiveState,
+                seasons: result.seasons,
+                best: result.best,
+                selectedSeasonId,
+                snapshot: selectedSeasonId ? this.seasonArchiveState.snapshot : null
+            };
+            this.requestRender('refresh-season-archive');
+        };
+
+        this.refreshSeasonArchivePromise = runRefresh()
+            .catch((error) => {
+                console.warn('Failed to refresh season archive:', error);
+            })
+            .finally(() => {
+                this.refreshSeasonArchivePromise = null;
+            });
+
+        return this.refreshSeasonArchivePromise;
+    }
+
+    async selectSeason(seasonId) {
+        const nextSeasonId = String(seasonId || '');
+        this.seasonArchiveState = {
+            ...this.seasonArchiveState,
+            selectedSeasonId: nextSeasonId,
+            snapshot: null,
+            loading: Boolean(nextSeasonId),
+            error: null
+        };
+        this.requestRender('select-season');
+        if (!nextSeasonId) return;
+
+        try {
+            const snapshot = await leaderboardService.fetchSeasonSnapshot(nextSeasonId, {
+                gameIds: this.games.map((game) => game.id),
+                topLimit: 5
+            });
+            if (this.seasonArchiveState.selectedSeasonId !== nextSeasonId) return;
+            this.seasonArchiveState = {
+                ...this.seasonArchiveState,
+                snapshot,
+                loading: false
+            };
+        } catch (error) {
+            console.warn('Failed to load archived season:', error);
+            if (this.seasonArchiveState.selectedSeasonId !== nextSeasonId) return;
+            this.seasonArchiveState = {
+                ...this.seasonArchiveState,
+                loading: false,
+                error: error?.message || String(error)
+            };
+        }
+        this.requestRender('select-season-loaded');
+    }
+
+    async refreshGroups() {
+        try {
+            const groups = await leaderboardService.fetchGroups();
+            const selectedGroupId = groups.some((group) => group.id === this.groupState.selectedGroupId)
+                ? this.groupState.selectedGroupId
+                : '';
+            this.groupState = {
+                groups,
+                selectedGroupId,
+                error: null
+            };
+        } catch (error) {
+            console.warn('Failed to load leaderboard groups:', error);
+            this.groupState = {
+                ...this.groupState,
+                error: error?.message || String(error)
+            };
+        }
+        this.requestRender('refresh-groups');
+    }
+
+    async refreshDailyChallenge() {
+        this.dailyState = { ...this.dailyState, loading: true, error: null };
+        this.requestRender('refresh-daily-start');
+
+        try {
+            const result = await leaderboardService.fetchDailyChallenge({ topLimit: LEADERBOARD_TOP_LIMIT });
+            const { daily, attempt } = result;
+            // The server owns the attempt; mirror it locally so another device's attempt shows up too.
+            if (daily && attempt.status === 'started') {
+                storage.markDailyAttemptStarted({ dayKey: daily.dayKey, gameId: daily.gameId });
+            }
+            if (daily && attempt.status === 'completed') {
+                storage.markDailyAttemptCompleted(daily.dayKey, {
+                    gameId: daily.gameId,
+                    score: attempt.score,
+                    rank: result.my?.rank ?? null
+                });
+            }
+            this.dailyState = {
+                ...this.dailyState,
+                ...result,
+                loading: false,
+                error: null
+            };
+        } catch (error) {
+            console.warn('Failed to load daily challenge:', error);
+            this.dailyState = {
+                ...this.dailyState,
+                loading: false,
+                error: error?.message || String(error)
+            };
+        }
+        this.requestRender('refresh-daily-end');
+    }
+
+    async startDailyChallenge() {
+        const { daily } = this.dailyState;
+        if (!daily || this.dailyState.starting) return;
+        if (storage.getDailyAttempt(daily.dayKey) || this.dailyState.attempt?.status !== 'none') {
+            window.alert(i18n.t('daily.alreadyAttempted'));
+            return;
+        }
+        if (!this.gameRegistry.has(daily.gameId)) {
+            window.alert(i18n.t('daily.gameUnavailable'));
+            return;
+        }
+        if (!window.confirm(i18n.t('daily.confirmStart'))) return;
+
+        this.dailyState.starting = true;
+        let attempt = null;
+        try {
+            attempt = await leaderboardService.startDailyAttempt();
+        } catch (error) {
+            console.warn('Failed to start daily challenge:', error);
+            this.dailyState.starting = false;
+            if (error?.statusCode === 409) {
+                window.alert(i18n.t('daily.alreadyAttempted'));
+                this.refreshDailyChallenge();
+                return;
+            }
+            window.alert(`${i18n.t('daily.startFailed')}\n${error?.message || error}`);
+            return;
+        }
+
+        this.dailyState.starting = false;
+        storage.markDailyAttemptStarted({ dayKey: attempt.dayKey, gameId: attempt.gameId });
+        this.dailyState.attempt = { status: 'started', score: null };
+        this.launchGame(attempt.gameId, { seed: attempt.seed, daily: attempt });
+    }
+
+    selectGroup(groupId) {
+        const nextGroupId = String(groupId || '');
+        if (nextGroupId === this.groupState.selectedGroupId) return;
+        this.groupState.selectedGroupId = nextGroupId;
+        this.refreshLeaderboards({ force: true });
+    }
+
+    async leaveSelectedGroup() {
+        const group = this.groupState.groups.find((entry) => entry.id === this.groupState.selectedGroupId);
+        if (!group) return;
+        if (!window.confirm(i18n.t('group.confirmLeave', { name: group.name }))) return;
+
+        try {
+            await leaderboardService.leaveGroup(group.id);
+        } catch (error) {
+            console.warn('Failed to leave group:', error);
+            window.alert(`${i18n.t('group.leaveFailed')}\n${error?.message || error}`);
+            return;
+        }
+
+        this.groupState.selectedGroupId = '';
+        await this.refreshGroups();
+        this.refreshLeaderboards({ force: true });
+    }
+
+    async syncLeaderboardAfterSession(gameId, session = null) {
         try {
-            await leaderboardService.syncFromLocal(gameId);
+            const ticket = session?.ticketPromise ? await session.ticketPromise : null;
+            // No ticket means the server was unreachable at launch: the run only counts on this device
+            if (session && !ticket) {
+                this.shareManager.showToast(i18n.t('ranking.toast.unranked'));
+            }
+            const syncResult = await leaderboardService.syncFromLocal(
+                gameId,
+                ticket
+                    ? {
+                        ticket: ticket.ticket,
+                        sessionId: ticket.sessionId,
+                        expiresAt: ticket.expiresAt,
+                        result: session.result,
+                        replay: session.replay
+                    }
+                    : null
+            );
+            if (session?.dailyKey) {
+                const outcome = (syncResult?.sessions || []).find((entry) => entry?.sessionId === ticket?.sessionId);
+                if (outcome?.accepted) {
+                    storage.markDailyAttemptCompleted(session.dailyKey, {
+                        gameId,
+                        score: outcome.score,
+                        rank: outcome.daily?.rank ?? null
+                    });
+                }
+                this.refreshDailyChallenge();
+                return;
+            }
             this.refreshLeaderboards({ force: true });
         } catch (error) {
             console.warn('Failed to sync leaderboard after session:', error);
@@ -1096,13 +1544,13 @@ export class GameHub {
 
     formatLeaderboardRank(rank) {
         if (!Number.isFinite(rank) || rank <= 0) return '-';
-        return `${rank}위`;
+        return i18n.t('ranking.rank', { rank });
     }
 
-    formatKstDateTime(timestamp) {
+    formatSeasonDateTime(timestamp) {
         if (!Number.isFinite(Number(timestamp))) return '-';
-        return new Date(timestamp).toLocaleString('ko-KR', {
-            timeZone: 'Asia/Seoul',
+        return i18n.formatDateTime(timestamp, {
+            timeZone: storage.getSeasonSchedule().timezone,
             month: '2-digit',
             day: '2-digit',
             hour: '2-digit',
@@ -1111,49 +1559,115 @@ export class GameHub {
         });
     }
 
+    formatSeasonLabel(season) {
+        if (!season || !Number.isFinite(Number(season.startAt)) || Number(season.startAt) <= 0) return '-';
+        const formatDate = (timestamp) => i18n.formatDateTime(timestamp, {
+            timeZone: storage.getSeasonSchedule().timezone,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit'
+        });
+        // endAt is the next reset instant, so show the last day that belonged to the season.
+        const lastDay = Number(season.endAt) > Number(season.startAt) ? Number(season.endAt) - 1 : Number(season.startAt);
+        return `${formatDate(season.startAt)} ~ ${formatDate(lastDay)}`;
+    }
+
+    formatSeasonResetRule() {
+        const schedule = storage.getSeasonSchedule();
+        const resetTime = `${String(schedule.resetHour).padStart(2, '0')}:00`;
+        const now = Date.now();
+        const cadence = schedule.cadence === 'custom' && !(now >= schedule.startAt && now < schedule.endAt)
+            ? schedule.fallbackCadence
+            : schedule.cadence;
+
+        const timezone = schedule.timezoneLabel;
+        if (cadence === 'daily') return i18n.t('season.reset.daily', { timezone, time: resetTime });
+        if (cadence === 'monthly') return i18n.t('season.reset.monthly', { timezone, day: schedule.monthStartDay, time: resetTime });
+        if (cadence === 'custom') return i18n.t('season.reset.custom');
+        // 2023-01-01 was a Sunday, so day N of that week is weekday N (0 = Sunday)
+        const weekday = i18n.formatDateTime(Date.UTC(2023, 0, 1 + schedule.weekStartDay, 12), { weekday: 'long', timeZone: 'UTC' });
+        return i18n.t('season.reset.weekly', { timezone, weekday, time: resetTime });
+    }
+
     getLeaderboardStatusText() {
         if (this.leaderboardState.loading) {
-            return '서버 랭킹 갱신 중...';
+            return i18n.t('ranking.status.loading');
         }
 
         const season = this.leaderboardState.season || {};
         const source = String(this.leaderboardState.source || 'server');
-        const nextResetText = this.formatKstDateTime(season.endAt);
+        const nextResetText = this.formatSeasonDateTime(season.endAt);
+        const resetRuleText = this.formatSeasonResetRule();
         const lastUpdatedText = this.leaderboardState.lastUpdatedAt
-            ? new Date(this.leaderboardState.lastUpdatedAt).toLocaleTimeString('ko-KR', { hour12: false })
+            ? i18n.formatDateTime(this.leaderboardState.lastUpdatedAt, { hour: '2-digit', minute: '2-digit', second: '2-digit', hour12: false })
             : '-';
 
+        const pendingUploads = leaderboardService.getPendingUploadCount();
+        const schedule = [
+            i18n.t('ranking.status.schedule', { updated: lastUpdatedText, reset: nextResetText, rule: resetRuleText }),
+            ...(pendingUploads > 0 ? [i18n.t('ranking.status.pendingUploads', { count: pendingUploads })] : [])
+        ].join(' · ');
+
+        if (this.leaderboardState.group) {
+            const { name, memberCount } = this.leaderboardState.group;
+            return `${i18n.t('ranking.status.group', { name: escapeHtml(name), count: Number(memberCount) || 0 })} · ${schedule}`;
+        }
+
         if (source === 'local-fallback') {
-            return `로컬 백업 랭킹 · 서버 연결 대기 · 최근 갱신 ${lastUpdatedText} · 다음 초기화 ${nextResetText} (KST 월요일 09:00)`;
+            return `${i18n.t('ranking.status.localFallback')} · ${schedule}`;
         }
 
-        return `실시간 서버 랭킹 · 최근 갱신 ${lastUpdatedText} · 다음 초기화 ${nextResetText} (KST 월요일 09:00)`;
+        return `${i18n.t('ranking.status.server')} · ${schedule}`;
     }
 
-    renderLeaderboardRows(entries) {
+    renderLeaderboardRows(entries, ranking = null) {
         if (!entries || entries.length === 0) {
-            return '<li class="leaderboard-empty">기록이 아직 없습니다.</li>';
+            return `<li class="leaderboard-empty">${i18n.t('ranking.empty')}</li>`;
         }
 
         return entries.map((entry) => `
             <li class="leaderboard-row">
                 <span class="leaderboard-rank">${entry.rank}</span>
-                <span class="leaderboard-name">${entry.nickname || 'Player'}</span>
-                <span class="leaderboard-score">${this.formatNumber(entry.score || 0)}</span>
+                <span class="leaderboard-name">${escapeHtml(entry.nickname || 'Player')}</span>
+                <span class="leaderboard-score">${this.formatRankingValue(ranking, ranking ? entry.value : entry.score)}</span>
             </li>
         `).join('');
     }
 
+    formatRankingValue(ranking, value) {
+        const safeValue = Number(value || 0);
+        if (ranking?.metric === 'clearTime' || ranking?.metric === 'duration') {
+            return i18n.t('ranking.value.seconds', { count: safeValue });
+        }
+        if (ranking?.metric === 'level') {
+            return i18n.t('ranking.value.level', { level: safeValue });
+        }
+        return this.formatNumber(safeValue);
+    }
+
+    getRankingMetricLabel(ranking) {
+        const label = i18n.pick(ranking?.label);
+        if (label) return label;
+        return i18n.t(`ranking.metric.${ranking?.metric || 'score'}`, {}, { fallback: i18n.t('ranking.metric.score') });
+    }
+
+    renderRankingBoardTabs(gameSnapshot) {
+        const labels = gameSnapshot?.ranking?.subBoards?.labels;
+        if (!labels) return '';
+
+        return `
+            <div class="ranking-board-tabs">
+                ${Object.entries(labels).map(([boardKey, label]) => `
+                    <button class="ranking-board-tab ${boardKey === gameSnapshot.board ? 'active' : ''}" data-action="select-board" data-board="${boardKey}">${i18n.pick(label)}</button>
+                `).join('')}
+            </div>
+        `;
+    }
+
     resolveCloudDisabledMessage() {
         const reason = String(this.authState?.reason || 'disabled');
-        const reasonMessages = {
-            disabled: '클라우드 인증이 꺼져 있습니다.',
-            'missing-firebase-keys': 'Firebase 키(apiKey/authDomain/projectId)가 비어 있습니다.',
-            'bootstrap-failed': 'Firebase SDK 초기화에 실패했습니다.'
-        };
-
-        const reasonLabel = reasonMessages[reason] || `클라우드 초기화 실패: ${reason}`;
-        return `${reasonLabel} src/config/cloud-config.js에 Firebase 설정을 입력하세요.`;
+        const reasonLabel = i18n.t(`cloud.disabled.${reason}`, {}, { fallback: i18n.t('cloud.disabled.other', { reason }) });
+        return `${reasonLabel} ${i18n.t('cloud.disabled.hint')}`;
     }
 
     renderCloudAuthControl() {
@@ -1161,7 +1675,7 @@ export class GameHub {
             return `
                 <div class="leaderboard-auth-note">${this.resolveCloudDisabledMessage()}</div>
                 <div class="leaderboard-auth-actions">
-                    <button class="glass-btn leaderboard-auth-btn" data-action="open-cloud-config">클라우드 설정</button>
+                    <button class="glass-btn leaderboard-auth-btn" data-action="open-cloud-config">${i18n.t('cloud.settings')}</button>
                 </div>
             `;
         }
@@ -1170,10 +1684,10 @@ export class GameHub {
             const user = this.authState.user || {};
             return `
                 <div class="leaderboard-auth-user">
-                    <span class="leaderboard-auth-text">연동됨: ${user.displayName || 'Player'}${user.email ? ` (${user.email})` : ''}</span>
+                    <span class="leaderboard-auth-text">${i18n.t('auth.linked', { name: user.displayName || 'Player' })}${user.email ? ` (${user.email})` : ''}</span>
                     <div style="display:flex;gap:8px;">
-                        <button class="glass-btn leaderboard-auth-btn" data-action="open-cloud-config">설정</button>
-                        <button class="glass-btn leaderboard-auth-btn" data-action="logout-cloud">로그아웃</button>
+                        <button class="glass-btn leaderboard-auth-btn" data-action="open-cloud-config">${i18n.t('common.settings')}</button>
+                        <button class="glass-btn leaderboard-auth-btn" data-action="logout-cloud">${i18n.t('auth.signOut')}</button>
                     </div>
                 </div>
             `;
@@ -1181,9 +1695,9 @@ export class GameHub {
 
         return `
             <div class="leaderboard-auth-actions">
-                <button class="glass-btn leaderboard-auth-btn" data-action="open-cloud-config">클라우드 설정</button>
-                <button class="glass-btn leaderboard-auth-btn" data-action="login-google">Google 로그인</button>
-                <button class="glass-btn leaderboard-auth-btn" data-action="login-apple">Apple 로그인</button>
+                <button class="glass-btn leaderboard-auth-btn" data-action="open-cloud-config">${i18n.t('cloud.settings')}</button>
+                <button class="glass-btn leaderboard-auth-btn" data-action="login-google">${i18n.t('auth.signInWith', { provider: 'Google' })}</button>
+                <button class="glass-btn leaderboard-auth-btn" data-action="login-apple">${i18n.t('auth.signInWith', { provider: 'Apple' })}</button>
             </div>
         `;
     }
@@ -1205,8 +1719,21 @@ export class GameHub {
     }
 
     getGameLeaderboardSnapshot(gameId) {
-        if (!gameId) return { top: [], my: null };
-        return this.leaderboardState.games?.[gameId] || { top: [], my: null };
+        const ranking = this.gameRegistry.get(gameId)?.ranking || normalizeRankingDefinition();
+        if (!gameId) return { ranking, board: null, top: [], my: null };
+
+        const gameSnapshot = this.leaderboardState.games?.[gameId];
+        if (!gameSnapshot) return { ranking, board: null, top: [], my: null };
+
+        const selectedBoard = this.rankingBoardSelection[gameId];
+        const board = gameSnapshot.boards?.[selectedBoard] ? selectedBoard : gameSnapshot.board;
+        const boardSnapshot = gameSnapshot.boards?.[board] || gameSnapshot;
+        return {
+            ...gameSnapshot,
+            board,
+            top: boardSnapshot.top || [],
+            my: boardSnapshot.my || null
+        };
     }
 
     getGameLeaderboardSummary(gameId) {
@@ -1214,7 +1741,9 @@ export class GameHub {
         const gameData = storage.getGameData(gameId);
         const seasonalEntry = storage.getSeasonalGameEntry(gameId);
         const localWeeklyHighScore = Number(seasonalEntry?.weeklyHighScore || 0);
-        const topScore = Number(gameSnapshot?.top?.[0]?.score || 0);
+        const rankingDefinition = gameSnapshot?.ranking || normalizeRankingDefinition();
+        const localBoardValue = Number(seasonalEntry?.records?.[gameSnapshot?.board]?.metrics?.[rankingDefinition.metric]);
+        const topScore = Number(gameSnapshot?.top?.[0]?.value || 0);
         const myRank = Number(gameSnapshot?.my?.rank);
         const safeMyRank = Number.isFinite(myRank) && myRank > 0 ? Math.floor(myRank) : null;
         const storedBestRank = Number(gameData?.bestRank);
@@ -1224,7 +1753,9 @@ export class GameHub {
         const bestRank = safeMyRank && safeStoredBestRank
             ? Math.min(safeMyRank, safeStoredBestRank)
             : (safeMyRank || safeStoredBestRank || null);
-        const myScoreRaw = Number(gameSnapshot?.my?.score ?? localWeeklyHighScore);
+        const myScoreRaw = Number(gameSnapshot?.my?.value ?? (rankingDefinition.metric === 'score'
+            ? localWeeklyHighScore
+            : localBoardValue));
         const myScore = Number.isFinite(myScoreRaw) ? Math.max(0, Math.floor(myScoreRaw)) : 0;
         const isWeeklyParticipant = localWeeklyHighScore > 0 && safeMyRank !== null;
         const rankWatch = this.getRankWatchEntry(gameId);
@@ -1237,6 +1768,8 @@ export class GameHub {
             : null;
 
         return {
+            ranking: rankingDefinition,
+            board: gameSnapshot?.board || null,
             top: Array.isArray(gameSnapshot?.top) ? gameSnapshot.top : [],
             topScore,
             myRank: safeMyRank,
@@ -1252,16 +1785,117 @@ export class GameHub {
         return `
             <section class="tab-panel play-tab">
                 <section class="game-gallery">
-                    <h2 class="section-title font-display"><span class="neon-text-cyan">🎮</span>게임 플레이</h2>
+                    <h2 class="section-title font-display"><span class="neon-text-cyan">🎮</span>${i18n.t('hub.tab.play')}</h2>
                     <div class="game-grid stagger-children">${this.renderGameCards()}</div>
                 </section>
             </section>
         `;
     }
 
+    formatDailyDate(daily) {
+        if (!daily?.startAt) return '-';
+        return i18n.formatDateTime(daily.startAt, {
+            timeZone: storage.getSeasonSchedule().timezone,
+            month: 'long',
+            day: 'numeric',
+            weekday: 'short'
+        });
+    }
+
+    formatDailyRemaining(daily) {
+        const remainingMs = Number(daily?.endAt || 0) - Date.now();
+        if (remainingMs <= 0) return i18n.t('daily.ended');
+        const totalMinutes = Math.ceil(remainingMs / 60000);
+        const hours = Math.floor(totalMinutes / 60);
+        const minutes = totalMinutes % 60;
+        return hours > 0
+            ? i18n.t('daily.remaining.hours', { hours, minutes })
+            : i18n.t('daily.remaining.minutes', { count: minutes });
+    }
+
+    renderDailyAttemptPanel() {
+        const { daily, attempt, my } = this.dailyState;
+        const localAttempt = storage.getDailyAttempt(daily.dayKey);
+        const status = attempt?.status && attempt.status !== 'none'
+            ? attempt.status
+            : (localAttempt?.status || 'none');
+
+        if (status === 'completed') {
+            const score = attempt?.score ?? localAttempt?.score;
+            const rank = my?.rank ?? localAttempt?.rank;
+            return `
+                <div class="daily-attempt daily-attempt-done">
+                    <span>${i18n.t('daily.completed')}</span>
+                    <strong>${score === null || score === undefined ? '-' : this.formatRankingValue(daily.ranking, my?.value ?? score)}</strong>
+                    <span>${this.formatLeaderboardRank(rank)}</span>
+                </div>
+            `;
+        }
+        if (status === 'started') {
+            return `
+                <div class="daily-attempt">
+                    <span>${i18n.t('daily.started')}</span>
+                </div>
+            `;
+        }
+        return `
+            <div class="daily-attempt">
+                <button class="neon-btn daily-start-btn" data-action="start-daily" ${this.dailyState.starting ? 'disabled' : ''}>${i18n.t('daily.start')}</button>
+                <span class="daily-attempt-note">${i18n.t('daily.rules')}</span>
+            </div>
+        `;
+    }
+
+    renderDailyTab() {
+        const { daily, top, streak, loading, error } = this.dailyState;
+        let body = '';
+
+        if (!daily) {
+            body = loading
+                ? `<div class="leaderboard-subtext">${i18n.t('daily.loading')}</div>`
+                : `<div class="leaderboard-auth-note">${i18n.t(error ? 'daily.unreachable' : 'daily.none')}</div>`;
+        } else {
+            const game = this.gameRegistry.get(daily.gameId);
+            const metricLabel = this.getRankingMetricLabel(daily.ranking);
+            body = `
+                <article class="daily-card glass-card" style="--card-color:${game?.color || 'var(--neon-cyan)'};">
+                    <div class="ranking-game-header">
+                        <span class="ranking-game-icon">${game?.icon || '🎮'}</span>
+                        <div class="ranking-game-title-wrap">
+                            <h3 class="ranking-game-title font-display">${game?.name || daily.gameId}</h3>
+                            <p class="ranking-game-desc">${this.formatDailyDate(daily)} · ${this.formatDailyRemaining(daily)} · ${i18n.t('common.players', { count: Number(daily.totalPlayers) || 0 })}</p>
+                        </div>
+                    </div>
+                    ${this.renderDailyAttemptPanel()}
+                    <div class="ranking-game-metrics">
+                        <span>${i18n.t('daily.streak.current')} <strong>${i18n.t('common.days', { count: Number(streak?.current) || 0 })}</strong></span>
+                        <span>${i18n.t('daily.streak.best')} <strong>${i18n.t('common.days', { count: Number(streak?.best) || 0 })}</strong></span>
+                    </div>
+                </article>
+                <article class="leaderboard-card glass-card">
+                    <h3 class="leaderboard-title">${i18n.t('daily.boardTitle', { metric: metricLabel })}</h3>
+                    <ol class="leaderboard-list">${this.renderLeaderboardRows(top, daily.ranking)}</ol>
+                </article>
+            `;
+        }
+
+        return `
+            <section class="tab-panel daily-tab">
+                <section class="leaderboard-section glass-panel">
+                    <div class="leaderboard-header">
+                        <h2 class="section-title font-display"><span class="neon-text-pink">📅</span>${i18n.t('daily.title')}</h2>
+                        <button class="glass-btn" data-action="refresh-daily">${i18n.t('common.refresh')}</button>
+                    </div>
+                    ${daily && error ? `<div class="leaderboard-error">${error}</div>` : ''}
+                    ${body}
+                </section>
+            </section>
+        `;
+    }
+
     renderRankingGameCards() {
         if (!this.games.length) {
-            return '<div class="leaderboard-auth-note">표시할 게임이 없습니다.</div>';
+            return `<div class="leaderboard-auth-note">${i18n.t('ranking.noGames')}</div>`;
         }
 
         return this.games.map((game) => {
@@ -1269,16 +1903,21 @@ export class GameHub {
             const isWeeklyParticipant = Boolean(ranking.isWeeklyParticipant);
             const myRankDisplay = isWeeklyParticipant ? this.formatLeaderboardRank(ranking.myRank) : '-';
             const bestRankDisplay = this.formatLeaderboardRank(ranking.bestRank);
-            const myScoreDisplay = isWeeklyParticipant && ranking.myScore > 0 ? this.formatNumber(ranking.myScore) : '-';
-            const topScoreDisplay = ranking.topScore > 0 ? this.formatNumber(ranking.topScore) : '-';
+            const metricLabel = this.getRankingMetricLabel(ranking.ranking);
+            const myScoreDisplay = isWeeklyParticipant && ranking.myScore > 0 ? this.formatRankingValue(ranking.ranking, ranking.myScore) : '-';
+            const topScoreDisplay = ranking.topScore > 0 ? this.formatRankingValue(ranking.ranking, ranking.topScore) : '-';
             const statusBadges = `
                 <div class="ranking-status-row">
-                    ${!isWeeklyParticipant ? '<span class="ranking-status-badge ranking-status-nonparticipant">금주 미참여</span>' : ''}
-                    ${ranking.rankDrop ? `<span class="ranking-status-badge ranking-status-drop">추월당함 -${ranking.rankDrop.dropBy}위</span>` : ''}
+                    ${!isWeeklyParticipant ? `<span class="ranking-status-badge ranking-status-nonparticipant">${i18n.t('ranking.notParticipating')}</span>` : ''}
+                    ${ranking.rankDrop ? `<span class="ranking-status-badge ranking-status-drop">${i18n.t('ranking.overtaken', { count: ranking.rankDrop.dropBy })}</span>` : ''}
                 </div>
             `;
             const rankDropMessage = ranking.rankDrop
-                ? `<div class="ranking-drop-alert">추월당함 -${ranking.rankDrop.dropBy}위 (기준 ${this.formatLeaderboardRank(ranking.rankDrop.anchorRank)} -> 현재 ${this.formatLeaderboardRank(ranking.rankDrop.currentRank)})</div>`
+                ? `<div class="ranking-drop-alert">${i18n.t('ranking.overtakenDetail', {
+                    count: ranking.rankDrop.dropBy,
+                    from: this.formatLeaderboardRank(ranking.rankDrop.anchorRank),
+                    to: this.formatLeaderboardRank(ranking.rankDrop.currentRank)
+                })}</div>`
                 : '';
 
             return `
@@ -1291,43 +1930,158 @@ export class GameHub {
                         </div>
                     </div>
                     ${statusBadges}
+                    ${this.renderRankingBoardTabs(ranking)}
                     <div class="ranking-game-metrics">
-                        <span>내 랭킹 <strong>${myRankDisplay}</strong></span>
-                        <span>최고 랭킹 <strong>${bestRankDisplay}</strong></span>
-                        <span>내 점수 <strong>${myScoreDisplay}</strong></span>
-                        <span>1위 점수 <strong>${topScoreDisplay}</strong></span>
+                        <span>${i18n.t('ranking.myRank')} <strong>${myRankDisplay}</strong></span>
+                        <span>${i18n.t('ranking.bestRank')} <strong>${bestRankDisplay}</strong></span>
+                        <span>${i18n.t('ranking.myMetric', { metric: metricLabel })} <strong>${myScoreDisplay}</strong></span>
+                        <span>${i18n.t('ranking.topMetric', { metric: metricLabel })} <strong>${topScoreDisplay}</strong></span>
                     </div>
                     ${rankDropMessage}
-                    <ol class="leaderboard-list ranking-mini-list">${this.renderLeaderboardRows(ranking.top.slice(0, 3))}</ol>
+                    <ol class="leaderboard-list ranking-mini-list">${this.renderLeaderboardRows(ranking.top.slice(0, 3), ranking.ranking)}</ol>
                     <div class="ranking-card-actions">
-                        <button class="neon-btn" data-action="play">바로 플레이</button>
-                        <button class="glass-btn" data-action="achievements">업적</button>
-                        <button class="glass-btn" data-action="share">공유</button>
+                        <button class="neon-btn" data-action="play">${i18n.t('game.playNow')}</button>
+                        <button class="glass-btn" data-action="achievements">${i18n.t('game.achievements')}</button>
+                        <button class="glass-btn" data-action="share">${i18n.t('game.share')}</button>
                     </div>
                 </article>
             `;
         }).join('');
     }
 
+    renderSeasonPicker() {
+        const { seasons, best, selectedSeasonId } = this.seasonArchiveState;
+        const options = seasons.map((season) => {
+            const myRankText = season.my ? ` · ${i18n.t('season.myRank', { rank: this.formatLeaderboardRank(season.my.rank) })}` : '';
+            return `<option value="${season.id}" ${season.id === selectedSeasonId ? 'selected' : ''}>${this.formatSeasonLabel(season)}${myRankText}</option>`;
+        }).join('');
+        const bestText = best
+            ? `${this.formatLeaderboardRank(best.rank)} (${this.formatSeasonLabel(best)}, ${i18n.t('common.points', { count: Number(best.score) || 0 })})`
+            : '-';
+
+        return `
+            <div class="season-picker">
+                <label class="season-picker-label" for="seasonPicker">${i18n.t('season.label')}</label>
+                <select id="seasonPicker" class="season-picker-select" data-action="select-season" ${seasons.length === 0 ? 'disabled' : ''}>
+                    <option value="" ${selectedSeasonId ? '' : 'selected'}>${i18n.t('season.current')}</option>
+                    ${options}
+                </select>
+                <span class="season-best">${i18n.t('season.bestRank')} <strong>${bestText}</strong></span>
+            </div>
+        `;
+    }
+
+    renderGroupSwitcher() {
+        const { groups, selectedGroupId, error } = this.groupState;
+        const selectedGroup = groups.find((group) => group.id === selectedGroupId);
+        const options = groups.map((group) => `
+            <option value="${escapeHtml(group.id)}" ${group.id === selectedGroupId ? 'selected' : ''}>${escapeHtml(group.name)} (${i18n.t('common.members', { count: Number(group.memberCount) || 0 })})</option>
+        `).join('');
+
+        return `
+            <div class="group-switcher">
+                <label class="season-picker-label" for="groupSwitcher">${i18n.t('group.label')}</label>
+                <select id="groupSwitcher" class="season-picker-select" data-action="select-group">
+                    <option value="" ${selectedGroupId ? '' : 'selected'}>${i18n.t('group.all')}</option>
+                    ${options}
+                </select>
+                ${selectedGroup ? `
+                    <span class="group-invite-code">${i18n.t('group.inviteCode')} <strong>${escapeHtml(selectedGroup.inviteCode)}</strong></span>
+                    <button class="glass-btn group-action-btn" data-action="leave-group">${i18n.t('group.leave')}</button>
+                ` : ''}
+                <button class="glass-btn group-action-btn" data-action="open-group-popup">${i18n.t('group.createOrJoin')}</button>
+                ${error ? `<span class="leaderboard-error">${escapeHtml(error)}</span>` : ''}
+            </div>
+        `;
+    }
+
+    renderArchivedSeasonPanel() {
+        const { snapshot, loading, error, selectedSeasonId } = this.seasonArchiveState;
+        if (loading) {
+            return `<div class="leaderboard-subtext">${i18n.t('season.archive.loading')}</div>`;
+        }
+        if (error || !snapshot) {
+            return `<div class="leaderboard-error">${error || i18n.t('season.archive.notFound')}</div>`;
+        }
+
+        const season = snapshot.season || this.seasonArchiveState.seasons.find((entry) => entry.id === selectedSeasonId);
+        const myOverall = snapshot.myOverall;
+        const gameCards = this.games
+            .filter((game) => (snapshot.games?.[game.id]?.top || []).length > 0)
+            .map((game) => {
+                const ranking = snapshot.games[game.id];
+                return `
+                    <article class="ranking-game-card glass-card" style="--card-color:${game.color};">
+                        <div class="ranking-game-header">
+                            <span class="ranking-game-icon">${game.icon}</span>
+                            <div class="ranking-game-title-wrap">
+                                <h3 class="ranking-game-title font-display">${game.name}</h3>
+                            </div>
+                        </div>
+                        <div class="ranking-game-metrics">
+                            <span>${i18n.t('ranking.myRank')} <strong>${this.formatLeaderboardRank(ranking.my?.rank)}</strong></span>
+                            <span>${i18n.t('ranking.myMetric', { metric: this.getRankingMetricLabel(ranking.ranking) })} <strong>${ranking.my ? this.formatRankingValue(ranking.ranking, ranking.my.value) : '-'}</strong></span>
+                        </div>
+                        <ol class="leaderboard-list ranking-mini-list">${this.renderLeaderboardRows(ranking.top.slice(0, 3), ranking.ranking)}</ol>
+                    </article>
+                `;
+            }).join('');
+
+        return `
+            <div class="leaderboard-subtext">${i18n.t('season.archive.summary')} · ${this.formatSeasonLabel(season)} · ${i18n.t('common.players', { count: Number(season?.playerCount) || 0 })}</div>
+            <div class="ranking-overview">
+                <article class="leaderboard-card glass-card">
+                    <h3 class="leaderboard-title">${i18n.t('ranking.overallTitle')}</h3>
+                    <ol class="leaderboard-list">${this.renderLeaderboardRows(snapshot.overallTop)}</ol>
+                </article>
+                <article class="my-score-item glass-card">
+                    <span class="my-score-label">${i18n.t('season.archive.myScore')}</span>
+                    <span class="my-score-value neon-text-yellow">${myOverall ? this.formatNumber(myOverall.score) : '-'}</span>
+                    <span class="my-score-rank">${this.formatLeaderboardRank(myOverall?.rank)}</span>
+                </article>
+            </div>
+            <div class="ranking-game-grid">
+                ${gameCards || `<div class="leaderboard-auth-note">${i18n.t('season.archive.noGames')}</div>`}
+            </div>
+        `;
+    }
+
     renderRankingTab(leaderboardStatus, overallScoreDisplay, overallRankDisplay) {
+        if (this.seasonArchiveState.selectedSeasonId) {
+            return `
+                <section class="tab-panel ranking-tab">
+                    <section class="leaderboard-section glass-panel">
+                        <div class="leaderboard-header">
+                            <h2 class="section-title font-display"><span class="neon-text-yellow">🏆</span>${i18n.t('hub.tab.ranking')}</h2>
+                            <button class="glass-btn" data-action="refresh-leaderboard">${i18n.t('common.refresh')}</button>
+                        </div>
+                        ${this.renderSeasonPicker()}
+                        ${this.renderArchivedSeasonPanel()}
+                    </section>
+                </section>
+            `;
+        }
+
         return `
             <section class="tab-panel ranking-tab">
                 <section class="leaderboard-section glass-panel">
                     <div class="leaderboard-header">
-                        <h2 class="section-title font-display"><span class="neon-text-yellow">🏆</span>랭킹</h2>
-                        <button class="glass-btn" data-action="refresh-leaderboard">새로고침</button>
+                        <h2 class="section-title font-display"><span class="neon-text-yellow">🏆</span>${i18n.t('hub.tab.ranking')}</h2>
+                        <button class="glass-btn" data-action="refresh-leaderboard">${i18n.t('common.refresh')}</button>
                     </div>
+                    ${this.renderSeasonPicker()}
+                    ${this.renderGroupSwitcher()}
                     <div class="leaderboard-subtext">${leaderboardStatus}</div>
                     ${this.leaderboardState.error ? `<div class="leaderboard-error">${this.leaderboardState.error}</div>` : ''}
                     ${this.renderCloudAuthControl()}
 
                     <div class="ranking-overview">
                         <article class="leaderboard-card glass-card">
-                            <h3 class="leaderboard-title">전체 랭킹</h3>
+                            <h3 class="leaderboard-title">${this.leaderboardState.group ? i18n.t('ranking.boardName', { name: escapeHtml(this.leaderboardState.group.name) }) : i18n.t('ranking.overallTitle')}</h3>
                             <ol class="leaderboard-list">${this.renderLeaderboardRows(this.leaderboardState.overallTop)}</ol>
                         </article>
                         <article class="my-score-item glass-card">
-                            <span class="my-score-label">내 전체 랭킹 점수</span>
+                            <span class="my-score-label">${i18n.t('ranking.myOverallScore')}</span>
                             <span class="my-score-value neon-text-yellow">${this.formatNumber(overallScoreDisplay)}</span>
                             <span class="my-score-rank">${overallRankDisplay}</span>
                         </article>
@@ -1349,9 +2103,12 @@ export class GameHub {
         const overallScoreDisplay = Number(myOverall?.score ?? localOverallHighScore);
         const overallRankDisplay = this.formatLeaderboardRank(myOverall?.rank);
         const leaderboardStatus = this.getLeaderboardStatusText();
-        const activeTabContent = this.activeTab === 'ranking'
-            ? this.renderRankingTab(leaderboardStatus, overallScoreDisplay, overallRankDisplay)
-            : this.renderPlayTab();
+        let activeTabContent = this.renderPlayTab();
+        if (this.activeTab === 'ranking') {
+            activeTabContent = this.renderRankingTab(leaderboardStatus, overallScoreDisplay, overallRankDisplay);
+        } else if (this.activeTab === 'daily') {
+            activeTabContent = this.renderDailyTab();
+        }
 
         this.container.innerHTML = `
             <div class="hub-wrapper">
@@ -1362,16 +2119,18 @@ export class GameHub {
                     </div>
                     <button class="profile-btn glass-btn" id="profileBtn">
                         <span class="avatar">${this.getAvatarEmoji(profile.avatar)}</span>
-                        <span class="nickname">${profile.nickname}</span>
+                        <span class="nickname">${escapeHtml(profile.nickname)}</span>
                     </button>
                 </header>
 
+                ${this.renderOfflineBanner()}
+
                 <div class="stats-bar glass-card">
-                    <div class="stat-item"><span class="stat-value neon-text-pink">${totals.achievementUnlocked}/${totals.achievementTotal}</span><span class="stat-label">전체 업적</span></div>
+                    <div class="stat-item"><span class="stat-value neon-text-pink">${totals.achievementUnlocked}/${totals.achievementTotal}</span><span class="stat-label">${i18n.t('hub.stats.achievements')}</span></div>
                     <div class="stat-divider"></div>
-                    <div class="stat-item"><span class="stat-value neon-text-yellow">${this.formatNumber(totals.totalScore)}</span><span class="stat-label">누적 점수</span></div>
+                    <div class="stat-item"><span class="stat-value neon-text-yellow">${this.formatNumber(totals.totalScore)}</span><span class="stat-label">${i18n.t('hub.stats.totalScore')}</span></div>
                     <div class="stat-divider"></div>
-                    <div class="stat-item"><span class="stat-value neon-text-cyan">${totals.totalGames}</span><span class="stat-label">게임 수</span></div>
+                    <div class="stat-item"><span class="stat-value neon-text-cyan">${totals.totalGames}</span><span class="stat-label">${i18n.t('hub.stats.games')}</span></div>
                 </div>
 
                 <nav class="hub-tabs glass-card">
@@ -1380,14 +2139,21 @@ export class GameHub {
                         data-action="switch-tab"
                         data-tab="play"
                     >
-                        게임 플레이
+                        ${i18n.t('hub.tab.play')}
+                    </button>
+                    <button
+                        class="hub-tab-btn ${this.activeTab === 'daily' ? 'active' : ''}"
+                        data-action="switch-tab"
+                        data-tab="daily"
+                    >
+                        ${i18n.t('hub.tab.daily')}
                     </button>
                     <button
                         class="hub-tab-btn ${this.activeTab === 'ranking' ? 'active' : ''}"
                         data-action="switch-tab"
                         data-tab="ranking"
                     >
-                        랭킹
+                        ${i18n.t('hub.tab.ranking')}
                     </button>
                 </nav>
 
@@ -1395,7 +2161,7 @@ export class GameHub {
 
                 <div class="game-container" id="gameContainer" style="display:none;">
                     <div class="game-container-header">
-                        <button class="back-btn glass-btn" id="backBtn">← 대시보드</button>
+                        <button class="back-btn glass-btn" id="backBtn">← ${i18n.t('game.back')}</button>
                         <div class="active-game-meta">
                             <span id="activeGameName">GAME</span>
                             <span id="activeSourceBadge" class="renderer-badge">HTML</span>
@@ -1422,13 +2188,14 @@ export class GameHub {
                         <div class="game-icon">${game.icon}</div>
                         <h3 class="game-name font-display">${game.name}</h3>
                         <p class="game-desc">${game.description}</p>
-                        <div class="game-metrics"><span class="high-score">최고 점수 ${this.formatNumber(gameData.highScore)}</span><span class="ranking-count">최고 랭킹 ${bestRankText}</span></div>
+                        ${this.renderGameTags(game)}
+                        <div class="game-metrics"><span class="high-score">${i18n.t('game.highScore')} ${this.formatNumber(gameData.highScore)}</span><span class="ranking-count">${i18n.t('ranking.bestRank')} ${bestRankText}</span></div>
                         <div class="game-actions game-actions-main">
-                            <button class="neon-btn" data-action="play">플레이</button>
+                            <button class="neon-btn" data-action="play">${i18n.t('game.play')}</button>
                         </div>
                         <div class="game-actions game-actions-sub">
-                            <button class="glass-btn" data-action="achievements">업적</button>
-                            <button class="glass-btn" data-action="share">공유</button>
+                            <button class="glass-btn" data-action="achievements">${i18n.t('game.achievements')}</button>
+                            <button class="glass-btn" data-action="share">${i18n.t('game.share')}</button>
                         </div>
                     </div>
                 </article>
@@ -1436,13 +2203,42 @@ export class GameHub {
         }).join('');
     }
 
+    renderGameTags(game) {
+        const tags = [
+            GAME_ORIENTATIONS.includes(game.orientation) ? i18n.t(`game.orientation.${game.orientation}`) : '',
+            ...game.inputs.map((input) => i18n.t(`game.input.${input}`))
+        ].filter(Boolean);
+        if (!tags.length) return '';
+        return `<div class="game-tags">${tags.map((tag) => `<span class="game-tag">${tag}</span>`).join('')}</div>`;
+    }
+
     setupEventListeners() {
         if (this.eventsBound) return;
         this.container.addEventListener('click', this.handleContainerClick);
+        this.container.addEventListener('change', this.handleContainerChange);
         window.addEventListener('message', this.handleWindowMessage);
+        document.addEventListener('visibilitychange', this.handleVisibilityChange);
+        window.addEventListener('online', this.handleNetworkChange);
+        window.addEventListener('offline', this.handleNetworkChange);
+        // Popups are appended to <body> and removed on close, whichever button closes them
+        this.modalObserver = new MutationObserver(() => this.handleHubModalChange());
+        this.modalObserver.observe(document.body, { childList: true });
         this.eventsBound = true;
     }
 
+    handleContainerChange(event) {
+        const seasonPicker = event.target.closest('[data-action="select-season"]');
+        if (seasonPicker) {
+            this.selectSeason(seasonPicker.value);
+            return;
+        }
+
+        const groupSwitcher = event.target.closest('[data-action="select-group"]');
+        if (groupSwitcher) {
+            this.selectGroup(groupSwitcher.value);
+        }
+    }
+
     handleContainerClick(event) {
         if (event.target.closest('#backBtn')) {
             this.exitGame();
@@ -1450,13 +2246,17 @@ export class GameHub {
         }
 
         if (event.target.closest('#profileBtn')) {
-            this.showProfilePopup();
+            this.showProfilePage();
             return;
         }
 
         const action = event.target.closest('[data-action]')?.dataset.action;
         if (action === 'refresh-leaderboard') {
             this.refreshLeaderboards({ force: true });
+            this.refreshSeasonArchive();
+            if (this.seasonArchiveState.selectedSeasonId) {
+                this.selectSeason(this.seasonArchiveState.selectedSeasonId);
+            }
             return;
         }
         if (action === 'login-google') {
@@ -1475,13 +2275,34 @@ export class GameHub {
             this.showCloudConfigPopup();
             return;
         }
+        if (action === 'open-group-popup') {
+            this.showGroupPopup();
+            return;
+        }
+        if (action === 'leave-group') {
+            this.leaveSelectedGroup();
+            return;
+        }
+        if (action === 'refresh-daily') {
+            this.refreshDailyChallenge();
+            return;
+        }
+        if (action === 'start-daily') {
+            this.startDailyChallenge();
+            return;
+        }
         if (action === 'switch-tab') {
             const tab = event.target.closest('[data-tab]')?.dataset.tab;
-            if (tab !== 'play' && tab !== 'ranking') return;
+            if (!['play', 'daily', 'ranking'].includes(tab)) return;
             this.activeTab = tab;
             this.render();
             if (tab === 'ranking') {
                 this.refreshLeaderboards();
+                this.refreshSeasonArchive();
+                this.refreshGroups();
+            }
+            if (tab === 'daily') {
+                this.refreshDailyChallenge();
             }
             return;
         }
@@ -1493,6 +2314,14 @@ export class GameHub {
         const game = this.gameRegistry.get(gameId);
         if (!game) return;
 
+        if (action === 'select-board') {
+            const board = event.target.closest('[data-board]')?.dataset.board;
+            if (!board) return;
+            this.rankingBoardSelection[gameId] = board;
+            this.render();
+            return;
+        }
+
         if (action === 'achievements') {
             this.showAchievementsPopup(gameId);
             return;
@@ -1506,50 +2335,78 @@ export class GameHub {
     }
 
     handleWindowMessage(event) {
-        const data = event.data;
-        if (!data || data.source !== 'mgp-game' || !this.currentSession) return;
-
-        if (data.type === 'result') {
-            this.recordCurrentSession(data.payload || {});
-            return;
-        }
-
-        if (data.type === 'achievement' && data.payload?.achievementId && this.currentGame) {
-            this.achievementSystem.unlock(this.currentGame, data.payload.achievementId);
-        }
-    }
-
-    async launchGame(gameId) {
+        const message = this.bridgeHost.receive(event);
+        if (!message || !this.currentSession) return;
+
+        const { type, payload } = message;
+        switch (type) {
+            case 'progress':
+                // Kept as the exit-time fallback if the snapshot request goes unanswered
+                this.currentSession.lastProgress = payload;
+                break;
+            case 'result':
+                this.recordCurrentSession(payload);
+                break;
+            case 'achievement':
+                if (payload.achievementId && this.currentGame) {
+                    this.achievementSystem.unlock(this.currentGame, String(payload.achievementId));
+                }
+                break;
+            case 'pause-request':
+                console.info(`[bridge] ${this.currentSession.gameId} requested pause:`, payload.reason || 'game');
+                break;
+            case 'error':
+                console.warn(`[bridge] ${this.currentSession.gameId} reported an error:`, payload.message || 'unknown-error');
+                break;
+            default:
+                break;
+        }
+    }
+
+    /**
+     * @param {string} gameId - Registry id
+     * @param {Object} options
+     * @param {number} options.seed - Seeded mode: every run of this launch draws from this seed
+     * @param {Object} options.daily - Daily challenge attempt from LeaderboardService.startDailyAttempt()
+     */
+    async launchGame(gameId, { seed = null, daily = null } = {}) {
         const game = this.gameRegistry.get(gameId);
         if (!game) return;
 
         this.currentGame = gameId;
-        this.startGameSession(gameId, game.source?.type || 'html');
+        this.startGameSession(gameId, game.source?.type || 'html', { seed, daily });
+        this.modalLifecycle = { open: false, pause: null };
 
         const gameContainer = document.getElementById('gameContainer');
         const canvasWrapper = document.getElementById('gameCanvasWrapper');
         document.getElementById('activeGameName').textContent = game.name;
         document.getElementById('activeSourceBadge').textContent = (game.source?.type || 'html').toUpperCase();
 
+        gameContainer.dataset.orientation = game.orientation || 'any';
         gameContainer.style.display = 'flex';
         gameContainer.classList.add('animate-fadeIn');
 
         const source = game.source || {};
         if (source.type === 'html') {
             const cacheToken = this.createCacheToken();
-            const iframeSrc = this.buildRuntimeAssetUrl(source.path, { cacheBust: true, token: cacheToken });
+            const pagePath = this.compiledSources.get(source.path) || source.path;
+            const iframeSrc = this.buildRuntimeAssetUrl(pagePath, { cacheBust: true, token: cacheToken });
+            const frameSrc = this.bridgeHost.attach({ gameId, url: iframeSrc });
             canvasWrapper.innerHTML = `
-                <iframe id="gameIframe" src="${iframeSrc}" class="game-iframe" allow="autoplay; fullscreen" allowfullscreen></iframe>
+                <iframe id="gameIframe" src="${frameSrc}" class="game-iframe" allow="autoplay; fullscreen" allowfullscreen></iframe>
             `;
+            this.bridgeHost.bindFrame(canvasWrapper.querySelector('#gameIframe'));
             this.attachIframeLoadGuard(canvasWrapper, game, iframeSrc);
             return;
         }
 
         if (source.type === 'jsx') {
             const iframeSrc = this.buildJsxRunnerUrl(gameId, source);
+            const frameSrc = this.bridgeHost.attach({ gameId, url: iframeSrc });
             canvasWrapper.innerHTML = `
-                <iframe id="gameIframe" src="${iframeSrc}" class="game-iframe" allow="autoplay; fullscreen" allowfullscreen></iframe>
+                <iframe id="gameIframe" src="${frameSrc}" class="game-iframe" allow="autoplay; fullscreen" allowfullscreen></iframe>
             `;
+            this.bridgeHost.bindFrame(canvasWrapper.querySelector('#gameIframe'));
             this.attachIframeLoadGuard(canvasWrapper, game, iframeSrc);
             return;
         }
@@ -1562,7 +2419,8 @@ export class GameHub {
                 canvasWrapper.innerHTML = '<canvas id="gameCanvas"></canvas>';
                 this.gameInstance = new GameClass('gameCanvas', {
                     onGameOver: (result) => this.handleGameOver(gameId, result),
-                    onAchievement: (achievementId) => this.achievementSystem.unlock(gameId, achievementId)
+                    onAchievement: (achievementId) => this.achievementSystem.unlock(gameId, achievementId),
+                    ...(this.currentSession.seed !== null ? { seed: this.currentSession.seed } : {})
                 });
                 this.gameInstance.init();
                 this.gameInstance.start();
@@ -1570,7 +2428,7 @@ export class GameHub {
                 console.error('Failed to load module game:', error);
                 canvasWrapper.innerHTML = `
                     <div class="glass-panel" style="padding:16px;text-align:center;">
-                        <p class="neon-text-pink">게임 로딩 실패</p>
+                        <p class="neon-text-pink">${i18n.t('game.loadFailed')}</p>
                         <p class="text-muted">${error.message}</p>
                     </div>
                 `;
@@ -1578,23 +2436,31 @@ export class GameHub {
             return;
         }
 
-        canvasWrapper.innerHTML = '<div class="glass-panel" style="padding:16px;">등록된 게임 파일이 없습니다.</div>';
+        canvasWrapper.innerHTML = `<div class="glass-panel" style="padding:16px;">${i18n.t('game.noFile')}</div>`;
     }
 
+    /**
+     * Runner URL for a JSX game. The precompiled build is loaded when there is one, so the runner
+     * skips in-browser Babel.
+     */
     buildJsxRunnerUrl(gameId, source) {
         const cacheToken = this.createCacheToken();
-        const scriptPath = this.buildRuntimeAssetUrl(source.scriptPath || source.path || '', {
+        const sourcePath = source.scriptPath || source.path || '';
+        const compiledPath = this.compiledSources.get(sourcePath);
+        const scriptPath = this.buildRuntimeAssetUrl(compiledPath || sourcePath, {
             cacheBust: true,
             token: cacheToken
         });
-        const htmlPath = this.buildRuntimeAssetUrl(source.htmlPath || source.html || '', {
+        const sourceHtmlPath = source.htmlPath || source.html || '';
+        const htmlPath = this.buildRuntimeAssetUrl(this.compiledSources.get(sourceHtmlPath) || sourceHtmlPath, {
             cacheBust: true,
             token: cacheToken
         });
         const params = new URLSearchParams({
             gameId,
             script: scriptPath,
-            html: htmlPath
+            html: htmlPath,
+            ...(compiledPath ? { compiled: '1' } : {})
         });
         const runnerPath = this.buildRuntimeAssetUrl('/src/platform/jsx-runner.html', {
             cacheBust: true,
@@ -1603,13 +2469,23 @@ export class GameHub {
         return `${runnerPath}#${params.toString()}`;
     }
 
-    startGameSession(gameId, sourceType) {
+    startGameSession(gameId, sourceType, { seed = null, daily = null } = {}) {
+        const seeded = seed !== null && Number.isFinite(Number(seed));
         this.currentSession = {
             gameId,
             sourceType,
+            seed: seeded ? SeededRandom.normalizeSeed(seed) : null,
+            dailyKey: daily?.dayKey || null,
             startedAt: Date.now(),
-            recorded: false
+            recorded: false,
+            // A daily attempt already holds its ticket; asking for another would lose the daily binding.
+            ticketPromise: daily
+                ? Promise.resolve({ ticket: daily.ticket, sessionId: daily.sessionId, gameId, expiresAt: daily.expiresAt })
+                : leaderboardService.startGameSession(gameId)
         };
+
+        // mgp bridge: iframe games draw from window.parent.__mgpRandom (see INTEGRATION_PROTOCOL.md)
+        window.__mgpRandom = new RandomStreams(seeded ? this.currentSession.seed : undefined, { seeded });
     }
 
     normalizeSessionResult(result = {}) {
@@ -1634,312 +2510,42 @@ export class GameHub {
         };
     }
 
-    collectSessionFromIframe(gameId) {
-        const iframe = document.getElementById('gameIframe');
-        if (!iframe || !iframe.contentWindow) return null;
-
-        try {
-            if (typeof iframe.contentWindow.__mgpSnapshot === 'function') {
-                const snapshot = iframe.contentWindow.__mgpSnapshot();
+    /**
+     * Ask the running iframe game for its current metrics over the bridge
+     * @returns {Promise<Object|null>} Snapshot, else the last progress checkpoint, else null
+     */
+    async collectSessionFromIframe() {
+        if (this.bridgeHost.isConnected()) {
+            try {
+                const snapshot = await this.bridgeHost.request('snapshot', {}, { timeoutMs: BRIDGE_SNAPSHOT_TIMEOUT_MS });
                 if (snapshot && typeof snapshot === 'object') {
                     return snapshot;
                 }
-            }
-        } catch (error) {
-            console.warn('Failed to collect iframe snapshot:', error);
-        }
-
-        const fallbackByGame = {
-            'neon-block': `
-                (() => {
-                    try {
-                        const level = Number(gameState?.level || 1);
-                        const score = Number(gameState?.score || 0);
-                        const maxCombo = Number(gameState?.combo || 0);
-                        return {
-                            score: Math.floor(score),
-                            level: Math.floor(level),
-                            maxCombo: Math.floor(maxCombo),
-                            comboCount: Math.floor(maxCombo),
-                            stageClears: Math.max(0, Math.floor(level - 1)),
-                            itemsCollected: 0,
-                            itemCounts: {}
-                        };
-                    } catch (error) {
-                        return null;
-                    }
-                })()
-            `,
-            'neon-findmine': `
-                (() => {
-                    try {
-                        const modeLevel = { easy: 1, medium: 2, hard: 3 };
-                        const level = Number(modeLevel[curMode] || 1);
-                        const targetReveal = (levels[curMode].r * levels[curMode].c) - levels[curMode].m;
-                        const isWin = Boolean(isOver && revealed >= targetReveal);
-                        const score = isWin
-                            ? Math.floor((revealed * 12) + Math.max(0, (1200 - (time * 3)) * level))
-                            : Math.floor(revealed * 2);
-                        const flagCount = Math.max(0, Math.floor(Number(flags || 0)));
-                        return {
-                            score,
-                            level,
-                            maxCombo: 0,
-                            comboCount: 0,
-                            stageClears: isWin ? 1 : 0,
-                            itemsCollected: flagCount,
-                            itemCounts: { flag: flagCount }
-                        };
-                    } catch (error) {
-                        return null;
-                    }
-                })()
-            `,
-            'neon-slotmachine': `
-                (() => {
-                    try {
-                        const level = Math.max(1, Math.floor(Number(state?.stage || 1)));
-                        const score = Math.max(0, Math.floor(Number(state?.totalScore ?? state?.money ?? 0)));
-                        const metrics = (window.__mgpSlotMetrics && typeof window.__mgpSlotMetrics === 'object')
-                            ? window.__mgpSlotMetrics
-                            : {};
-                        const stageClears = Math.max(0, Math.floor(Number(metrics.stageClears ?? (level - 1))));
-                        const maxCombo = Math.max(0, Math.floor(Number(metrics.maxCombo ?? state?.combo ?? 0)));
-                        const comboCount = Math.max(0, Math.floor(Number(metrics.comboCount ?? 0)));
-                        const spinChip = Math.max(0, Math.floor(Number(metrics.spins ?? (stageClears * 10))));
-                        const bingo = Math.max(0, Math.floor(Number(metrics.bingo ?? 0)));
-                        const skullBingo = Math.max(0, Math.floor(Number(metrics.skullBingo ?? 0)));
-                        const itemCounts = { spin_chip: spinChip };
-                        if (bingo > 0) itemCounts.bingo = bingo;
-                        if (skullBingo > 0) itemCounts.skull_bingo = skullBingo;
-                        return {
-                            score,
-                            level,
-                            maxCombo,
-                            comboCount,
-                            stageClears,
-                            itemsCollected: spinChip + bingo + skullBingo,
-                            itemCounts
-                        };
-                    } catch (error) {
-                        return null;
-                    }
-                })()
-            `,
-            'neon-survivor': `
-                (() => {
-                    try {
-                        const level = Math.floor(Number(wave || 1));
-                        const scoreValue = Math.floor(Number(score || 0));
-                        const maxComboValue = Math.floor(Number(combo || 0));
-                        return {
-                            score: scoreValue,
-                            level,
-                            maxCombo: maxComboValue,
-                            comboCount: maxComboValue,
-                            stageClears: Math.max(0, level - 1),
-                            itemsCollected: 0,
-                            itemCounts: {}
-                        };
-                    } catch (error) {
-                        return null;
-                    }
-                })()
-            `,
-            'neon-jumpin': `
-                (() => {
-                    try {
-                        const toNumber = (value) => {
-                            const parsed = Number(String(value ?? '').replace(/[^0-9.-]+/g, ''));
-                            return Number.isFinite(parsed) ? parsed : NaN;
-                        };
-
-                        const sceneManager = game?.scene;
-                        const playScene = sceneManager?.keys?.PlayScene
-                            || (typeof sceneManager?.getScene === 'function' ? sceneManager.getScene('PlayScene') : null);
-
-                        const scoreFromScene = toNumber(playScene?.score);
-                        const scoreFromDom = toNumber(document.getElementById('game-over-score')?.textContent);
-                        const score = Number.isFinite(scoreFromScene)
-                            ? scoreFromScene
-                            : (Number.isFinite(scoreFromDom) ? scoreFromDom : 0);
-
-                        return {
-                            score: Math.max(0, Math.floor(score)),
-                            level: 1,
-                            maxCombo: 0,
-                            comboCount: 0,
-                            stageClears: 0,
-                            itemsCollected: 0,
-                            itemCounts: {}
-                        };
-                    } catch (error) {
-                        return null;
-                    }
-                })()
-            `,
-            'neon-fruitmerge': `
-                (() => {
-                    try {
-                        const scoreValue = Math.floor(Number(score ?? displayScore ?? 0));
-                        const levelValue = Math.max(1, Math.floor(Number(stage ?? 1)));
-                        return {
-                            score: Math.max(0, scoreValue),
-                            level: levelValue,
-                            maxCombo: 0,
-                            comboCount: 0,
-                            stageClears: Math.max(0, levelValue - 1),
-                            itemsCollected: 0,
-                            itemCounts: {}
-                        };
-                    } catch (error) {
-                        return null;
-                    }
-                })()
-            `,
-            'neon-strike': `
-                (() => {
-                    try {
-                        const scoreValue = Math.floor(Number(game?.score ?? 0));
-                        const levelValue = Math.max(1, Math.floor(Number(game?.stage ?? 1)));
-                        const comboValue = Math.max(0, Math.floor(Number(game?.combo ?? 0)));
-                        return {
-                            score: Math.max(0, scoreValue),
-                            level: levelValue,
-                            maxCombo: comboValue,
-                            comboCount: comboValue,
-                            stageClears: Math.max(0, levelValue - 1),
-                            itemsCollected: 0,
-                            itemCounts: {}
-                        };
-                    } catch (error) {
-                        return null;
-                    }
-                })()
-            `,
-            'neon-biztycoon': `
-                (() => {
-                    try {
-                        const snapshot = window.__mgpBiztycoonSnapshot;
-                        if (!snapshot || typeof snapshot !== 'object') return null;
-
-                        const scoreValue = Math.max(0, Math.floor(Number(snapshot.score ?? 0)));
-                        const levelValue = Math.max(1, Math.floor(Number(snapshot.level ?? 1)));
-                        const maxComboValue = Math.max(0, Math.floor(Number(snapshot.maxCombo ?? 0)));
-                        const comboCountValue = Math.max(0, Math.floor(Number(snapshot.comboCount ?? maxComboValue)));
-                        const stageClearsValue = Math.max(
-                            0,
-                            Math.floor(Number(snapshot.stageClears ?? Math.max(0, levelValue - 1)))
-                        );
-                        return {
-                            score: scoreValue,
-                            level: levelValue,
-                            maxCombo: maxComboValue,
-                            comboCount: comboCountValue,
-                            stageClears: stageClearsValue,
-                            itemsCollected: Math.max(0, Math.floor(Number(snapshot.itemsCollected ?? 0))),
-                            itemCounts: snapshot.itemCounts && typeof snapshot.itemCounts === 'object'
-                                ? snapshot.itemCounts
-                                : {}
-                        };
-                    } catch (error) {
-                        return null;
-                    }
-                })()
-            `
-        };
-
-        const genericFallbackScript = `
-            (() => {
-                try {
-                    const parseNumber = (value) => {
-                        if (typeof value === 'number' && Number.isFinite(value)) return value;
-                        if (typeof value !== 'string') return NaN;
-                        const normalized = value.replace(/,/g, '');
-                        const matched = normalized.match(/-?\\d+(?:\\.\\d+)?/);
-                        if (!matched) return NaN;
-                        const parsed = Number(matched[0]);
-                        return Number.isFinite(parsed) ? parsed : NaN;
-                    };
-                    const pick = (...values) => {
-                        for (const value of values) {
-                            const parsed = parseNumber(value);
-                            if (Number.isFinite(parsed)) return parsed;
-                        }
-                        return NaN;
-                    };
-                    const byId = (id) => document.getElementById(id)?.textContent || '';
-
-                    const scoreValue = pick(
-                        window.score,
-                        window.game?.score,
-                        window.gameState?.score,
-                        window.state?.score,
-                        byId('score-display'),
-                        byId('scoreText'),
-                        byId('score-txt'),
-                        byId('finalScore'),
-                        byId('game-over-score')
-                    );
-                    const levelValue = pick(
-                        window.level,
-                        window.stage,
-                        window.wave,
-                        window.game?.stage,
-                        window.gameState?.level,
-                        byId('stage-display'),
-                        byId('stageText'),
-                        byId('finalStage'),
-                        1
-                    );
-                    if (!Number.isFinite(scoreValue) && !Number.isFinite(levelValue)) return null;
-
-                    const safeLevel = Number.isFinite(levelValue)
-                        ? Math.max(1, Math.floor(levelValue))
-                        : 1;
-                    return {
-                        score: Number.isFinite(scoreValue) ? Math.max(0, Math.floor(scoreValue)) : 0,
-                        level: safeLevel,
-                        maxCombo: 0,
-                        comboCount: 0,
-                        stageClears: Math.max(0, safeLevel - 1),
-                        itemsCollected: 0,
-                        itemCounts: {}
-                    };
-                } catch (error) {
-                    return null;
-                }
-            })()
-        `;
-
-        const scriptsToTry = [];
-        if (fallbackByGame[gameId]) {
-            scriptsToTry.push(fallbackByGame[gameId]);
-        }
-        scriptsToTry.push(genericFallbackScript);
-
-        for (const script of scriptsToTry) {
-            try {
-                const fallbackSnapshot = iframe.contentWindow.eval(script);
-                if (fallbackSnapshot && typeof fallbackSnapshot === 'object') {
-                    return fallbackSnapshot;
-                }
             } catch (error) {
-                console.warn('Fallback snapshot eval failed:', error);
+                console.warn('Failed to collect iframe snapshot:', error.message);
             }
         }
 
-        return null;
+        return this.currentSession?.lastProgress || null;
     }
 
     recordCurrentSession(result = {}) {
         if (!this.currentSession || this.currentSession.recorded) return;
         const normalized = this.normalizeSessionResult(result);
-        const gameId = this.currentSession.gameId;
-        storage.recordGameSession(gameId, normalized);
-        this.achievementSystem.checkAndUnlock(gameId);
+        const { gameId, dailyKey } = this.currentSession;
+        storage.recordGameSession(gameId, normalized, this.gameRegistry.get(gameId)?.ranking, { seasonal: !dailyKey });
+        if (dailyKey) {
+            storage.markDailyAttemptCompleted(dailyKey, { gameId, score: normalized.score });
+        }
+        this.achievementSystem.checkAndUnlock(gameId, { session: normalized });
         this.currentSession.recorded = true;
-        this.syncLeaderboardAfterSession(gameId);
+        this.syncLeaderboardAfterSession(gameId, {
+            dailyKey,
+            ticketPromise: this.currentSession.ticketPromise,
+            result: normalized,
+            // Games built on GameEngine hand over an input replay with their result
+            replay: result.replay && typeof result.replay === 'object' ? result.replay : null
+        });
     }
 
     handleGameOver(gameId, result) {
@@ -1947,10 +2553,113 @@ export class GameHub {
         this.recordCurrentSession(result);
     }
 
-    exitGame() {
-        if (!this.currentSession?.recorded) {
-            const snapshot = this.collectSessionFromIframe(this.currentGame);
-            this.recordCurrentSession(snapshot || {});
+    /**
+     * Send a lifecycle command to the running game: iframe games over the bridge (only commands
+     * the game registered), module games through GameEngine.handleLifecycle()
+     * @param {string} command - pause | resume | mute | unmute | request-snapshot | restart
+     * @param {Object} params - Command parameters, e.g. { reason: 'hidden' }
+     * @returns {Promise<Object|null>} The game's acknowledgement ({ command, applied, ... }), or null
+     */
+    async sendLifecycleCommand(command, params = {}) {
+        if (!this.currentSession) return null;
+
+        if (this.gameInstance) {
+            if (typeof this.gameInstance.handleLifecycle !== 'function') return null;
+            return { command, applied: this.gameInstance.handleLifecycle(command, params) === true };
+        }
+
+        const timeoutMs = command === 'request-snapshot' ? BRIDGE_SNAPSHOT_TIMEOUT_MS : LIFECYCLE_COMMAND_TIMEOUT_MS;
+        try {
+            return await this.bridgeHost.command(command, params, { timeoutMs });
+        } catch (error) {
+            console.warn(`[bridge] ${this.currentSession?.gameId} did not acknowledge ${command}:`, error.message);
+            return null;
+        }
+    }
+
+    handleVisibilityChange() {
+        if (!this.currentSession) return;
+        if (document.hidden) {
+            this.sendLifecycleCommand('pause', { reason: 'hidden' });
+            this.sendLifecycleCommand('mute', { reason: 'hidden' });
+            return;
+        }
+        // Sound comes back with the tab; play resumes from the game's own pause screen
+        this.sendLifecycleCommand('unmute', { reason: 'visible' });
+    }
+
+    renderOfflineBanner() {
+        return `
+            <div class="offline-banner glass-card" id="offlineBanner" role="status" ${this.networkState.online ? 'hidden' : ''}>
+                <span class="offline-banner-title font-display">${i18n.t('hub.offline.title')}</span>
+                <span class="offline-banner-text">${i18n.t('hub.offline.body')}</span>
+            </div>
+        `;
+    }
+
+    /**
+     * Toggle the offline banner in place (the lobby does not re-render during play) and flush
+     * scores kept by the local fallback once the connection is back
+     */
+    handleNetworkChange(event) {
+        const online = event.type === 'online';
+        if (online === this.networkState.online) return;
+        this.networkState.online = online;
+
+        const banner = document.getElementById('offlineBanner');
+        if (banner) banner.hidden = online;
+        if (!online) return;
+
+        leaderboardService.syncFromLocal()
+            .then(() => this.refreshLeaderboards({ force: true }))
+            .catch((error) => {
+                console.warn('Failed to sync leaderboard after reconnecting:', error);
+            });
+    }
+
+    handleHubModalChange() {
+        if (!this.currentSession) return;
+        const open = Boolean(document.querySelector(HUB_MODAL_SELECTOR));
+        if (open === this.modalLifecycle.open) return;
+        this.modalLifecycle.open = open;
+
+        if (open) {
+            this.modalLifecycle.pause = this.sendLifecycleCommand('pause', { reason: 'modal' });
+            return;
+        }
+
+        // Resume only what the popup paused; a game the player had paused stays paused
+        const session = this.currentSession;
+        const pendingPause = this.modalLifecycle.pause;
+        this.modalLifecycle.pause = null;
+        pendingPause?.then((ack) => {
+            if (ack?.applied && this.currentSession === session) {
+                this.sendLifecycleCommand('resume', { reason: 'modal' });
+            }
+        });
+    }
+
+    /**
+     * Record the current run from a fresh snapshot unless the game already reported a result
+     */
+    async finishCurrentSession() {
+        if (!this.currentSession || this.currentSession.recorded) return;
+        const snapshot = await this.collectSessionFromIframe();
+        this.recordCurrentSession(snapshot || {});
+    }
+
+    async exitGame() {
+        if (this.endingSession) return;
+        this.endingSession = true;
+        try {
+            // Stop play and sound while the exit snapshot is collected
+            await Promise.all([
+                this.sendLifecycleCommand('pause', { reason: 'exit' }),
+                this.sendLifecycleCommand('mute', { reason: 'exit' })
+            ]);
+            await this.finishCurrentSession();
+        } finally {
+            this.endingSession = false;
         }
 
         if (this.gameInstance) {
@@ -1964,8 +2673,11 @@ export class GameHub {
             iframe.remove();
         }
 
+        this.bridgeHost.detach();
         this.currentGame = null;
         this.currentSession = null;
+        this.modalLifecycle = { open: false, pause: null };
+        window.__mgpRandom = null;
 
         const gameContainer = document.getElementById('gameContainer');
         if (gameContainer) {
@@ -1994,24 +2706,24 @@ export class GameHub {
         modal.innerHTML = `
             <div class="hub-modal glass-modal animate-fadeInScale" style="width:min(560px,92vw);padding:16px;display:flex;flex-direction:column;gap:10px;">
                 <div class="popup-header">
-                    <h2 class="font-display neon-text-cyan">클라우드 설정</h2>
-                    <button class="glass-btn popup-close" id="closeCloudConfigBtn">닫기</button>
+                    <h2 class="font-display neon-text-cyan">${i18n.t('cloud.settings')}</h2>
+                    <button class="glass-btn popup-close" id="closeCloudConfigBtn">${i18n.t('common.close')}</button>
                 </div>
                 <label style="display:flex;gap:8px;align-items:center;font-size:0.9rem;">
                     <input type="checkbox" id="cloudEnabledInput" ${enabled ? 'checked' : ''}>
-                    클라우드 인증/랭킹 활성화
+                    ${i18n.t('cloud.config.enable')}
                 </label>
                 <input class="glass-input" id="cloudApiKeyInput" placeholder="Firebase apiKey" value="${firebase.apiKey || ''}">
-                <input class="glass-input" id="cloudAuthDomainInput" placeholder="Firebase authDomain (예: your-app.firebaseapp.com)" value="${firebase.authDomain || ''}">
+                <input class="glass-input" id="cloudAuthDomainInput" placeholder="Firebase authDomain (${i18n.t('cloud.config.authDomainExample')})" value="${firebase.authDomain || ''}">
                 <input class="glass-input" id="cloudProjectIdInput" placeholder="Firebase projectId" value="${firebase.projectId || ''}">
-                <input class="glass-input" id="cloudAppIdInput" placeholder="Firebase appId (선택)" value="${firebase.appId || ''}">
-                <input class="glass-input" id="cloudStorageBucketInput" placeholder="Firebase storageBucket (선택)" value="${firebase.storageBucket || ''}">
-                <input class="glass-input" id="cloudMessagingSenderIdInput" placeholder="Firebase messagingSenderId (선택)" value="${firebase.messagingSenderId || ''}">
-                <p class="text-secondary" style="margin:0;font-size:0.78rem;">저장 시 브라우저 로컬 저장소(mgp_cloud_config)에 보관되며 페이지가 새로고침됩니다.</p>
+                <input class="glass-input" id="cloudAppIdInput" placeholder="Firebase appId (${i18n.t('common.optional')})" value="${firebase.appId || ''}">
+                <input class="glass-input" id="cloudStorageBucketInput" placeholder="Firebase storageBucket (${i18n.t('common.optional')})" value="${firebase.storageBucket || ''}">
+                <input class="glass-input" id="cloudMessagingSenderIdInput" placeholder="Firebase messagingSenderId (${i18n.t('common.optional')})" value="${firebase.messagingSenderId || ''}">
+                <p class="text-secondary" style="margin:0;font-size:0.78rem;">${i18n.t('cloud.config.storageNote')}</p>
                 <div style="display:grid;grid-template-columns:1fr 1fr 1fr;gap:8px;">
-                    <button class="glass-btn" id="clearCloudConfigBtn">설정 초기화</button>
-                    <button class="glass-btn" id="closeCloudConfigBtnBottom">취소</button>
-                    <button class="neon-btn" id="saveCloudConfigBtn">저장 후 적용</button>
+                    <button class="glass-btn" id="clearCloudConfigBtn">${i18n.t('cloud.config.reset')}</button>
+                    <button class="glass-btn" id="closeCloudConfigBtnBottom">${i18n.t('common.cancel')}</button>
+                    <button class="neon-btn" id="saveCloudConfigBtn">${i18n.t('cloud.config.save')}</button>
                 </div>
             </div>
         `;
@@ -2048,6 +2760,72 @@ export class GameHub {
         });
     }
 
+    showGroupPopup() {
+        if (document.querySelector('.group-modal')) return;
+
+        const modal = document.createElement('div');
+        modal.className = 'hub-modal-overlay glass-overlay animate-fadeIn group-modal';
+        modal.innerHTML = `
+            <div class="hub-modal glass-modal animate-fadeInScale" style="width:min(420px,92vw);padding:16px;display:flex;flex-direction:column;gap:10px;">
+                <div class="popup-header">
+                    <h2 class="font-display neon-text-cyan">${i18n.t('group.title')}</h2>
+                    <button class="glass-btn popup-close" id="closeGroupBtn">${i18n.t('common.close')}</button>
+                </div>
+                <p class="text-secondary" style="margin:0;font-size:0.78rem;">${i18n.t('group.intro')}</p>
+                <input class="glass-input" id="groupNameInput" maxlength="32" placeholder="${i18n.t('group.namePlaceholder')}">
+                <button class="neon-btn" id="createGroupBtn">${i18n.t('group.create')}</button>
+                <input class="glass-input" id="groupInviteCodeInput" maxlength="8" placeholder="${i18n.t('group.codePlaceholder')}" style="text-transform:uppercase;">
+                <button class="glass-btn" id="joinGroupBtn">${i18n.t('group.join')}</button>
+                <div class="leaderboard-error" id="groupPopupError"></div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+        const close = () => modal.remove();
+        const showError = (error) => {
+            const errorNode = modal.querySelector('#groupPopupError');
+            if (errorNode) errorNode.textContent = error?.message || String(error);
+        };
+        const openGroup = async (group) => {
+            close();
+            await this.refreshGroups();
+            this.selectGroup(group.id);
+        };
+
+        modal.querySelector('#closeGroupBtn')?.addEventListener('click', close);
+        modal.addEventListener('click', (event) => {
+            if (event.target === modal) close();
+        });
+
+        modal.querySelector('#createGroupBtn')?.addEventListener('click', async () => {
+            const name = modal.querySelector('#groupNameInput')?.value.trim() || '';
+            if (!name) {
+                showError(i18n.t('group.nameRequired'));
+                return;
+            }
+            try {
+                await openGroup(await leaderboardService.createGroup(name));
+            } catch (error) {
+                console.warn('Failed to create group:', error);
+                showError(error);
+            }
+        });
+
+        modal.querySelector('#joinGroupBtn')?.addEventListener('click', async () => {
+            const inviteCode = modal.querySelector('#groupInviteCodeInput')?.value.trim() || '';
+            if (!inviteCode) {
+                showError(i18n.t('group.codeRequired'));
+                return;
+            }
+            try {
+                await openGroup(await leaderboardService.joinGroup(inviteCode));
+            } catch (error) {
+                console.warn('Failed to join group:', error);
+                showError(error);
+            }
+        });
+    }
+
     showAchievementsPopup(gameId) {
         if (document.querySelector('.achievements-modal')) return;
         const game = this.gameRegistry.get(gameId);
@@ -2063,48 +2841,59 @@ export class GameHub {
         modal.innerHTML = `
             <div class="hub-modal glass-modal animate-fadeInScale achievements-modal-content">
                 <div class="popup-header">
-                    <h2 class="font-display neon-text-cyan">${game.name} 업적</h2>
-                    <button class="glass-btn popup-close" id="closeAchievementsBtn">닫기</button>
+                    <h2 class="font-display neon-text-cyan">${i18n.t('achievement.popupTitle', { game: game.name })}</h2>
+                    <button class="glass-btn popup-close" id="closeAchievementsBtn">${i18n.t('common.close')}</button>
                 </div>
                 <div class="achievements-meta">
-                    <span>최고 점수 ${this.formatNumber(gameData.highScore)}</span>
-                    <span>최고 랭킹 ${bestRankText}</span>
-                    <span>달성 ${progress.unlocked}/${progress.total}</span>
+                    <span>${i18n.t('game.highScore')} ${this.formatNumber(gameData.highScore)}</span>
+                    <span>${i18n.t('ranking.bestRank')} ${bestRankText}</span>
+                    <span>${i18n.t('achievement.progress', { unlocked: progress.unlocked, total: progress.total })}</span>
                 </div>
-                ${this.achievementSystem.renderAchievementsList(gameId)}
+                <div id="achievementsList">${this.achievementSystem.renderAchievementsList(gameId)}</div>
             </div>
         `;
 
         document.body.appendChild(modal);
         modal.querySelector('#closeAchievementsBtn').onclick = () => modal.remove();
         modal.onclick = (event) => { if (event.target === modal) modal.remove(); };
+
+        // Rarity needs every player's progress, so it comes from the leaderboard server after the list is up
+        leaderboardService.fetchAchievementRarity([gameId]).then((rarityByGame) => {
+            const rarity = rarityByGame[gameId];
+            if (!modal.isConnected || !(rarity?.players > 0)) return;
+            modal.querySelector('#achievementsList').innerHTML = this.achievementSystem.renderAchievementsList(gameId, { rarity });
+        });
     }
 
-    showProfilePopup() {
-        if (document.querySelector('.profile-modal')) return;
+    showProfilePage() {
+        if (document.querySelector('.profile-page')) return;
         const profile = storage.getProfile();
         const totals = this.getDashboardTotals();
         const authUser = this.authState.user;
+        const localePreference = i18n.getPreference();
+        const localeOptions = [AUTO_LOCALE, ...SUPPORTED_LOCALES].map((locale) => `
+            <option value="${locale}" ${locale === localePreference ? 'selected' : ''}>${locale === AUTO_LOCALE ? i18n.t('profile.languageAuto') : LOCALE_NAMES[locale]}</option>
+        `).join('');
         const cloudDisabledSection = !this.authState.enabled
             ? `
-                <div class="profile-auth-note">클라우드 인증이 비활성화되어 있습니다. Firebase 설정을 먼저 입력하세요.</div>
-                <button class="glass-btn" id="profileCloudConfigBtn">클라우드 설정</button>
+                <div class="profile-auth-note">${i18n.t('profile.cloudDisabled')}</div>
+                <button class="glass-btn" id="profileCloudConfigBtn">${i18n.t('cloud.settings')}</button>
             `
             : '';
 
         const profileLoginActions = `
             <div class="profile-auth-actions">
-                <button class="glass-btn" id="profileGoogleLoginBtn">Google 로그인</button>
-                <button class="glass-btn" id="profileAppleLoginBtn">Apple 로그인</button>
+                <button class="glass-btn" id="profileGoogleLoginBtn">${i18n.t('auth.signInWith', { provider: 'Google' })}</button>
+                <button class="glass-btn" id="profileAppleLoginBtn">${i18n.t('auth.signInWith', { provider: 'Apple' })}</button>
             </div>
         `;
 
         const authSection = this.authState.isSignedIn
             ? `
-                <div class="profile-auth-note">연동 계정: ${authUser?.displayName || 'Player'}${authUser?.email ? ` (${authUser.email})` : ''}</div>
+                <div class="profile-auth-note">${i18n.t('profile.linkedAccount', { name: `${authUser?.displayName || 'Player'}${authUser?.email ? ` (${authUser.email})` : ''}` })}</div>
                 <div class="profile-auth-actions">
-                    <button class="glass-btn" id="profileLogoutBtn">로그아웃</button>
-                    <button class="glass-btn" id="profileCloudConfigBtn">클라우드 설정</button>
+                    <button class="glass-btn" id="profileLogoutBtn">${i18n.t('auth.signOut')}</button>
+                    <button class="glass-btn" id="profileCloudConfigBtn">${i18n.t('cloud.settings')}</button>
                 </div>
             `
             : `
@@ -2112,29 +2901,121 @@ export class GameHub {
                 ${profileLoginActions}
             `;
 
-        const modal = document.createElement('div');
-        modal.className = 'hub-modal-overlay glass-overlay animate-fadeIn profile-modal';
-        modal.innerHTML = `
-            <div class="hub-modal glass-modal animate-fadeInScale profile-popup-content">
+        const playedGames = this.games
+            .map((game) => ({ game, gameData: storage.getGameData(game.id) }))
+            .filter(({ gameData }) => gameData.playCount > 0);
+        const trendGames = playedGames.filter(({ gameData }) => gameData.sessionHistory.length > 0);
+        const bestLanes = trendGames
+            .map(({ game, gameData }) => ({
+                label: game.name,
+                color: game.color,
+                bests: gameData.sessionHistory.filter((session) => session.best)
+            }))
+            .filter((lane) => lane.bests.length > 0);
+        const playTimeRows = playedGames
+            .filter(({ gameData }) => gameData.totalPlayTime > 0)
+            .map(({ game, gameData }) => ({ label: game.name, color: game.color, value: gameData.totalPlayTime }))
+            .sort((a, b) => b.value - a.value);
+        const achievementRows = this.games
+            .map((game) => ({ game, progress: this.achievementSystem.getProgress(game.id) }))
+            .filter(({ progress }) => progress.total > 0);
+        const emptyChart = `<p class="profile-empty">${i18n.t('profile.chartEmpty')}</p>`;
+
+        const trendRows = trendGames.map(({ game, gameData }) => `
+            <div class="profile-trend-row">
+                <span class="profile-trend-name">${game.icon} ${game.name}</span>
+                <div class="profile-chart profile-sparkline" data-game-id="${game.id}"></div>
+                <span class="profile-trend-meta">${i18n.t('profile.trend.meta', {
+                    best: this.formatNumber(gameData.highScore),
+                    last: this.formatNumber(gameData.lastSessionScore)
+                })}</span>
+            </div>
+        `).join('');
+
+        const achievementSummary = achievementRows.map(({ game, progress }) => `
+            <div class="profile-achievement-row">
+                <span class="profile-trend-name">${game.icon} ${game.name}</span>
+                <div class="achievements-bar">
+                    <div class="achievements-bar-fill" style="width: ${progress.percentage}%"></div>
+                </div>
+                <span class="profile-trend-meta">${progress.unlocked}/${progress.total}</span>
+            </div>
+        `).join('');
+
+        const page = document.createElement('div');
+        page.className = 'profile-page glass-overlay animate-fadeIn';
+        page.innerHTML = `
+            <div class="profile-page-inner">
                 <div class="popup-header">
-                    <h2 class="font-display neon-text-cyan">플레이어 프로필</h2>
-                    <button class="glass-btn popup-close" id="closeProfileBtn">닫기</button>
+                    <h2 class="font-display neon-text-cyan">${i18n.t('profile.title')}</h2>
+                    <button class="glass-btn popup-close" id="closeProfileBtn">${i18n.t('common.close')}</button>
                 </div>
-                <div style="font-size:3rem;text-align:center;">${this.getAvatarEmoji(profile.avatar)}</div>
-                <input type="text" class="glass-input" id="nicknameInput" value="${profile.nickname}" placeholder="닉네임" style="text-align:center;">
-                <div style="display:grid;grid-template-columns:1fr 1fr;gap:var(--space-3);">
-                    <div class="stat-item"><span class="stat-value neon-text-yellow">${this.formatNumber(totals.totalScore)}</span><span class="stat-label">누적 점수</span></div>
-                    <div class="stat-item"><span class="stat-value neon-text-pink">${totals.achievementUnlocked}/${totals.achievementTotal}</span><span class="stat-label">업적</span></div>
+                <div class="profile-page-top">
+                    <section class="glass-card profile-section profile-identity">
+                        <div style="font-size:3rem;text-align:center;">${this.getAvatarEmoji(profile.avatar)}</div>
+                        <input type="text" class="glass-input" id="nicknameInput" value="${escapeHtml(profile.nickname)}" placeholder="${i18n.t('profile.nickname')}" style="text-align:center;">
+                        <label class="profile-locale-row" for="localeSelect">
+                            <span>${i18n.t('profile.language')}</span>
+                            <select class="glass-input" id="localeSelect">${localeOptions}</select>
+                        </label>
+                        ${authSection}
+                        <button class="neon-btn" id="saveProfileBtn">${i18n.t('common.save')}</button>
+                    </section>
+                    <section class="glass-card profile-section profile-summary">
+                        <div class="stat-item"><span class="stat-value neon-text-yellow">${this.formatNumber(totals.totalScore)}</span><span class="stat-label">${i18n.t('hub.stats.totalScore')}</span></div>
+                        <div class="stat-item"><span class="stat-value neon-text-cyan">${this.formatNumber(totals.totalPlayCount)}</span><span class="stat-label">${i18n.t('profile.stats.plays')}</span></div>
+                        <div class="stat-item"><span class="stat-value neon-text-cyan">${this.formatPlayTime(profile.totalPlayTime)}</span><span class="stat-label">${i18n.t('profile.stats.playTime')}</span></div>
+                        <div class="stat-item"><span class="stat-value neon-text-pink">${totals.achievementUnlocked}/${totals.achievementTotal}</span><span class="stat-label">${i18n.t('game.achievements')}</span></div>
+                    </section>
                 </div>
-                ${authSection}
-                <button class="neon-btn" id="saveProfileBtn">저장</button>
+                <section class="glass-card profile-section">
+                    <h3 class="section-title">${i18n.t('profile.section.scores')}</h3>
+                    ${trendRows ? `<p class="profile-note">${i18n.t('profile.trend.legend')}</p>${trendRows}` : emptyChart}
+                </section>
+                <section class="glass-card profile-section">
+                    <h3 class="section-title">${i18n.t('profile.section.bests')}</h3>
+                    ${bestLanes.length > 0
+                        ? `<div class="profile-chart" id="profileBestTimeline" style="height:${bestLanes.length * 28 + 16}px;"></div>`
+                        : emptyChart}
+                </section>
+                <section class="glass-card profile-section">
+                    <h3 class="section-title">${i18n.t('profile.section.playTime')}</h3>
+                    ${playTimeRows.length > 0
+                        ? `<div class="profile-chart" id="profilePlayTime" style="height:${playTimeRows.length * 28}px;"></div>`
+                        : emptyChart}
+                </section>
+                <section class="glass-card profile-section">
+                    <h3 class="section-title">${i18n.t('profile.section.achievements')}</h3>
+                    ${achievementSummary || emptyChart}
+                </section>
             </div>
         `;
 
-        document.body.appendChild(modal);
-        modal.querySelector('#closeProfileBtn').onclick = () => modal.remove();
-        modal.querySelector('#saveProfileBtn').onclick = async () => {
-            const nickname = modal.querySelector('#nicknameInput').value.trim() || 'Player';
+        document.body.appendChild(page);
+
+        const charts = new ProfileCharts();
+        trendGames.forEach(({ game, gameData }) => {
+            charts.sparkline(page.querySelector(`.profile-sparkline[data-game-id="${game.id}"]`), gameData.sessionHistory, { color: game.color });
+        });
+        if (bestLanes.length > 0) {
+            charts.bestTimeline(page.querySelector('#profileBestTimeline'), bestLanes, {
+                formatDate: (timestamp) => i18n.formatDateTime(timestamp, { month: 'short', day: 'numeric' }),
+                formatScore: (score) => this.formatNumber(score)
+            });
+        }
+        if (playTimeRows.length > 0) {
+            charts.bars(page.querySelector('#profilePlayTime'), playTimeRows, {
+                formatValue: (seconds) => this.formatPlayTime(seconds)
+            });
+        }
+
+        const closePage = () => {
+            charts.destroy();
+            page.remove();
+        };
+        page.querySelector('#closeProfileBtn').onclick = closePage;
+        page.querySelector('#saveProfileBtn').onclick = async () => {
+            const nickname = page.querySelector('#nicknameInput').value.trim() || 'Player';
             storage.setNickname(nickname);
 
             if (this.authState.isSignedIn) {
@@ -2152,26 +3033,26 @@ export class GameHub {
                 console.warn('Failed to sync profile nickname to server leaderboard:', error);
             }
 
-            modal.remove();
+            i18n.setPreference(page.querySelector('#localeSelect')?.value);
+            closePage();
             this.render();
         };
-        modal.querySelector('#profileGoogleLoginBtn')?.addEventListener('click', async () => {
+        page.querySelector('#profileGoogleLoginBtn')?.addEventListener('click', async () => {
             await this.handleLoginRequest('google');
-            modal.remove();
+            closePage();
         });
-        modal.querySelector('#profileAppleLoginBtn')?.addEventListener('click', async () => {
+        page.querySelector('#profileAppleLoginBtn')?.addEventListener('click', async () => {
             await this.handleLoginRequest('apple');
-            modal.remove();
+            closePage();
         });
-        modal.querySelector('#profileCloudConfigBtn')?.addEventListener('click', () => {
-            modal.remove();
+        page.querySelector('#profileCloudConfigBtn')?.addEventListener('click', () => {
+            closePage();
             this.showCloudConfigPopup();
         });
-        modal.querySelector('#profileLogoutBtn')?.addEventListener('click', async () => {
+        page.querySelector('#profileLogoutBtn')?.addEventListener('click', async () => {
             await this.handleLogoutRequest();
-            modal.remove();
+            closePage();
         });
-        modal.onclick = (event) => { if (event.target === modal) modal.remove(); };
     }
 
     showShareModal(gameId) {
@@ -2201,6 +3082,10 @@ export class GameHub {
             .hub-modal-overlay { position:fixed; inset:0; display:flex; align-items:center; justify-content:center; padding:var(--space-4); z-index:var(--z-overlay); overflow-y:auto; }
             .hub-modal { width:min(720px,92vw); max-height:min(88vh,800px); overflow-y:auto; }
             .hub-wrapper { min-height:100vh; padding:var(--space-4); padding-top:var(--space-6); }
+            .offline-banner { display:flex; align-items:center; gap:var(--space-3); flex-wrap:wrap; padding:var(--space-3) var(--space-4); margin-bottom:var(--space-4); border-color:rgba(255,255,0,0.4); }
+            .offline-banner[hidden] { display:none; }
+            .offline-banner-title { color:var(--neon-yellow); font-size:0.8rem; letter-spacing:0.08em; }
+            .offline-banner-text { color:var(--text-secondary); font-size:0.8rem; }
             .hub-header { display:flex; justify-content:space-between; align-items:center; padding:var(--space-4); margin-bottom:var(--space-4); }
             .hub-logo { display:flex; flex-direction:column; line-height:1; }
             .profile-btn { display:flex; align-items:center; gap:var(--space-2); }
@@ -2212,7 +3097,7 @@ export class GameHub {
             .stat-label { font-size:var(--font-size-xs); color:var(--text-muted); }
             .stat-divider { width:1px; height:30px; background:rgba(255,255,255,0.1); }
             .section-title { font-size:var(--font-size-lg); margin-bottom:var(--space-4); display:flex; align-items:center; gap:var(--space-2); }
-            .hub-tabs { display:grid; grid-template-columns:1fr 1fr; gap:8px; padding:8px; margin-bottom:var(--space-4); }
+            .hub-tabs { display:grid; grid-template-columns:repeat(3, 1fr); gap:8px; padding:8px; margin-bottom:var(--space-4); }
             .hub-tab-btn { border:1px solid rgba(255,255,255,0.16); background:rgba(255,255,255,0.04); color:var(--text-secondary); border-radius:10px; min-height:38px; font-weight:600; cursor:pointer; transition:all var(--transition-fast); }
             .hub-tab-btn:hover { border-color:rgba(255,255,255,0.28); color:var(--text-primary); }
             .hub-tab-btn.active { color:var(--text-primary); border-color:rgba(0,242,255,0.5); background:linear-gradient(135deg, rgba(0,242,255,0.16), rgba(255,0,255,0.08)); box-shadow:0 0 16px rgba(0,242,255,0.2); }
@@ -2234,6 +3119,20 @@ export class GameHub {
             .leaderboard-auth-note { font-size:0.8rem; color:var(--text-muted); }
             .leaderboard-auth-btn { white-space:nowrap; }
             .leaderboard-error { font-size:0.78rem; color:var(--neon-pink); }
+            .season-picker { display:flex; align-items:center; gap:8px; flex-wrap:wrap; font-size:0.8rem; color:var(--text-secondary); }
+            .season-picker-label { color:var(--text-muted); }
+            .season-picker-select { background:rgba(255,255,255,0.06); color:var(--text-primary); border:1px solid rgba(255,255,255,0.16); border-radius:8px; padding:4px 8px; font-size:0.8rem; }
+            .season-picker-select option { background:#10131f; }
+            .season-best strong { color:var(--neon-yellow); }
+            .group-switcher { display:flex; align-items:center; gap:8px; flex-wrap:wrap; font-size:0.8rem; color:var(--text-secondary); }
+            .group-invite-code strong { font-family:var(--font-display); color:var(--neon-cyan); letter-spacing:0.08em; }
+            .group-action-btn { padding:4px 10px; font-size:0.78rem; }
+            .daily-tab .leaderboard-section { display:grid; gap:10px; }
+            .daily-card { padding:12px; border:1px solid rgba(255,255,255,0.14); background:linear-gradient(135deg, rgba(255,255,255,0.05), rgba(255,255,255,0.02)); }
+            .daily-attempt { display:flex; align-items:center; gap:10px; flex-wrap:wrap; margin-bottom:10px; font-size:0.8rem; color:var(--text-secondary); }
+            .daily-attempt-done strong { font-family:var(--font-display); color:var(--neon-yellow); font-size:1.05rem; }
+            .daily-attempt-note { font-size:0.74rem; color:var(--text-muted); }
+            .daily-start-btn:disabled { opacity:0.5; cursor:default; }
             .ranking-overview { display:grid; gap:10px; grid-template-columns:1fr; }
             @media (min-width:760px) { .ranking-overview { grid-template-columns:1.3fr 1fr; } }
             .my-score-item { display:flex; flex-direction:column; gap:4px; padding:10px; border-radius:10px; border:1px solid rgba(255,255,255,0.12); background:rgba(255,255,255,0.03); }
@@ -2256,6 +3155,9 @@ export class GameHub {
             .ranking-game-metrics strong { color:var(--text-primary); font-weight:700; }
             .ranking-drop-alert { font-size:0.75rem; font-weight:700; color:#ffd6cd; border:1px solid rgba(255,110,80,0.5); background:linear-gradient(135deg, rgba(255,90,60,0.2), rgba(185,30,30,0.08)); border-radius:8px; padding:7px 9px; margin-bottom:10px; }
             .ranking-mini-list { margin-bottom:10px; }
+            .ranking-board-tabs { display:flex; flex-wrap:wrap; gap:6px; margin-bottom:10px; }
+            .ranking-board-tab { background:rgba(255,255,255,0.06); color:var(--text-secondary); border:1px solid rgba(255,255,255,0.16); border-radius:999px; padding:3px 10px; font-size:0.72rem; cursor:pointer; }
+            .ranking-board-tab.active { color:var(--card-color, var(--neon-cyan)); border-color:var(--card-color, var(--neon-cyan)); }
             .ranking-card-actions { display:grid; grid-template-columns:1fr 1fr 1fr; gap:8px; }
             .game-grid { display:grid; grid-template-columns:1fr; gap:var(--space-4); }
             @media (min-width:500px) { .game-grid { grid-template-columns:repeat(2, 1fr); } }
@@ -2266,6 +3168,8 @@ export class GameHub {
             .game-icon { font-size:2.4rem; margin-bottom:var(--space-3); }
             .game-name { font-size:var(--font-size-lg); margin-bottom:var(--space-2); color:var(--card-color, var(--neon-cyan)); }
             .game-desc { font-size:var(--font-size-sm); color:var(--text-secondary); margin-bottom:var(--space-3); }
+            .game-tags { display:flex; flex-wrap:wrap; gap:4px; margin-bottom:var(--space-3); }
+            .game-tag { font-size:0.68rem; color:var(--text-secondary); border:1px solid rgba(255,255,255,0.18); border-radius:999px; padding:1px 7px; }
             .game-metrics { display:flex; justify-content:space-between; gap:8px; font-size:0.75rem; margin-bottom:8px; color:var(--text-secondary); }
             .high-score { color: var(--neon-yellow); }
             .achievement-count { color: var(--neon-pink); }
@@ -2279,11 +3183,26 @@ export class GameHub {
             .renderer-badge { font-size:0.68rem; color:var(--neon-cyan); border:1px solid rgba(0,242,255,0.35); border-radius:999px; padding:2px 7px; }
             .game-canvas-wrapper { flex:1; display:flex; align-items:center; justify-content:center; width:100%; height:100%; }
             .game-iframe { width:100%; height:100%; border:none; background:#000; }
+            .game-container[data-orientation="portrait"] .game-iframe { max-width:calc(100vh * 3 / 4); }
             .popup-header { display:flex; align-items:center; justify-content:space-between; gap:8px; }
             .popup-close { white-space:nowrap; }
-            .profile-popup-content { width:min(360px,92vw); padding:var(--space-6); display:flex; flex-direction:column; gap:var(--space-4); }
+            .profile-page { position:fixed; inset:0; z-index:var(--z-overlay); overflow-y:auto; padding:var(--space-4); }
+            .profile-page-inner { width:min(960px,100%); margin:0 auto; display:flex; flex-direction:column; gap:var(--space-4); }
+            .profile-page-top { display:grid; grid-template-columns:minmax(0,1fr) minmax(0,1.4fr); gap:var(--space-4); }
+            .profile-section { padding:var(--space-4); display:flex; flex-direction:column; gap:var(--space-3); }
+            .profile-section .section-title { margin-bottom:0; }
+            .profile-summary { display:grid; grid-template-columns:1fr 1fr; align-content:center; gap:var(--space-4); }
+            .profile-chart { width:100%; min-width:0; }
+            .profile-trend-row, .profile-achievement-row { display:grid; grid-template-columns:minmax(90px,1fr) minmax(0,2fr) auto; align-items:center; gap:var(--space-3); }
+            .profile-sparkline { height:40px; }
+            .profile-trend-name { font-size:0.85rem; color:var(--text-primary); overflow:hidden; text-overflow:ellipsis; white-space:nowrap; }
+            .profile-trend-meta { font-size:0.75rem; color:var(--text-secondary); white-space:nowrap; }
+            .profile-note, .profile-empty { margin:0; font-size:0.78rem; color:var(--text-muted); }
+            @media (max-width:640px) { .profile-page-top { grid-template-columns:1fr; } .profile-trend-row { grid-template-columns:1fr auto; } .profile-sparkline { grid-column:1 / -1; grid-row:2; } }
             .profile-auth-note { font-size:0.8rem; color:var(--text-secondary); text-align:center; }
             .profile-auth-actions { display:grid; grid-template-columns:1fr 1fr; gap:8px; }
+            .profile-locale-row { display:flex; align-items:center; justify-content:space-between; gap:8px; font-size:0.85rem; color:var(--text-secondary); }
+            .profile-locale-row select { width:auto; }
             .achievements-modal-content { padding:var(--space-5); display:flex; flex-direction:column; gap:var(--space-4); }
             .achievements-modal-content { scrollbar-width:thin; scrollbar-color:rgba(96,102,120,0.9) rgba(12,15,22,0.9); }
             .achievements-modal-content::-webkit-scrollbar { width:10px; height:10px; }
@@ -2303,6 +3222,13 @@ export class GameHub {
             .achievement-item-name { font-weight:700; font-size:0.85rem; color:var(--text-primary); }
             .achievement-item-desc { font-size:0.75rem; color:var(--text-secondary); }
             .achievement-item-points { font-family:var(--font-display); font-size:0.75rem; color:var(--neon-yellow); }
+            .achievement-item-tiers { display:flex; gap:4px; margin-top:4px; }
+            .achievement-tier { font-size:0.62rem; padding:1px 6px; border-radius:999px; border:1px solid rgba(255,255,255,0.16); color:var(--text-secondary); }
+            .achievement-tier.reached.tier-bronze { border-color:#cd7f32; color:#e8a86b; }
+            .achievement-tier.reached.tier-silver { border-color:#c0c8d4; color:#e4e9f0; }
+            .achievement-tier.reached.tier-gold { border-color:#ffd34d; color:#ffe38a; }
+            .achievement-tier.reached.tier-platinum { border-color:var(--neon-cyan); color:var(--neon-cyan); }
+            .achievement-item-rarity { font-size:0.68rem; color:var(--text-secondary); margin-top:2px; opacity:0.85; }
             @keyframes rankPulse {
                 0% { box-shadow:0 0 0 rgba(255,78,48,0.18); }
                 50% { box-shadow:0 0 18px rgba(255,78,48,0.35); }
@@ -2324,9 +3250,17 @@ export class GameHub {
         return avatars[avatar] || avatars.default;
     }
 
+    formatPlayTime(seconds) {
+        const safeSeconds = Math.max(0, Math.floor(Number(seconds) || 0));
+        if (safeSeconds < 60) return i18n.t('ranking.value.seconds', { count: safeSeconds });
+        const minutes = Math.floor(safeSeconds / 60);
+        if (minutes < 60) return i18n.t('profile.playTime.minutes', { count: minutes });
+        return i18n.t('profile.playTime.hours', { hours: Math.floor(minutes / 60), minutes: minutes % 60 });
+    }
+
     formatNumber(num) {
         if (num >= 1000000) return `${(num / 1000000).toFixed(1)}M`;
         if (num >= 1000) return `${(num / 1000).toFixed(1)}K`;
-        return Number(num || 0).toLocaleString();
+        return i18n.formatNumber(num);
     }
 }
@@ -0,0 +1,223 @@
+/**
+ * ProfileCharts - charts on the profile page, drawn with Canvas2D and CanvasUtils
+ * Each chart fills its container (width from the layout, height from CSS) and is drawn again
+ * when Canvas2D resizes it. destroy() removes every canvas and its resize listener.
+ */
+import { Canvas2D, CanvasUtils } from '../core/Canvas2D.js';
+
+const LABEL_FONT = '10px Orbitron, sans-serif';
+const LABEL_COLOR = 'rgba(255, 255, 255, 0.55)';
+const GRID_COLOR = 'rgba(255, 255, 255, 0.08)';
+const BEST_COLOR = '#ffe600';
+
+function withAlpha(color, alpha) {
+    const match = /^#([0-9a-f]{6})$/i.exec(color || '');
+    if (!match) return `rgba(0, 242, 255, ${alpha})`;
+    const value = parseInt(match[1], 16);
+    return `rgba(${(value >> 16) & 255}, ${(value >> 8) & 255}, ${value & 255}, ${alpha})`;
+}
+
+function drawLabel(ctx, text, x, y, { align = 'left', color = LABEL_COLOR, maxWidth } = {}) {
+    ctx.save();
+    ctx.font = LABEL_FONT;
+    ctx.textAlign = align;
+    ctx.textBaseline = 'middle';
+    ctx.fillStyle = color;
+    ctx.fillText(text, x, y, maxWidth);
+    ctx.restore();
+}
+
+function drawDot(ctx, x, y, radius, color) {
+    ctx.save();
+    ctx.fillStyle = color;
+    ctx.shadowColor = color;
+    ctx.shadowBlur = 8;
+    ctx.beginPath();
+    ctx.arc(x, y, radius, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.restore();
+}
+
+export class ProfileCharts {
+    constructor() {
+        this.surfaces = [];
+    }
+
+    /**
+     * Create a canvas that fills the container and draw into it
+     * @param {HTMLElement} container - Chart container with a CSS height
+     * @param {Function} draw - (ctx, width, height) => void, in CSS pixels
+     * @returns {Canvas2D|null} Null when the container has no size (e.g. not attached yet)
+     */
+    mount(container, draw) {
+        if (!container?.clientWidth || !container.clientHeight) return null;
+
+        const paint = (surface) => {
+            if (!surface.ctx) return;
+            this.fit(surface);
+            draw(surface.ctx, surface.width, surface.height);
+        };
+        const surface = new Canvas2D(container, {
+            aspectRatio: container.clientWidth / container.clientHeight,
+            maxWidth: container.clientWidth,
+            maxHeight: container.clientHeight,
+            backgroundColor: 'transparent',
+            onResize: paint
+        });
+        this.surfaces.push(surface);
+        paint(surface);
+        return surface;
+    }
+
+    /**
+     * Size the canvas to the container's current box; Canvas2D keeps one aspect ratio otherwise
+     * @param {Canvas2D} surface - Mounted chart surface
+     */
+    fit(surface) {
+        const width = surface.container.clientWidth;
+        const height = surface.container.clientHeight;
+        if (!width || !height) return;
+
+        surface.options.aspectRatio = width / height;
+        surface.options.maxWidth = width;
+        surface.options.maxHeight = height;
+        surface.virtualWidth = width;
+        surface.virtualHeight = height;
+        surface.resize();
+    }
+
+    /**
+     * Score of each recent session, oldest first; personal bests are marked
+     * @param {HTMLElement} container - Chart container
+     * @param {Array} sessions - [{ score, best }]
+     * @param {Object} options
+     * @param {string} options.color - Line color (#rrggbb)
+     */
+    sparkline(container, sessions, { color } = {}) {
+        return this.mount(container, (ctx, width, height) => {
+            const padding = 5;
+            const maxScore = Math.max(1, ...sessions.map((session) => session.score));
+            const step = sessions.length > 1 ? (width - padding * 2) / (sessions.length - 1) : 0;
+            const points = sessions.map((session, index) => ({
+                x: sessions.length > 1 ? padding + step * index : width / 2,
+                y: height - padding - (session.score / maxScore) * (height - padding * 2),
+                best: session.best
+            }));
+            if (points.length === 0) return;
+
+            ctx.save();
+            ctx.beginPath();
+            ctx.moveTo(points[0].x, height);
+            points.forEach((point) => ctx.lineTo(point.x, point.y));
+            ctx.lineTo(points[points.length - 1].x, height);
+            ctx.closePath();
+            ctx.fillStyle = CanvasUtils.createGradient(ctx, 0, 0, 0, height, [withAlpha(color, 0.35), withAlpha(color, 0)]);
+            ctx.fill();
+            ctx.restore();
+
+            for (let index = 1; index < points.length; index += 1) {
+                const from = points[index - 1];
+                const to = points[index];
+                CanvasUtils.drawNeonLine(ctx, from.x, from.y, to.x, to.y, color, 1.5);
+            }
+            points.filter((point) => point.best).forEach((point) => drawDot(ctx, point.x, point.y, 3, BEST_COLOR));
+
+            const last = points[points.length - 1];
+            drawDot(ctx, last.x, last.y, 2.5, color);
+        });
+    }
+
+    /**
+     * When each game's personal best moved: one lane per game on a shared time axis
+     * @param {HTMLElement} container - Chart container
+     * @param {Array} lanes - [{ label, color, bests: [{ playedAt, score }] }]
+     * @param {Object} options
+     * @param {Function} options.formatDate - (timestamp) => axis label
+     * @param {Function} options.formatScore - (score) => label of the latest best
+     */
+    bestTimeline(container, lanes, { formatDate = String, formatScore = String } = {}) {
+        return this.mount(container, (ctx, width, height) => {
+            const times = lanes.flatMap((lane) => lane.bests.map((best) => best.playedAt));
+            if (times.length === 0) return;
+
+            const labelWidth = Math.min(110, width * 0.3);
+            const axisHeight = 16;
+            const left = labelWidth + 8;
+            const right = width - 44;
+            const laneHeight = (height - axisHeight) / Math.max(1, lanes.length);
+            const start = Math.min(...times);
+            const end = Math.max(...times);
+            const span = Math.max(1, end - start);
+            const toX = (timestamp) => (end === start ? (left + right) / 2 : left + ((timestamp - start) / span) * (right - left));
+
+            lanes.forEach((lane, index) => {
+                const y = laneHeight * index + laneHeight / 2;
+                drawLabel(ctx, lane.label, 0, y, { maxWidth: labelWidth });
+                CanvasUtils.drawNeonLine(ctx, left, y, right, y, GRID_COLOR, 1);
+
+                const maxScore = Math.max(1, ...lane.bests.map((best) => best.score));
+                lane.bests.forEach((best) => {
+                    const radius = 2 + (best.score / maxScore) * 3;
+                    drawDot(ctx, toX(best.playedAt), y, radius, lane.color);
+                });
+
+                const latest = lane.bests[lane.bests.length - 1];
+                if (latest) {
+                    drawLabel(ctx, formatScore(latest.score), width, y, { align: 'right', color: BEST_COLOR });
+                }
+            });
+
+            const axisY = height - axisHeight / 2;
+            drawLabel(ctx, formatDate(start), left, axisY);
+            if (end !== start) {
+                drawLabel(ctx, formatDate(end), right, axisY, { align: 'right' });
+            }
+        });
+    }
+
+    /**
+     * Horizontal bars in the given order
+     * @param {HTMLElement} container - Chart container
+     * @param {Array} rows - [{ label, color, value }]
+     * @param {Object} options
+     * @param {Function} options.formatValue - (value) => label drawn after the bar
+     */
+    bars(container, rows, { formatValue = String } = {}) {
+        return this.mount(container, (ctx, width, height) => {
+            if (rows.length === 0) return;
+
+            const labelWidth = Math.min(110, width * 0.3);
+            const valueWidth = 64;
+            const left = labelWidth + 8;
+            const trackWidth = Math.max(1, width - left - valueWidth);
+            const rowHeight = height / rows.length;
+            const barHeight = Math.min(14, rowHeight * 0.6);
+            const maxValue = Math.max(1, ...rows.map((row) => row.value));
+
+            rows.forEach((row, index) => {
+                const y = rowHeight * index + rowHeight / 2;
+                drawLabel(ctx, row.label, 0, y, { maxWidth: labelWidth });
+
+                ctx.save();
+                CanvasUtils.roundRect(ctx, left, y - barHeight / 2, trackWidth, barHeight, barHeight / 2);
+                ctx.fillStyle = GRID_COLOR;
+                ctx.fill();
+                const barWidth = Math.max(barHeight, (row.value / maxValue) * trackWidth);
+                CanvasUtils.roundRect(ctx, left, y - barHeight / 2, barWidth, barHeight, barHeight / 2);
+                ctx.fillStyle = CanvasUtils.createGradient(ctx, left, 0, left + barWidth, 0, [withAlpha(row.color, 0.45), row.color]);
+                ctx.fill();
+                ctx.restore();
+
+                drawLabel(ctx, formatValue(row.value), width, y, { align: 'right' });
+            });
+        });
+    }
+
+    /**
+     * Remove every chart canvas
+     */
+    destroy() {
+        this.surfaces.forEach((surface) => surface.destroy());
+        this.surfaces = [];
+    }
+}
@@ -2,19 +2,11 @@
  * ShareManager - SNS sharing with image generation
  * Creates shareable images and URLs with UTM tracking
  */
+import { i18n } from '../systems/I18n.js';
+
 export class ShareManager {
     constructor() {
         this.baseUrl = window.location.origin + window.location.pathname;
-
-        // Challenge phrases for viral sharing
-        this.challengePhrases = [
-            'Can you beat this score?',
-            'Try one more run!',
-            'Challenge accepted!',
-            'This one is harder than it looks.',
-            'New record unlocked!',
-            'Beat me if you can!'
-        ];
     }
 
     /**
@@ -36,26 +28,26 @@ export class ShareManager {
         modal.innerHTML = `
             <div class="share-modal glass-modal animate-fadeInScale">
                 <div class="share-header">
-                    <h2 class="font-display neon-text-cyan">Share Score</h2>
-                    <button class="close-btn glass-btn" id="closeShareBtn">Close</button>
+                    <h2 class="font-display neon-text-cyan">${i18n.t('share.title')}</h2>
+                    <button class="close-btn glass-btn" id="closeShareBtn">${i18n.t('common.close')}</button>
                 </div>
                 
                 <div class="share-content">
                     <div class="share-stats glass-card">
                         <div class="share-stat">
-                            <span class="label">Game</span>
+                            <span class="label">${i18n.t('share.game')}</span>
                             <span class="value">${data.gameName}</span>
                         </div>
                         <div class="share-stat">
-                            <span class="label">High Score</span>
-                            <span class="value neon-text-yellow">${data.highScore.toLocaleString()}</span>
+                            <span class="label">${i18n.t('game.highScore')}</span>
+                            <span class="value neon-text-yellow">${i18n.formatNumber(data.highScore)}</span>
                         </div>
                         <div class="share-stat">
-                            <span class="label">Current Rank</span>
+                            <span class="label">${i18n.t('share.currentRank')}</span>
                             <span class="value neon-text-cyan">${currentRank}</span>
                         </div>
                         <div class="share-stat">
-                            <span class="label">Best Rank</span>
+                            <span class="label">${i18n.t('ranking.bestRank')}</span>
                             <span class="value neon-text-pink">${bestRank}</span>
                         </div>
                     </div>
@@ -79,7 +71,7 @@ export class ShareManager {
                         </button>
                         <button class="share-btn-item glass-btn" data-platform="copy">
                             <span class="icon">#</span>
-                            <span>Copy Link</span>
+                            <span>${i18n.t('share.copyLink')}</span>
                         </button>
                     </div>
                 </div>
@@ -259,16 +251,16 @@ export class ShareManager {
         ctx.shadowColor = '#ffff00';
         ctx.shadowBlur = 20;
         ctx.textAlign = 'center';
-        ctx.fillText(data.highScore.toLocaleString(), canvas.width / 2, 170);
+        ctx.fillText(i18n.formatNumber(data.highScore), canvas.width / 2, 170);
         ctx.shadowBlur = 0;
 
         ctx.font = '16px "Noto Sans KR", sans-serif';
         ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
-        ctx.fillText('HIGH SCORE', canvas.width / 2, 200);
+        ctx.fillText(i18n.t('share.image.highScore'), canvas.width / 2, 200);
         const rankLabel = this.formatRankLabel(data.currentRank);
         if (rankLabel !== '-') {
             ctx.fillStyle = 'rgba(0, 242, 255, 0.9)';
-            ctx.fillText(`RANK ${rankLabel}`, canvas.width / 2, 224);
+            ctx.fillText(i18n.t('share.image.rank', { rank: rankLabel }), canvas.width / 2, 224);
         }
 
         // Player name
@@ -277,7 +269,7 @@ export class ShareManager {
         ctx.shadowColor = '#ff00ff';
         ctx.shadowBlur = 10;
         ctx.textAlign = 'left';
-        ctx.fillText(`PLAYER ${data.playerName}`, 30, 270);
+        ctx.fillText(i18n.t('share.image.player', { name: data.playerName }), 30, 270);
         ctx.shadowBlur = 0;
 
         // Challenge text
@@ -326,8 +318,12 @@ export class ShareManager {
     share(platform, data) {
         const url = this.generateShareUrl(data);
         const currentRank = this.formatRankLabel(data.currentRank);
-        const rankText = currentRank === '-' ? '' : ` | 랭킹 ${currentRank}`;
-        const text = '[MINIGAME] ' + data.gameName + ' - ' + data.highScore.toLocaleString() + ' points' + rankText + '! ' + this.getRandomPhrase();
+        const text = i18n.t(currentRank === '-' ? 'share.text' : 'share.textWithRank', {
+            game: data.gameName,
+            count: Number(data.highScore) || 0,
+            rank: currentRank,
+            phrase: this.getRandomPhrase()
+        });
 
         switch (platform) {
             case 'twitter':
@@ -350,12 +346,12 @@ export class ShareManager {
                 // Kakao SDK would be integrated here
                 // For now, copy link as fallback
                 this.copyToClipboard(text + '\n' + url);
-                this.showToast('Link copied. Paste it in KakaoTalk.');
+                this.showToast(i18n.t('share.toast.kakao'));
                 break;
 
             case 'copy':
                 this.copyToClipboard(url);
-                this.showToast('Link copied.');
+                this.showToast(i18n.t('share.toast.copied'));
                 break;
         }
     }
@@ -407,12 +403,13 @@ export class ShareManager {
      * Get random challenge phrase
      */
     getRandomPhrase() {
-        return this.challengePhrases[Math.floor(Math.random() * this.challengePhrases.length)];
+        const phrases = i18n.list('share.phrases');
+        return phrases[Math.floor(Math.random() * phrases.length)] || '';
     }
 
     formatRankLabel(rank) {
         const safe = Math.floor(Number(rank));
         if (!Number.isFinite(safe) || safe <= 0) return '-';
-        return `${safe}위`;
+        return i18n.t('ranking.rank', { rank: safe });
     }
 }
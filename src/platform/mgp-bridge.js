@@ -0,0 +1,315 @@
+/**
+ * mgp-bridge.js - Game-side SDK for the hub <-> iframe game bridge (hub side: BridgeHost.js)
+ * Classic script so that plain HTML games can use it without a bundler:
+ *
+ *   <script src="../platform/mgp-bridge.js"></script>
+ *   const bridge = MGPBridge.connect({ snapshot: () => ({ score, level }) });
+ *   bridge.startRun();   // new run: clears the sent flag and restarts the duration clock
+ *   bridge.result();     // terminal state: sends snapshot() once per run
+ *
+ * Lifecycle commands from the hub (pause, resume, mute, unmute, restart) reach the game through
+ * the hooks it passes as `lifecycle`; only commands with a hook are announced and acknowledged:
+ *
+ *   MGPBridge.connect({ snapshot, lifecycle: { pause: pauseGame, mute: () => audioCtx.suspend() } });
+ *
+ * A hook returns false when the command does not apply (e.g. pause outside of play).
+ *
+ * Wire format (docs/INTEGRATION_PROTOCOL.md):
+ *   game -> hub  { source: 'mgp-game', v, nonce, type, payload }  ready | progress | result | achievement | pause-request | error | response
+ *   hub -> game  { source: 'mgp-hub', v, nonce, type, payload }   handshake | request
+ * The hub puts a per-session nonce and its origin in the iframe URL hash (#mgpNonce=...&mgpOrigin=...);
+ * every message in both directions echoes the nonce and is posted to an explicit origin.
+ * The game announces itself with `ready`; the hub answers with `handshake` and pins the protocol version.
+ * Hub requests carry an `id` that the game echoes in its `response`.
+ * Outside the hub (no parent window or no nonce) every call is a no-op, so games still run standalone.
+ */
+(function (global) {
+    'use strict';
+
+    const PROTOCOL_VERSION = 1;
+    const GAME_SOURCE = 'mgp-game';
+    const HUB_SOURCE = 'mgp-hub';
+    const MAX_REPORTED_ERRORS = 5;
+    const NONCE_PARAM = 'mgpNonce';
+    const ORIGIN_PARAM = 'mgpOrigin';
+    const LIFECYCLE_COMMANDS = ['pause', 'resume', 'mute', 'unmute', 'restart'];
+
+    function originOf(url) {
+        try {
+            return url ? new URL(url).origin : null;
+        } catch (_error) {
+            return null;
+        }
+    }
+
+    function toCount(value, fallback = 0) {
+        const parsed = Number(value);
+        return Number.isFinite(parsed) ? Math.max(0, Math.floor(parsed)) : fallback;
+    }
+
+    /**
+     * Coerce whatever a game's snapshot() returns into the result payload the hub records
+     * @param {Object} raw - Game metrics
+     * @param {number} startedAt - Run start (ms)
+     * @returns {Object} Result payload
+     */
+    function normalizeMetrics(raw, startedAt) {
+        const source = raw && typeof raw === 'object' ? raw : {};
+        const level = Math.max(1, toCount(source.level, 1));
+        const maxCombo = toCount(source.maxCombo);
+        const itemCounts = {};
+        if (source.itemCounts && typeof source.itemCounts === 'object') {
+            Object.entries(source.itemCounts).forEach(([itemId, count]) => {
+                const safeCount = toCount(count);
+                if (safeCount > 0) itemCounts[itemId] = safeCount;
+            });
+        }
+        const itemSum = Object.values(itemCounts).reduce((sum, count) => sum + count, 0);
+
+        const payload = {
+            score: toCount(source.score),
+            level,
+            maxCombo,
+            comboCount: toCount(source.comboCount, maxCombo),
+            stageClears: toCount(source.stageClears, level - 1),
+            itemsCollected: toCount(source.itemsCollected, itemSum),
+            itemCounts,
+            duration: Math.max(1, toCount(source.duration, Math.floor((Date.now() - startedAt) / 1000)))
+        };
+        const clearTime = Number(source.clearTime);
+        if (source.clearTime !== null && source.clearTime !== undefined && Number.isFinite(clearTime)) {
+            payload.clearTime = Math.max(1, Math.floor(clearTime));
+        }
+        return payload;
+    }
+
+    class GameBridge {
+        /**
+         * @param {Object} options
+         * @param {Function} options.snapshot - Returns the current run's metrics ({ score, level, maxCombo, ... })
+         * @param {Object} options.lifecycle - Hooks for hub commands: { pause, resume, mute, unmute, restart }
+         */
+        constructor({ snapshot, lifecycle = {} }) {
+            if (typeof snapshot !== 'function') {
+                throw new Error('bridge-snapshot-required');
+            }
+            this.snapshotFn = snapshot;
+            const sessionParams = new URLSearchParams(String(global.location?.hash || '').replace(/^#/, ''));
+            this.nonce = sessionParams.get(NONCE_PARAM) || null;
+            this.hubOrigin = originOf(sessionParams.get(ORIGIN_PARAM));
+            const embedded = Boolean(global.parent && global.parent !== global);
+            this.target = embedded && this.nonce && this.hubOrigin ? global.parent : null;
+            if (embedded && !this.target) {
+                console.warn('[mgp-bridge] embedded without a session nonce/origin; bridge disabled');
+            }
+            this.hub = null;
+            this.handlers = new Map();
+            this.runStartedAt = Date.now();
+            this.resultSent = false;
+            this.reportedErrors = 0;
+            this.muted = false;
+
+            this.handleMessage = this.handleMessage.bind(this);
+            global.addEventListener('message', this.handleMessage);
+            global.addEventListener('beforeunload', () => this.result(undefined, { force: true }));
+            global.addEventListener('error', (event) => this.error(event.error || event.message));
+
+            this.handle('snapshot', () => this.snapshot());
+            this.handle('ping', () => ({ protocol: PROTOCOL_VERSION }));
+            LIFECYCLE_COMMANDS.forEach((command) => {
+                if (typeof lifecycle?.[command] === 'function') {
+                    this.handle(command, (params) => this.applyLifecycle(command, lifecycle[command], params));
+                }
+            });
+
+            // Deferred so that handlers registered right after connect() are announced too
+            Promise.resolve().then(() => {
+                this.post('ready', {
+                    protocol: PROTOCOL_VERSION,
+                    methods: Array.from(this.handlers.keys())
+                });
+            });
+        }
+
+        /**
+         * Whether the hub accepted the handshake
+         * @returns {boolean}
+         */
+        isConnected() {
+            return Boolean(this.hub?.accepted);
+        }
+
+        post(type, payload, extra = {}) {
+            if (!this.target) return;
+            try {
+                this.target.postMessage({
+                    source: GAME_SOURCE,
+                    v: PROTOCOL_VERSION,
+                    nonce: this.nonce,
+                    type,
+                    payload,
+                    ...extra
+                }, this.hubOrigin);
+            } catch (error) {
+                console.warn('[mgp-bridge] postMessage failed:', error);
+            }
+        }
+
+        handleMessage(event) {
+            if (!this.target || event.source !== this.target) return;
+            const data = event.data;
+            if (!data || data.source !== HUB_SOURCE) return;
+            if (event.origin !== this.hubOrigin || data.nonce !== this.nonce) return;
+
+            if (data.type === 'handshake') {
+                this.hub = {
+                    accepted: data.payload?.accepted === true,
+                    protocol: Number(data.payload?.protocol) || null,
+                    gameId: data.payload?.gameId || null
+                };
+                if (!this.hub.accepted) {
+                    console.warn(`[mgp-bridge] hub rejected protocol v${PROTOCOL_VERSION}:`, data.payload?.reason);
+                }
+                return;
+            }
+
+            if (data.type === 'request' && data.id !== undefined) {
+                this.respond(data.id, data.payload?.method, data.payload?.params);
+            }
+        }
+
+        respond(id, method, params) {
+            const handler = this.handlers.get(method);
+            if (!handler) {
+                this.post('response', null, { id, ok: false, error: `unknown-method:${method}` });
+                return;
+            }
+
+            Promise.resolve()
+                .then(() => handler(params || {}))
+                .then((result) => this.post('response', result === undefined ? null : result, { id, ok: true }))
+                .catch((error) => {
+                    this.post('response', null, { id, ok: false, error: error?.message || 'handler-failed' });
+                });
+        }
+
+        /**
+         * Answer hub requests for a method ('snapshot' and 'ping' are built in)
+         * @param {string} method - Method name
+         * @param {Function} handler - (params) => result or Promise of result
+         * @returns {GameBridge}
+         */
+        handle(method, handler) {
+            this.handlers.set(method, handler);
+            return this;
+        }
+
+        /**
+         * Run a lifecycle hook and build the acknowledgement the hub waits for
+         * @param {string} command - Lifecycle command
+         * @param {Function} hook - Game hook
+         * @param {Object} params - Command parameters
+         * @returns {Promise<{command: string, applied: boolean, muted: boolean}>}
+         */
+        applyLifecycle(command, hook, params) {
+            return Promise.resolve(hook(params)).then((result) => {
+                const applied = result !== false;
+                if (applied && (command === 'mute' || command === 'unmute')) {
+                    this.muted = command === 'mute';
+                }
+                return { command, applied, muted: this.muted };
+            });
+        }
+
+        /**
+         * Whether the hub muted the game. Sound helpers check this before waking their AudioContext.
+         * @returns {boolean}
+         */
+        isMuted() {
+            return this.muted;
+        }
+
+        /**
+         * Current run metrics, normalized
+         * @returns {Object}
+         */
+        snapshot() {
+            return normalizeMetrics(this.snapshotFn(), this.runStartedAt);
+        }
+
+        /**
+         * Start a new run: the next result() is sent again and duration counts from now
+         */
+        startRun() {
+            this.runStartedAt = Date.now();
+            this.resultSent = false;
+        }
+
+        /**
+         * Mid-run checkpoint (stage clear, wave end). The hub keeps the latest one in case the
+         * iframe goes away before a result arrives. Not meant for per-frame updates.
+         * @param {Object} payload - Metrics; defaults to snapshot()
+         */
+        progress(payload) {
+            this.post('progress', payload ? normalizeMetrics(payload, this.runStartedAt) : this.snapshot());
+        }
+
+        /**
+         * Terminal state (game over, clear, bankruptcy). Sent once per run unless forced.
+         * @param {Object} payload - Metrics; defaults to snapshot()
+         * @param {Object} options
+         * @param {boolean} options.force - Send even if this run already sent its result
+         */
+        result(payload, { force = false } = {}) {
+            if (this.resultSent && !force) return;
+            this.post('result', payload ? normalizeMetrics(payload, this.runStartedAt) : this.snapshot());
+            this.resultSent = true;
+        }
+
+        /**
+         * Ask the hub to unlock an achievement directly
+         * @param {string} achievementId - Achievement ID
+         */
+        achievement(achievementId) {
+            if (!achievementId) return;
+            this.post('achievement', { achievementId: String(achievementId) });
+        }
+
+        /**
+         * Ask the hub to pause the session (e.g. the game opened its own menu)
+         * @param {string} reason - Short reason code
+         */
+        requestPause(reason = 'game') {
+            this.post('pause-request', { reason: String(reason) });
+        }
+
+        /**
+         * Report an error to the hub. Uncaught errors are reported automatically, a few per page.
+         * @param {Error|string} error - Error or message
+         */
+        error(error) {
+            if (this.reportedErrors >= MAX_REPORTED_ERRORS) return;
+            this.reportedErrors += 1;
+            this.post('error', {
+                message: String(error?.message || error || 'unknown-error').slice(0, 300)
+            });
+        }
+    }
+
+    let instance = null;
+
+    global.MGPBridge = Object.freeze({
+        PROTOCOL_VERSION,
+        /**
+         * Connect the page to the hub. Calling it again returns the existing bridge.
+         * @param {Object} options - See GameBridge
+         * @returns {GameBridge}
+         */
+        connect(options = {}) {
+            if (!instance) {
+                instance = new GameBridge(options);
+            }
+            return instance;
+        }
+    });
+})(window);
@@ -94,7 +94,7 @@ export class CloudAuthService {
     async signInWithProvider(providerType) {
         await this.init();
         if (!this.context?.enabled) {
-            throw new Error('클라우드 인증이 비활성화되어 있습니다.');
+            throw new Error('cloud-auth-disabled');
         }
 
         const { auth, authMod } = this.context;
@@ -149,6 +149,22 @@ export class CloudAuthService {
     getUser() {
         return this.user;
     }
+
+    /**
+     * Firebase ID token of the signed-in user, for the leaderboard server to verify the uid.
+     * Resolves to null when signed out or when the token cannot be refreshed.
+     */
+    async getIdToken() {
+        const currentUser = this.context?.auth?.currentUser;
+        if (!currentUser) return null;
+
+        try {
+            return await currentUser.getIdToken();
+        } catch (error) {
+            console.warn('Failed to read ID token:', error);
+            return null;
+        }
+    }
 }
 
 export const cloudAuth = new CloudAuthService();
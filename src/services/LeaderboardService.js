@@ -1,20 +1,42 @@
 import { storage } from '../systems/StorageManager.js';
+import { cloudAuth } from './CloudAuthService.js';
+import { tabCoordinator } from '../systems/TabCoordinator.js';
+import { SYNC_OUTBOX_SYNC_TAG, SyncOutbox } from './SyncOutbox.js';
+import {
+    ALL_BOARD_KEY,
+    compareRankingRecords,
+    extractRankingRecord,
+    getDefaultBoardKey,
+    getRankingValue,
+    isBetterRecord,
+    isRankableRecord,
+    listBoardKeys,
+    normalizeRankingDefinition,
+    normalizeRankingRecord
+} from '../systems/RankingRules.js';
 
 const DEFAULT_TOP_LIMIT = 10;
 const MIN_TOP_LIMIT = 1;
 const MAX_TOP_LIMIT = 50;
 const SYNC_DEBOUNCE_MS = 1200;
 const REQUEST_TIMEOUT_MS = 6000;
+// Same cap as the server's replay input limit; bigger replays are not uploaded.
+const MAX_REPLAY_INPUT_LENGTH = 384 * 1024;
+// Outbox retries while online: 5s, 10s, 20s, ... capped at 5 minutes (offline waits for `online`)
+const OUTBOX_RETRY_BASE_MS = 5000;
+const OUTBOX_RETRY_MAX_MS = 5 * 60 * 1000;
+// A follower tab waits this long for the leader to send its sync before showing the local result
+const TAB_SYNC_TIMEOUT_MS = 15000;
+// Random per-device secret; the server issues session tickets for a player id only to the key
+// that first claimed it. Kept out of the profile so it never travels with synced progress.
+const PLAYER_KEY_STORAGE_KEY = 'playerKey';
+const PLAYER_KEY_BYTES = 24;
+
+const REALTIME_EVENT_TYPES = ['ready', 'update', 'season', 'rank', 'top-entry', 'overtake'];
 
 const LOCAL_FALLBACK_KEY = 'mgp_leaderboard_fallback_v1';
 const LOCAL_FALLBACK_VERSION = 1;
 
-const HOUR_MS = 60 * 60 * 1000;
-const DAY_MS = 24 * HOUR_MS;
-const WEEK_MS = 7 * DAY_MS;
-const KST_OFFSET_MS = 9 * HOUR_MS;
-const KST_RESET_HOUR = 9;
-
 function toSafeScore(value) {
     const parsed = Number(value);
     if (!Number.isFinite(parsed)) return 0;
@@ -27,6 +49,16 @@ function toSafeTimestamp(value, fallback = Date.now()) {
     return Math.max(0, Math.floor(parsed));
 }
 
+function isUploadableReplay(replay) {
+    return Boolean(replay) && typeof replay.inputs === 'string' && replay.inputs.length <= MAX_REPLAY_INPUT_LENGTH;
+}
+
+// No answer, or a gateway/overload answer: the payload was never judged, so keep it queued
+function isRetryableSyncError(error) {
+    const statusCode = Number(error?.statusCode || 0);
+    return !statusCode || statusCode === 408 || statusCode === 429 || statusCode >= 500;
+}
+
 function clampTopLimit(limitCount) {
     const parsed = Number(limitCount);
     if (!Number.isFinite(parsed)) return DEFAULT_TOP_LIMIT;
@@ -40,42 +72,93 @@ function normalizeEntries(entries = []) {
         uid: String(entry?.uid || ''),
         nickname: String(entry?.nickname || 'Player'),
         avatar: String(entry?.avatar || 'default'),
-        score: toSafeScore(entry?.score)
+        score: toSafeScore(entry?.score),
+        value: toSafeScore(entry?.value ?? entry?.score),
+        ...(entry?.replayId ? { replayId: String(entry.replayId) } : {})
     }));
 }
 
-function computeKstSeasonWindow(nowMs = Date.now()) {
-    const kstNowMs = nowMs + KST_OFFSET_MS;
-    const kstNow = new Date(kstNowMs);
-    const startOfTodayKstMs = Date.UTC(
-        kstNow.getUTCFullYear(),
-        kstNow.getUTCMonth(),
-        kstNow.getUTCDate(),
-        0, 0, 0, 0
-    );
+function normalizeMyEntry(my, player) {
+    if (!my || typeof my !== 'object') return null;
+    return {
+        rank: Number.isFinite(Number(my.rank)) ? Math.floor(Number(my.rank)) : null,
+        uid: String(my.uid || player.uid),
+        nickname: String(my.nickname || player.nickname || 'Player'),
+        avatar: String(my.avatar || player.avatar || 'default'),
+        score: toSafeScore(my.score),
+        value: toSafeScore(my.value ?? my.score)
+    };
+}
 
-    const dayOfWeek = kstNow.getUTCDay(); // 0=Sun, 1=Mon, ...
-    const daysSinceMonday = (dayOfWeek + 6) % 7;
-    let seasonStartKstMs = startOfTodayKstMs - (daysSinceMonday * DAY_MS) + (KST_RESET_HOUR * HOUR_MS);
+function normalizeGameRecords(source = {}) {
+    const result = {};
+    Object.entries(source && typeof source === 'object' ? source : {}).forEach(([gameId, rawBoards]) => {
+        if (!gameId || !rawBoards || typeof rawBoards !== 'object') return;
+        const boards = {};
+        Object.entries(rawBoards).forEach(([boardKey, rawRecord]) => {
+            const record = normalizeRankingRecord(rawRecord);
+            if (!boardKey || Object.keys(record.metrics).length === 0) return;
+            boards[boardKey] = record;
+        });
+        if (Object.keys(boards).length > 0) result[gameId] = boards;
+    });
+    return result;
+}
 
-    if (kstNowMs < seasonStartKstMs) {
-        seasonStartKstMs -= WEEK_MS;
-    }
+function normalizePlacement(placement) {
+    if (!placement || typeof placement !== 'object') return null;
+    const rank = Number(placement.rank);
+    if (!Number.isFinite(rank) || rank <= 0) return null;
+    return {
+        rank: Math.floor(rank),
+        score: toSafeScore(placement.score)
+    };
+}
 
-    const seasonEndKstMs = seasonStartKstMs + WEEK_MS;
-    const seasonStartUtcMs = seasonStartKstMs - KST_OFFSET_MS;
-    const seasonEndUtcMs = seasonEndKstMs - KST_OFFSET_MS;
-    const seasonId = `kst-week-${new Date(seasonStartKstMs).toISOString().slice(0, 10)}`;
+function normalizeSeasonSummary(season = {}) {
+    return {
+        id: String(season?.id || ''),
+        startAt: toSafeTimestamp(season?.startAt, 0),
+        endAt: toSafeTimestamp(season?.endAt, 0),
+        archivedAt: toSafeTimestamp(season?.archivedAt, 0),
+        playerCount: toSafeScore(season?.playerCount),
+        my: normalizePlacement(season?.my)
+    };
+}
 
+function normalizeGroupSummary(group = {}) {
     return {
-        id: seasonId,
-        startAt: seasonStartUtcMs,
-        endAt: seasonEndUtcMs,
-        timezone: 'Asia/Seoul',
-        resetRule: 'weekly Monday 09:00 KST'
+        id: String(group?.id || ''),
+        name: String(group?.name || 'Group'),
+        inviteCode: String(group?.inviteCode || ''),
+        memberCount: toSafeScore(group?.memberCount),
+        isOwner: Boolean(group?.isOwner),
+        createdAt: toSafeTimestamp(group?.createdAt, 0)
     };
 }
 
+// Apply a `rank` delta to one board view. Ranks only improve within a season, so the mover is
+// re-inserted and everyone it passed (rank in [entry.rank, previousRank)) drops one place.
+function patchBoardWithRankDelta(board, entry, previousRank, playerUid, topLimit) {
+    const wasPassed = (rank) => rank >= entry.rank && (!previousRank || rank < previousRank);
+    const top = (board?.top || [])
+        .filter((row) => row.uid !== entry.uid)
+        .map((row) => (wasPassed(row.rank) ? { ...row, rank: row.rank + 1 } : row));
+    if (entry.rank <= topLimit) {
+        top.push(entry);
+        top.sort((a, b) => a.rank - b.rank);
+    }
+
+    let my = board?.my || null;
+    if (entry.uid === playerUid) {
+        my = entry;
+    } else if (my && Number.isFinite(my.rank) && wasPassed(my.rank)) {
+        my = { ...my, rank: my.rank + 1 };
+    }
+
+    return { top: top.slice(0, topLimit), my };
+}
+
 function formatApiErrorDetail(detail, fallback = 'request-failed') {
     if (detail === undefined || detail === null || detail === '') return fallback;
     if (typeof detail === 'string') return detail;
@@ -101,22 +184,84 @@ export class LeaderboardService {
         this.syncInFlight = null;
         this.lastSyncAt = 0;
         this.lastSyncResult = null;
+        this.outbox = new SyncOutbox();
+        this.outboxRetryTimer = null;
+        this.outboxRetryAttempt = 0;
+        this.handleOnline = this.handleOnline.bind(this);
+        this.handleWorkerMessage = this.handleWorkerMessage.bind(this);
+        // requestId -> resolve, for syncs this follower tab asked the leader to send
+        this.tabSyncRequests = new Map();
 
         this.realtimeSource = null;
         this.realtimeListeners = new Set();
         this.realtimeReconnectTimer = null;
+        this.realtimeLastEventId = '';
+        // Set on the leader once a follower tab wants events: the stream stays open for it
+        this.realtimeRelayed = false;
 
         this.localFallbackState = this.createEmptyLocalFallbackState();
         this.localFallbackLoaded = false;
+        this.rankingDefinitions = new Map();
     }
 
     async init() {
         if (this.initialized) return this.context;
         this.loadLocalFallbackState();
         this.initialized = true;
+
+        if (typeof window !== 'undefined') {
+            window.addEventListener('online', this.handleOnline);
+            navigator.serviceWorker?.addEventListener('message', this.handleWorkerMessage);
+        }
+        this.setupTabCoordination();
+        this.outbox.list().catch((error) => {
+            console.warn('Failed to read the sync outbox:', error);
+        });
+        await tabCoordinator.start();
         return this.context;
     }
 
+    /**
+     * Only the leader tab keeps the realtime stream open and talks to the sync endpoint.
+     * It relays realtime events and sync results; followers queue their syncs in the shared
+     * outbox and ask the leader to send them.
+     */
+    setupTabCoordination() {
+        tabCoordinator.subscribe('realtime', (event) => {
+            if (!tabCoordinator.isLeader()) this.dispatchRealtime(event);
+        });
+        tabCoordinator.subscribe('realtime-wanted', () => {
+            if (!tabCoordinator.isLeader()) return;
+            this.realtimeRelayed = true;
+            this.ensureRealtimeConnection();
+        });
+        tabCoordinator.subscribe('sync-request', (payload) => {
+            if (!tabCoordinator.isLeader()) return;
+            this.flushQueuedSyncs().then((result) => {
+                tabCoordinator.publish('sync-result', { requestId: payload?.requestId, result });
+            }).catch((error) => {
+                console.warn('Failed to send leaderboard sync for another tab:', error);
+            });
+        });
+        tabCoordinator.subscribe('sync-result', (payload) => {
+            const resolve = this.tabSyncRequests.get(payload?.requestId);
+            if (resolve) resolve(payload.result);
+        });
+        tabCoordinator.subscribe('outbox-flushed', () => {
+            this.outbox.list().catch((error) => {
+                console.warn('Failed to read the sync outbox:', error);
+            });
+        });
+        tabCoordinator.onLeadershipChange((leader) => {
+            if (!leader) return;
+            // First tab, or the previous leader closed: open the stream for every tab and send
+            // whatever is left in the outbox
+            this.realtimeRelayed = true;
+            this.ensureRealtimeConnection();
+            this.retryOutbox();
+        });
+    }
+
     isEnabled() {
         return true;
     }
@@ -125,6 +270,21 @@ export class LeaderboardService {
         return DEFAULT_TOP_LIMIT;
     }
 
+    /**
+     * Register per-game ranking definitions (`{ [gameId]: ranking }`, from the game registry)
+     * so the local fallback orders boards the same way the server does.
+     */
+    setRankingDefinitions(definitionsByGameId = {}) {
+        Object.entries(definitionsByGameId || {}).forEach(([gameId, definition]) => {
+            if (!gameId) return;
+            this.rankingDefinitions.set(gameId, normalizeRankingDefinition(definition));
+        });
+    }
+
+    getRankingDefinition(gameId) {
+        return this.rankingDefinitions.get(gameId) || normalizeRankingDefinition();
+    }
+
     resolveApiBase() {
         if (typeof window === 'undefined') return '';
 
@@ -170,6 +330,7 @@ export class LeaderboardService {
             method = 'GET',
             query = null,
             body = null,
+            headers = {},
             timeoutMs = REQUEST_TIMEOUT_MS
         } = options;
 
@@ -182,7 +343,8 @@ export class LeaderboardService {
                 method,
                 headers: {
                     Accept: 'application/json',
-                    ...(body ? { 'Content-Type': 'application/json' } : {})
+                    ...(body ? { 'Content-Type': 'application/json' } : {}),
+                    ...headers
                 },
                 body: body ? JSON.stringify(body) : undefined,
                 signal: controller.signal
@@ -203,7 +365,9 @@ export class LeaderboardService {
                     ?? response.statusText
                     ?? 'request-failed';
                 const detail = formatApiErrorDetail(detailSource);
-                throw new Error(`Leaderboard API ${response.status}: ${detail}`);
+                const apiError = new Error(`Leaderboard API ${response.status}: ${detail}`);
+                apiError.statusCode = response.status;
+                throw apiError;
             }
 
             return payload || {};
@@ -222,7 +386,7 @@ export class LeaderboardService {
             version: LOCAL_FALLBACK_VERSION,
             revision: 1,
             updatedAt: nowMs,
-            season: computeKstSeasonWindow(nowMs),
+            season: storage.computeSeasonWindow(nowMs),
             players: {}
         };
     }
@@ -248,12 +412,18 @@ export class LeaderboardService {
             });
 
             const overallScore = Object.values(gameScores).reduce((sum, score) => sum + toSafeScore(score), 0);
+            const updatedAt = toSafeTimestamp(rawPlayer.updatedAt);
             normalizedPlayers[uid] = {
                 uid,
                 nickname: String(rawPlayer.nickname || 'Player'),
                 avatar: String(rawPlayer.avatar || 'default'),
-                updatedAt: toSafeTimestamp(rawPlayer.updatedAt),
+                updatedAt,
                 gameScores,
+                gameRecords: this.mergeLegacyGameRecords(
+                    normalizeGameRecords(rawPlayer.gameRecords),
+                    gameScores,
+                    updatedAt
+                ),
                 overallScore
             };
         });
@@ -266,8 +436,8 @@ export class LeaderboardService {
                 id: String(raw?.season?.id || fallback.season.id),
                 startAt: toSafeTimestamp(raw?.season?.startAt, fallback.season.startAt),
                 endAt: toSafeTimestamp(raw?.season?.endAt, fallback.season.endAt),
-                timezone: 'Asia/Seoul',
-                resetRule: 'weekly Monday 09:00 KST'
+                timezone: String(raw?.season?.timezone || fallback.season.timezone),
+                resetRule: String(raw?.season?.resetRule || fallback.season.resetRule)
             },
             players: normalizedPlayers
         };
@@ -300,7 +470,7 @@ export class LeaderboardService {
     }
 
     ensureLocalFallbackSeason() {
-        const latest = computeKstSeasonWindow(Date.now());
+        const latest = storage.computeSeasonWindow(Date.now());
         if (this.localFallbackState?.season?.id === latest.id) return false;
 
         this.localFallbackState = {
@@ -314,6 +484,16 @@ export class LeaderboardService {
         return true;
     }
 
+    // Scores recorded before ranking definitions only exist as the best score per game.
+    mergeLegacyGameRecords(gameRecords, gameScores, achievedAt) {
+        const merged = { ...gameRecords };
+        Object.entries(gameScores || {}).forEach(([gameId, score]) => {
+            if (merged[gameId] || toSafeScore(score) <= 0) return;
+            merged[gameId] = { [ALL_BOARD_KEY]: extractRankingRecord({ score }, achievedAt) };
+        });
+        return merged;
+    }
+
     buildGameHighScoresMap() {
         const seasonalHighScores = storage.getSeasonalHighScoresMap() || {};
         const highScores = {};
@@ -334,11 +514,39 @@ export class LeaderboardService {
         };
     }
 
+    resolvePlayerKey() {
+        const stored = storage.get(PLAYER_KEY_STORAGE_KEY);
+        if (typeof stored === 'string' && stored) return stored;
+
+        const bytes = new Uint8Array(PLAYER_KEY_BYTES);
+        crypto.getRandomValues(bytes);
+        const key = Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+        storage.set(PLAYER_KEY_STORAGE_KEY, key);
+        return key;
+    }
+
+    /**
+     * POST options proving the caller owns `player.uid`: the device player key, plus the
+     * Firebase ID token when signed in so other devices of the same account are accepted.
+     * The server requires this on every write that names a player.
+     */
+    async buildIdentityRequest(player, body, { headers = {}, ...options } = {}) {
+        const idToken = player.uid === storage.getProfile()?.cloudUid
+            ? await cloudAuth.getIdToken()
+            : null;
+        return {
+            ...options,
+            method: 'POST',
+            headers: { ...headers, Authorization: `Bearer ${this.resolvePlayerKey()}` },
+            body: idToken ? { ...body, idToken } : body
+        };
+    }
+
     setSource(source) {
         this.context.source = source;
     }
 
-    syncLocalFallback(player, gameScores) {
+    syncLocalFallback(player, gameScores, gameRecords = {}) {
         this.loadLocalFallbackState();
         this.ensureLocalFallbackSeason();
 
@@ -349,6 +557,7 @@ export class LeaderboardService {
             avatar: player.avatar || 'default',
             updatedAt: Date.now(),
             gameScores: {},
+            gameRecords: {},
             overallScore: 0
         };
 
@@ -360,6 +569,15 @@ export class LeaderboardService {
             if (safeScore > prev) nextGameScores[gameId] = safeScore;
         });
 
+        const nextGameRecords = { ...existing.gameRecords };
+        Object.entries(normalizeGameRecords(gameRecords)).forEach(([gameId, boards]) => {
+            const definition = this.getRankingDefinition(gameId);
+            Object.entries(boards).forEach(([boardKey, record]) => {
+                if (!isBetterRecord(definition, record, nextGameRecords[gameId]?.[boardKey])) return;
+                nextGameRecords[gameId] = { ...(nextGameRecords[gameId] || {}), [boardKey]: record };
+            });
+        });
+
         const overallScore = Object.values(nextGameScores).reduce((sum, score) => sum + toSafeScore(score), 0);
         this.localFallbackState.players[uid] = {
             uid,
@@ -367,6 +585,7 @@ export class LeaderboardService {
             avatar: player.avatar || existing.avatar || 'default',
             updatedAt: Date.now(),
             gameScores: nextGameScores,
+            gameRecords: this.mergeLegacyGameRecords(nextGameRecords, nextGameScores, Date.now()),
             overallScore
         };
         this.localFallbackState.revision += 1;
@@ -410,6 +629,31 @@ export class LeaderboardService {
             }));
     }
 
+    // Mirrors the server's per-board ordering for one game.
+    getLocalBoardEntries(gameId, boardKey, definition) {
+        return Object.values(this.localFallbackState.players || {})
+            .map((entry) => ({
+                uid: String(entry.uid || ''),
+                nickname: String(entry.nickname || 'Player'),
+                avatar: String(entry.avatar || 'default'),
+                record: entry?.gameRecords?.[gameId]?.[boardKey] || null
+            }))
+            .filter((entry) => entry.uid && entry.record && isRankableRecord(definition, entry.record))
+            .sort((a, b) => compareRankingRecords(
+                definition,
+                { ...a.record, uid: a.uid },
+                { ...b.record, uid: b.uid }
+            ))
+            .map((entry, index) => ({
+                rank: index + 1,
+                uid: entry.uid,
+                nickname: entry.nickname,
+                avatar: entry.avatar,
+                score: toSafeScore(entry.record.metrics.score),
+                value: getRankingValue(definition, entry.record)
+            }));
+    }
+
     getLocalSnapshot({ gameIds = [], topLimit } = {}) {
         this.loadLocalFallbackState();
         this.ensureLocalFallbackSeason();
@@ -424,10 +668,22 @@ export class LeaderboardService {
 
         const games = {};
         normalizedGameIds.forEach((gameId) => {
-            const ranked = this.getLocalSortedEntries((entry) => entry?.gameScores?.[gameId]);
+            const definition = this.getRankingDefinition(gameId);
+            const boards = {};
+            listBoardKeys(definition).forEach((boardKey) => {
+                const ranked = this.getLocalBoardEntries(gameId, boardKey, definition);
+                boards[boardKey] = {
+                    top: ranked.slice(0, limit),
+                    my: ranked.find((entry) => entry.uid === uid) || null
+                };
+            });
+
+            const board = getDefaultBoardKey(definition);
             games[gameId] = {
-                top: ranked.slice(0, limit),
-                my: ranked.find((entry) => entry.uid === uid) || null
+                ranking: definition,
+                board,
+                ...boards[board],
+                boards
             };
         });
 
@@ -438,72 +694,365 @@ export class LeaderboardService {
             myOverall,
             games,
             season: this.localFallbackState.season,
+            seasonSchedule: storage.getSeasonSchedule(),
             revision: this.localFallbackState.revision,
             generatedAt: Date.now(),
             source: 'local-fallback'
         };
     }
 
-    async syncFromLocal(_gameId = null) {
+    /**
+     * Request a signed session ticket for a game launch.
+     * Resolves to null when the backend is unreachable so the game can still start.
+     */
+    async startGameSession(gameId) {
         await this.init();
 
-        const now = Date.now();
-        if (this.syncInFlight) return this.syncInFlight;
-        if (this.lastSyncResult && (now - this.lastSyncAt) < SYNC_DEBOUNCE_MS) {
-            return this.lastSyncResult;
+        const player = this.resolvePlayerProfile();
+        try {
+            const result = await this.requestJson(
+                '/api/leaderboard/session',
+                await this.buildIdentityRequest(player, { playerId: player.uid, gameId })
+            );
+            if (!result?.ticket) return null;
+
+            return {
+                ticket: result.ticket,
+                sessionId: result.sessionId,
+                gameId: result.gameId,
+                expiresAt: Number(result.expiresAt || 0)
+            };
+        } catch (error) {
+            console.warn('Failed to issue leaderboard session ticket:', error);
+            return null;
         }
+    }
+
+    /**
+     * Send the local state (and the finished session, if any) to the server. Every sync goes
+     * through the outbox first, so a failed request is retried later instead of being lost.
+     * Resolves to the server result, or to the local fallback while the outbox still holds it.
+     */
+    async syncFromLocal(_gameId = null, session = null) {
+        await this.init();
 
+        const hasSession = Boolean(session?.ticket);
+        if (!hasSession) {
+            if (this.syncInFlight) return this.syncInFlight;
+            if (
+                this.outbox.getPendingCount() === 0
+                && this.lastSyncResult
+                && (Date.now() - this.lastSyncAt) < SYNC_DEBOUNCE_MS
+            ) {
+                return this.lastSyncResult;
+            }
+        }
+
+        await this.enqueueSync(session);
+        if (!tabCoordinator.isLeader()) {
+            return this.requestLeaderSync();
+        }
+        return this.flushQueuedSyncs();
+    }
+
+    // A flush that started before the enqueue has not seen the new entry; one started after has.
+    // An empty outbox means an earlier flush sent it (a follower's request can arrive after that).
+    async flushQueuedSyncs() {
+        if (this.syncInFlight) await this.syncInFlight;
+        if (this.syncInFlight) return this.syncInFlight;
+        const queued = await this.outbox.list();
+        if (queued.length === 0 && this.lastSyncResult) return this.lastSyncResult;
+        return this.syncInFlight || this.startOutboxFlush();
+    }
+
+    /**
+     * Follower tab: the entry is already in the shared outbox, so ask the leader to flush it.
+     * Without an answer in time the outbox keeps the entry and the local result is shown.
+     */
+    requestLeaderSync() {
+        const requestId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+        this.syncInFlight = new Promise((resolve) => {
+            const timer = window.setTimeout(() => {
+                this.tabSyncRequests.delete(requestId);
+                resolve(this.buildFallbackSyncResult(this.resolvePlayerProfile(), [], new Error('leader-tab-timeout')));
+            }, TAB_SYNC_TIMEOUT_MS);
+            this.tabSyncRequests.set(requestId, (result) => {
+                window.clearTimeout(timer);
+                this.tabSyncRequests.delete(requestId);
+                this.lastSyncAt = Date.now();
+                this.lastSyncResult = result;
+                resolve(result);
+            });
+            tabCoordinator.publish('sync-request', { requestId });
+        }).finally(() => {
+            this.syncInFlight = null;
+        });
+        return this.syncInFlight;
+    }
+
+    async enqueueSync(session = null) {
         const player = this.resolvePlayerProfile();
-        const gameScores = this.buildGameHighScoresMap();
-        const progress = storage.getCloudProgressSnapshot();
-        const payload = {
+        const entry = {
             playerId: player.uid,
-            nickname: player.nickname,
-            avatar: player.avatar,
-            gameScores,
-            progress
+            payload: {
+                playerId: player.uid,
+                nickname: player.nickname,
+                avatar: player.avatar,
+                gameScores: this.buildGameHighScoresMap(),
+                progress: storage.getCloudProgressSnapshot()
+            },
+            sessions: session?.ticket
+                ? [{
+                    ticket: session.ticket,
+                    sessionId: session.sessionId || '',
+                    expiresAt: Number(session.expiresAt || 0),
+                    result: session.result || {},
+                    // Oversized replays are never uploaded, so they are not stored either
+                    replay: isUploadableReplay(session.replay) ? session.replay : null
+                }]
+                : [],
+            syncUrl: this.buildApiUrl('/api/leaderboard/sync').toString(),
+            replayUrl: this.buildApiUrl('/api/leaderboard/replays').toString(),
+            playerKey: this.resolvePlayerKey()
         };
 
-        this.syncInFlight = this.requestJson('/api/leaderboard/sync', {
-            method: 'POST',
-            body: payload
-        })
-            .then((result) => {
-                if (result?.player?.progress) {
-                    try {
-                        storage.mergeCloudProgress(result.player.progress);
-                    } catch (error) {
-                        console.warn('Failed to merge cloud progress payload:', error);
-                    }
+        try {
+            await this.outbox.enqueue(entry);
+        } catch (error) {
+            // Most likely storage quota: keep the result and lose only the replay
+            console.warn('Failed to queue leaderboard sync, retrying without replays:', error);
+            await this.outbox.enqueue({
+                ...entry,
+                sessions: entry.sessions.map((queued) => ({ ...queued, replay: null }))
+            });
+        }
+    }
+
+    startOutboxFlush() {
+        this.syncInFlight = this.flushOutbox().finally(() => {
+            this.syncInFlight = null;
+            tabCoordinator.publish('outbox-flushed');
+        });
+        return this.syncInFlight;
+    }
+
+    /**
+     * Send queued entries oldest first. Entries the server answered are removed, including ones it
+     * rejected with a 4xx; a network failure or 5xx stops the flush and schedules a retry.
+     */
+    async flushOutbox() {
+        const player = this.resolvePlayerProfile();
+        const attempted = new Set();
+        const outcomes = [];
+        let latest = null;
+        let failure = null;
+        let retry = false;
+
+        for (;;) {
+            // Re-read each time: enqueue() may have merged a waiting entry into a new one meanwhile
+            const entry = (await this.outbox.list()).find((item) => !attempted.has(item.id));
+            if (!entry) break;
+            attempted.add(entry.id);
+
+            let result = null;
+            this.outbox.sendingId = entry.id;
+            try {
+                result = await this.requestJson('/api/leaderboard/sync', await this.buildIdentityRequest(
+                    { uid: entry.playerId },
+                    {
+                        ...entry.payload,
+                        sessions: entry.sessions.map(({ ticket, result: sessionResult }) => ({ ticket, result: sessionResult }))
+                    },
+                    { headers: { 'Idempotency-Key': entry.id } }
+                ));
+            } catch (error) {
+                failure = error;
+                retry = isRetryableSyncError(error);
+            } finally {
+                this.outbox.sendingId = '';
+            }
+
+            if (retry) break;
+            await this.outbox.remove(entry.id);
+            if (!result) continue;
+
+            this.uploadAcceptedReplays(entry.sessions, result.sessions);
+            if (entry.playerId !== player.uid) continue;
+            outcomes.push(...(Array.isArray(result.sessions) ? result.sessions : []));
+            latest = result;
+            failure = null;
+        }
+
+        if (retry) {
+            this.scheduleOutboxRetry();
+        } else {
+            this.resetOutboxRetry();
+        }
+
+        if (latest) {
+            storage.setSeasonSchedule(latest.seasonSchedule);
+            if (latest.player?.progress) {
+                try {
+                    storage.mergeCloudProgress(latest.player.progress);
+                } catch (error) {
+                    console.warn('Failed to merge cloud progress payload:', error);
                 }
+            }
 
-                this.setSource('server');
-                this.lastSyncAt = Date.now();
-                this.lastSyncResult = {
-                    enabled: true,
-                    signedIn: true,
-                    uid: player.uid,
-                    overallScore: toSafeScore(result?.player?.overallScore),
-                    season: result?.season || null,
-                    revision: Number(result?.revision || 0),
-                    source: 'server'
-                };
-                return this.lastSyncResult;
-            })
+            this.setSource('server');
+            this.lastSyncAt = Date.now();
+            this.lastSyncResult = {
+                enabled: true,
+                signedIn: true,
+                uid: player.uid,
+                overallScore: toSafeScore(latest.player?.overallScore),
+                season: latest.season || null,
+                revision: Number(latest.revision || 0),
+                sessions: outcomes,
+                pendingUploads: this.outbox.getPendingCount(),
+                source: 'server'
+            };
+            return this.lastSyncResult;
+        }
+
+        return this.buildFallbackSyncResult(player, outcomes, failure);
+    }
+
+    buildFallbackSyncResult(player, outcomes = [], failure = null) {
+        const fallback = this.syncLocalFallback(
+            player,
+            this.buildGameHighScoresMap(),
+            storage.getSeasonalRankingRecordsMap()
+        );
+        this.lastSyncAt = Date.now();
+        this.lastSyncResult = {
+            ...fallback,
+            sessions: outcomes,
+            pendingUploads: this.outbox.getPendingCount(),
+            ...(failure ? { backendError: failure.message || String(failure) } : {})
+        };
+        return this.lastSyncResult;
+    }
+
+    scheduleOutboxRetry() {
+        this.requestBackgroundSync();
+        if (this.outboxRetryTimer || typeof window === 'undefined') return;
+        if (navigator.onLine === false) return;
+
+        const delay = Math.min(OUTBOX_RETRY_MAX_MS, OUTBOX_RETRY_BASE_MS * (2 ** this.outboxRetryAttempt));
+        this.outboxRetryAttempt += 1;
+        // Jitter keeps tabs that lost the server together from retrying in lockstep
+        this.outboxRetryTimer = window.setTimeout(() => {
+            this.outboxRetryTimer = null;
+            this.retryOutbox();
+        }, Math.round(delay * (0.8 + Math.random() * 0.4)));
+    }
+
+    resetOutboxRetry() {
+        this.outboxRetryAttempt = 0;
+        if (this.outboxRetryTimer) {
+            window.clearTimeout(this.outboxRetryTimer);
+            this.outboxRetryTimer = null;
+        }
+    }
+
+    retryOutbox() {
+        // Followers leave retries to the leader, which sees the same 'online' event
+        if (!tabCoordinator.isLeader()) return Promise.resolve(this.lastSyncResult);
+        if (this.syncInFlight) return this.syncInFlight;
+        if (this.outbox.getPendingCount() === 0) return Promise.resolve(this.lastSyncResult);
+        return this.startOutboxFlush();
+    }
+
+    handleOnline() {
+        this.resetOutboxRetry();
+        this.retryOutbox();
+    }
+
+    // Background Sync lets the service worker send the outbox after the tab is gone
+    async requestBackgroundSync() {
+        if (typeof navigator === 'undefined' || !navigator.serviceWorker) return;
+        try {
+            if (!(await this.outbox.isShared())) return;
+            const registration = await navigator.serviceWorker.getRegistration();
+            await registration?.sync?.register(SYNC_OUTBOX_SYNC_TAG);
+        } catch (error) {
+            console.warn('Background sync registration failed:', error);
+        }
+    }
+
+    // sw.js sent part of the outbox on its own; refresh the pending count. Entries it left behind
+    // for holding an expired session are pruned by list(), then the rest is sent from here.
+    handleWorkerMessage(event) {
+        if (event.data?.type !== 'mgp:sync-outbox') return;
+        this.outbox.list()
+            .then(() => (event.data.expired > 0 ? this.retryOutbox() : null))
             .catch((error) => {
-                const fallback = this.syncLocalFallback(player, gameScores);
-                this.lastSyncAt = Date.now();
-                this.lastSyncResult = {
-                    ...fallback,
-                    backendError: error?.message || String(error)
-                };
-                return this.lastSyncResult;
-            })
-            .finally(() => {
-                this.syncInFlight = null;
+                console.warn('Failed to read the sync outbox:', error);
             });
+    }
 
-        return this.syncInFlight;
+    /**
+     * Game results (or profile syncs without one) waiting in the outbox
+     */
+    getPendingUploadCount() {
+        return this.outbox.getPendingCount();
+    }
+
+    onPendingUploadsChange(listener) {
+        return this.outbox.onChange(listener);
+    }
+
+    /**
+     * Queued game results that waited past their session ticket's TTL are dropped; the listener
+     * gets how many, so the hub can tell the player they will not be ranked
+     */
+    onExpiredUploads(listener) {
+        return this.outbox.onExpired(listener);
+    }
+
+    // Replays follow their session once the sync has accepted it; failures only lose the replay.
+    uploadAcceptedReplays(sessions = [], outcomes = []) {
+        const accepted = new Set(
+            (Array.isArray(outcomes) ? outcomes : [])
+                .filter((outcome) => outcome?.accepted && outcome.sessionId)
+                .map((outcome) => outcome.sessionId)
+        );
+
+        sessions.forEach(({ sessionId, replay }) => {
+            if (!isUploadableReplay(replay) || !accepted.has(sessionId)) return;
+            this.uploadReplay(sessionId, replay).catch((error) => {
+                console.warn('Failed to upload session replay:', error);
+            });
+        });
+    }
+
+    async uploadReplay(sessionId, replay) {
+        const player = this.resolvePlayerProfile();
+        return this.requestJson('/api/leaderboard/replays', await this.buildIdentityRequest(
+            player,
+            { playerId: player.uid, sessionId, replay },
+            { timeoutMs: REQUEST_TIMEOUT_MS * 2 }
+        ));
+    }
+
+    /**
+     * Fetch a stored replay by the `replayId` of a ranking entry. Server only.
+     */
+    async fetchReplay(replayId) {
+        await this.init();
+
+        const result = await this.requestJson(`/api/leaderboard/replays/${encodeURIComponent(replayId)}`, {
+            method: 'GET'
+        });
+        return {
+            replayId: String(result?.replayId || replayId),
+            nickname: String(result?.nickname || 'Player'),
+            gameId: String(result?.gameId || ''),
+            board: String(result?.board || ALL_BOARD_KEY),
+            uploadedAt: toSafeTimestamp(result?.uploadedAt, 0),
+            replay: result?.replay || null
+        };
     }
 
     normalizeServerSnapshot(result, player) {
@@ -513,21 +1062,32 @@ export class LeaderboardService {
 
         const normalizedGames = {};
         Object.entries(gamesPayload).forEach(([gameId, gameRanking]) => {
-            const my = gameRanking?.my && typeof gameRanking.my === 'object'
-                ? {
-                    rank: Number.isFinite(Number(gameRanking.my.rank))
-                        ? Math.floor(Number(gameRanking.my.rank))
-                        : null,
-                    uid: String(gameRanking.my.uid || player.uid),
-                    nickname: String(gameRanking.my.nickname || player.nickname || 'Player'),
-                    avatar: String(gameRanking.my.avatar || player.avatar || 'default'),
-                    score: toSafeScore(gameRanking.my.score)
-                }
-                : null;
+            // The server's definition wins over the registry copy the hub registered.
+            const ranking = gameRanking?.ranking
+                ? normalizeRankingDefinition(gameRanking.ranking)
+                : this.getRankingDefinition(gameId);
+            if (gameRanking?.ranking && !result?.archived) {
+                this.rankingDefinitions.set(gameId, ranking);
+            }
+
+            const board = String(gameRanking?.board || getDefaultBoardKey(ranking));
+            const sourceBoards = gameRanking?.boards && typeof gameRanking.boards === 'object'
+                ? gameRanking.boards
+                : { [board]: gameRanking };
+            const boards = {};
+            Object.entries(sourceBoards).forEach(([boardKey, boardRanking]) => {
+                boards[boardKey] = {
+                    top: normalizeEntries(boardRanking?.top || []),
+                    my: normalizeMyEntry(boardRanking?.my, player)
+                };
+            });
 
             normalizedGames[gameId] = {
+                ranking,
+                board,
                 top: normalizeEntries(gameRanking?.top || []),
-                my
+                my: normalizeMyEntry(gameRanking?.my, player),
+                boards
             };
         });
 
@@ -543,27 +1103,31 @@ export class LeaderboardService {
             }
             : null;
 
+        storage.setSeasonSchedule(result?.seasonSchedule);
         this.setSource('server');
         return {
             enabled: Boolean(result?.enabled ?? true),
+            group: result?.group ? normalizeGroupSummary(result.group) : null,
             overallTop: normalizeEntries(result?.overallTop || []),
             myOverall,
             games: normalizedGames,
             season: result?.season || null,
+            seasonSchedule: storage.getSeasonSchedule(),
             revision: Number(result?.revision || 0),
             generatedAt: Number(result?.generatedAt || Date.now()),
             source: 'server'
         };
     }
 
-    async fetchSnapshot({ gameIds = [], topLimit } = {}) {
+    async fetchSnapshot({ gameIds = [], topLimit, groupId = '' } = {}) {
         await this.init();
 
         const player = this.resolvePlayerProfile();
         const query = {
             playerId: player.uid,
             topLimit: clampTopLimit(topLimit),
-            gameIds: Array.from(new Set((gameIds || []).filter(Boolean))).join(',')
+            gameIds: Array.from(new Set((gameIds || []).filter(Boolean))).join(','),
+            groupId
         };
 
         try {
@@ -572,7 +1136,9 @@ export class LeaderboardService {
                 query
             });
             return this.normalizeServerSnapshot(result, player);
-        } catch (_error) {
+        } catch (error) {
+            // Group membership only lives on the server, so there is no local group view to fall back to.
+            if (groupId) throw error;
             return this.getLocalSnapshot({ gameIds, topLimit });
         }
     }
@@ -594,8 +1160,267 @@ export class LeaderboardService {
         };
     }
 
-    async getAllGameLeaderboardSnapshot({ gameIds = [], topLimit } = {}) {
-        return this.fetchSnapshot({ gameIds, topLimit });
+    async getAllGameLeaderboardSnapshot({ gameIds = [], topLimit, groupId = '' } = {}) {
+        return this.fetchSnapshot({ gameIds, topLimit, groupId });
+    }
+
+    /**
+     * Patch a server snapshot with a realtime `rank` delta.
+     * Returns the patched snapshot, or null when the delta does not apply (other game, unknown board).
+     */
+    applyRankDelta(snapshot, delta, { topLimit } = {}) {
+        if (!snapshot || delta?.type !== 'rank' || !delta.entry) return null;
+
+        const player = this.resolvePlayerProfile();
+        const limit = clampTopLimit(topLimit);
+        const entry = normalizeEntries([delta.entry])[0];
+        const previousRank = Number(delta.previousRank) > 0 ? Math.floor(Number(delta.previousRank)) : null;
+
+        if (delta.scope === 'overall') {
+            const patched = patchBoardWithRankDelta(
+                { top: snapshot.overallTop, my: snapshot.myOverall },
+                entry,
+                previousRank,
+                player.uid,
+                limit
+            );
+            return { ...snapshot, overallTop: patched.top, myOverall: patched.my };
+        }
+
+        const gameSnapshot = snapshot.games?.[delta.gameId];
+        const boardKey = String(delta.board || '');
+        const isDefaultBoard = gameSnapshot?.board === boardKey;
+        if (!gameSnapshot || (!isDefaultBoard && !gameSnapshot.boards?.[boardKey])) return null;
+
+        const patched = patchBoardWithRankDelta(
+            isDefaultBoard ? gameSnapshot : gameSnapshot.boards[boardKey],
+            entry,
+            previousRank,
+            player.uid,
+            limit
+        );
+        return {
+            ...snapshot,
+            games: {
+                ...snapshot.games,
+                [delta.gameId]: {
+                    ...gameSnapshot,
+                    ...(isDefaultBoard ? patched : {}),
+                    boards: { ...(gameSnapshot.boards || {}), [boardKey]: patched }
+                }
+            }
+        };
+    }
+
+    /**
+     * Invite-code groups the current player belongs to (oldest first). Server only.
+     */
+    async fetchGroups() {
+        await this.init();
+
+        const player = this.resolvePlayerProfile();
+        const result = await this.requestJson('/api/leaderboard/groups', {
+            method: 'GET',
+            query: { playerId: player.uid }
+        });
+        return Array.isArray(result?.groups)
+            ? result.groups.map((group) => normalizeGroupSummary(group)).filter((group) => group.id)
+            : [];
+    }
+
+    async createGroup(name) {
+        await this.init();
+
+        const player = this.resolvePlayerProfile();
+        const result = await this.requestJson(
+            '/api/leaderboard/groups',
+            await this.buildIdentityRequest(player, { playerId: player.uid, name })
+        );
+        return normalizeGroupSummary(result?.group);
+    }
+
+    async joinGroup(inviteCode) {
+        await this.init();
+
+        const player = this.resolvePlayerProfile();
+        const result = await this.requestJson(
+            '/api/leaderboard/groups/join',
+            await this.buildIdentityRequest(player, { playerId: player.uid, inviteCode })
+        );
+        return normalizeGroupSummary(result?.group);
+    }
+
+    async leaveGroup(groupId) {
+        await this.init();
+
+        const player = this.resolvePlayerProfile();
+        await this.requestJson(
+            '/api/leaderboard/groups/leave',
+            await this.buildIdentityRequest(player, { playerId: player.uid, groupId })
+        );
+        return true;
+    }
+
+    /**
+     * Today's daily challenge (or a recent one by `dayKey`) with its board, the player's attempt and streak.
+     * Server only; `daily` is null when no game is in the daily pool.
+     */
+    async fetchDailyChallenge({ dayKey = '', topLimit } = {}) {
+        await this.init();
+
+        const player = this.resolvePlayerProfile();
+        const result = await this.requestJson('/api/leaderboard/daily', {
+            method: 'GET',
+            query: {
+                playerId: player.uid,
+                dayKey,
+                topLimit: clampTopLimit(topLimit)
+            }
+        });
+
+        const daily = result?.daily && typeof result.daily === 'object' ? result.daily : null;
+        return {
+            daily: daily
+                ? {
+                    dayKey: String(daily.dayKey || ''),
+                    gameId: String(daily.gameId || ''),
+                    startAt: toSafeTimestamp(daily.startAt, 0),
+                    endAt: toSafeTimestamp(daily.endAt, 0),
+                    seed: Number.isFinite(Number(daily.seed)) ? Number(daily.seed) : null,
+                    totalPlayers: toSafeScore(daily.totalPlayers),
+                    ranking: normalizeRankingDefinition(daily.rules?.ranking)
+                }
+                : null,
+            top: normalizeEntries(result?.top),
+            my: result?.my ? normalizeEntries([result.my])[0] : null,
+            attempt: {
+                status: ['started', 'completed'].includes(result?.attempt?.status) ? result.attempt.status : 'none',
+                score: result?.attempt?.score === null || result?.attempt?.score === undefined
+                    ? null
+                    : toSafeScore(result.attempt.score)
+            },
+            streak: {
+                current: toSafeScore(result?.streak?.current),
+                best: toSafeScore(result?.streak?.best)
+            },
+            history: Array.isArray(result?.history)
+                ? result.history.map((entry) => ({
+                    dayKey: String(entry?.dayKey || ''),
+                    gameId: String(entry?.gameId || '')
+                })).filter((entry) => entry.dayKey)
+                : []
+        };
+    }
+
+    /**
+     * Spend today's single ranked attempt. Resolves to the seed to launch with and the session
+     * ticket the result has to be synced with; rejects (409) once the attempt is used.
+     */
+    async startDailyAttempt() {
+        await this.init();
+
+        const player = this.resolvePlayerProfile();
+        const result = await this.requestJson(
+            '/api/leaderboard/daily/attempt',
+            await this.buildIdentityRequest(player, { playerId: player.uid })
+        );
+        if (!result?.ticket || !result?.daily) {
+            throw new Error('daily-attempt-failed');
+        }
+
+        return {
+            dayKey: String(result.daily.dayKey || ''),
+            gameId: String(result.daily.gameId || ''),
+            seed: Number(result.daily.seed) >>> 0,
+            ticket: result.ticket,
+            sessionId: result.sessionId,
+            expiresAt: Number(result.expiresAt || 0)
+        };
+    }
+
+    /**
+     * List archived seasons (newest first) with the current player's placement in each.
+     * The local fallback keeps no archive, so it resolves to an empty list.
+     */
+    async fetchSeasonList() {
+        await this.init();
+
+        const player = this.resolvePlayerProfile();
+        try {
+            const result = await this.requestJson('/api/leaderboard/seasons', {
+                method: 'GET',
+                query: { playerId: player.uid }
+            });
+            const best = normalizePlacement(result?.best);
+
+            return {
+                current: result?.current || null,
+                seasons: Array.isArray(result?.seasons)
+                    ? result.seasons.map((season) => normalizeSeasonSummary(season)).filter((season) => season.id)
+                    : [],
+                best: best
+                    ? {
+                        ...best,
+                        seasonId: String(result.best.seasonId || ''),
+                        startAt: toSafeTimestamp(result.best.startAt, 0),
+                        endAt: toSafeTimestamp(result.best.endAt, 0)
+                    }
+                    : null,
+                source: 'server'
+            };
+        } catch (error) {
+            return {
+                current: this.localFallbackState.season,
+                seasons: [],
+                best: null,
+                source: 'local-fallback',
+                backendError: error?.message || String(error)
+            };
+        }
+    }
+
+    async fetchSeasonSnapshot(seasonId, { gameIds = [], topLimit } = {}) {
+        await this.init();
+
+        const player = this.resolvePlayerProfile();
+        const result = await this.requestJson(`/api/leaderboard/seasons/${encodeURIComponent(seasonId)}`, {
+            method: 'GET',
+            query: {
+                playerId: player.uid,
+                topLimit: clampTopLimit(topLimit),
+                gameIds: Array.from(new Set((gameIds || []).filter(Boolean))).join(',')
+            }
+        });
+
+        return {
+            ...this.normalizeServerSnapshot(result, player),
+            archived: true
+        };
+    }
+
+    /**
+     * Share of players (percent) holding each achievement of the given games, computed by the server
+     * from every player's synced progress. The local fallback has no other players: empty maps.
+     * @returns {Promise<Object<string, {players: number, achievements: Object<string, number>}>>}
+     */
+    async fetchAchievementRarity(gameIds = []) {
+        await this.init();
+
+        const targets = Array.from(new Set((gameIds || []).filter(Boolean)));
+        try {
+            const result = await this.requestJson('/api/leaderboard/achievements/rarity', {
+                method: 'GET',
+                query: { gameIds: targets.join(',') }
+            });
+            return Object.fromEntries(targets.map((gameId) => {
+                const rarity = result?.games?.[gameId];
+                const achievements = Object.entries(rarity?.achievements || {})
+                    .map(([achievementId, percent]) => [achievementId, Math.min(100, Math.max(0, Number(percent) || 0))]);
+                return [gameId, { players: toSafeScore(rarity?.players), achievements: Object.fromEntries(achievements) }];
+            }));
+        } catch (_error) {
+            return Object.fromEntries(targets.map((gameId) => [gameId, { players: 0, achievements: {} }]));
+        }
     }
 
     subscribeRealtime(listener) {
@@ -604,11 +1429,15 @@ export class LeaderboardService {
         }
 
         this.realtimeListeners.add(listener);
-        this.ensureRealtimeConnection();
+        if (tabCoordinator.isLeader()) {
+            this.ensureRealtimeConnection();
+        } else {
+            tabCoordinator.publish('realtime-wanted');
+        }
 
         return () => {
             this.realtimeListeners.delete(listener);
-            if (this.realtimeListeners.size === 0) {
+            if (this.realtimeListeners.size === 0 && !this.realtimeRelayed) {
                 this.closeRealtimeConnection();
             }
         };
@@ -620,7 +1449,11 @@ export class LeaderboardService {
         }
 
         try {
-            const url = this.buildApiUrl('/api/leaderboard/events');
+            // A fresh EventSource cannot send Last-Event-ID itself, so reconnects pass it in the query.
+            const url = this.buildApiUrl(
+                '/api/leaderboard/events',
+                this.realtimeLastEventId ? { lastEventId: this.realtimeLastEventId } : null
+            );
             const source = new EventSource(url.toString());
             this.realtimeSource = source;
 
@@ -631,22 +1464,20 @@ export class LeaderboardService {
                 } catch (_error) {
                     payload = null;
                 }
+                if (event?.lastEventId) {
+                    this.realtimeLastEventId = event.lastEventId;
+                }
 
-                this.realtimeListeners.forEach((fn) => {
-                    try {
-                        fn(payload || {});
-                    } catch (error) {
-                        console.warn('Leaderboard realtime listener failed:', error);
-                    }
-                });
+                const realtimeEvent = { ...(payload || {}), type: event?.type || 'message' };
+                tabCoordinator.publish('realtime', realtimeEvent);
+                this.dispatchRealtime(realtimeEvent);
             };
 
-            source.addEventListener('ready', handlePush);
-            source.addEventListener('update', handlePush);
+            REALTIME_EVENT_TYPES.forEach((type) => source.addEventListener(type, handlePush));
             source.onmessage = handlePush;
             source.onerror = () => {
                 this.closeRealtimeConnection();
-                if (this.realtimeListeners.size === 0) return;
+                if (this.realtimeListeners.size === 0 && !this.realtimeRelayed) return;
 
                 this.realtimeReconnectTimer = window.setTimeout(() => {
                     this.realtimeReconnectTimer = null;
@@ -658,6 +1489,16 @@ export class LeaderboardService {
         }
     }
 
+    dispatchRealtime(event) {
+        this.realtimeListeners.forEach((fn) => {
+            try {
+                fn(event);
+            } catch (error) {
+                console.warn('Leaderboard realtime listener failed:', error);
+            }
+        });
+    }
+
     closeRealtimeConnection() {
         if (this.realtimeReconnectTimer) {
             window.clearTimeout(this.realtimeReconnectTimer);
@@ -0,0 +1,232 @@
+/**
+ * SyncOutbox - leaderboard sync payloads waiting for the server
+ * Entries live in IndexedDB so the service worker can send them through Background Sync;
+ * browsers without IndexedDB keep them in localStorage (page-only retries).
+ * Each entry's id is its Idempotency-Key. Merging into an entry gives it a new id, because the
+ * payload it stands for changed.
+ */
+
+// Shared with sw.js, which reads the same database on a `sync` event
+export const SYNC_OUTBOX_DB_NAME = 'mgp-sync-outbox';
+export const SYNC_OUTBOX_STORE_NAME = 'entries';
+export const SYNC_OUTBOX_DB_VERSION = 1;
+export const SYNC_OUTBOX_SYNC_TAG = 'mgp-leaderboard-sync';
+
+const LOCAL_OUTBOX_KEY = 'mgp_sync_outbox_v1';
+// Same cap as the server's MAX_SESSIONS_PER_SYNC; sessions past it would be dropped unseen
+const MAX_SESSIONS_PER_ENTRY = 20;
+
+function createEntryId() {
+    if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+        return crypto.randomUUID();
+    }
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+}
+
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+class IndexedDbBackend {
+    constructor(db) {
+        this.db = db;
+    }
+
+    static async open() {
+        const request = indexedDB.open(SYNC_OUTBOX_DB_NAME, SYNC_OUTBOX_DB_VERSION);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(SYNC_OUTBOX_STORE_NAME, { keyPath: 'id' });
+        };
+        return new IndexedDbBackend(await requestToPromise(request));
+    }
+
+    async getAll() {
+        const store = this.db.transaction(SYNC_OUTBOX_STORE_NAME, 'readonly').objectStore(SYNC_OUTBOX_STORE_NAME);
+        return requestToPromise(store.getAll());
+    }
+
+    async replace(removeIds, entry) {
+        const transaction = this.db.transaction(SYNC_OUTBOX_STORE_NAME, 'readwrite');
+        const store = transaction.objectStore(SYNC_OUTBOX_STORE_NAME);
+        removeIds.forEach((id) => store.delete(id));
+        if (entry) store.put(entry);
+        await new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+}
+
+class LocalStorageBackend {
+    async getAll() {
+        try {
+            const parsed = JSON.parse(localStorage.getItem(LOCAL_OUTBOX_KEY) || '[]');
+            return Array.isArray(parsed) ? parsed : [];
+        } catch (_error) {
+            return [];
+        }
+    }
+
+    async replace(removeIds, entry) {
+        const removed = new Set(removeIds);
+        const entries = (await this.getAll()).filter((item) => !removed.has(item.id));
+        if (entry) entries.push(entry);
+        localStorage.setItem(LOCAL_OUTBOX_KEY, JSON.stringify(entries));
+    }
+}
+
+export class SyncOutbox {
+    constructor() {
+        this.backendPromise = null;
+        this.pendingCount = 0;
+        // Entry being sent by the page; enqueue() never merges into it
+        this.sendingId = '';
+        this.listeners = new Set();
+        this.expiredListeners = new Set();
+    }
+
+    getBackend() {
+        if (!this.backendPromise) {
+            this.backendPromise = (typeof indexedDB === 'undefined'
+                ? Promise.reject(new Error('indexeddb-unavailable'))
+                : IndexedDbBackend.open()
+            ).catch(() => new LocalStorageBackend());
+        }
+        return this.backendPromise;
+    }
+
+    /**
+     * True when the service worker can read the outbox (Background Sync needs IndexedDB)
+     */
+    async isShared() {
+        return (await this.getBackend()) instanceof IndexedDbBackend;
+    }
+
+    /**
+     * Queued entries, oldest first. Sessions whose ticket already expired are pruned from storage
+     * (the server would reject them anyway) and reported through onExpired(), so a result queued
+     * for longer than the ticket TTL is not lost silently.
+     * @returns {Promise<Array>}
+     */
+    async list(nowMs = Date.now()) {
+        const backend = await this.getBackend();
+        let expiredCount = 0;
+        const entries = [];
+        for (const entry of await backend.getAll()) {
+            const sessions = entry.sessions || [];
+            const live = sessions.filter((session) => !session.expiresAt || session.expiresAt > nowMs);
+            if (live.length < sessions.length) {
+                expiredCount += sessions.length - live.length;
+                // Same id on purpose: a reply the server cached under it is still right for what is left
+                await backend.replace([entry.id], { ...entry, sessions: live });
+            }
+            entries.push({ ...entry, sessions: live });
+        }
+        entries.sort((a, b) => a.createdAt - b.createdAt);
+        this.setPendingCount(entries);
+        if (expiredCount > 0) this.notifyExpired(expiredCount);
+        return entries;
+    }
+
+    /**
+     * Queue one sync payload, collapsing it with what is already waiting for the same player:
+     * older entries without sessions are superseded (the payload carries the full local state),
+     * and the sessions join the newest entry while it has room.
+     * @param {Object} entry
+     * @param {string} entry.playerId - Player the payload belongs to
+     * @param {Object} entry.payload - Sync body without `sessions`
+     * @param {Array} entry.sessions - [{ ticket, sessionId, expiresAt, result, replay }]
+     * @param {string} entry.syncUrl - Absolute sync endpoint, so the worker can send it
+     * @param {string} entry.replayUrl - Absolute replay upload endpoint
+     * @param {string} entry.playerKey - Device player key the worker authenticates with
+     * @returns {Promise<Object>} The stored entry
+     */
+    async enqueue({ playerId, payload, sessions = [], syncUrl, replayUrl, playerKey }) {
+        const backend = await this.getBackend();
+        const queued = (await this.list()).filter((entry) => entry.playerId === playerId && entry.id !== this.sendingId);
+        const superseded = queued.filter((entry) => entry.sessions.length === 0);
+        const target = queued.filter((entry) => entry.sessions.length > 0).pop();
+
+        const mergedSessions = [];
+        const seenTickets = new Set();
+        const canMerge = target && target.sessions.length + sessions.length <= MAX_SESSIONS_PER_ENTRY;
+        [...(canMerge ? target.sessions : []), ...sessions].forEach((session) => {
+            if (!session?.ticket || seenTickets.has(session.ticket)) return;
+            seenTickets.add(session.ticket);
+            mergedSessions.push(session);
+        });
+
+        const nowMs = Date.now();
+        const entry = {
+            id: createEntryId(),
+            playerId,
+            payload,
+            sessions: mergedSessions,
+            syncUrl,
+            replayUrl,
+            playerKey,
+            createdAt: canMerge ? target.createdAt : nowMs,
+            updatedAt: nowMs
+        };
+        const removeIds = [...superseded, ...(canMerge ? [target] : [])].map((item) => item.id);
+        await backend.replace(removeIds, entry);
+        await this.list();
+        return entry;
+    }
+
+    /**
+     * Drop an entry once the server answered it (accepted or judged)
+     */
+    async remove(id) {
+        const backend = await this.getBackend();
+        await backend.replace([id], null);
+        await this.list();
+    }
+
+    /**
+     * Game results (or one profile/score sync per entry without results) still waiting to upload
+     */
+    getPendingCount() {
+        return this.pendingCount;
+    }
+
+    setPendingCount(entries) {
+        const count = entries.reduce((sum, entry) => sum + Math.max(1, entry.sessions.length), 0);
+        if (count === this.pendingCount) return;
+        this.pendingCount = count;
+        this.listeners.forEach((listener) => {
+            try {
+                listener(count);
+            } catch (error) {
+                console.warn('Sync outbox listener failed:', error);
+            }
+        });
+    }
+
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    notifyExpired(count) {
+        this.expiredListeners.forEach((listener) => {
+            try {
+                listener(count);
+            } catch (error) {
+                console.warn('Sync outbox listener failed:', error);
+            }
+        });
+    }
+
+    /**
+     * Called with the number of queued game results dropped because their session ticket expired
+     */
+    onExpired(listener) {
+        this.expiredListeners.add(listener);
+        return () => this.expiredListeners.delete(listener);
+    }
+}
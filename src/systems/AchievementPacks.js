@@ -0,0 +1,340 @@
+/**
+ * AchievementPacks - Schema of the per-game achievement packs (src/achievements/<pack>.json), shared by
+ * the hub (AchievementSystem), the registry sync script and the achievement audit.
+ * A game's manifest names its pack (`achievementPack`). Packs carry an integer `version`; an update
+ * that renames an achievement lists the old ids in `renamedFrom`, and an achievement that should no
+ * longer be earned is kept with `retired: true` so players who unlocked it keep it.
+ * An achievement is either `metric` + `threshold` (a cumulative stat) or a `condition` tree:
+ * `all` / `any` of leaves that bound a cumulative `stat`, a value of the `session` being recorded,
+ * a consecutive-day `streak` or a cross-game `meta` count with `min` and/or `max`.
+ * `hidden` achievements are masked until unlocked; achievements sharing a `series` are the
+ * `tier`s of one card. `milestones` (percent) pick when progress toasts fire.
+ */
+export const ACHIEVEMENT_PACK_DIR = '/src/achievements/';
+export const ACHIEVEMENT_PACK_LOCALES = Object.freeze(['ko', 'en']);
+
+// Cumulative per-game fields of StorageManager game data; `item.<itemId>` reads itemStats
+export const ACHIEVEMENT_METRICS = Object.freeze([
+    'playCount',
+    'highScore',
+    'totalScore',
+    'bestLevel',
+    'bestStage',
+    'maxCombo',
+    'totalComboCount',
+    'totalStageClears',
+    'totalItemsCollected',
+    'totalPlayTime'
+]);
+
+// Values of the result being recorded (GameHub.normalizeSessionResult); `item.<itemId>` reads itemCounts
+export const SESSION_METRICS = Object.freeze([
+    'score',
+    'duration',
+    'level',
+    'maxCombo',
+    'comboCount',
+    'stageClears',
+    'itemsCollected'
+]);
+
+// Consecutive days with at least one session: in this game, or in any game of the hub
+export const STREAK_SCOPES = Object.freeze(['game', 'hub']);
+
+// Counts across every game that has a pack
+export const META_METRICS = Object.freeze([
+    'achievementsInEveryGame',
+    'achievementsTotal',
+    'gamesPlayed'
+]);
+
+// Tiers of a series, lowest first
+export const ACHIEVEMENT_TIERS = Object.freeze(['bronze', 'silver', 'gold', 'platinum']);
+// Progress toast milestones (percent) for packs and achievements that do not set `milestones`
+export const DEFAULT_PROGRESS_MILESTONES = Object.freeze([50, 80]);
+
+const CONDITION_LEAF_KINDS = Object.freeze({
+    stat: (value) => isAchievementMetric(value),
+    session: (value) => SESSION_METRICS.includes(value) || ITEM_METRIC_PATTERN.test(String(value)),
+    streak: (value) => STREAK_SCOPES.includes(value),
+    meta: (value) => META_METRICS.includes(value)
+});
+const CONDITION_GROUP_KINDS = ['all', 'any'];
+
+const PACK_KEYS = ['id', 'version', 'milestones', 'achievements'];
+const ACHIEVEMENT_KEYS = [
+    'id', 'name', 'desc', 'icon', 'points', 'metric', 'threshold', 'condition',
+    'hidden', 'series', 'tier', 'milestones', 'retired', 'renamedFrom'
+];
+const PACK_ID_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const ACHIEVEMENT_ID_PATTERN = /^[a-z0-9]+(?:_[a-z0-9]+)*$/;
+const ITEM_METRIC_PATTERN = /^item\.[a-z0-9_]+$/;
+const MAX_ACHIEVEMENTS_PER_PACK = 128;
+const MAX_CONDITION_DEPTH = 4;
+const MAX_CONDITION_ENTRIES = 8;
+
+/**
+ * Registry-relative path of a pack file
+ * @param {string} packId - Pack id (kebab-case)
+ * @returns {string}
+ */
+export function getAchievementPackPath(packId) {
+    return `${ACHIEVEMENT_PACK_DIR}${packId}.json`;
+}
+
+export function isAchievementMetric(metric) {
+    return ACHIEVEMENT_METRICS.includes(metric) || ITEM_METRIC_PATTERN.test(String(metric));
+}
+
+function describeLeafValues(kind) {
+    if (kind === 'stat') return `${ACHIEVEMENT_METRICS.join(', ')} or item.<itemId>`;
+    if (kind === 'session') return `${SESSION_METRICS.join(', ')} or item.<itemId>`;
+    return (kind === 'streak' ? STREAK_SCOPES : META_METRICS).join(', ');
+}
+
+function validateCondition(condition, key, errors, depth = 1) {
+    if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+        errors.push(`${key} must be an object`);
+        return;
+    }
+    if (depth > MAX_CONDITION_DEPTH) {
+        errors.push(`${key} nests deeper than ${MAX_CONDITION_DEPTH} levels`);
+        return;
+    }
+
+    const keys = Object.keys(condition);
+    const group = CONDITION_GROUP_KINDS.find((kind) => keys.includes(kind));
+    if (group) {
+        if (keys.length !== 1) {
+            errors.push(`${key} must hold only "${group}"`);
+        }
+        const entries = condition[group];
+        if (!Array.isArray(entries) || entries.length === 0 || entries.length > MAX_CONDITION_ENTRIES) {
+            errors.push(`${key}.${group} must be an array of 1-${MAX_CONDITION_ENTRIES} conditions`);
+            return;
+        }
+        entries.forEach((entry, index) => validateCondition(entry, `${key}.${group}[${index}]`, errors, depth + 1));
+        return;
+    }
+
+    const kinds = keys.filter((name) => Object.hasOwn(CONDITION_LEAF_KINDS, name));
+    if (kinds.length !== 1) {
+        errors.push(`${key} must have exactly one of all, any, ${Object.keys(CONDITION_LEAF_KINDS).join(', ')}`);
+        return;
+    }
+    const [kind] = kinds;
+    if (!CONDITION_LEAF_KINDS[kind](condition[kind])) {
+        errors.push(`${key}.${kind} must be one of ${describeLeafValues(kind)}`);
+    }
+
+    const bounds = ['min', 'max'].filter((name) => condition[name] !== undefined);
+    if (bounds.length === 0) {
+        errors.push(`${key} needs min and/or max`);
+    }
+    bounds.forEach((name) => {
+        if (typeof condition[name] !== 'number' || !Number.isFinite(condition[name]) || condition[name] < 0) {
+            errors.push(`${key}.${name} must be a non-negative number`);
+        }
+    });
+    if (bounds.length === 2 && condition.min > condition.max) {
+        errors.push(`${key}.min must not exceed max`);
+    }
+
+    const unknownKeys = keys.filter((name) => name !== kind && name !== 'min' && name !== 'max');
+    if (unknownKeys.length) {
+        errors.push(`${key}: unknown keys: ${unknownKeys.join(', ')}`);
+    }
+}
+
+function validateMilestones(value, key, errors) {
+    const isValid = Array.isArray(value)
+        && value.every((percent, index) => Number.isInteger(percent) && percent > 0 && percent < 100
+            && (index === 0 || percent > value[index - 1]));
+    if (!isValid) {
+        errors.push(`${key} must be ascending integer percents between 1 and 99`);
+    }
+}
+
+function validateLocalizedText(value, key, errors) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        errors.push(`${key} must be an object of locale -> text`);
+        return;
+    }
+    ACHIEVEMENT_PACK_LOCALES.forEach((locale) => {
+        if (typeof value[locale] !== 'string' || !value[locale].trim()) {
+            errors.push(`${key}.${locale} is required`);
+        }
+    });
+    Object.keys(value)
+        .filter((locale) => !ACHIEVEMENT_PACK_LOCALES.includes(locale))
+        .forEach((locale) => errors.push(`${key}.${locale} is not a supported locale`));
+}
+
+function validateAchievement(achievement, key, errors) {
+    if (!achievement || typeof achievement !== 'object' || Array.isArray(achievement)) {
+        errors.push(`${key} must be an object`);
+        return;
+    }
+    if (typeof achievement.id !== 'string' || !ACHIEVEMENT_ID_PATTERN.test(achievement.id)) {
+        errors.push(`${key}.id must be a snake_case string`);
+    }
+    validateLocalizedText(achievement.name, `${key}.name`, errors);
+    if (achievement.desc !== undefined) {
+        validateLocalizedText(achievement.desc, `${key}.desc`, errors);
+    }
+    if (typeof achievement.icon !== 'string' || !achievement.icon.trim()) {
+        errors.push(`${key}.icon is required`);
+    }
+    if (!Number.isInteger(achievement.points) || achievement.points < 0) {
+        errors.push(`${key}.points must be a non-negative integer`);
+    }
+    if (achievement.condition !== undefined) {
+        if (achievement.metric !== undefined || achievement.threshold !== undefined) {
+            errors.push(`${key} must use either condition or metric + threshold`);
+        }
+        // Compound conditions have no metric template to describe them
+        if (achievement.desc === undefined) {
+            errors.push(`${key}.desc is required with a condition`);
+        }
+        validateCondition(achievement.condition, `${key}.condition`, errors);
+    } else {
+        if (!isAchievementMetric(achievement.metric)) {
+            errors.push(`${key}.metric must be one of ${describeLeafValues('stat')}`);
+        }
+        if (typeof achievement.threshold !== 'number' || !Number.isFinite(achievement.threshold) || achievement.threshold <= 0) {
+            errors.push(`${key}.threshold must be a positive number`);
+        }
+    }
+    if (achievement.hidden !== undefined && typeof achievement.hidden !== 'boolean') {
+        errors.push(`${key}.hidden must be a boolean`);
+    }
+    if ((achievement.series === undefined) !== (achievement.tier === undefined)) {
+        errors.push(`${key}: series and tier go together`);
+    } else if (achievement.series !== undefined) {
+        if (typeof achievement.series !== 'string' || !ACHIEVEMENT_ID_PATTERN.test(achievement.series)) {
+            errors.push(`${key}.series must be a snake_case string`);
+        }
+        if (!ACHIEVEMENT_TIERS.includes(achievement.tier)) {
+            errors.push(`${key}.tier must be one of ${ACHIEVEMENT_TIERS.join(', ')}`);
+        }
+    }
+    if (achievement.milestones !== undefined) {
+        validateMilestones(achievement.milestones, `${key}.milestones`, errors);
+    }
+    if (achievement.retired !== undefined && typeof achievement.retired !== 'boolean') {
+        errors.push(`${key}.retired must be a boolean`);
+    }
+    if (achievement.renamedFrom !== undefined
+        && (!Array.isArray(achievement.renamedFrom)
+            || !achievement.renamedFrom.every((id) => typeof id === 'string' && ACHIEVEMENT_ID_PATTERN.test(id)))) {
+        errors.push(`${key}.renamedFrom must be an array of achievement ids`);
+    }
+
+    const unknownKeys = Object.keys(achievement).filter((name) => !ACHIEVEMENT_KEYS.includes(name));
+    if (unknownKeys.length) {
+        errors.push(`${key}: unknown keys: ${unknownKeys.join(', ')}`);
+    }
+}
+
+/**
+ * Check an achievement pack against the pack schema (docs/INTEGRATION_PROTOCOL.md)
+ * @param {Object} pack - Parsed pack
+ * @param {Object} options
+ * @param {string} options.packId - Expected pack id (the file name / manifest `achievementPack`)
+ * @returns {string[]} Error messages; empty when the pack is valid
+ */
+export function validateAchievementPack(pack, { packId } = {}) {
+    if (!pack || typeof pack !== 'object' || Array.isArray(pack)) {
+        return ['pack must be a JSON object'];
+    }
+
+    const errors = [];
+    if (typeof pack.id !== 'string' || !PACK_ID_PATTERN.test(pack.id)) {
+        errors.push('id must be a kebab-case string');
+    } else if (packId && pack.id !== packId) {
+        errors.push(`id "${pack.id}" does not match the pack name "${packId}"`);
+    }
+    if (!Number.isInteger(pack.version) || pack.version < 1) {
+        errors.push('version must be a positive integer');
+    }
+    if (pack.milestones !== undefined) {
+        validateMilestones(pack.milestones, 'milestones', errors);
+    }
+    if (!Array.isArray(pack.achievements) || pack.achievements.length === 0) {
+        errors.push('achievements must be a non-empty array');
+    } else if (pack.achievements.length > MAX_ACHIEVEMENTS_PER_PACK) {
+        errors.push(`achievements must not exceed ${MAX_ACHIEVEMENTS_PER_PACK} entries`);
+    } else {
+        pack.achievements.forEach((achievement, index) => {
+            validateAchievement(achievement, `achievements[${index}]`, errors);
+        });
+
+        // Current ids and former ids share one namespace: a stored id must map to exactly one achievement
+        const owners = new Map();
+        pack.achievements.forEach((achievement) => {
+            const ids = [achievement?.id, ...(Array.isArray(achievement?.renamedFrom) ? achievement.renamedFrom : [])];
+            ids.filter((id) => typeof id === 'string').forEach((id) => {
+                if (owners.has(id)) {
+                    errors.push(owners.get(id) === achievement.id
+                        ? `achievement id "${id}" is listed twice`
+                        : `achievement id "${id}" is used by both ${owners.get(id)} and ${achievement.id}`);
+                    return;
+                }
+                owners.set(id, achievement.id);
+            });
+        });
+
+        const seriesTiers = new Set();
+        pack.achievements.forEach((achievement) => {
+            if (typeof achievement?.series !== 'string' || typeof achievement.tier !== 'string') return;
+            const tierKey = `${achievement.series}:${achievement.tier}`;
+            if (seriesTiers.has(tierKey)) {
+                errors.push(`series "${achievement.series}" has more than one ${achievement.tier} tier`);
+            }
+            seriesTiers.add(tierKey);
+        });
+    }
+
+    const unknownKeys = Object.keys(pack).filter((key) => !PACK_KEYS.includes(key));
+    if (unknownKeys.length) {
+        errors.push(`unknown keys: ${unknownKeys.join(', ')}`);
+    }
+    return errors;
+}
+
+/**
+ * Old id -> current id map built from the pack's `renamedFrom` lists
+ * @param {Object} pack - Valid pack
+ * @returns {Object<string, string>}
+ */
+export function collectAchievementRenames(pack) {
+    const renames = {};
+    (pack?.achievements || []).forEach((achievement) => {
+        (achievement.renamedFrom || []).forEach((oldId) => {
+            renames[oldId] = achievement.id;
+        });
+    });
+    return renames;
+}
+
+/**
+ * Condition tree of an achievement; `metric` + `threshold` is shorthand for one `stat` leaf
+ * @param {Object} achievement - Valid achievement definition
+ * @returns {Object|null}
+ */
+export function getAchievementCondition(achievement) {
+    if (achievement?.condition) return achievement.condition;
+    if (!achievement?.metric) return null;
+    return { stat: achievement.metric, min: Number(achievement.threshold) || 0 };
+}
+
+/**
+ * Leaves of a condition tree, depth first
+ * @param {Object} condition - Condition from getAchievementCondition
+ * @returns {Object[]}
+ */
+export function collectConditionLeaves(condition) {
+    if (!condition || typeof condition !== 'object') return [];
+    const group = CONDITION_GROUP_KINDS.find((kind) => Array.isArray(condition[kind]));
+    return group ? condition[group].flatMap((entry) => collectConditionLeaves(entry)) : [condition];
+}
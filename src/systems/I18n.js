@@ -0,0 +1,215 @@
+/**
+ * I18n - message catalogs (ko, en), locale detection and locale-aware number/date formatting
+ * Messages are flat dotted keys. A message may be a plural map ({ one, other }) picked with
+ * Intl.PluralRules from the `count` parameter, and `{name}` placeholders are filled from params
+ * (numbers go through formatNumber). Missing keys fall back to the Korean catalog, then the key.
+ */
+import { storage } from './StorageManager.js';
+import ko from '../locales/ko.js';
+import en from '../locales/en.js';
+
+export const SUPPORTED_LOCALES = ['ko', 'en'];
+export const DEFAULT_LOCALE = 'ko';
+// Stored in settings.locale when the player has not picked a language
+export const AUTO_LOCALE = 'auto';
+// Shown in the language picker in their own language
+export const LOCALE_NAMES = { ko: '한국어', en: 'English' };
+
+const INTL_LOCALE_TAGS = { ko: 'ko-KR', en: 'en-US' };
+const PLACEHOLDER_PATTERN = /\{(\w+)\}/g;
+
+function toSupportedLocale(value) {
+    const base = String(value || '').toLowerCase().split(/[-_]/)[0];
+    return SUPPORTED_LOCALES.includes(base) ? base : null;
+}
+
+class I18n {
+    constructor() {
+        this.catalogs = {
+            ko: { ...ko },
+            en: { ...en }
+        };
+        this.listeners = new Set();
+        this.locale = this.resolveLocale();
+        this.applyDocumentLocale();
+        // A language picked in another hub tab applies here too
+        storage.onExternalChange((key) => {
+            if (key === 'settings') this.refreshLocale();
+        });
+    }
+
+    /**
+     * First supported locale in the browser's language list
+     * @returns {string}
+     */
+    detectLocale() {
+        const candidates = typeof navigator !== 'undefined'
+            ? [...(navigator.languages || []), navigator.language]
+            : [];
+        for (const candidate of candidates) {
+            const locale = toSupportedLocale(candidate);
+            if (locale) return locale;
+        }
+        return DEFAULT_LOCALE;
+    }
+
+    /**
+     * The player's override from settings, or the detected locale
+     * @returns {string}
+     */
+    resolveLocale() {
+        return toSupportedLocale(this.getPreference()) || this.detectLocale();
+    }
+
+    /**
+     * Stored language setting: a locale, or 'auto' to follow the browser
+     * @returns {string}
+     */
+    getPreference() {
+        return storage.getSettings()?.locale || AUTO_LOCALE;
+    }
+
+    /**
+     * Store the player's language choice and switch to it
+     * @param {string} preference - A supported locale or 'auto'
+     * @returns {string} Active locale
+     */
+    setPreference(preference) {
+        const locale = toSupportedLocale(preference) || AUTO_LOCALE;
+        storage.updateSettings({ locale });
+        return this.refreshLocale();
+    }
+
+    /**
+     * Switch to the locale the stored setting resolves to, notifying listeners when it changed
+     * @returns {string} Active locale
+     */
+    refreshLocale() {
+        const nextLocale = this.resolveLocale();
+        if (nextLocale !== this.locale) {
+            this.locale = nextLocale;
+            this.applyDocumentLocale();
+            this.listeners.forEach((listener) => listener(nextLocale));
+        }
+        return this.locale;
+    }
+
+    /**
+     * Subscribe to locale changes
+     * @param {Function} listener - (locale) => void
+     * @returns {Function} Unsubscribe
+     */
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    applyDocumentLocale() {
+        if (typeof document !== 'undefined' && document.documentElement) {
+            document.documentElement.lang = this.locale;
+        }
+    }
+
+    /**
+     * Add messages to a catalog (e.g. texts shipped with a game or an achievement pack)
+     * @param {string} locale - Supported locale
+     * @param {Object} messages - Flat key -> message map
+     */
+    addMessages(locale, messages) {
+        const target = toSupportedLocale(locale);
+        if (!target || !messages || typeof messages !== 'object') return;
+        Object.assign(this.catalogs[target], messages);
+    }
+
+    lookup(key) {
+        const message = this.catalogs[this.locale]?.[key];
+        if (message !== undefined) return message;
+        return this.catalogs[DEFAULT_LOCALE][key];
+    }
+
+    /**
+     * Whether any catalog defines a key
+     * @param {string} key - Message key
+     * @returns {boolean}
+     */
+    has(key) {
+        return this.lookup(key) !== undefined;
+    }
+
+    /**
+     * Translate a message
+     * @param {string} key - Message key
+     * @param {Object} params - Placeholder values; `count` also selects the plural form
+     * @param {Object} options
+     * @param {string} options.fallback - Text used when no catalog defines the key
+     * @returns {string}
+     */
+    t(key, params = {}, { fallback } = {}) {
+        let message = this.lookup(key);
+        if (message === undefined) {
+            return fallback !== undefined ? fallback : key;
+        }
+        if (message && typeof message === 'object' && !Array.isArray(message)) {
+            const category = new Intl.PluralRules(this.getIntlLocale()).select(Number(params.count) || 0);
+            message = message[category] ?? message.other ?? '';
+        }
+        return String(message).replace(PLACEHOLDER_PATTERN, (match, name) => {
+            if (!Object.hasOwn(params, name)) return match;
+            const value = params[name];
+            return typeof value === 'number' ? this.formatNumber(value) : String(value ?? '');
+        });
+    }
+
+    /**
+     * Pick the active locale's text from a { ko, en } map (manifest names, achievement names)
+     * @param {string|Object} value - Plain string or locale -> text map
+     * @param {string} locale - Locale to prefer
+     * @returns {string}
+     */
+    pick(value, locale = this.locale) {
+        if (typeof value === 'string') return value;
+        if (!value || typeof value !== 'object') return '';
+        const text = value[locale] || value[DEFAULT_LOCALE]
+            || Object.values(value).find((candidate) => typeof candidate === 'string' && candidate);
+        return typeof text === 'string' ? text : '';
+    }
+
+    /**
+     * A list message (e.g. share phrases)
+     * @param {string} key - Message key
+     * @returns {string[]}
+     */
+    list(key) {
+        const message = this.lookup(key);
+        return Array.isArray(message) ? message : [];
+    }
+
+    /**
+     * BCP 47 tag for Intl formatters
+     * @returns {string}
+     */
+    getIntlLocale() {
+        return INTL_LOCALE_TAGS[this.locale] || INTL_LOCALE_TAGS[DEFAULT_LOCALE];
+    }
+
+    /**
+     * @param {number} value - Number to format
+     * @param {Intl.NumberFormatOptions} options
+     * @returns {string}
+     */
+    formatNumber(value, options = {}) {
+        const safeValue = Number(value);
+        return new Intl.NumberFormat(this.getIntlLocale(), options).format(Number.isFinite(safeValue) ? safeValue : 0);
+    }
+
+    /**
+     * @param {number} timestamp - Epoch ms
+     * @param {Intl.DateTimeFormatOptions} options - Include `timeZone` for season/daily times
+     * @returns {string}
+     */
+    formatDateTime(timestamp, options = {}) {
+        return new Intl.DateTimeFormat(this.getIntlLocale(), options).format(new Date(Number(timestamp)));
+    }
+}
+
+export const i18n = new I18n();
@@ -0,0 +1,227 @@
+/**
+ * RankingRules - Per-game leaderboard ordering shared by the leaderboard server and the client modules.
+ * A definition comes from the game's registry entry (`ranking`) and decides which result metric
+ * is ranked, in which direction, how ties break and whether the game splits into sub-boards.
+ */
+export const RANKING_METRICS = Object.freeze([
+    'score',
+    'level',
+    'clearTime',
+    'duration',
+    'maxCombo',
+    'stageClears',
+    'itemsCollected'
+]);
+
+export const ALL_BOARD_KEY = 'all';
+
+// Time metrics default to "lower is better"; everything else ranks highest first.
+const ASCENDING_METRICS = new Set(['clearTime', 'duration']);
+const MAX_TIE_BREAKERS = 3;
+const MAX_SUB_BOARDS = 16;
+
+export const DEFAULT_RANKING_DEFINITION = Object.freeze({
+    metric: 'score',
+    direction: 'desc',
+    label: '',
+    tieBreakers: [],
+    minValue: null,
+    subBoards: null
+});
+
+function toSafeLabel(value, fallback = '', maxLength = 24) {
+    const raw = typeof value === 'string' ? value.trim() : '';
+    return raw ? raw.slice(0, maxLength) : fallback;
+}
+
+// Manifest labels are { ko, en } maps (resolved with i18n.pick); plain strings from older registries are kept as is.
+function toLocalizedLabel(value, fallback = '') {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return toSafeLabel(value, fallback);
+    const entries = Object.entries(value)
+        .map(([locale, text]) => [String(locale).slice(0, 8), toSafeLabel(text)])
+        .filter(([, text]) => text);
+    return entries.length ? Object.fromEntries(entries) : fallback;
+}
+
+// Lowest plausible value of the ranked metric (e.g. a clear time no human can beat); null = no floor
+function toMinValue(value) {
+    const parsed = Number(value);
+    return Number.isFinite(parsed) && parsed > 0 ? Math.floor(parsed) : null;
+}
+
+function toBoardKey(value) {
+    const raw = String(value ?? '').trim().replace(/[^a-zA-Z0-9_-]/g, '');
+    return raw.slice(0, 32);
+}
+
+function normalizeDirection(direction, metric) {
+    if (direction === 'asc' || direction === 'desc') return direction;
+    return ASCENDING_METRICS.has(metric) ? 'asc' : 'desc';
+}
+
+function normalizeMetricOrder(raw) {
+    const source = typeof raw === 'string' ? { metric: raw } : raw;
+    if (!source || typeof source !== 'object' || !RANKING_METRICS.includes(source.metric)) return null;
+    return {
+        metric: source.metric,
+        direction: normalizeDirection(source.direction, source.metric)
+    };
+}
+
+function normalizeSubBoards(raw, primaryMetric) {
+    if (!raw || typeof raw !== 'object') return null;
+    if (!RANKING_METRICS.includes(raw.by) || raw.by === primaryMetric) return null;
+
+    const labels = {};
+    Object.entries(raw.labels && typeof raw.labels === 'object' ? raw.labels : {})
+        .slice(0, MAX_SUB_BOARDS)
+        .forEach(([rawKey, rawLabel]) => {
+            const key = toBoardKey(rawKey);
+            if (!key || key === ALL_BOARD_KEY) return;
+            labels[key] = toLocalizedLabel(rawLabel, key);
+        });
+
+    const boardKeys = Object.keys(labels);
+    if (boardKeys.length === 0) return null;
+    const minValues = {};
+    Object.entries(raw.minValues && typeof raw.minValues === 'object' ? raw.minValues : {})
+        .forEach(([rawKey, rawMin]) => {
+            const key = toBoardKey(rawKey);
+            const minValue = toMinValue(rawMin);
+            if (labels[key] && minValue !== null) minValues[key] = minValue;
+        });
+    const defaultBoard = toBoardKey(raw.defaultBoard);
+    return {
+        by: raw.by,
+        labels,
+        minValues,
+        defaultBoard: labels[defaultBoard] ? defaultBoard : boardKeys[0]
+    };
+}
+
+export function normalizeRankingDefinition(raw = {}) {
+    const safeRaw = raw && typeof raw === 'object' ? raw : {};
+    const metric = RANKING_METRICS.includes(safeRaw.metric) ? safeRaw.metric : DEFAULT_RANKING_DEFINITION.metric;
+    const seen = new Set([metric]);
+    const tieBreakers = [];
+
+    (Array.isArray(safeRaw.tieBreakers) ? safeRaw.tieBreakers : []).forEach((rawTieBreaker) => {
+        const tieBreaker = normalizeMetricOrder(rawTieBreaker);
+        if (!tieBreaker || seen.has(tieBreaker.metric) || tieBreakers.length >= MAX_TIE_BREAKERS) return;
+        seen.add(tieBreaker.metric);
+        tieBreakers.push(tieBreaker);
+    });
+
+    return {
+        metric,
+        direction: normalizeDirection(safeRaw.direction, metric),
+        label: toLocalizedLabel(safeRaw.label),
+        tieBreakers,
+        minValue: toMinValue(safeRaw.minValue),
+        subBoards: normalizeSubBoards(safeRaw.subBoards, metric)
+    };
+}
+
+/**
+ * Reduce a session result to the metrics a ranking definition can look at.
+ * Missing metrics stay absent instead of defaulting to 0, so a game that never reports
+ * `clearTime` cannot rank on it.
+ */
+export function extractRankingRecord(result = {}, achievedAt = Date.now()) {
+    const safeResult = result && typeof result === 'object' ? result : {};
+    const metrics = {};
+    RANKING_METRICS.forEach((metric) => {
+        const value = Number(safeResult[metric]);
+        if (safeResult[metric] === null || safeResult[metric] === undefined || !Number.isFinite(value)) return;
+        metrics[metric] = Math.max(0, Math.floor(value));
+    });
+
+    const parsedAchievedAt = Number(achievedAt);
+    return {
+        metrics,
+        achievedAt: Number.isFinite(parsedAchievedAt) ? Math.max(0, Math.floor(parsedAchievedAt)) : 0
+    };
+}
+
+export function normalizeRankingRecord(raw = {}) {
+    const safeRaw = raw && typeof raw === 'object' ? raw : {};
+    return extractRankingRecord(safeRaw.metrics, safeRaw.achievedAt);
+}
+
+/** Board a record belongs to; null when the record does not fit any of the definition's sub-boards. */
+export function resolveBoardKey(definition, record) {
+    const subBoards = definition?.subBoards;
+    if (!subBoards) return ALL_BOARD_KEY;
+
+    const value = record?.metrics?.[subBoards.by];
+    if (!Number.isFinite(value)) return null;
+    const key = toBoardKey(value);
+    return subBoards.labels[key] ? key : null;
+}
+
+/** Floor of the ranked metric on a board: the sub-board's own `minValues` entry, else the definition's `minValue`. */
+export function getBoardMinValue(definition, boardKey) {
+    return definition?.subBoards?.minValues?.[boardKey] ?? definition?.minValue ?? null;
+}
+
+export function getRankingValue(definition, record) {
+    const value = record?.metrics?.[definition?.metric || DEFAULT_RANKING_DEFINITION.metric];
+    return Number.isFinite(value) ? value : null;
+}
+
+// A zero clear time or zero score is "no result" rather than a perfect run.
+export function isRankableRecord(definition, record) {
+    const value = getRankingValue(definition, record);
+    return value !== null && value > 0;
+}
+
+function compareMetric(order, a, b) {
+    const left = a?.metrics?.[order.metric];
+    const right = b?.metrics?.[order.metric];
+    const hasLeft = Number.isFinite(left);
+    const hasRight = Number.isFinite(right);
+    if (!hasLeft || !hasRight) {
+        if (hasLeft === hasRight) return 0;
+        return hasLeft ? -1 : 1;
+    }
+    if (left === right) return 0;
+    return order.direction === 'asc' ? left - right : right - left;
+}
+
+/**
+ * Sort comparator: primary metric, tie-breakers in order, then whoever got there first, then uid.
+ * Records may carry `uid` for the final tie-break.
+ */
+export function compareRankingRecords(definition, a, b) {
+    const safeDefinition = definition || DEFAULT_RANKING_DEFINITION;
+    const orders = [
+        { metric: safeDefinition.metric, direction: safeDefinition.direction },
+        ...(safeDefinition.tieBreakers || [])
+    ];
+
+    for (const order of orders) {
+        const diff = compareMetric(order, a, b);
+        if (diff !== 0) return diff;
+    }
+
+    const achievedDiff = (Number(a?.achievedAt) || 0) - (Number(b?.achievedAt) || 0);
+    if (achievedDiff !== 0) return achievedDiff;
+    return String(a?.uid || '').localeCompare(String(b?.uid || ''), 'en');
+}
+
+export function isBetterRecord(definition, candidate, current) {
+    if (!isRankableRecord(definition, candidate)) return false;
+    if (!current || !isRankableRecord(definition, current)) return true;
+    const candidateOrder = compareRankingRecords(definition, { ...candidate, achievedAt: 0 }, { ...current, achievedAt: 0 });
+    return candidateOrder < 0;
+}
+
+/** Boards to show for a game: the labelled sub-boards, or the single `all` board. */
+export function listBoardKeys(definition) {
+    const subBoards = definition?.subBoards;
+    return subBoards ? Object.keys(subBoards.labels) : [ALL_BOARD_KEY];
+}
+
+export function getDefaultBoardKey(definition) {
+    return definition?.subBoards?.defaultBoard || listBoardKeys(definition)[0];
+}
@@ -2,8 +2,14 @@
  * ScoreManager - Score tracking with combos and multipliers
  */
 export class ScoreManager {
-    constructor(gameId) {
+    /**
+     * @param {string} gameId - Game identifier (high score storage key)
+     * @param {Object} options
+     * @param {Function} options.clock - Returns ms for combo timing; replayable games pass their simulation clock
+     */
+    constructor(gameId, { clock = () => performance.now() } = {}) {
         this.gameId = gameId;
+        this.clock = clock;
         this.score = 0;
         this.highScore = 0;
         this.combo = 0;
@@ -14,6 +20,9 @@ export class ScoreManager {
         this.lastScoreTime = 0;
         this.comboTimeout = 2000; // ms
 
+        // Off while a replay plays back, so someone else's run never becomes the local best
+        this.persistHighScore = true;
+
         // Score callbacks
         this.onScoreChange = null;
         this.onComboChange = null;
@@ -55,7 +64,7 @@ export class ScoreManager {
      * @returns {Object} Score result {points, combo, multiplier}
      */
     add(points, applyCombo = true) {
-        const now = performance.now();
+        const now = this.clock();
 
         // Check combo timeout
         if (now - this.lastScoreTime > this.comboTimeout) {
@@ -79,7 +88,7 @@ export class ScoreManager {
         this.lastScoreTime = now;
 
         // Check high score
-        if (this.score > this.highScore) {
+        if (this.persistHighScore && this.score > this.highScore) {
             this.highScore = this.score;
             this.saveHighScore();
 
@@ -0,0 +1,237 @@
+/**
+ * SeasonSchedule - Season window math shared by the leaderboard server and the client modules.
+ * The server owns the schedule definition and publishes it on sync/snapshot responses;
+ * clients only keep the last schedule they received.
+ */
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+const WEEK_MS = 7 * DAY_MS;
+
+const CADENCES = ['daily', 'weekly', 'monthly', 'custom'];
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+export const DEFAULT_SEASON_SCHEDULE = Object.freeze({
+    cadence: 'weekly',
+    // IANA zone the reset hour is read in, daylight saving included
+    timezone: 'Asia/Seoul',
+    timezoneLabel: 'KST',
+    // Fixed offset used only when `timezone` is not a zone this runtime knows
+    utcOffsetMinutes: 9 * 60,
+    resetHour: 9,
+    weekStartDay: 1,
+    monthStartDay: 1,
+    idPrefix: 'kst',
+    // cadence=custom only: one-off window, with fallbackCadence before/after it.
+    customId: null,
+    startAt: null,
+    endAt: null,
+    fallbackCadence: 'weekly'
+});
+
+function clampInteger(value, min, max, fallback) {
+    const parsed = Number(value);
+    if (!Number.isFinite(parsed)) return fallback;
+    return Math.max(min, Math.min(max, Math.floor(parsed)));
+}
+
+function toOptionalTimestamp(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const parsed = typeof value === 'string' && !/^\d+$/.test(value) ? Date.parse(value) : Number(value);
+    return Number.isFinite(parsed) && parsed > 0 ? Math.floor(parsed) : null;
+}
+
+function toSafeLabel(value, fallback, maxLength = 32) {
+    const raw = typeof value === 'string' ? value.trim() : '';
+    return raw ? raw.slice(0, maxLength) : fallback;
+}
+
+const zoneFormatters = new Map();
+
+function getZoneFormatter(timeZone) {
+    if (!zoneFormatters.has(timeZone)) {
+        let formatter = null;
+        try {
+            formatter = new Intl.DateTimeFormat('en-US', {
+                timeZone,
+                hourCycle: 'h23',
+                year: 'numeric',
+                month: 'numeric',
+                day: 'numeric',
+                hour: 'numeric',
+                minute: 'numeric',
+                second: 'numeric'
+            });
+        } catch (_error) {
+            formatter = null;
+        }
+        zoneFormatters.set(timeZone, formatter);
+    }
+    return zoneFormatters.get(timeZone);
+}
+
+function getZoneOffsetMs(formatter, utcMs) {
+    const parts = {};
+    formatter.formatToParts(new Date(utcMs)).forEach(({ type, value }) => {
+        parts[type] = Number(value);
+    });
+    const wallMs = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return wallMs - (Math.floor(utcMs / 1000) * 1000);
+}
+
+/**
+ * Conversions between UTC ms and "local ms" (the zone's wall clock read as if it were UTC).
+ * The offset is looked up per instant, so windows across a DST change keep the wall-clock reset hour.
+ */
+function createZoneClock(schedule) {
+    const formatter = getZoneFormatter(schedule.timezone);
+    if (!formatter) {
+        const offsetMs = schedule.utcOffsetMinutes * MINUTE_MS;
+        return {
+            toLocal: (utcMs) => utcMs + offsetMs,
+            toUtc: (localMs) => localMs - offsetMs
+        };
+    }
+
+    return {
+        toLocal: (utcMs) => utcMs + getZoneOffsetMs(formatter, utcMs),
+        // The second pass picks the offset in force at the result; a wall time inside a DST gap
+        // resolves to one side of it.
+        toUtc: (localMs) => {
+            const guessMs = localMs - getZoneOffsetMs(formatter, localMs);
+            return localMs - getZoneOffsetMs(formatter, guessMs);
+        }
+    };
+}
+
+function formatLocalDate(localMs, length = 10) {
+    return new Date(localMs).toISOString().slice(0, length);
+}
+
+function formatResetTime(schedule) {
+    return `${String(schedule.resetHour).padStart(2, '0')}:00`;
+}
+
+export function normalizeSeasonSchedule(raw = {}) {
+    const safeRaw = raw && typeof raw === 'object' ? raw : {};
+    const defaults = DEFAULT_SEASON_SCHEDULE;
+    const cadence = CADENCES.includes(safeRaw.cadence) ? safeRaw.cadence : defaults.cadence;
+    const fallbackCadence = CADENCES.includes(safeRaw.fallbackCadence) && safeRaw.fallbackCadence !== 'custom'
+        ? safeRaw.fallbackCadence
+        : defaults.fallbackCadence;
+    const startAt = toOptionalTimestamp(safeRaw.startAt);
+    const endAt = toOptionalTimestamp(safeRaw.endAt);
+    const hasCustomWindow = startAt !== null && endAt !== null && endAt > startAt;
+
+    return {
+        cadence: cadence === 'custom' && !hasCustomWindow ? fallbackCadence : cadence,
+        timezone: toSafeLabel(safeRaw.timezone, defaults.timezone, 64),
+        timezoneLabel: toSafeLabel(safeRaw.timezoneLabel, defaults.timezoneLabel, 16),
+        utcOffsetMinutes: clampInteger(safeRaw.utcOffsetMinutes, -12 * 60, 14 * 60, defaults.utcOffsetMinutes),
+        resetHour: clampInteger(safeRaw.resetHour, 0, 23, defaults.resetHour),
+        weekStartDay: clampInteger(safeRaw.weekStartDay, 0, 6, defaults.weekStartDay),
+        // Capped at 28 so every month has the reset day.
+        monthStartDay: clampInteger(safeRaw.monthStartDay, 1, 28, defaults.monthStartDay),
+        idPrefix: toSafeLabel(safeRaw.idPrefix, defaults.idPrefix, 16).replace(/[^a-zA-Z0-9_-]/g, '') || defaults.idPrefix,
+        customId: hasCustomWindow
+            ? (toSafeLabel(safeRaw.customId, '', 48).replace(/[^a-zA-Z0-9_\-:.]/g, '') || null)
+            : null,
+        startAt: hasCustomWindow ? startAt : null,
+        endAt: hasCustomWindow ? endAt : null,
+        fallbackCadence
+    };
+}
+
+export function describeSeasonResetRule(schedule, cadence = schedule.cadence) {
+    const time = `${formatResetTime(schedule)} ${schedule.timezoneLabel}`;
+    if (cadence === 'daily') return `daily ${time}`;
+    if (cadence === 'monthly') return `monthly day ${schedule.monthStartDay} ${time}`;
+    if (cadence === 'custom') return `custom ${schedule.customId || 'event'}`;
+    return `weekly ${WEEKDAY_NAMES[schedule.weekStartDay]} ${time}`;
+}
+
+function computeCadenceWindow(schedule, cadence, nowMs) {
+    const clock = createZoneClock(schedule);
+    const resetMs = schedule.resetHour * HOUR_MS;
+    const localNowMs = clock.toLocal(nowMs);
+    const localNow = new Date(localNowMs);
+    const year = localNow.getUTCFullYear();
+    const month = localNow.getUTCMonth();
+    const startOfTodayLocalMs = Date.UTC(year, month, localNow.getUTCDate(), 0, 0, 0, 0);
+
+    let startLocalMs;
+    let endLocalMs;
+    let id;
+
+    if (cadence === 'daily') {
+        startLocalMs = startOfTodayLocalMs + resetMs;
+        if (localNowMs < startLocalMs) startLocalMs -= DAY_MS;
+        endLocalMs = startLocalMs + DAY_MS;
+        id = `${schedule.idPrefix}-day-${formatLocalDate(startLocalMs)}`;
+    } else if (cadence === 'monthly') {
+        const day = schedule.monthStartDay;
+        startLocalMs = Date.UTC(year, month, day) + resetMs;
+        if (localNowMs < startLocalMs) {
+            startLocalMs = Date.UTC(year, month - 1, day) + resetMs;
+        }
+        const start = new Date(startLocalMs);
+        endLocalMs = Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, day) + resetMs;
+        id = day === 1
+            ? `${schedule.idPrefix}-month-${formatLocalDate(startLocalMs, 7)}`
+            : `${schedule.idPrefix}-month-${formatLocalDate(startLocalMs)}`;
+    } else {
+        const daysSinceWeekStart = (localNow.getUTCDay() - schedule.weekStartDay + 7) % 7;
+        startLocalMs = startOfTodayLocalMs - (daysSinceWeekStart * DAY_MS) + resetMs;
+        if (localNowMs < startLocalMs) startLocalMs -= WEEK_MS;
+        endLocalMs = startLocalMs + WEEK_MS;
+        id = `${schedule.idPrefix}-week-${formatLocalDate(startLocalMs)}`;
+    }
+
+    return {
+        id,
+        startAt: clock.toUtc(startLocalMs),
+        endAt: clock.toUtc(endLocalMs),
+        resetRule: describeSeasonResetRule(schedule, cadence)
+    };
+}
+
+/**
+ * Resolve the season window that contains `nowMs`.
+ * Returns `{ id, startAt, endAt, timezone, resetRule }` (timestamps in UTC ms, endAt exclusive).
+ */
+export function computeSeasonWindow(rawSchedule = DEFAULT_SEASON_SCHEDULE, nowMs = Date.now()) {
+    const schedule = normalizeSeasonSchedule(rawSchedule);
+    let window;
+
+    if (schedule.cadence === 'custom') {
+        const { startAt, endAt } = schedule;
+        if (nowMs >= startAt && nowMs < endAt) {
+            window = {
+                id: schedule.customId || `${schedule.idPrefix}-custom-${formatLocalDate(createZoneClock(schedule).toLocal(startAt))}`,
+                startAt,
+                endAt,
+                resetRule: describeSeasonResetRule(schedule)
+            };
+        } else {
+            window = computeCadenceWindow(schedule, schedule.fallbackCadence, nowMs);
+            // Clip regular seasons at the custom window's edges so the two never overlap.
+            if (nowMs < startAt && window.endAt > startAt) {
+                window.endAt = startAt;
+            }
+            if (nowMs >= endAt && window.startAt < endAt) {
+                window.startAt = endAt;
+                window.id = `${window.id}-r`;
+            }
+        }
+    } else {
+        window = computeCadenceWindow(schedule, schedule.cadence, nowMs);
+    }
+
+    return {
+        id: window.id,
+        startAt: window.startAt,
+        endAt: window.endAt,
+        timezone: schedule.timezone,
+        resetRule: window.resetRule
+    };
+}
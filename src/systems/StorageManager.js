@@ -1,57 +1,37 @@
 /**
  * StorageManager - Local storage wrapper with profile and game data
+ * Writes are announced to the other hub tabs (TabCoordinator), which reload their cached copy
+ * instead of overwriting the write with stale data on their next save.
  */
+import { tabCoordinator } from './TabCoordinator.js';
+import { computeSeasonWindow, normalizeSeasonSchedule } from './SeasonSchedule.js';
+import {
+    extractRankingRecord,
+    isBetterRecord,
+    normalizeRankingDefinition,
+    normalizeRankingRecord,
+    resolveBoardKey
+} from './RankingRules.js';
+
 const SEASONAL_RANKING_KEY = 'seasonal_ranking_v1';
-const KST_HOUR_MS = 60 * 60 * 1000;
-const KST_DAY_MS = 24 * KST_HOUR_MS;
-const KST_WEEK_MS = 7 * KST_DAY_MS;
-const KST_OFFSET_MS = 9 * KST_HOUR_MS;
-const KST_RESET_HOUR = 9;
-const LEGACY_ACHIEVEMENT_ID_MAP = Object.freeze({
-    'neon-slotmachine': Object.freeze({
-        ns_high_3000: 'ns_high_30000',
-        ns_high_9000: 'ns_high_90000',
-        ns_total_score_50000: 'ns_total_score_500000',
-        ns_best_stage_12: 'ns_best_stage_10'
-    })
-});
-
-function computeKstSeasonWindow(nowMs = Date.now()) {
-    const kstNowMs = nowMs + KST_OFFSET_MS;
-    const kstNow = new Date(kstNowMs);
-    const startOfTodayKstMs = Date.UTC(
-        kstNow.getUTCFullYear(),
-        kstNow.getUTCMonth(),
-        kstNow.getUTCDate(),
-        0, 0, 0, 0
-    );
-
-    const dayOfWeek = kstNow.getUTCDay(); // 0=Sun, 1=Mon, ...
-    const daysSinceMonday = (dayOfWeek + 6) % 7;
-    let seasonStartKstMs = startOfTodayKstMs - (daysSinceMonday * KST_DAY_MS) + (KST_RESET_HOUR * KST_HOUR_MS);
-
-    if (kstNowMs < seasonStartKstMs) {
-        seasonStartKstMs -= KST_WEEK_MS;
-    }
-
-    const seasonEndKstMs = seasonStartKstMs + KST_WEEK_MS;
-    const seasonStartUtcMs = seasonStartKstMs - KST_OFFSET_MS;
-    const seasonEndUtcMs = seasonEndKstMs - KST_OFFSET_MS;
-    const seasonId = `kst-week-${new Date(seasonStartKstMs).toISOString().slice(0, 10)}`;
-
-    return {
-        id: seasonId,
-        startAt: seasonStartUtcMs,
-        endAt: seasonEndUtcMs,
-        timezone: 'Asia/Seoul',
-        resetRule: 'weekly Monday 09:00 KST'
-    };
-}
+const SEASON_SCHEDULE_KEY = 'season_schedule_v1';
+const DAILY_CHALLENGE_KEY = 'daily_challenge_v1';
+const MAX_LOCAL_DAILY_DAYS = 7;
+const DAILY_ATTEMPT_STATUSES = ['started', 'completed'];
+// Pack id/version whose renames were last applied to each game's unlocked ids
+const ACHIEVEMENT_PACKS_KEY = 'achievement_packs_v1';
+const ACHIEVEMENT_MILESTONES_KEY = 'achievement_milestones_v1';
+// Recent sessions kept per game (and synced with cloud progress) for the profile charts
+const MAX_SESSION_HISTORY = 30;
 
 export class StorageManager {
     constructor() {
         this.prefix = 'mgp_'; // Minigame Platform prefix
+        // gameId -> { oldId: newId } from the loaded achievement packs (renamedFrom)
+        this.achievementRenames = new Map();
+        this.externalChangeListeners = new Set();
         this.data = this.loadAll();
+        tabCoordinator.subscribe('storage', (payload) => this.handleExternalChange(payload?.key));
     }
 
     /**
@@ -104,7 +84,10 @@ export class StorageManager {
             createdAt: Date.now(),
             totalPlayTime: 0,
             totalGamesPlayed: 0,
-            totalScore: 0
+            totalScore: 0,
+            // Consecutive days with a session in any game (see advanceDailyStreak)
+            dailyStreak: 0,
+            streakDayStart: null
         };
     }
 
@@ -127,7 +110,8 @@ export class StorageManager {
             soundEnabled: true,
             musicEnabled: true,
             vibrationEnabled: true,
-            language: 'ko'
+            // 'auto' follows the browser language; otherwise a locale the player picked (src/systems/I18n.js)
+            locale: 'auto'
         };
     }
 
@@ -157,6 +141,7 @@ export class StorageManager {
     set(key, value) {
         try {
             localStorage.setItem(this.key(key), JSON.stringify(value));
+            tabCoordinator.publish('storage', { key });
             return true;
         } catch (e) {
             console.warn(`Failed to set ${key}:`, e);
@@ -170,12 +155,37 @@ export class StorageManager {
     remove(key) {
         try {
             localStorage.removeItem(this.key(key));
+            tabCoordinator.publish('storage', { key });
             return true;
         } catch (e) {
             return false;
         }
     }
 
+    /**
+     * Another hub tab wrote `key`: reload the cached data so the next write here builds on it
+     */
+    handleExternalChange(key) {
+        this.data = this.loadAll();
+        this.externalChangeListeners.forEach((listener) => {
+            try {
+                listener(key);
+            } catch (error) {
+                console.warn('Storage change listener failed:', error);
+            }
+        });
+    }
+
+    /**
+     * Subscribe to writes made by other hub tabs
+     * @param {Function} listener - (key) => void, after the cached data was reloaded
+     * @returns {Function} Unsubscribe
+     */
+    onExternalChange(listener) {
+        this.externalChangeListeners.add(listener);
+        return () => this.externalChangeListeners.delete(listener);
+    }
+
     // ===== Profile Methods =====
 
     /**
@@ -239,6 +249,9 @@ export class StorageManager {
             lastSessionScore: 0,
             totalPlayTime: 0,
             lastPlayed: null,
+            dailyStreak: 0,
+            streakDayStart: null,
+            sessionHistory: [],
             achievements: []
         };
     }
@@ -260,6 +273,9 @@ export class StorageManager {
         if (!Array.isArray(normalized.achievements)) {
             normalized.achievements = [];
         }
+        if (!Array.isArray(normalized.sessionHistory)) {
+            normalized.sessionHistory = [];
+        }
 
         return normalized;
     }
@@ -305,8 +321,10 @@ export class StorageManager {
 
     /**
      * Record game session
+     * `rankingDefinition` is the game's registry ranking; it decides which seasonal board record moves.
+     * Daily challenge attempts pass `seasonal: false`: they count as plays but rank on the daily board only.
      */
-    recordGameSession(gameId, sessionData) {
+    recordGameSession(gameId, sessionData, rankingDefinition = null, { seasonal = true } = {}) {
         const gameData = this.getGameData(gameId);
         const normalizedItemCounts = this.normalizeItemCounts(sessionData?.itemCounts);
         const normalizedItemsCollected = Number.isFinite(sessionData?.itemsCollected)
@@ -335,6 +353,15 @@ export class StorageManager {
             mergedItemStats[itemId] = (mergedItemStats[itemId] || 0) + count;
         }
 
+        const playedAt = Date.now();
+        const sessionEntry = {
+            playedAt,
+            score: Math.max(0, Math.floor(safeSession.score)),
+            duration: Math.max(0, Math.floor(safeSession.duration)),
+            level: Math.max(1, Math.floor(safeSession.level)),
+            best: safeSession.score > gameData.highScore
+        };
+
         const updates = {
             playCount: gameData.playCount + 1,
             totalScore: gameData.totalScore + safeSession.score,
@@ -343,7 +370,9 @@ export class StorageManager {
             totalComboCount: gameData.totalComboCount + safeSession.comboCount,
             totalItemsCollected: gameData.totalItemsCollected + safeSession.itemsCollected,
             itemStats: mergedItemStats,
-            lastSessionScore: safeSession.score
+            lastSessionScore: safeSession.score,
+            sessionHistory: [...gameData.sessionHistory, sessionEntry].slice(-MAX_SESSION_HISTORY),
+            ...this.advanceDailyStreak(gameData)
         };
 
         // Update high score
@@ -370,13 +399,59 @@ export class StorageManager {
         this.updateProfile({
             totalGamesPlayed: this.data.profile.totalGamesPlayed + 1,
             totalScore: this.data.profile.totalScore + safeSession.score,
-            totalPlayTime: this.data.profile.totalPlayTime + safeSession.duration
+            totalPlayTime: this.data.profile.totalPlayTime + safeSession.duration,
+            ...this.advanceDailyStreak(this.data.profile)
         });
-        this.recordSeasonalScore(gameId, safeSession.score);
+        if (seasonal) {
+            this.recordSeasonalScore(gameId, safeSession.score, playedAt, {
+                definition: rankingDefinition,
+                result: { ...safeSession, clearTime: sessionData?.clearTime }
+            });
+        }
 
         return this.updateGameData(gameId, updates);
     }
 
+    /**
+     * Day boundaries follow the daily challenge: the season schedule's timezone and reset hour
+     */
+    computeDayWindow(nowMs = Date.now()) {
+        return computeSeasonWindow({ ...this.getSeasonSchedule(), cadence: 'daily', startAt: null, endAt: null }, nowMs);
+    }
+
+    /**
+     * Streak fields after a session at `nowMs`: unchanged later the same day, +1 on the next day, else back to 1
+     * @param {Object} record - Game data or profile holding dailyStreak / streakDayStart
+     * @returns {{dailyStreak: number, streakDayStart: number}}
+     */
+    advanceDailyStreak(record = {}, nowMs = Date.now()) {
+        const todayStart = this.computeDayWindow(nowMs).startAt;
+        const current = this.getDailyStreakOf(record, nowMs);
+        return {
+            dailyStreak: Number(record?.streakDayStart) === todayStart ? Math.max(1, current) : current + 1,
+            streakDayStart: todayStart
+        };
+    }
+
+    /**
+     * Streak that is still alive at `nowMs` (last played today or yesterday), else 0
+     */
+    getDailyStreakOf(record = {}, nowMs = Date.now()) {
+        const todayStart = this.computeDayWindow(nowMs).startAt;
+        const yesterdayStart = this.computeDayWindow(todayStart - 1).startAt;
+        const lastStart = Number(record?.streakDayStart);
+        return lastStart === todayStart || lastStart === yesterdayStart ? this.toSafeCounter(record.dailyStreak) : 0;
+    }
+
+    /**
+     * Current consecutive-day streak of a game, or of the whole hub when no game is given
+     * @param {string|null} gameId - Game id
+     * @returns {number}
+     */
+    getDailyStreak(gameId = null) {
+        return this.getDailyStreakOf(gameId ? this.getGameData(gameId) : this.data.profile);
+    }
+
     /**
      * Normalize item counts object
      */
@@ -413,8 +488,33 @@ export class StorageManager {
 
     // ===== Seasonal Ranking Methods =====
 
+    /**
+     * Last season schedule published by the leaderboard server (defaults until the first sync)
+     */
+    getSeasonSchedule() {
+        if (!this.seasonSchedule) {
+            this.seasonSchedule = normalizeSeasonSchedule(this.get(SEASON_SCHEDULE_KEY));
+        }
+        return this.seasonSchedule;
+    }
+
+    setSeasonSchedule(rawSchedule) {
+        if (!rawSchedule || typeof rawSchedule !== 'object') return false;
+
+        const next = normalizeSeasonSchedule(rawSchedule);
+        if (JSON.stringify(next) === JSON.stringify(this.getSeasonSchedule())) return false;
+
+        this.seasonSchedule = next;
+        this.set(SEASON_SCHEDULE_KEY, next);
+        return true;
+    }
+
+    computeSeasonWindow(nowMs = Date.now()) {
+        return computeSeasonWindow(this.getSeasonSchedule(), nowMs);
+    }
+
     createDefaultSeasonalRanking(nowMs = Date.now()) {
-        const season = computeKstSeasonWindow(nowMs);
+        const season = this.computeSeasonWindow(nowMs);
         return {
             version: 1,
             seasonId: season.id,
@@ -435,7 +535,7 @@ export class StorageManager {
     normalizeSeasonalRanking(raw = {}) {
         const fallback = this.createDefaultSeasonalRanking();
         const safeRaw = raw && typeof raw === 'object' ? raw : {};
-        const seasonWindow = computeKstSeasonWindow();
+        const seasonWindow = this.computeSeasonWindow();
         const seasonId = typeof safeRaw.seasonId === 'string' && safeRaw.seasonId.trim()
             ? safeRaw.seasonId.trim()
             : (typeof safeRaw?.season?.id === 'string' && safeRaw.season.id.trim()
@@ -460,7 +560,8 @@ export class StorageManager {
                 weeklyHighScore,
                 lastSessionScore,
                 lastPlayedAt,
-                playCount
+                playCount,
+                records: this.normalizeSeasonalRecords(rawEntry.records)
             };
         });
 
@@ -485,16 +586,31 @@ export class StorageManager {
                     safeRaw?.season?.endAt ?? safeRaw.seasonEndAt,
                     fallback.seasonEndAt
                 ),
-                timezone: 'Asia/Seoul',
-                resetRule: 'weekly Monday 09:00 KST'
+                timezone: typeof safeRaw?.season?.timezone === 'string' && safeRaw.season.timezone
+                    ? safeRaw.season.timezone
+                    : fallback.season.timezone,
+                resetRule: typeof safeRaw?.season?.resetRule === 'string' && safeRaw.season.resetRule
+                    ? safeRaw.season.resetRule
+                    : fallback.season.resetRule
             },
             updatedAt: this.toSafeTimestamp(safeRaw.updatedAt, fallback.updatedAt),
             games
         };
     }
 
+    normalizeSeasonalRecords(rawRecords = {}) {
+        const records = {};
+        Object.entries(rawRecords && typeof rawRecords === 'object' ? rawRecords : {}).forEach(([rawBoardKey, rawRecord]) => {
+            const boardKey = this.sanitizeCloudId(rawBoardKey, 32);
+            const record = normalizeRankingRecord(rawRecord);
+            if (!boardKey || Object.keys(record.metrics).length === 0) return;
+            records[boardKey] = record;
+        });
+        return records;
+    }
+
     resolveSeasonWindowByServer(seasonId = null, seasonMeta = null) {
-        const computed = computeKstSeasonWindow();
+        const computed = this.computeSeasonWindow();
         const meta = seasonMeta && typeof seasonMeta === 'object' ? seasonMeta : {};
         const resolvedSeasonId = (typeof seasonId === 'string' && seasonId.trim())
             ? seasonId.trim()
@@ -503,8 +619,8 @@ export class StorageManager {
             id: resolvedSeasonId,
             startAt: this.toSafeTimestamp(meta.startAt, computed.startAt),
             endAt: this.toSafeTimestamp(meta.endAt, computed.endAt),
-            timezone: 'Asia/Seoul',
-            resetRule: 'weekly Monday 09:00 KST'
+            timezone: typeof meta.timezone === 'string' && meta.timezone ? meta.timezone : computed.timezone,
+            resetRule: typeof meta.resetRule === 'string' && meta.resetRule ? meta.resetRule : computed.resetRule
         };
     }
 
@@ -563,7 +679,8 @@ export class StorageManager {
                 weeklyHighScore: 0,
                 lastSessionScore: 0,
                 lastPlayedAt: 0,
-                playCount: 0
+                playCount: 0,
+                records: {}
             };
         }
 
@@ -573,7 +690,8 @@ export class StorageManager {
                 weeklyHighScore: 0,
                 lastSessionScore: 0,
                 lastPlayedAt: 0,
-                playCount: 0
+                playCount: 0,
+                records: {}
             };
         }
 
@@ -581,11 +699,16 @@ export class StorageManager {
             weeklyHighScore: this.toSafeCounter(existing.weeklyHighScore),
             lastSessionScore: this.toSafeCounter(existing.lastSessionScore),
             lastPlayedAt: this.toSafeTimestamp(existing.lastPlayedAt, 0),
-            playCount: this.toSafeCounter(existing.playCount)
+            playCount: this.toSafeCounter(existing.playCount),
+            records: this.normalizeSeasonalRecords(existing.records)
         };
     }
 
-    recordSeasonalScore(gameId, score, playedAt = Date.now()) {
+    /**
+     * Record a seasonal play. `ranking` ({ definition, result }) also keeps the best record per
+     * ranking board, judged by the same rules the leaderboard server applies.
+     */
+    recordSeasonalScore(gameId, score, playedAt = Date.now(), ranking = null) {
         const safeGameId = this.sanitizeCloudId(gameId);
         if (!safeGameId) return null;
 
@@ -594,11 +717,20 @@ export class StorageManager {
         const safeScore = this.toSafeCounter(score);
         const safePlayedAt = this.toSafeTimestamp(playedAt, Date.now());
         const current = this.getSeasonalGameEntry(safeGameId);
+        const definition = normalizeRankingDefinition(ranking?.definition);
+        const record = extractRankingRecord(ranking?.result || { score: safeScore }, safePlayedAt);
+        const boardKey = resolveBoardKey(definition, record);
+        const records = { ...current.records };
+        if (boardKey && isBetterRecord(definition, record, records[boardKey])) {
+            records[boardKey] = record;
+        }
+
         const next = {
             weeklyHighScore: Math.max(current.weeklyHighScore, safeScore),
             lastSessionScore: safeScore,
             lastPlayedAt: Math.max(current.lastPlayedAt, safePlayedAt),
-            playCount: current.playCount + 1
+            playCount: current.playCount + 1,
+            records
         };
 
         const seasonalRanking = this.normalizeSeasonalRanking(this.data.seasonalRanking);
@@ -626,6 +758,108 @@ export class StorageManager {
         return highScores;
     }
 
+    /**
+     * Best seasonal ranking record per game and board: `{ [gameId]: { [boardKey]: record } }`
+     */
+    getSeasonalRankingRecordsMap() {
+        this.ensureSeasonalState();
+        const sourceGames = this.data.seasonalRanking?.games && typeof this.data.seasonalRanking.games === 'object'
+            ? this.data.seasonalRanking.games
+            : {};
+        const recordsMap = {};
+
+        Object.entries(sourceGames).forEach(([gameId, rawEntry]) => {
+            const safeGameId = this.sanitizeCloudId(gameId);
+            const records = this.normalizeSeasonalRecords(rawEntry?.records);
+            if (!safeGameId || Object.keys(records).length === 0) return;
+            recordsMap[safeGameId] = records;
+        });
+
+        return recordsMap;
+    }
+
+    // ===== Daily Challenge Methods =====
+
+    /**
+     * Local record of daily challenge attempts: `{ [dayKey]: { dayKey, gameId, status, ... } }`.
+     * The server owns the one-attempt rule; this only lets the hub show the state without a round trip.
+     */
+    getDailyChallengeState() {
+        if (!this.dailyChallenge) {
+            this.dailyChallenge = this.normalizeDailyChallengeState(this.get(DAILY_CHALLENGE_KEY));
+        }
+        return this.dailyChallenge;
+    }
+
+    normalizeDailyChallengeState(raw = {}) {
+        const sourceDays = raw?.days && typeof raw.days === 'object' ? raw.days : {};
+        const days = {};
+
+        Object.values(sourceDays)
+            .map((entry) => ({
+                dayKey: this.sanitizeCloudId(entry?.dayKey),
+                gameId: this.sanitizeCloudId(entry?.gameId),
+                status: DAILY_ATTEMPT_STATUSES.includes(entry?.status) ? entry.status : 'started',
+                startedAt: this.toSafeTimestamp(entry?.startedAt, 0),
+                completedAt: entry?.completedAt ? this.toSafeTimestamp(entry.completedAt, 0) : null,
+                score: entry?.score === null || entry?.score === undefined ? null : this.toSafeCounter(entry.score),
+                rank: this.toSafeRank(entry?.rank)
+            }))
+            .filter((entry) => entry.dayKey && entry.gameId)
+            .sort((a, b) => b.startedAt - a.startedAt)
+            .slice(0, MAX_LOCAL_DAILY_DAYS)
+            .forEach((entry) => {
+                days[entry.dayKey] = entry;
+            });
+
+        return { version: 1, days };
+    }
+
+    saveDailyChallengeState(next) {
+        this.dailyChallenge = this.normalizeDailyChallengeState(next);
+        this.set(DAILY_CHALLENGE_KEY, this.dailyChallenge);
+        return this.dailyChallenge;
+    }
+
+    getDailyAttempt(dayKey) {
+        return this.getDailyChallengeState().days[dayKey] || null;
+    }
+
+    markDailyAttemptStarted({ dayKey, gameId, startedAt = Date.now() }) {
+        const state = this.getDailyChallengeState();
+        const current = state.days[dayKey];
+        if (current) return current;
+
+        this.saveDailyChallengeState({
+            ...state,
+            days: {
+                ...state.days,
+                [dayKey]: { dayKey, gameId, status: 'started', startedAt, completedAt: null, score: null, rank: null }
+            }
+        });
+        return this.getDailyAttempt(dayKey);
+    }
+
+    markDailyAttemptCompleted(dayKey, { gameId, score, rank = null, completedAt = Date.now() } = {}) {
+        const state = this.getDailyChallengeState();
+        const current = state.days[dayKey] || { dayKey, gameId, startedAt: completedAt };
+
+        this.saveDailyChallengeState({
+            ...state,
+            days: {
+                ...state.days,
+                [dayKey]: {
+                    ...current,
+                    status: 'completed',
+                    completedAt: current.completedAt || completedAt,
+                    score,
+                    rank: rank ?? current.rank ?? null
+                }
+            }
+        });
+        return this.getDailyAttempt(dayKey);
+    }
+
     // ===== Cloud Progress Sync Methods =====
 
     sanitizeCloudId(value, maxLength = 96) {
@@ -691,6 +925,27 @@ export class StorageManager {
         return sorted;
     }
 
+    /**
+     * Recent sessions in play order, at most MAX_SESSION_HISTORY
+     * @param {Array} history - [{ playedAt, score, duration, level, best }]
+     * @returns {Array}
+     */
+    normalizeCloudSessionHistory(history = []) {
+        if (!Array.isArray(history)) return [];
+
+        return history
+            .map((entry) => ({
+                playedAt: this.toSafeCounter(entry?.playedAt),
+                score: this.toSafeCounter(entry?.score),
+                duration: this.toSafeCounter(entry?.duration),
+                level: Math.max(1, this.toSafeCounter(entry?.level, 1)),
+                best: entry?.best === true
+            }))
+            .filter((entry) => entry.playedAt > 0)
+            .sort((a, b) => a.playedAt - b.playedAt)
+            .slice(-MAX_SESSION_HISTORY);
+    }
+
     normalizeCloudGameProgress(gameId, gameData = {}) {
         const safeGameId = this.sanitizeCloudId(gameId);
         if (!safeGameId) return null;
@@ -710,7 +965,8 @@ export class StorageManager {
             itemStats: this.normalizeCloudItemStats(normalizedGame.itemStats),
             lastSessionScore: this.toSafeCounter(normalizedGame.lastSessionScore),
             totalPlayTime: this.toSafeCounter(normalizedGame.totalPlayTime),
-            lastPlayed: this.toSafeTimestamp(normalizedGame.lastPlayed, 0)
+            lastPlayed: this.toSafeTimestamp(normalizedGame.lastPlayed, 0),
+            sessionHistory: this.normalizeCloudSessionHistory(normalizedGame.sessionHistory)
         };
     }
 
@@ -729,6 +985,7 @@ export class StorageManager {
         if (this.toSafeCounter(gameProgress.lastSessionScore) > 0) return true;
         if (this.toSafeCounter(gameProgress.totalPlayTime) > 0) return true;
         if (this.toSafeTimestamp(gameProgress.lastPlayed, 0) > 0) return true;
+        if ((gameProgress.sessionHistory || []).length > 0) return true;
         return Object.keys(gameProgress.itemStats || {}).length > 0;
     }
 
@@ -760,7 +1017,7 @@ export class StorageManager {
         const safeGameId = this.sanitizeCloudId(gameId);
         const safeAchievementId = this.sanitizeCloudId(achievementId);
         if (!safeAchievementId) return '';
-        const migrated = LEGACY_ACHIEVEMENT_ID_MAP[safeGameId]?.[safeAchievementId] || safeAchievementId;
+        const migrated = this.achievementRenames.get(safeGameId)?.[safeAchievementId] || safeAchievementId;
         return this.sanitizeCloudId(migrated);
     }
 
@@ -894,6 +1151,23 @@ export class StorageManager {
         return merged;
     }
 
+    /**
+     * Union of both histories: the same session (playedAt + score) is kept once and stays a
+     * personal best if either side marked it, then the newest MAX_SESSION_HISTORY remain
+     */
+    mergeCloudSessionHistory(localHistory = [], incomingHistory = []) {
+        const sessions = new Map();
+        [
+            ...this.normalizeCloudSessionHistory(localHistory),
+            ...this.normalizeCloudSessionHistory(incomingHistory)
+        ].forEach((entry) => {
+            const key = `${entry.playedAt}:${entry.score}`;
+            const existing = sessions.get(key);
+            sessions.set(key, existing ? { ...existing, best: existing.best || entry.best } : entry);
+        });
+        return this.normalizeCloudSessionHistory(Array.from(sessions.values()));
+    }
+
     mergeCloudGameProgress(localGame = {}, incomingGame = {}) {
         const safeLocal = this.normalizeCloudGameProgress('local', localGame) || this.normalizeCloudGameProgress('fallback-local', {});
         const safeIncoming = this.normalizeCloudGameProgress('incoming', incomingGame) || this.normalizeCloudGameProgress('fallback-incoming', {});
@@ -927,7 +1201,8 @@ export class StorageManager {
             itemStats: this.mergeCloudItemStats(safeLocal.itemStats, safeIncoming.itemStats),
             lastSessionScore,
             totalPlayTime: Math.max(this.toSafeCounter(safeLocal.totalPlayTime), this.toSafeCounter(safeIncoming.totalPlayTime)),
-            lastPlayed: Math.max(localLastPlayed, incomingLastPlayed)
+            lastPlayed: Math.max(localLastPlayed, incomingLastPlayed),
+            sessionHistory: this.mergeCloudSessionHistory(safeLocal.sessionHistory, safeIncoming.sessionHistory)
         };
     }
 
@@ -1047,6 +1322,75 @@ export class StorageManager {
         return normalized;
     }
 
+    /**
+     * Apply an achievement pack's renames to a game's unlocked ids (stored and incoming cloud lists).
+     * Ids the pack no longer knows are kept, so progress survives a pack update.
+     * @param {string} gameId - Game ID
+     * @param {Object<string, string>} renames - Old id -> current id
+     * @returns {string[]} Unlocked ids after migration
+     */
+    registerAchievementRenames(gameId, renames = {}) {
+        const safeGameId = this.sanitizeCloudId(gameId);
+        if (!safeGameId) return [];
+        if (renames && Object.keys(renames).length) {
+            this.achievementRenames.set(safeGameId, { ...renames });
+        } else {
+            this.achievementRenames.delete(safeGameId);
+        }
+        return this.getAchievements(safeGameId);
+    }
+
+    /**
+     * Pack id and version last applied to a game's unlocked ids
+     * @param {string} gameId - Game ID
+     * @returns {{pack: string, version: number, appliedAt: number}|null}
+     */
+    getAchievementPackState(gameId) {
+        const safeGameId = this.sanitizeCloudId(gameId);
+        const state = this.get(ACHIEVEMENT_PACKS_KEY)?.[safeGameId];
+        if (!state || typeof state !== 'object') return null;
+        return {
+            pack: this.sanitizeCloudId(state.pack),
+            version: this.toSafeCounter(state.version),
+            appliedAt: this.toSafeTimestamp(state.appliedAt, 0)
+        };
+    }
+
+    setAchievementPackState(gameId, { pack, version }) {
+        const safeGameId = this.sanitizeCloudId(gameId);
+        if (!safeGameId) return;
+        const states = this.get(ACHIEVEMENT_PACKS_KEY) || {};
+        states[safeGameId] = {
+            pack: this.sanitizeCloudId(pack),
+            version: this.toSafeCounter(version),
+            appliedAt: Date.now()
+        };
+        this.set(ACHIEVEMENT_PACKS_KEY, states);
+    }
+
+    /**
+     * Highest progress milestone (percent) already announced per locked achievement of a game
+     * @param {string} gameId - Game ID
+     * @returns {Object<string, number>}
+     */
+    getAchievementMilestones(gameId) {
+        const safeGameId = this.sanitizeCloudId(gameId);
+        const milestones = this.get(ACHIEVEMENT_MILESTONES_KEY)?.[safeGameId];
+        return milestones && typeof milestones === 'object' ? { ...milestones } : {};
+    }
+
+    setAchievementMilestone(gameId, achievementId, percent) {
+        const safeGameId = this.sanitizeCloudId(gameId);
+        const safeAchievementId = this.sanitizeCloudId(achievementId);
+        if (!safeGameId || !safeAchievementId) return;
+        const all = this.get(ACHIEVEMENT_MILESTONES_KEY) || {};
+        all[safeGameId] = {
+            ...(all[safeGameId] || {}),
+            [safeAchievementId]: this.toSafeCounter(percent)
+        };
+        this.set(ACHIEVEMENT_MILESTONES_KEY, all);
+    }
+
     /**
      * Get unlocked achievement count for a specific game
      */
@@ -1161,6 +1505,10 @@ export class StorageManager {
         this.remove('achievements');
         this.remove('settings');
         this.remove(SEASONAL_RANKING_KEY);
+        this.remove(DAILY_CHALLENGE_KEY);
+        this.remove(ACHIEVEMENT_PACKS_KEY);
+        this.remove(ACHIEVEMENT_MILESTONES_KEY);
+        this.dailyChallenge = null;
         this.data = this.loadAll();
     }
 }
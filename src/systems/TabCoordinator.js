@@ -0,0 +1,145 @@
+/**
+ * TabCoordinator - keeps several open hub tabs from working against each other
+ * One tab is elected leader: it owns the leaderboard realtime stream, cloud syncs and the
+ * auto-refresh, and shares what they bring on a BroadcastChannel. Every tab announces its own
+ * storage writes there too, so the others reload instead of overwriting them with stale copies.
+ * Without BroadcastChannel or Web Locks every tab leads itself, as before coordination existed.
+ */
+
+const CHANNEL_NAME = 'mgp-hub';
+const LEADER_LOCK_NAME = 'mgp-hub-leader';
+
+function createTabId() {
+    if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+        return crypto.randomUUID();
+    }
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+}
+
+class TabCoordinator {
+    constructor() {
+        this.tabId = createTabId();
+        this.leader = false;
+        this.startPromise = null;
+        // type -> Set of (payload, message) => void
+        this.subscribers = new Map();
+        this.leadershipListeners = new Set();
+        // Opened right away: storage writes made while the hub boots must reach the other tabs
+        this.channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(CHANNEL_NAME) : null;
+        if (this.channel) {
+            this.channel.onmessage = (event) => this.dispatch(event.data);
+        }
+    }
+
+    isSupported() {
+        return Boolean(this.channel) && typeof navigator !== 'undefined' && typeof navigator.locks?.request === 'function';
+    }
+
+    /**
+     * Join the leader election (once). Resolves when this tab knows whether it leads for now;
+     * a follower still becomes leader later, when the leading tab closes.
+     * @returns {Promise<boolean>} Whether this tab leads
+     */
+    start() {
+        if (this.startPromise) return this.startPromise;
+        if (!this.isSupported()) {
+            this.setLeader(true);
+            this.startPromise = Promise.resolve(true);
+            return this.startPromise;
+        }
+
+        // A Web Lock rather than heartbeats: background tabs throttle their timers, so a heartbeat
+        // leader left in a hidden tab would keep timing out and the role would flap between tabs
+        this.startPromise = new Promise((resolve) => {
+            navigator.locks.request(LEADER_LOCK_NAME, { ifAvailable: true }, (lock) => {
+                if (lock) {
+                    resolve(true);
+                    return this.holdLeadership();
+                }
+                resolve(false);
+                navigator.locks.request(LEADER_LOCK_NAME, () => this.holdLeadership()).catch((error) => {
+                    console.warn('Tab leader election failed:', error);
+                });
+                return null;
+            }).catch((error) => {
+                console.warn('Tab leader election failed, leading this tab alone:', error);
+                this.setLeader(true);
+                resolve(true);
+            });
+        });
+        return this.startPromise;
+    }
+
+    // Never settles: the browser releases the lock when the tab closes and grants it to the next one
+    holdLeadership() {
+        this.setLeader(true);
+        return new Promise(() => {});
+    }
+
+    setLeader(leader) {
+        if (this.leader === leader) return;
+        this.leader = leader;
+        this.leadershipListeners.forEach((listener) => {
+            try {
+                listener(leader);
+            } catch (error) {
+                console.warn('Tab leadership listener failed:', error);
+            }
+        });
+    }
+
+    isLeader() {
+        return this.leader;
+    }
+
+    /**
+     * Subscribe to leadership changes
+     * @param {Function} listener - (isLeader) => void
+     * @returns {Function} Unsubscribe
+     */
+    onLeadershipChange(listener) {
+        this.leadershipListeners.add(listener);
+        return () => this.leadershipListeners.delete(listener);
+    }
+
+    /**
+     * Send a message to the other hub tabs (never to this one)
+     * @param {string} type - Message type
+     * @param {*} payload - Structured-cloneable data
+     */
+    publish(type, payload = null) {
+        if (!this.channel) return;
+        try {
+            this.channel.postMessage({ type, payload, from: this.tabId });
+        } catch (error) {
+            console.warn(`Failed to broadcast ${type}:`, error);
+        }
+    }
+
+    /**
+     * Listen to one message type from the other hub tabs
+     * @param {string} type - Message type
+     * @param {Function} listener - (payload, message) => void
+     * @returns {Function} Unsubscribe
+     */
+    subscribe(type, listener) {
+        if (!this.subscribers.has(type)) {
+            this.subscribers.set(type, new Set());
+        }
+        this.subscribers.get(type).add(listener);
+        return () => this.subscribers.get(type)?.delete(listener);
+    }
+
+    dispatch(message) {
+        if (!message || typeof message.type !== 'string' || message.from === this.tabId) return;
+        this.subscribers.get(message.type)?.forEach((listener) => {
+            try {
+                listener(message.payload, message);
+            } catch (error) {
+                console.warn(`Tab message listener for ${message.type} failed:`, error);
+            }
+        });
+    }
+}
+
+export const tabCoordinator = new TabCoordinator();
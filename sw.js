@@ -0,0 +1,177 @@
+/**
+ * Service worker for the hub shell
+ * - Precache: hub, games and vendored libraries from precache-manifest.js, one cache per
+ *   registry version and content revision; older caches are deleted on activate. Game scripts
+ *   are all local (scripts/vendor-libs.mjs), so games start offline; web fonts fall back to
+ *   system fonts
+ * - Same-origin requests go to the network first and fall back to the precache, ignoring the
+ *   `_v` cache-busting query the hub adds; vendor/ is immutable and served from the cache first
+ * - API calls are never cached. An offline `/api/leaderboard/snapshot` fails and
+ *   LeaderboardService shows its local ranking, marked as local, instead of a stale server board
+ * - Background Sync: sends LeaderboardService's outbox (src/services/SyncOutbox.js) when the
+ *   connection returns, even after the tab is closed
+ */
+importScripts('./precache-manifest.js');
+
+const PRECACHE = self.__MGP_PRECACHE__ || { version: 'dev', files: [] };
+const PRECACHE_PREFIX = 'mgp-precache-';
+const PRECACHE_NAME = `${PRECACHE_PREFIX}${PRECACHE.version}${PRECACHE.revision ? `-${PRECACHE.revision}` : ''}`;
+// Snapshot cache of earlier workers; deleted on activate
+const LEGACY_RUNTIME_CACHE_NAME = 'mgp-runtime-v1';
+const SCOPE_URL = new URL('./', self.location.href);
+const VENDOR_PATH = new URL('./vendor/', SCOPE_URL).pathname;
+const ENTRY_URL = new URL('./index.html', SCOPE_URL).href;
+// Same names as src/services/SyncOutbox.js
+const OUTBOX_DB_NAME = 'mgp-sync-outbox';
+const OUTBOX_STORE_NAME = 'entries';
+const OUTBOX_DB_VERSION = 1;
+const OUTBOX_SYNC_TAG = 'mgp-leaderboard-sync';
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(PRECACHE_NAME);
+        // cache: 'reload' skips the HTTP cache so a new version never precaches stale files
+        await cache.addAll(PRECACHE.files.map((file) => new Request(new URL(file, SCOPE_URL), { cache: 'reload' })));
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter((name) => (name.startsWith(PRECACHE_PREFIX) && name !== PRECACHE_NAME) || name === LEGACY_RUNTIME_CACHE_NAME)
+            .map((name) => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+async function matchPrecache(request) {
+    const cache = await caches.open(PRECACHE_NAME);
+    return cache.match(request, { ignoreSearch: true });
+}
+
+async function networkFirst(request) {
+    try {
+        return await fetch(request);
+    } catch (error) {
+        const cached = await matchPrecache(request);
+        if (cached) return cached;
+        // Top-level navigations (e.g. a shared ?game= link) open the hub shell
+        if (request.mode === 'navigate' && request.destination === 'document') {
+            const entry = await caches.match(ENTRY_URL, { cacheName: PRECACHE_NAME });
+            if (entry) return entry;
+        }
+        throw error;
+    }
+}
+
+async function cacheFirst(request) {
+    const cached = await matchPrecache(request);
+    return cached || fetch(request);
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    // API calls (snapshots, sync, SSE events, sessions) always need the server
+    if (url.origin !== SCOPE_URL.origin || !url.pathname.startsWith(SCOPE_URL.pathname) || url.pathname.includes('/api/')) {
+        return;
+    }
+
+    event.respondWith(url.pathname.startsWith(VENDOR_PATH) ? cacheFirst(request) : networkFirst(request));
+});
+
+function openOutbox() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(OUTBOX_DB_NAME, OUTBOX_DB_VERSION);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(OUTBOX_STORE_NAME, { keyPath: 'id' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function runOutboxRequest(db, mode, run) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(OUTBOX_STORE_NAME, mode);
+        const request = run(transaction.objectStore(OUTBOX_STORE_NAME));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+function postJson(url, body, headers = {}) {
+    return fetch(url, {
+        method: 'POST',
+        headers: { Accept: 'application/json', 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body)
+    });
+}
+
+// Replays follow their session once the sync accepted it; failures only lose the replay
+async function uploadAcceptedReplays(entry, sessions, outcomes) {
+    const accepted = new Set((Array.isArray(outcomes) ? outcomes : [])
+        .filter((outcome) => outcome?.accepted && outcome.sessionId)
+        .map((outcome) => outcome.sessionId));
+    await Promise.all(sessions
+        .filter((session) => session.replay && accepted.has(session.sessionId))
+        .map((session) => postJson(entry.replayUrl, {
+            playerId: entry.playerId,
+            sessionId: session.sessionId,
+            replay: session.replay
+        }, { Authorization: `Bearer ${entry.playerKey}` }).catch(() => null)));
+}
+
+/**
+ * Send the outbox oldest first, with each entry's id as Idempotency-Key (the page may be sending
+ * the same entry). Throwing on a network failure or 5xx makes the browser retry the sync later.
+ * The worker only has the device player key; entries the server wants a Firebase ID token for
+ * (401/403) stay queued for the page. So do entries holding an expired session: the page prunes
+ * them and tells the player those results will not be ranked.
+ */
+async function flushOutbox() {
+    const db = await openOutbox();
+    let sent = 0;
+    let expired = 0;
+    try {
+        const entries = (await runOutboxRequest(db, 'readonly', (store) => store.getAll()))
+            .sort((a, b) => a.createdAt - b.createdAt);
+        for (const entry of entries) {
+            const sessions = (entry.sessions || []).filter((session) => !session.expiresAt || session.expiresAt > Date.now());
+            if (sessions.length < (entry.sessions || []).length) {
+                expired += 1;
+                continue;
+            }
+            const response = await postJson(entry.syncUrl, {
+                ...entry.payload,
+                sessions: sessions.map(({ ticket, result }) => ({ ticket, result }))
+            }, { 'Idempotency-Key': entry.id, Authorization: `Bearer ${entry.playerKey}` });
+            if (response.status === 401 || response.status === 403) continue;
+            if (response.status === 408 || response.status === 429 || response.status >= 500) {
+                throw new Error(`outbox-retry:${response.status}`);
+            }
+
+            await runOutboxRequest(db, 'readwrite', (store) => store.delete(entry.id));
+            sent += 1;
+            if (response.ok) {
+                const result = await response.json().catch(() => null);
+                await uploadAcceptedReplays(entry, sessions, result?.sessions);
+            }
+        }
+    } finally {
+        db.close();
+        if (sent > 0 || expired > 0) {
+            const clients = await self.clients.matchAll({ includeUncontrolled: true });
+            clients.forEach((client) => client.postMessage({ type: 'mgp:sync-outbox', sent, expired }));
+        }
+    }
+}
+
+self.addEventListener('sync', (event) => {
+    if (event.tag !== OUTBOX_SYNC_TAG) return;
+    event.waitUntil(flushOutbox());
+});